@@ -10,50 +10,281 @@ var ProphecyApp = ProphecyApp || {};
 ProphecyApp.app = (function() {
     // --- App State --- (Kept within this module's scope)
     let _currentCategoryFilter = "All Categories";
+    let _navMode = 'category'; // Sidebar navigation: 'category' | 'ot' | 'nt' | 'verse' (see NAV_MODES)
+    let _navKeysByMode = {}; // Last selected reverse-index node per mode, e.g. { ot: "ISA 53" }
+    let _reverseIndex = null; // Built from the manifest by reverse_index.js
     let _filteredReferences = []; // Holds the refs for the currently selected category
     let _currentSelectionIndex = 0; // Index within the _filteredReferences array
     let _currentSelectionRefPair = null; // The {ot_ref, nt_ref, description} object currently selected
+    let _parallelTranslationIds = []; // Translations shown next to the primary one in the detail view
+    let _translationLoadErrors = {}; // Translation id -> error message from its last failed load
+    let _displayToken = 0; // Incremented per detail display so late worker replies can be discarded
+    // Surrounding-context view per passage panel; level: 'none' (cited verses) | 'verses' (± verseCount) | 'chapter'.
+    // chapterOffset steps to neighbouring chapters; it resets when another pair is selected.
+    let _contextState = {
+        ot: { level: 'none', verseCount: 3, chapterOffset: 0 },
+        nt: { level: 'none', verseCount: 3, chapterOffset: 0 }
+    };
+    let _contextTokens = { ot: 0, nt: 0 }; // Per-panel counterpart of _displayToken
+    let _listOrder = 'category'; // Reference list order: 'category' | 'ot' | 'nt' | 'similarity' (see LIST_ORDERS)
+    let _searchPairs = []; // Unique pairs across categories: { pair, categories, otSegments, ntSegments }
+    let _manifestSearchIndex = null; // Inverted index over _searchPairs (docId = position)
+    let _searchToken = 0; // Incremented per search so late worker replies can be discarded
+    let _lastSearchQuery = '';
+    let _validationReport = null; // Manifest check result (manifest_validator.js), null until the Bible data is loaded
+    let _validationDismissed = false; // The report panel stays closed for this session once dismissed
+    let _currentListLabel = "All Categories"; // Category name or reverse-index node label of the current list
+    let _currentGroupLabels = null; // Group headings of the current list (parallel to _filteredReferences), for export
+    let _exportInProgress = false;
+    let _editorOpen = false; // Manifest editor panel shown
+    let _editorSelectedIndex = null; // User category whose pairs the editor shows
+    let _settingsOpen = false; // Settings panel shown
+    let _sourcesBusy = false; // Manifest sources are being (re)loaded
+    let _manifestStartupFailed = false; // No manifest source loaded at startup; only the settings panel works
+    let _pairDraftToken = 0; // Incremented per live check of the pair being typed, so late lookups can be discarded
+    let _graphOpen = false; // Graph view panel shown
+    let _graphLevel = 'book'; // Graph nodes: 'book' | 'verse' (see prophecyGraph.LEVELS)
+    let _graphCategories = null; // Category names drawn in the graph; null for all
+    let _graphLayout = null; // Last drawn layout (prophecyGraph.layoutGraph); edges are looked up by id on click
+    let _graphFocus = null; // Highlighted graph node: { side, key }
+    let _graphType = 'network'; // Graph view drawing: 'network' (books network) | 'arcs' (canon timeline)
+    let _arcOutline = null; // Verses per chapter of the primary translation (dataFetcher.getBookOutline), scales the timeline
+    let _arcOutlineLoading = false; // Outline request in flight
+    let _arcLayout = null; // Last drawn timeline: { axis, edges } (arcs, looked up by id like the network's edges)
+    let _arcPreviewToken = 0; // Incremented per hovered arc, so late verse lookups can be discarded
+    const _arcPreviewTexts = new Map(); // "translation|pair key" -> { otText, ntText } shown in arc previews
+    let _quizOpen = false; // Practice panel shown
+    let _quizScope = 'all'; // Pairs practiced: 'all' | 'category' (the category selected in the sidebar)
+    let _quizSession = null; // Current practice session (quiz.createSession)
+    let _quizSummary = null; // Summary of the last finished session; its missed pairs can be opened
+    let _quizToken = 0; // Incremented per question, so a late OT passage lookup can be discarded
+    let _presentation = null; // Walkthrough being presented: { pairs, label, position, planIndex } (planIndex null for a list)
+    let _speakerNotesShown = false; // Kept from one presentation to the next
+    let _plansOpen = false; // Reading plans panel shown
+    let _compareMode = false; // Wording shared by the two passages is highlighted in the detail view
+    const _comparisons = new Map(); // "translation|pair key" -> textCompare.compareTexts result, or { error } if a ref did not resolve
+    let _scoringInProgress = false; // Comparing every pair for the 'similarity' list order
+
+    // Reference list orders: group by category (manifest order), canonical order of either side grouped by book,
+    // or most shared wording first
+    const LIST_ORDERS = ['category', 'ot', 'nt', 'similarity'];
+    // Sidebar navigation modes: categories, or the reverse index by OT book, NT book, or single OT verse
+    const NAV_MODES = ['category', 'ot', 'nt', 'verse'];
+    const ALL_CATEGORIES = "All Categories";
+    const BOOKMARKS_CATEGORY = "My Bookmarks"; // Pseudo-category listing the pairs bookmarked in this browser
+    const MAX_PREVIEW_VERSES = 4; // Verses shown per side in the manifest editor's and the timeline's text previews
+    const GRAPH_TYPES = ['network', 'arcs'];
+    // List group and detail view wording per textCompare.classifyScore result (i18n.js message keys)
+    const SIMILARITY_LABELS = {
+        quotation: { group: 'list.quotations', pair: 'compare.quotation' },
+        shared: { group: 'list.sharedWording', pair: 'compare.shared' },
+        allusion: { group: 'list.allusions', pair: 'compare.allusion' }
+    };
+    // Practice question types (i18n.js message keys)
+    const QUIZ_TYPE_LABELS = { fulfillment: 'quiz.typeFulfillment', description: 'quiz.typeDescription', typed: 'quiz.typeTyped' };
+
+    // Search result limits
+    const MAX_PAIR_RESULTS = 20;
+    const MAX_VERSE_RESULTS = 50;
 
     // --- Alias functions from other modules for convenience ---
     // Defensive check: ensure modules exist before aliasing
     const _uiManager = ProphecyApp.uiManager || {};
     const _dataFetcher = ProphecyApp.dataFetcher || {}; // Use dataFetcher namespace
     const _eventHandler = ProphecyApp.eventHandler || {};
+    const _pwa = ProphecyApp.pwa || {};
+    const _router = ProphecyApp.router || {};
+    const _referenceParser = ProphecyApp.referenceParser || {};
+    const _searchIndex = ProphecyApp.searchIndex || {};
+    const _manifestValidator = ProphecyApp.manifestValidator || {};
+    const _bookRegistry = ProphecyApp.bookRegistry || {};
+    const _reverseIndexBuilder = ProphecyApp.reverseIndex || {};
+    const _notesStore = ProphecyApp.notesStore || {};
+    const _exporter = ProphecyApp.exporter || {};
+    const _customCategories = ProphecyApp.customCategories || {};
+    const _manifestSources = ProphecyApp.manifestSources || {};
+    const _prophecyGraph = ProphecyApp.prophecyGraph || {};
+    const _arcDiagram = ProphecyApp.arcDiagram || {};
+    const _quiz = ProphecyApp.quiz || {};
+    const _readingPlans = ProphecyApp.readingPlans || {};
+    const _textCompare = ProphecyApp.textCompare || {};
+    const _i18n = ProphecyApp.i18n || {};
+
+    // Interface language aliases (i18n.js)
+    const _t = _i18n.t || function(key) { console.error("I18n t not loaded", key); return key; };
+    const _getLanguage = _i18n.getLanguage || function() { console.error("I18n getLanguage not loaded"); return 'en'; };
+    const _setLanguage = _i18n.setLanguage || function(...args) { console.error("I18n setLanguage not loaded", args); return { language: 'en', saved: false }; };
+    const _getLanguages = _i18n.getLanguages || function() { console.error("I18n getLanguages not loaded"); return []; };
+    const _getDirection = _i18n.getDirection || function() { console.error("I18n getDirection not loaded"); return 'ltr'; };
+    const _bookName = _i18n.bookName || function(...args) { console.error("I18n bookName not loaded", args); return null; };
 
     // UI Manager Aliases
+    const _applyLanguageUI = _uiManager.applyLanguageUI || function(...args) { console.error("UI Manager applyLanguageUI not loaded", args); };
     const _updateStatusUI = _uiManager.updateStatusUI || function(...args) { console.error("UI Manager updateStatusUI not loaded", args); };
+    const _updateLoadProgressUI = _uiManager.updateLoadProgressUI || function(...args) { console.error("UI Manager updateLoadProgressUI not loaded", args); };
     const _processCategoriesUI = _uiManager.processCategoriesUI || function(...args) { console.error("UI Manager processCategoriesUI not loaded", args); };
     const _renderReferenceListUI = _uiManager.renderReferenceListUI || function(...args) { console.error("UI Manager renderReferenceListUI not loaded", args); };
     const _displayDetailedPairUI = _uiManager.displayDetailedPairUI || function(...args) { console.error("UI Manager displayDetailedPairUI not loaded", args); };
     const _displayTranslationNameUI = _uiManager.displayTranslationNameUI || function(...args) { console.error("UI Manager displayTranslationNameUI not loaded", args); };
     const _updateCategorySelectionVisualsUI = _uiManager.updateCategorySelectionVisualsUI || function(...args) { console.error("UI Manager updateCategorySelectionVisualsUI not loaded", args); };
     const _updateListSelectionVisualsUI = _uiManager.updateListSelectionVisualsUI || function(...args) { console.error("UI Manager updateListSelectionVisualsUI not loaded", args); };
+    const _revealListSelectionUI = _uiManager.revealListSelectionUI || function(...args) { console.error("UI Manager revealListSelectionUI not loaded", args); };
+    const _showUpdateBannerUI = _uiManager.showUpdateBannerUI || function(...args) { console.error("UI Manager showUpdateBannerUI not loaded", args); };
+    const _updateCacheInfoUI = _uiManager.updateCacheInfoUI || function(...args) { console.error("UI Manager updateCacheInfoUI not loaded", args); };
+    const _populateTranslationControlsUI = _uiManager.populateTranslationControlsUI || function(...args) { console.error("UI Manager populateTranslationControlsUI not loaded", args); };
+    const _getMaxParallelTranslations = _uiManager.getMaxParallelTranslations || function() { return 0; };
+    const _renderSearchResultsUI = _uiManager.renderSearchResultsUI || function(...args) { console.error("UI Manager renderSearchResultsUI not loaded", args); };
+    const _updateSearchStatusUI = _uiManager.updateSearchStatusUI || function(...args) { console.error("UI Manager updateSearchStatusUI not loaded", args); };
+    const _setSearchQueryUI = _uiManager.setSearchQueryUI || function(...args) { console.error("UI Manager setSearchQueryUI not loaded", args); };
+    const _showNavModeUI = _uiManager.showNavModeUI || function(...args) { console.error("UI Manager showNavModeUI not loaded", args); };
+    const _renderReferenceNavUI = _uiManager.renderReferenceNavUI || function(...args) { console.error("UI Manager renderReferenceNavUI not loaded", args); };
+    const _updateReferenceNavSelectionUI = _uiManager.updateReferenceNavSelectionUI || function(...args) { console.error("UI Manager updateReferenceNavSelectionUI not loaded", args); };
+    const _markPairIssuesUI = _uiManager.markPairIssuesUI || function(...args) { console.error("UI Manager markPairIssuesUI not loaded", args); };
+    const _renderValidationReportUI = _uiManager.renderValidationReportUI || function(...args) { console.error("UI Manager renderValidationReportUI not loaded", args); };
+    const _toggleValidationDetailsUI = _uiManager.toggleValidationDetailsUI || function(...args) { console.error("UI Manager toggleValidationDetailsUI not loaded", args); };
+    const _displayPanelPassagesUI = _uiManager.displayPanelPassagesUI || function(...args) { console.error("UI Manager displayPanelPassagesUI not loaded", args); };
+    const _updateContextControlsUI = _uiManager.updateContextControlsUI || function(...args) { console.error("UI Manager updateContextControlsUI not loaded", args); };
+    const _markPairAnnotationsUI = _uiManager.markPairAnnotationsUI || function(...args) { console.error("UI Manager markPairAnnotationsUI not loaded", args); };
+    const _updatePairMarkersUI = _uiManager.updatePairMarkersUI || function(...args) { console.error("UI Manager updatePairMarkersUI not loaded", args); };
+    const _displayPairNotesUI = _uiManager.displayPairNotesUI || function(...args) { console.error("UI Manager displayPairNotesUI not loaded", args); };
+    const _openNoteEditorUI = _uiManager.openNoteEditorUI || function(...args) { console.error("UI Manager openNoteEditorUI not loaded", args); };
+    const _getNoteDraftUI = _uiManager.getNoteDraftUI || function() { return null; };
+    const _getPairDraftUI = _uiManager.getPairDraftUI || function() { return { ot_ref: '', nt_ref: '', description: '' }; };
+    const _showNotesStatusUI = _uiManager.showNotesStatusUI || function(...args) { console.error("UI Manager showNotesStatusUI not loaded", args); };
+    const _downloadFileUI = _uiManager.downloadFileUI || function(...args) { console.error("UI Manager downloadFileUI not loaded", args); };
+    const _updateExportStatusUI = _uiManager.updateExportStatusUI || function(...args) { console.error("UI Manager updateExportStatusUI not loaded", args); };
+    const _displayPairSourcesUI = _uiManager.displayPairSourcesUI || function(...args) { console.error("UI Manager displayPairSourcesUI not loaded", args); };
+    const _showSettingsPanelUI = _uiManager.showSettingsPanelUI || function(...args) { console.error("UI Manager showSettingsPanelUI not loaded", args); };
+    const _renderManifestSourcesUI = _uiManager.renderManifestSourcesUI || function(...args) { console.error("UI Manager renderManifestSourcesUI not loaded", args); };
+    const _showSourcesStatusUI = _uiManager.showSourcesStatusUI || function(...args) { console.error("UI Manager showSourcesStatusUI not loaded", args); };
+    const _showManifestEditorUI = _uiManager.showManifestEditorUI || function(...args) { console.error("UI Manager showManifestEditorUI not loaded", args); };
+    const _renderManifestEditorUI = _uiManager.renderManifestEditorUI || function(...args) { console.error("UI Manager renderManifestEditorUI not loaded", args); };
+    const _renderPairDraftUI = _uiManager.renderPairDraftUI || function(...args) { console.error("UI Manager renderPairDraftUI not loaded", args); };
+    const _resetPairDraftUI = _uiManager.resetPairDraftUI || function(...args) { console.error("UI Manager resetPairDraftUI not loaded", args); };
+    const _showEditorStatusUI = _uiManager.showEditorStatusUI || function(...args) { console.error("UI Manager showEditorStatusUI not loaded", args); };
+    const _showGraphViewUI = _uiManager.showGraphViewUI || function(...args) { console.error("UI Manager showGraphViewUI not loaded", args); };
+    const _renderGraphUI = _uiManager.renderGraphUI || function(...args) { console.error("UI Manager renderGraphUI not loaded", args); };
+    const _focusGraphNodeUI = _uiManager.focusGraphNodeUI || function(...args) { console.error("UI Manager focusGraphNodeUI not loaded", args); };
+    const _markGraphSelectionUI = _uiManager.markGraphSelectionUI || function(...args) { console.error("UI Manager markGraphSelectionUI not loaded", args); };
+    const _showGraphTypeUI = _uiManager.showGraphTypeUI || function(...args) { console.error("UI Manager showGraphTypeUI not loaded", args); };
+    const _renderArcDiagramUI = _uiManager.renderArcDiagramUI || function(...args) { console.error("UI Manager renderArcDiagramUI not loaded", args); };
+    const _showArcPreviewUI = _uiManager.showArcPreviewUI || function(...args) { console.error("UI Manager showArcPreviewUI not loaded", args); };
+    const _showQuizViewUI = _uiManager.showQuizViewUI || function(...args) { console.error("UI Manager showQuizViewUI not loaded", args); };
+    const _showQuizStageUI = _uiManager.showQuizStageUI || function(...args) { console.error("UI Manager showQuizStageUI not loaded", args); };
+    const _updateQuizSetupUI = _uiManager.updateQuizSetupUI || function(...args) { console.error("UI Manager updateQuizSetupUI not loaded", args); };
+    const _renderQuizQuestionUI = _uiManager.renderQuizQuestionUI || function(...args) { console.error("UI Manager renderQuizQuestionUI not loaded", args); };
+    const _showQuizPromptTextUI = _uiManager.showQuizPromptTextUI || function(...args) { console.error("UI Manager showQuizPromptTextUI not loaded", args); };
+    const _showQuizFeedbackUI = _uiManager.showQuizFeedbackUI || function(...args) { console.error("UI Manager showQuizFeedbackUI not loaded", args); };
+    const _renderQuizSummaryUI = _uiManager.renderQuizSummaryUI || function(...args) { console.error("UI Manager renderQuizSummaryUI not loaded", args); };
+    const _showPlanViewUI = _uiManager.showPlanViewUI || function(...args) { console.error("UI Manager showPlanViewUI not loaded", args); };
+    const _updatePlanSourceUI = _uiManager.updatePlanSourceUI || function(...args) { console.error("UI Manager updatePlanSourceUI not loaded", args); };
+    const _renderReadingPlansUI = _uiManager.renderReadingPlansUI || function(...args) { console.error("UI Manager renderReadingPlansUI not loaded", args); };
+    const _showPlanStatusUI = _uiManager.showPlanStatusUI || function(...args) { console.error("UI Manager showPlanStatusUI not loaded", args); };
+    const _showPresentationUI = _uiManager.showPresentationUI || function(...args) { console.error("UI Manager showPresentationUI not loaded", args); };
+    const _updatePresentationUI = _uiManager.updatePresentationUI || function(...args) { console.error("UI Manager updatePresentationUI not loaded", args); };
+    const _highlightSharedTermsUI = _uiManager.highlightSharedTermsUI || function(...args) { console.error("UI Manager highlightSharedTermsUI not loaded", args); };
+    const _showComparisonUI = _uiManager.showComparisonUI || function(...args) { console.error("UI Manager showComparisonUI not loaded", args); };
 
     // Data Fetcher Aliases (Corrected to use _dataFetcher and correct function names)
     const _fetchManifest = _dataFetcher.fetchManifest || async function(...args) { console.error("Data Fetcher fetchManifest not loaded", args); throw new Error("Data Fetcher not loaded"); };
     const _fetchBsbData = _dataFetcher.fetchAndParseBsbData || async function(...args) { console.error("Data Fetcher fetchAndParseBsbData not loaded", args); throw new Error("Data Fetcher not loaded"); }; // Use combined function
-    const _getVerseText = _dataFetcher.getVerseText || function(...args) { console.error("Data Fetcher getVerseText not loaded", args); return "[Data Fetcher Error]"; };
+    const _getVerses = _dataFetcher.getVerses || async function(...args) { console.error("Data Fetcher getVerses not loaded", args); return { verses: [], error: "[Data Fetcher Error]" }; };
+    const _getContext = _dataFetcher.getContext || async function(...args) { console.error("Data Fetcher getContext not loaded", args); return { verses: [], error: "[Data Fetcher Error]", label: '', hasPrevious: false, hasNext: false }; };
     const _getAvailableCategories = _dataFetcher.getAvailableCategories || function(...args) { console.error("Data Fetcher getAvailableCategories not loaded", args); return []; };
+    const _getAggregatedPairs = _dataFetcher.getAggregatedPairs || function(...args) { console.error("Data Fetcher getAggregatedPairs not loaded", args); return []; };
+    const _getPairCategories = _dataFetcher.getPairCategories || function(...args) { console.error("Data Fetcher getPairCategories not loaded", args); return []; };
+    const _getPairKey = _dataFetcher.getPairKey || function(pair) { return `${pair.ot_ref}|${pair.nt_ref}`; };
+    const _applyCustomCategories = _dataFetcher.applyCustomCategories || function(...args) { console.error("Data Fetcher applyCustomCategories not loaded", args); return []; };
+    const _getShippedCategories = _dataFetcher.getShippedCategories || function(...args) { console.error("Data Fetcher getShippedCategories not loaded", args); return []; };
+    const _getManifestSources = _dataFetcher.getManifestSources || function() { return []; };
+    const _getPairSources = _dataFetcher.getPairSources || function() { return []; };
+    const _getCustomCategoryNames = _dataFetcher.getCustomCategoryNames || function() { return { added: [], extended: [] }; };
     const _isBsbDataReady = _dataFetcher.isBsbDataReady || function(...args) { console.error("Data Fetcher isBsbDataReady not loaded", args); return false; };
     const _getTranslationName = _dataFetcher.getTranslationName || function(...args) { console.error("Data Fetcher getTranslationName not loaded", args); return "[N/A]"; };
+    const _getTranslations = _dataFetcher.getTranslations || function(...args) { console.error("Data Fetcher getTranslations not loaded", args); return []; };
+    const _getPrimaryTranslationId = _dataFetcher.getPrimaryTranslationId || function(...args) { console.error("Data Fetcher getPrimaryTranslationId not loaded", args); return null; };
+    const _isTranslationReady = _dataFetcher.isTranslationReady || function(...args) { console.error("Data Fetcher isTranslationReady not loaded", args); return false; };
+    const _loadTranslation = _dataFetcher.loadTranslation || async function(...args) { console.error("Data Fetcher loadTranslation not loaded", args); throw new Error("Data Fetcher not loaded"); };
+    const _getCacheInfo = _dataFetcher.getCacheInfo || async function(...args) { console.error("Data Fetcher getCacheInfo not loaded", args); return null; };
+    const _clearCachedData = _dataFetcher.clearCachedData || async function(...args) { console.error("Data Fetcher clearCachedData not loaded", args); throw new Error("Data Fetcher not loaded"); };
+    const _setPrimaryTranslation = _dataFetcher.setPrimaryTranslation || async function(...args) { console.error("Data Fetcher setPrimaryTranslation not loaded", args); throw new Error("Data Fetcher not loaded"); };
+    const _buildSearchIndex = _dataFetcher.buildSearchIndex || async function(...args) { console.error("Data Fetcher buildSearchIndex not loaded", args); throw new Error("Data Fetcher not loaded"); };
+    const _checkReferences = _dataFetcher.checkReferences || async function(...args) { console.error("Data Fetcher checkReferences not loaded", args); throw new Error("Data Fetcher not loaded"); };
+    const _getBookOutline = _dataFetcher.getBookOutline || async function(...args) { console.error("Data Fetcher getBookOutline not loaded", args); throw new Error("Data Fetcher not loaded"); };
+    const _searchBible = _dataFetcher.searchBible || async function(...args) { console.error("Data Fetcher searchBible not loaded", args); return { results: [], total: 0, complete: false }; };
+
+    // Notes Store Aliases
+    const _getNoteEntry = _notesStore.getEntry || function() { return null; };
+    const _setNote = _notesStore.setNote || function(...args) { console.error("Notes store setNote not loaded", args); return { entry: null, saved: false }; };
+    const _setBookmarked = _notesStore.setBookmarked || function(...args) { console.error("Notes store setBookmarked not loaded", args); return { entry: null, saved: false }; };
+    const _setHighlight = _notesStore.setHighlight || function(...args) { console.error("Notes store setHighlight not loaded", args); return { entry: null, saved: false }; };
+    const _getBookmarks = _notesStore.getBookmarks || function() { return []; };
+    const _exportNotes = _notesStore.exportNotes || function(...args) { console.error("Notes store exportNotes not loaded", args); throw new Error("Notes store not loaded"); };
+    const _importNotes = _notesStore.importNotes || function(...args) { console.error("Notes store importNotes not loaded", args); throw new Error("Notes store not loaded"); };
+
+    // PWA Aliases
+    const _registerServiceWorker = _pwa.register || async function() { console.error("PWA module not loaded"); return false; };
+    const _precacheUrls = _pwa.precacheUrls || async function() {};
+
+    // Router Aliases
+    const _startRouter = _router.start || function() { console.error("Router module not loaded"); };
+    const _navigateRoute = _router.navigate || function() {};
+    const _getCurrentRoute = _router.getCurrentRoute || function() { return null; };
 
     // Event Handler Alias
     const _attachListeners = _eventHandler.attachListeners || function(...args) { console.error("Event Handler attachListeners not loaded", args); };
+    const _attachSettingsListeners = _eventHandler.attachSettingsListeners || function(...args) { console.error("Event Handler attachSettingsListeners not loaded", args); };
 
     /**
      * Initializes the application: fetches data and sets up initial UI.
+     * The lists become usable as soon as the manifest loads; Bible data is indexed
+     * in the background (worker) with progress shown in the loading indicator.
      */
     async function initializeApp() {
         console.log("APP: Initializing App...");
+        // Offline support: runs in the background; banner appears when newer content is cached
+        _registerServiceWorker(() => _showUpdateBannerUI());
+
+        _applyLanguageUI(_getLanguage(), _getDirection(), _getLanguages()); // Saved or browser language
+
         // Initial state: Loading manifest
-        _updateStatusUI(true, null, "Loading categories/references..."); // From ui_manager.js
+        _updateStatusUI(true, null, _t('status.loadingCategories')); // From ui_manager.js
 
         try {
             // Load manifest first using the (corrected) _fetchManifest alias
-            const categories = await _fetchManifest();
+            await _fetchManifest();
+        } catch (error) {
+            console.error("APP: Initialization Error:", error);
+            // Update UI to show the final error state caught during init
+            _updateStatusUI(false, _t('status.initFailedSources', { message: error.message }));
+            // Display default/error translation name
+            _displayTranslationNameUI(_t('footer.translationUnavailable'));
+            // The sources can still be fixed; a change reloads the page
+            _manifestStartupFailed = true;
+            _renderManifestSourcesUI(_getManifestSources());
+            _attachSettingsListeners();
+            return;
+        }
+
+        console.log("APP: Manifest ready. Lists are usable while Bible data loads.");
+        _updateStatusUI(false); // Hide blocking loading indicator
+
+        // Populate category UI using data now available via getter alias
+        _refreshCategoryNav(); // Loaded categories plus "My Bookmarks"
+        _renderManifestSourcesUI(_getManifestSources()); // Flags sources that failed to load
 
-            // Then load BSB data using the (corrected) _fetchBsbData alias
-            await _fetchBsbData(); // This calls fetchAndParseBsbData from data_fetcher.js
+        // Attach event listeners AFTER UI elements are created/populated using alias
+        _attachListeners();
+        _buildManifestSearchIndex(); // Small; built in chunks alongside the Bible download
+        _reverseIndex = _reverseIndexBuilder.build ? _reverseIndexBuilder.build(_getAggregatedPairs()) : null;
+
+        // Set initial view state from the deep link, if any (defaults to 'All Categories')
+        _startRouter(_applyRoute);
+        _applyRoute(_getCurrentRoute(), true);
+
+        try {
+            // Then load BSB data using the (corrected) _fetchBsbData alias; the worker reports progress
+            await _fetchBsbData(_updateLoadProgressUI); // This calls fetchAndParseBsbData from data_fetcher.js
 
             // Check if BSB data is actually ready after attempting load/parse
             if (!_isBsbDataReady()) {
@@ -62,96 +293,2242 @@ ProphecyApp.app = (function() {
 
             // Data is ready if no error was thrown
             console.log("APP: Initialization complete. App ready.");
-            _updateStatusUI(false); // Hide final loading indicator
+            _updateLoadProgressUI(null); // Hide progress bar
 
             // --- Display Translation Name ---
             const translationName = _getTranslationName(); // Get name via alias
             _displayTranslationNameUI(translationName); // Display name via alias
+            _refreshTranslationControls();
             // --- End Display Translation Name ---
 
-            // Populate category UI using data now available via getter alias
-            _processCategoriesUI(_getAvailableCategories()); // Pass loaded categories
-
-            // Attach event listeners AFTER UI elements are created/populated using alias
-             _attachListeners();
-
-            // Set initial view state
-            filterAndRenderAppReferences("All Categories"); // Start with 'All Categories' selected
+            _refreshCurrentPair(); // Replace "[Loading text...]" in the detail view
+            _refreshCacheInfo();
+            _precachePrimaryTranslation();
+            _buildBibleSearchIndex(); // Not awaited: verse search fills in while the index builds
+            _validateManifest(); // Not awaited: needs one worker round trip for the verse lookups
+            if (_graphOpen && _graphType === 'arcs') _renderGraph(); // Rescale the timeline by the loaded Bible
+            if (_listOrder === 'similarity') _scoreAllPairs(); // Chosen while the text was loading
 
         } catch (error) {
             console.error("APP: Initialization Error:", error);
+            _updateLoadProgressUI(null);
             // Update UI to show the final error state caught during init
-             _updateStatusUI(false, `Initialization failed: ${error.message}`);
+             _updateStatusUI(false, _t('status.initFailed', { message: error.message }));
              // Display default/error translation name
-             _displayTranslationNameUI("[Translation N/A]");
+             _displayTranslationNameUI(_t('footer.translationUnavailable'));
+        }
+    }
+
+    /**
+     * Applies a route from the address bar (deep link, back/forward) to the app state.
+     * Unknown categories, reverse-index nodes or pairs fall back to "All Categories" and the URL is corrected.
+     * @param {{mode: string, key: string, otRef: string|null, ntRef: string|null} | null} route - Parsed route, null for default.
+     * @param {boolean} [isInitial=false] - True on page load (the corrected URL replaces the entry).
+     */
+    function _applyRoute(route, isInitial = false) {
+        let routeExists = false;
+        if (route && route.mode === 'category') {
+            routeExists = route.key === ALL_CATEGORIES || route.key === BOOKMARKS_CATEGORY ||
+                          _getAvailableCategories().some(cat => cat.name === route.key);
+        } else if (route && _reverseIndexBuilder.findNode) {
+            routeExists = !!_reverseIndexBuilder.findNode(_reverseIndex, route.mode, route.key);
+        }
+        if (!routeExists) {
+            if (route) console.warn(`APP: Route ${route.mode} "${route.key}" not found. Showing All Categories.`);
+            filterAndRenderAppReferences(ALL_CATEGORIES, { routeMode: 'replace' });
+            return;
+        }
+        const selectRefs = route.otRef ? { ot_ref: route.otRef, nt_ref: route.ntRef } : null;
+        if (route.mode === _navMode && route.key === _getCurrentNavKey() && !isInitial) {
+            const index = _findPairIndex(selectRefs);
+            displayAppDetailedPair(index === -1 ? null : index, undefined, { routeMode: 'none' });
+            return;
         }
+        const options = { selectRefs: selectRefs, routeMode: isInitial ? 'replace' : 'none' };
+        if (route.mode === 'category') filterAndRenderAppReferences(route.key, options);
+        else filterAndRenderAppByReference(route.mode, route.key, options);
+    }
+
+    /**
+     * The selected node of the current navigation mode (category name or reverse-index key).
+     * @returns {string|null}
+     */
+    function _getCurrentNavKey() {
+        return _navMode === 'category' ? _currentCategoryFilter : (_navKeysByMode[_navMode] || null);
+    }
+
+    /**
+     * Finds a pair in the current list by its refs (not by position).
+     * @param {{ot_ref: string, nt_ref: string} | null} refs
+     * @returns {number} - Index in _filteredReferences, or -1.
+     */
+    function _findPairIndex(refs) {
+        if (!refs) return -1;
+        const key = _getPairKey(refs);
+        return _filteredReferences.findIndex(pair => _getPairKey(pair) === key);
+    }
+
+    /**
+     * Records the current navigation node/pair in the URL.
+     * @param {string} routeMode - 'push' (new history entry), 'replace', or 'none' (route already matches).
+     */
+    function _syncRoute(routeMode) {
+        if (routeMode === 'none') return;
+        _navigateRoute({
+            mode: _navMode,
+            key: _getCurrentNavKey(),
+            otRef: _currentSelectionRefPair ? _currentSelectionRefPair.ot_ref : null,
+            ntRef: _currentSelectionRefPair ? _currentSelectionRefPair.nt_ref : null
+        }, routeMode === 'replace');
     }
 
     /**
      * Filters references based on selected category and updates UI.
-     * Called by event handler.
+     * Called by event handler and when a route is applied.
      * @param {string} categoryName - The name of the category selected by the user.
+     * @param {object} [options]
+     * @param {{ot_ref: string, nt_ref: string} | null} [options.selectRefs] - Pair to select instead of the first one.
+     * @param {string} [options.routeMode='push'] - How the URL is updated (see _syncRoute).
      */
-    function filterAndRenderAppReferences(categoryName) {
+    function filterAndRenderAppReferences(categoryName, options = {}) {
         console.log(`APP: Filtering for category: ${categoryName}`);
+        _navMode = 'category';
         _currentCategoryFilter = categoryName; // Update app state
 
-        if (categoryName === "All Categories") {
-            _filteredReferences = [];
-        } else {
-            const categoryData = _getAvailableCategories().find(cat => cat.name === categoryName);
-            _filteredReferences = (categoryData && Array.isArray(categoryData.pairs)) ? categoryData.pairs : [];
+        const categoryPairs = _getCategoryPairs(categoryName);
+        if (categoryName === BOOKMARKS_CATEGORY) {
+            options = Object.assign({ emptyText: _t('list.noBookmarks') }, options);
+        }
+
+        _showNavModeUI('category');
+        _updateCategorySelectionVisualsUI(_currentCategoryFilter); // Use alias
+        _showPairList(categoryPairs, categoryName, categoryName === ALL_CATEGORIES || categoryName === BOOKMARKS_CATEGORY, options);
+        if (_quizOpen) _refreshQuizSetup(); // The "selected category" scope follows the sidebar
+    }
+
+    /**
+     * The pairs of a category as listed by filterAndRenderAppReferences.
+     * @param {string} categoryName - A manifest category, "All Categories" (merged pairs) or the bookmarks pseudo-category.
+     * @returns {Array<object>}
+     */
+    function _getCategoryPairs(categoryName) {
+        if (categoryName === ALL_CATEGORIES) return _getAggregatedPairs(); // Union of all categories, duplicates merged
+        if (categoryName === BOOKMARKS_CATEGORY) return _getBookmarkedPairs();
+        const categoryData = _getAvailableCategories().find(cat => cat.name === categoryName);
+        return (categoryData && Array.isArray(categoryData.pairs)) ? categoryData.pairs : [];
+    }
+
+    /**
+     * A list's name as shown to the reader: the two pseudo-categories are named in the page language.
+     * @param {string} label - A category name or reverse-index node label.
+     * @returns {string}
+     */
+    function _listDisplayName(label) {
+        if (label === ALL_CATEGORIES) return _t('nav.allCategories');
+        if (label === BOOKMARKS_CATEGORY) return _t('nav.bookmarks');
+        return label;
+    }
+
+    /**
+     * The bookmarked pairs as merged pairs (with their categories). Bookmarks of pairs that are no longer
+     * in the manifest are kept, with no categories, so their notes stay reachable.
+     * @returns {Array<object>}
+     */
+    function _getBookmarkedPairs() {
+        const pairsByKey = new Map(_getAggregatedPairs().map(pair => [_getPairKey(pair), pair]));
+        return _getBookmarks().map(bookmark => pairsByKey.get(_getPairKey(bookmark)) ||
+            { ot_ref: bookmark.ot_ref, nt_ref: bookmark.nt_ref, description: '', descriptions: [], categories: [] });
+    }
+
+    /**
+     * Renders the category navigation: manifest categories (the user's marked) plus the bookmarks pseudo-category with its count.
+     */
+    function _refreshCategoryNav() {
+        _processCategoriesUI(_getAvailableCategories(), {
+            bookmarks: { name: BOOKMARKS_CATEGORY, count: _getBookmarks().length },
+            customNames: _getCustomCategoryNames()
+        });
+        _updateCategorySelectionVisualsUI(_currentCategoryFilter);
+    }
+
+    /**
+     * Lists the pairs under a reverse-index node (OT/NT book or chapter, or a single OT verse).
+     * Called by event handler when a tree node is selected, and when a route is applied.
+     * @param {string} mode - 'ot' | 'nt' | 'verse'.
+     * @param {string} key - Node key, e.g. "ISA", "ISA 53", "GEN 3:15".
+     * @param {object} [options] - As for filterAndRenderAppReferences.
+     * @returns {boolean} - False if the node does not exist.
+     */
+    function filterAndRenderAppByReference(mode, key, options = {}) {
+        const node = _reverseIndexBuilder.findNode ? _reverseIndexBuilder.findNode(_reverseIndex, mode, key) : null;
+        if (!node) {
+            console.warn(`APP: No ${mode} node "${key}" in the reverse index.`);
+            return false;
+        }
+        console.log(`APP: Browsing ${mode} node ${node.label} (${node.pairs.length} pairs).`);
+        const isModeChange = _navMode !== mode;
+        _navMode = mode;
+        _navKeysByMode[mode] = key;
+
+        if (isModeChange) _renderReferenceNavUI(mode, _reverseIndex);
+        _showNavModeUI(mode);
+        _updateReferenceNavSelectionUI(key);
+        _showPairList(node.pairs, node.label, true, options);
+        return true;
+    }
+
+    /**
+     * Switches the sidebar between categories and the reverse-index views. Called by event handler.
+     * Each mode reopens its last selected node (the first node the first time).
+     * @param {string} mode - One of NAV_MODES.
+     */
+    function setNavMode(mode) {
+        if (!NAV_MODES.includes(mode) || mode === _navMode) return;
+        if (mode === 'category') {
+            filterAndRenderAppReferences(_currentCategoryFilter);
+            return;
+        }
+        const nodes = _reverseIndex ? _reverseIndex[mode] : [];
+        const key = _navKeysByMode[mode] || (nodes.length ? nodes[0].key : null);
+        if (!key) {
+            console.warn(`APP: Nothing to browse in ${mode} mode.`);
+            return;
         }
+        filterAndRenderAppByReference(mode, key);
+    }
+
+    /**
+     * Selects the next or previous pair of the reference list (j/k shortcuts). Called by event handler.
+     * Stops at either end; with nothing selected, next starts at the top and previous at the bottom.
+     * @param {number} step - 1 for next, -1 for previous.
+     */
+    function selectAdjacentPair(step) {
+        const count = _filteredReferences.length;
+        if (count === 0) return;
+        const index = _currentSelectionIndex === null ? (step > 0 ? 0 : count - 1)
+            : Math.min(Math.max(_currentSelectionIndex + step, 0), count - 1);
+        if (index === _currentSelectionIndex) return;
+        displayAppDetailedPair(index);
+        _revealListSelectionUI();
+    }
+
+    /**
+     * Selects the next or previous category in the order of the category list ("[" / "]" shortcuts),
+     * switching back to category browsing from a reverse-index view. Called by event handler.
+     * @param {number} step - 1 for next, -1 for previous.
+     */
+    function selectAdjacentCategory(step) {
+        // As listed by the sidebar: "All Categories", the bookmarks, then the manifest's categories
+        const names = _getAvailableCategories().map(category => category.name).filter(name => name !== BOOKMARKS_CATEGORY);
+        const allIndex = names.indexOf(ALL_CATEGORIES);
+        names.splice(allIndex + 1, 0, BOOKMARKS_CATEGORY);
+        const current = names.indexOf(_currentCategoryFilter);
+        const index = current === -1 ? 0 : Math.min(Math.max(current + step, 0), names.length - 1);
+        if (index === current && _navMode === 'category') return;
+        filterAndRenderAppReferences(names[index]);
+    }
+
+    /**
+     * Shows a set of pairs in the reference list and selects one (the requested pair, else the first).
+     * Shared by category and reverse-index navigation.
+     * @param {Array<object>} pairs - Pairs to list.
+     * @param {string} label - Category name or node label (for the empty-list prompt).
+     * @param {boolean} isAggregate - True for merged pairs (they carry their categories).
+     * @param {object} options - See filterAndRenderAppReferences; options.emptyText replaces the empty-list prompt.
+     */
+    function _showPairList(pairs, label, isAggregate, options) {
+        const routeMode = options.routeMode || 'push';
+        const orderedList = _orderPairs(pairs, isAggregate);
+        _filteredReferences = orderedList.pairs;
+        _currentListLabel = label;
+        _currentGroupLabels = orderedList.groupLabels;
+        if (_plansOpen) _updatePlanSourceUI(_listDisplayName(_currentListLabel), _filteredReferences.length); // New plans are made from this list
 
         _currentSelectionIndex = 0;
         _currentSelectionRefPair = null;
 
-        _renderReferenceListUI(_filteredReferences, _currentCategoryFilter); // Use alias
-        _updateCategorySelectionVisualsUI(_currentCategoryFilter); // Use alias
+        _renderReferenceListUI(_filteredReferences, label, {
+            groupLabels: orderedList.groupLabels,
+            categoryLists: isAggregate ? _filteredReferences.map(pair => pair.categories) : null,
+            issueLists: _getPairIssueLists(),
+            annotations: _getPairAnnotations(),
+            scores: _listOrder === 'similarity' ? _filteredReferences.map(_pairScore) : null,
+            emptyText: options.emptyText
+        }); // Use alias
 
+         const requestedIndex = _findPairIndex(options.selectRefs);
+         if (options.selectRefs && requestedIndex === -1) {
+             console.warn(`APP: Linked pair ${options.selectRefs.ot_ref} / ${options.selectRefs.nt_ref} not in "${label}".`);
+         }
          if (_filteredReferences.length > 0) {
-             displayAppDetailedPair(0); // Use internal function
+             displayAppDetailedPair(requestedIndex === -1 ? 0 : requestedIndex, undefined, { routeMode: 'none' }); // Use internal function
          } else {
-              displayAppDetailedPair(null, `Select a ${categoryName === 'All Categories' ? 'category' : 'reference'}.`); // Use internal function
+              displayAppDetailedPair(null, options.emptyText || _t(label === ALL_CATEGORIES ? 'detail.selectCategory' : 'detail.selectReference'), { routeMode: 'none' }); // Use internal function
          }
+         // One history entry per navigation change (the auto-selected pair is part of it)
+         _syncRoute(options.selectRefs && requestedIndex === -1 && routeMode === 'none' ? 'replace' : routeMode);
+    }
+
+    /**
+     * Orders listed pairs according to _listOrder and labels the groups for the list headings.
+     * 'category': manifest order, grouped by (first) category for merged pairs.
+     * 'ot' / 'nt': canonical order of that side's first passage, grouped by book; unparseable refs go last.
+     * 'similarity': most shared wording first (see _scoreAllPairs), grouped by textCompare.classifyScore;
+     * pairs not compared yet (or whose refs do not resolve) go last.
+     * @param {Array<object>} pairs - Pairs of the selected category, or merged pairs.
+     * @param {boolean} isAggregate - True for merged pairs (see dataFetcher.getAggregatedPairs).
+     * @returns {{pairs: Array<object>, groupLabels: Array<string>|null}} - groupLabels parallels pairs; null for no headings.
+     */
+    function _orderPairs(pairs, isAggregate) {
+        if (_listOrder === 'category') {
+            if (!isAggregate) return { pairs: pairs, groupLabels: null };
+            // Aggregated pairs are listed in manifest order; group each under the first category it appeared in
+            const groups = new Map();
+            pairs.forEach(pair => {
+                const groupName = pair.categories[0] || _t('list.notInManifest'); // Bookmarks of removed pairs
+                if (!groups.has(groupName)) groups.set(groupName, []);
+                groups.get(groupName).push(pair);
+            });
+            const grouped = [].concat(...groups.values());
+            return { pairs: grouped, groupLabels: grouped.map(pair => pair.categories[0]) };
+        }
+        if (_listOrder === 'similarity') {
+            const scored = pairs.map((pair, position) => ({ pair: pair, position: position, score: _pairScore(pair) }));
+            scored.sort((a, b) => {
+                if (a.score === null || b.score === null) return (a.score !== null ? -1 : b.score !== null ? 1 : 0) || a.position - b.position;
+                return b.score - a.score || a.position - b.position;
+            });
+            return {
+                pairs: scored.map(item => item.pair),
+                groupLabels: scored.map(item => _t(item.score === null ? 'list.notCompared' : SIMILARITY_LABELS[_textCompare.classifyScore(item.score)].group))
+            };
+        }
+
+        const refField = _listOrder === 'ot' ? 'ot_ref' : 'nt_ref';
+        const keyed = pairs.map((pair, position) => {
+            const segment = _parseRefQuietly(pair[refField]).find(item => item.bookId);
+            const book = segment && _bookRegistry.getBookById ? _bookRegistry.getBookById(segment.bookId) : null;
+            return {
+                pair: pair,
+                position: position,
+                sortKey: book ? [book.order, segment.startChapter, segment.startVerse || 0] : null,
+                groupLabel: book ? (_bookName(book.id) || book.name) : _t('list.otherReferences')
+            };
+        });
+        keyed.sort((a, b) => {
+            if (!a.sortKey || !b.sortKey) return (a.sortKey ? -1 : b.sortKey ? 1 : 0) || a.position - b.position;
+            for (let i = 0; i < a.sortKey.length; i++) {
+                if (a.sortKey[i] !== b.sortKey[i]) return a.sortKey[i] - b.sortKey[i];
+            }
+            return a.position - b.position; // Stable for equal refs
+        });
+        return { pairs: keyed.map(item => item.pair), groupLabels: keyed.map(item => item.groupLabel) };
+    }
+
+    /**
+     * Changes how the reference list is ordered/grouped and re-renders it, keeping the selected pair.
+     * Called by event handler.
+     * @param {string} order - One of LIST_ORDERS.
+     */
+    function setListOrder(order) {
+        if (!LIST_ORDERS.includes(order)) {
+            console.warn(`APP: Unknown list order "${order}".`);
+            return;
+        }
+        console.log(`APP: List order is now "${order}".`);
+        _listOrder = order;
+        if (order === 'similarity') _scoreAllPairs(); // Not awaited: the list is re-sorted once every pair is compared
+        const selectedPair = _currentSelectionRefPair;
+        const options = {
+            selectRefs: selectedPair ? { ot_ref: selectedPair.ot_ref, nt_ref: selectedPair.nt_ref } : null,
+            routeMode: 'replace'
+        };
+        if (_navMode === 'category') filterAndRenderAppReferences(_currentCategoryFilter, options);
+        else filterAndRenderAppByReference(_navMode, _navKeysByMode[_navMode], options);
     }
 
     /**
      * Displays the details for the prophecy reference at the given index in the filtered list.
      * Called by event handler or after list render.
+     * Verse lookups are answered asynchronously by the Bible worker; if another pair is selected
+     * before they arrive, the stale result is discarded.
      * @param {number | null} index - Index in the _filteredReferences array, or null to clear/prompt.
-     * @param {string} defaultText - Optional prompt text.
+     * @param {string} [defaultText] - Prompt text (defaults to "Select a reference." in the interface language).
+     * @param {object} [options]
+     * @param {string} [options.routeMode='push'] - How the URL is updated (see _syncRoute).
      */
-    function displayAppDetailedPair(index, defaultText = 'Select a reference.') {
+    async function displayAppDetailedPair(index, defaultText = null, options = {}) {
+         const displayToken = ++_displayToken;
+         const isNewPair = index === null || _filteredReferences[index] !== _currentSelectionRefPair;
+         if (isNewPair) _saveNoteDraft(); // An open editor belongs to the previous pair
          if (index !== null && index >= 0 && index < _filteredReferences.length) {
+             if (isNewPair) {
+                 // Chapter stepping belongs to the previous pair; the context level is kept
+                 _contextState.ot.chapterOffset = 0;
+                 _contextState.nt.chapterOffset = 0;
+             }
              _currentSelectionIndex = index;
              _currentSelectionRefPair = _filteredReferences[_currentSelectionIndex];
+             if (isNewPair) _displayPairNotesUI(_getNoteEntry(_currentSelectionRefPair));
              console.log(`APP: Displaying details for index ${index}`);
+             _updateListSelectionVisualsUI(_currentSelectionIndex); // Use alias
+             _markGraphSelection();
+             _syncRoute(options.routeMode || 'push');
 
-             const bsbReady = _isBsbDataReady(); // Use alias
-             const otVerseText = bsbReady ? _getVerseText(_currentSelectionRefPair.ot_ref) : "[BSB Data Not Ready]"; // Use alias
-             const ntVerseText = bsbReady ? _getVerseText(_currentSelectionRefPair.nt_ref) : "[BSB Data Not Ready]"; // Use alias
+             const refPair = _currentSelectionRefPair;
+             const [otPassages, ntPassages] = await Promise.all([
+                 _buildPassages(refPair.ot_ref, 'ot'), _buildPassages(refPair.nt_ref, 'nt')
+             ]);
+             if (displayToken !== _displayToken) return; // A newer selection replaced this one
+             _contextTokens.ot++; _contextTokens.nt++; // Supersede any panel refresh still in flight
 
-             _displayDetailedPairUI( // Use alias
-                 _currentSelectionRefPair, _currentCategoryFilter,
-                 otVerseText, ntVerseText, defaultText
-             );
-             _updateListSelectionVisualsUI(_currentSelectionIndex); // Use alias
+             // Category line lists every category the pair belongs to, not just the current filter
+             const memberships = _getPairCategories(refPair);
+             _displayDetailedPairUI(refPair, memberships.length ? memberships.join(', ') : _currentCategoryFilter, otPassages, ntPassages, defaultText); // Use alias
+             _displayPairSourcesUI(_getPairSources(refPair)); // Provenance: manifest sources listing the pair
+             _updateContextControlsUI('ot', _contextState.ot, _contextInfo(refPair.ot_ref, otPassages));
+             _updateContextControlsUI('nt', _contextState.nt, _contextInfo(refPair.nt_ref, ntPassages));
+             if (_compareMode) _showComparison(refPair, displayToken);
 
          } else {
               _currentSelectionIndex = null;
               _currentSelectionRefPair = null;
               _displayDetailedPairUI(null, _currentCategoryFilter, null, null, defaultText); // Use alias
+              _displayPairSourcesUI([]);
+              if (_compareMode) _showComparisonUI(true, null);
               _updateListSelectionVisualsUI(null); // Use alias
+              _markGraphSelection();
+              _syncRoute(options.routeMode || 'push');
          }
     }
 
+    /**
+     * Looks up a reference in the primary translation and every parallel translation.
+     * With a context level set for the panel, surrounding verses/chapters are included (cited verses flagged).
+     * Parallel translations that are not indexed yet are loaded in the background;
+     * the current pair is redisplayed once they are ready.
+     * @param {string} refString - The reference to look up.
+     * @param {string} [panel] - 'ot' or 'nt'; selects the context state. Omit for the cited verses only.
+     * @returns {Promise<Array<{translationName: string, content: Array<object>|string, context?: object}>>}
+     *          - One passage per translation; context holds label/hasPrevious/hasNext of a context lookup.
+     */
+    async function _buildPassages(refString, panel) {
+        const contextState = panel ? _contextState[panel] : null;
+        const wantsContext = !!contextState && (contextState.level !== 'none' || contextState.chapterOffset !== 0);
+        const primaryId = _getPrimaryTranslationId();
+        if (!primaryId) return [{ translationName: '', content: _t('detail.waitingText') }]; // Registry not loaded yet
+        const translationIds = [primaryId].concat(_parallelTranslationIds);
+        return Promise.all(translationIds.map(async translationId => {
+            const translationName = translationId; // Short id keeps parallel column headings compact
+            if (_isTranslationReady(translationId)) {
+                // Pass the verse list when lookup succeeded, otherwise the error/status string
+                if (wantsContext) {
+                    const result = await _getContext(refString, contextState, translationId); // Use alias
+                    return { translationName: translationName, content: result.error || result.verses, context: result };
+                }
+                const result = await _getVerses(refString, translationId); // Use alias
+                return { translationName: translationName, content: result.error || result.verses };
+            }
+            if (_translationLoadErrors[translationId]) {
+                return { translationName: translationName, content: _t('detail.loadFailed', { translation: translationId, message: _translationLoadErrors[translationId] }) };
+            }
+            _loadTranslation(translationId)
+                .then(() => { _refreshCurrentPair(); _refreshCacheInfo(); })
+                .catch(error => {
+                    console.error(`APP: Parallel translation ${translationId} failed to load:`, error);
+                    _translationLoadErrors[translationId] = error.message;
+                    _refreshCurrentPair();
+                });
+            return { translationName: translationName, content: _t('detail.waitingText') };
+        }));
+    }
+
+    /**
+     * Checks references.json (schema, duplicates, refs, testaments, verse lookups in the primary translation)
+     * and shows the report panel and list badges. Runs once the manifest and Bible data are both loaded.
+     */
+    async function _validateManifest() {
+        if (!_manifestValidator.validateManifest) {
+            console.error("APP: Manifest validator not loaded.");
+            return;
+        }
+        const categories = _getAvailableCategories();
+        let resolutionErrors = null;
+        try {
+            resolutionErrors = _isBsbDataReady() ? await _checkReferences(_manifestValidator.collectReferences(categories)) : null;
+        } catch (error) {
+            console.warn("APP: Verse lookups for the manifest check failed; checking structure only.", error);
+        }
+        _validationReport = _manifestValidator.validateManifest({ categories: categories }, {
+            resolutionErrors: resolutionErrors,
+            translationName: resolutionErrors ? _getTranslationName() : null,
+            getPairKey: _getPairKey
+        });
+        console.log(`APP: Manifest check: ${_validationReport.categoryCount} categories, ${_validationReport.pairCount} pairs: ` +
+                    `${_validationReport.errorCount} errors, ${_validationReport.warningCount} warnings.`);
+        if (!_validationDismissed) _renderValidationReportUI(_validationReport);
+        _markPairIssuesUI(_getPairIssueLists());
+    }
+
+    /**
+     * Manifest check issues for each pair of the current list (for the list badges).
+     * @returns {Array<Array<object>|null>|null} - null until the check has run.
+     */
+    function _getPairIssueLists() {
+        if (!_validationReport) return null;
+        return _filteredReferences.map(pair => _validationReport.pairIssues[_getPairKey(pair)] || null);
+    }
+
+    /**
+     * Notes store entries for each pair of the current list (for the bookmark/note markers and highlights).
+     * @returns {Array<object|null>}
+     */
+    function _getPairAnnotations() {
+        return _filteredReferences.map(pair => _getNoteEntry(pair));
+    }
+
+    /**
+     * Updates the list markers, the bookmark count and (in "My Bookmarks") the list itself after notes changed.
+     * @param {{saved: boolean}} [result] - From the notes store; an unsaved change is reported.
+     */
+    function _afterNotesChange(result) {
+        if (result && !result.saved) {
+            _showNotesStatusUI(_t('notes.saveFailed'), true);
+        }
+        _refreshCategoryNav();
+        if (_navMode === 'category' && _currentCategoryFilter === BOOKMARKS_CATEGORY) {
+            // An un-bookmarked pair leaves the list; the first remaining bookmark is selected instead
+            const selectedEntry = _currentSelectionRefPair ? _getNoteEntry(_currentSelectionRefPair) : null;
+            filterAndRenderAppReferences(BOOKMARKS_CATEGORY, {
+                selectRefs: selectedEntry && selectedEntry.bookmarked ? { ot_ref: selectedEntry.ot_ref, nt_ref: selectedEntry.nt_ref } : null,
+                routeMode: 'replace'
+            });
+        } else {
+            _markPairAnnotationsUI(_getPairAnnotations());
+        }
+    }
+
+    /**
+     * Bookmarks or un-bookmarks the selected pair. Called by event handler.
+     */
+    function toggleBookmark() {
+        const refPair = _currentSelectionRefPair;
+        if (!refPair) return;
+        const entry = _getNoteEntry(refPair);
+        const result = _setBookmarked(refPair, !(entry && entry.bookmarked));
+        console.log(`APP: ${result.entry && result.entry.bookmarked ? 'Bookmarked' : 'Removed bookmark of'} ${refPair.ot_ref} / ${refPair.nt_ref}.`);
+        _updatePairMarkersUI(result.entry);
+        _afterNotesChange(result);
+    }
+
+    /**
+     * Sets the highlight color of the selected pair. Called by event handler.
+     * @param {string} color - A notes store highlight color, or '' for none.
+     */
+    function setPairHighlight(color) {
+        const refPair = _currentSelectionRefPair;
+        if (!refPair) return;
+        try {
+            const result = _setHighlight(refPair, color);
+            _updatePairMarkersUI(result.entry);
+            _afterNotesChange(result);
+        } catch (error) {
+            console.error("APP: Could not set highlight:", error);
+        }
+    }
+
+    /**
+     * Opens the note editor for the selected pair. Called by event handler.
+     */
+    function editNote() {
+        if (!_currentSelectionRefPair) return;
+        const entry = _getNoteEntry(_currentSelectionRefPair);
+        _openNoteEditorUI(entry ? entry.note : '');
+    }
+
+    /**
+     * Saves the note editor's text for the selected pair and shows it rendered. Called by event handler.
+     * @param {string} text - Markdown; blank deletes the note.
+     */
+    function saveNote(text) {
+        const refPair = _currentSelectionRefPair;
+        if (!refPair) return;
+        const result = _setNote(refPair, text);
+        console.log(`APP: Saved note for ${refPair.ot_ref} / ${refPair.nt_ref} (${result.entry ? result.entry.note.length : 0} characters).`);
+        _displayPairNotesUI(result.entry);
+        _afterNotesChange(result);
+    }
+
+    /**
+     * Closes the note editor without saving. Called by event handler.
+     */
+    function cancelNoteEdit() {
+        _displayPairNotesUI(_currentSelectionRefPair ? _getNoteEntry(_currentSelectionRefPair) : null);
+    }
+
+    /**
+     * Saves an open note editor (before another pair replaces the detail view), so no typing is lost.
+     */
+    function _saveNoteDraft() {
+        const draft = _getNoteDraftUI();
+        if (draft === null || !_currentSelectionRefPair) return;
+        const entry = _getNoteEntry(_currentSelectionRefPair);
+        if (draft.replace(/\s+$/, '') === (entry ? entry.note : '')) return;
+        const result = _setNote(_currentSelectionRefPair, draft);
+        console.log(`APP: Saved the open note for ${_currentSelectionRefPair.ot_ref} / ${_currentSelectionRefPair.nt_ref} before leaving it.`);
+        if (!result.saved) _showNotesStatusUI(_t('notes.saveFailed'), true);
+        _markPairAnnotationsUI(_getPairAnnotations());
+    }
+
+    /**
+     * Downloads all notes, bookmarks and highlights as a JSON file. Called by event handler.
+     */
+    function exportNotes() {
+        _saveNoteDraft();
+        try {
+            const date = new Date().toISOString().slice(0, 10);
+            _downloadFileUI(`prophecy-notes-${date}.json`, _exportNotes());
+            _showNotesStatusUI(_t('notes.exported'));
+        } catch (error) {
+            console.error("APP: Exporting notes failed:", error);
+            _showNotesStatusUI(_t('export.failed', { message: error.message }), true);
+        }
+    }
+
+    /**
+     * Merges a notes file exported on another machine (newer entries win). Called by event handler.
+     * @param {File} file - The chosen .json file.
+     */
+    async function importNotes(file) {
+        if (!file) return;
+        _saveNoteDraft();
+        try {
+            const result = _importNotes(await file.text());
+            const changed = result.added + result.updated;
+            const details = (result.unchanged ? _t('notes.importUnchanged', { count: result.unchanged }) : '') +
+                            (result.skipped ? _t('notes.importSkipped', { count: result.skipped }) : '');
+            _showNotesStatusUI(_t('notes.imported', { file: file.name, added: result.added, updated: result.updated, details: details }),
+                               !result.saved);
+            if (changed > 0) {
+                _afterNotesChange(result);
+                _displayPairNotesUI(_currentSelectionRefPair ? _getNoteEntry(_currentSelectionRefPair) : null);
+            }
+        } catch (error) {
+            console.error("APP: Importing notes failed:", error);
+            _showNotesStatusUI(_t('notes.importFailed', { file: file.name, message: error.message }), true);
+        }
+    }
+
+    /**
+     * Collects the pairs an export covers, in output order.
+     * @param {string} scope - 'pair' (selected pair), 'list' (current list, in its order and grouping) or
+     *                         'manifest' (every category in manifest order; a pair in several categories appears under each).
+     * @returns {{title: string, entries: Array<{pair: object, group: string|null}>}}
+     */
+    function _collectExportPairs(scope) {
+        if (scope === 'pair') {
+            const refPair = _currentSelectionRefPair;
+            return {
+                title: refPair ? `${refPair.ot_ref} / ${refPair.nt_ref}` : '',
+                entries: refPair ? [{ pair: refPair, group: null }] : []
+            };
+        }
+        if (scope === 'manifest') {
+            const entries = [];
+            _getAvailableCategories().forEach(category => {
+                if (!category || category.name === ALL_CATEGORIES || !Array.isArray(category.pairs)) return;
+                category.pairs.forEach(pair => {
+                    if (pair && typeof pair === 'object') entries.push({ pair: pair, group: category.name });
+                });
+            });
+            return { title: _listDisplayName(ALL_CATEGORIES), entries: entries };
+        }
+        return {
+            title: _listDisplayName(_currentListLabel),
+            entries: _filteredReferences.map((pair, index) => ({ pair: pair, group: _currentGroupLabels ? _currentGroupLabels[index] : null }))
+        };
+    }
+
+    /**
+     * Exports pairs with their verse text in the primary translation and offers the file for download.
+     * Called by event handler.
+     * @param {string} scope - 'pair' | 'list' | 'manifest' (see _collectExportPairs).
+     * @param {string} formatId - An exporter format: 'markdown' | 'csv' | 'handout' | 'slides'.
+     */
+    async function exportSelection(scope, formatId) {
+        if (_exportInProgress) return;
+        if (!_exporter.renderExport) {
+            console.error("APP: Exporter module not loaded.");
+            _updateExportStatusUI(_t('export.unavailable'), { isError: true });
+            return;
+        }
+        if (!_isBsbDataReady()) {
+            _updateExportStatusUI(_t('export.waitForText'), { isError: true });
+            return;
+        }
+        const collected = _collectExportPairs(scope);
+        if (collected.entries.length === 0) {
+            _updateExportStatusUI(_t('export.nothing'), { isError: true });
+            return;
+        }
+
+        _exportInProgress = true;
+        const translationId = _getPrimaryTranslationId();
+        const registryEntry = _getTranslations().find(translation => translation.id === translationId) || {};
+        console.log(`APP: Exporting ${collected.entries.length} pairs (${scope}) as ${formatId} in ${translationId}.`);
+        try {
+            // Each ref is looked up once, even if several pairs (or categories) share it
+            const lookups = new Map();
+            const lookUp = refString => {
+                if (!lookups.has(refString)) lookups.set(refString, _getVerses(refString, translationId));
+                return lookups.get(refString);
+            };
+            let resolvedCount = 0;
+            const items = await Promise.all(collected.entries.map(async entry => {
+                const [ot, nt] = await Promise.all([lookUp(entry.pair.ot_ref), lookUp(entry.pair.nt_ref)]);
+                resolvedCount++;
+                _updateExportStatusUI(_t('export.lookingUp', { done: resolvedCount, total: collected.entries.length }), { busy: true });
+                return {
+                    ot_ref: entry.pair.ot_ref, nt_ref: entry.pair.nt_ref, description: entry.pair.description || '',
+                    categories: _getPairCategories(entry.pair), group: entry.group, ot: ot, nt: nt
+                };
+            }));
+            const doc = {
+                title: collected.title,
+                translation: { id: translationId, name: _getTranslationName(translationId) || registryEntry.name, attribution: registryEntry.attribution || null },
+                generated: new Date(),
+                items: items
+            };
+            const format = _exporter.getFormats().find(entry => entry.id === formatId) || { label: formatId, mimeType: 'text/plain' };
+            _downloadFileUI(_exporter.getFileName(formatId, doc), _exporter.renderExport(formatId, doc), `${format.mimeType};charset=utf-8`);
+            _updateExportStatusUI(_t('export.done', { count: items.length, format: _t(`export.${formatId}`) }));
+        } catch (error) {
+            console.error("APP: Export failed:", error);
+            _updateExportStatusUI(_t('export.failed', { message: error.message }), { isError: true });
+        } finally {
+            _exportInProgress = false;
+        }
+    }
+
+    /**
+     * Re-merges the user's categories and refreshes everything built from the manifest: category nav,
+     * search and reverse indexes, manifest check, and the current list (keeping the selected pair if it still exists).
+     */
+    function _onManifestChanged() {
+        _applyCustomCategories();
+        _refreshCategoryNav();
+        _buildManifestSearchIndex();
+        _reverseIndex = _reverseIndexBuilder.build ? _reverseIndexBuilder.build(_getAggregatedPairs()) : null;
+        // Forget reverse-index nodes that lost their last pair
+        Object.keys(_navKeysByMode).forEach(mode => {
+            if (!_reverseIndexBuilder.findNode || !_reverseIndexBuilder.findNode(_reverseIndex, mode, _navKeysByMode[mode])) delete _navKeysByMode[mode];
+        });
+        if (_graphOpen) _renderGraph();
+        if (_quizOpen) _refreshQuizSetup();
+        _validateManifest(); // Not awaited; checks the verses too once the Bible data is loaded
+        if (_listOrder === 'similarity') _scoreAllPairs(); // New pairs; the list is re-sorted when they are compared
+
+        const selected = _currentSelectionRefPair;
+        const selectRefs = selected && _getPairCategories(selected).length ? { ot_ref: selected.ot_ref, nt_ref: selected.nt_ref } : null;
+        const options = { selectRefs: selectRefs, routeMode: 'replace' };
+        if (_navMode !== 'category') {
+            _renderReferenceNavUI(_navMode, _reverseIndex);
+            if (_navKeysByMode[_navMode] && filterAndRenderAppByReference(_navMode, _navKeysByMode[_navMode], options)) return;
+        }
+        const categoryExists = _currentCategoryFilter === BOOKMARKS_CATEGORY ||
+                               _getAvailableCategories().some(category => category.name === _currentCategoryFilter);
+        if (_navMode === 'category' && categoryExists && selectRefs &&
+            !(_currentCategoryFilter === BOOKMARKS_CATEGORY ? _getNoteEntry(selectRefs)?.bookmarked : _getPairCategories(selectRefs).includes(_currentCategoryFilter))) {
+            options.selectRefs = null; // Removed from this category
+        }
+        filterAndRenderAppReferences(categoryExists ? _currentCategoryFilter : ALL_CATEGORIES, options);
+    }
+
+    /**
+     * Draws the graph view from the merged pairs with the current graph type, level and category filter.
+     * Categories that no longer exist are dropped from the filter; the highlighted node is kept if it is still drawn.
+     * @param {boolean} [resetView=false] - Fit the drawing instead of keeping the zoom/pan.
+     */
+    function _renderGraph(resetView = false) {
+        if (!_prophecyGraph.buildGraph) {
+            console.error("APP: Prophecy graph module not loaded.");
+            return;
+        }
+        const categories = _getAvailableCategories().filter(category => category.name !== ALL_CATEGORIES);
+        const categoryNames = categories.map(category => category.name);
+        if (_graphCategories) _graphCategories = _graphCategories.filter(name => categoryNames.includes(name));
+
+        const colors = _prophecyGraph.categoryColors(categoryNames);
+        const model = {
+            colors: colors,
+            legend: categories.map(category => ({
+                name: category.name,
+                color: colors[category.name],
+                included: !_graphCategories || _graphCategories.includes(category.name),
+                count: Array.isArray(category.pairs) ? category.pairs.length : 0
+            })),
+            emptyText: _t(_graphCategories && _graphCategories.length === 0 ? 'graph.noCategories' : 'graph.noPairs'),
+            resetView: resetView
+        };
+        if (_graphType === 'arcs') {
+            _renderArcDiagram(model);
+            return;
+        }
+
+        const graph = _prophecyGraph.buildGraph(_getAggregatedPairs(), { level: _graphLevel, categories: _graphCategories });
+        _graphLayout = graph.edges.length ? _prophecyGraph.layoutGraph(graph) : null;
+        _renderGraphUI(_graphLayout, Object.assign(model, {
+            level: _graphLevel,
+            summary: _t(_graphLevel === 'book' ? 'graph.summaryBooks' : 'graph.summaryPassages',
+                        { count: graph.pairCount, ot: graph.ot.length, nt: graph.nt.length }) +
+                     (graph.unplaced.length ? _t('graph.unplaced', { count: graph.unplaced.length }) : '') + '.'
+        }));
+
+        if (_graphFocus && !(graph[_graphFocus.side] || []).some(node => node.key === _graphFocus.key)) _graphFocus = null;
+        if (_graphFocus) _focusGraphNodeUI(_graphFocus.side, _graphFocus.key);
+        _markGraphSelection();
+    }
+
+    /**
+     * Draws the canon timeline, scaled by the primary translation's chapters and verses once they are known.
+     * The outline is requested the first time the timeline is drawn after the Bible data has loaded; the
+     * timeline is redrawn when it arrives.
+     * @param {object} model - Legend, colors and empty text shared with the network (see _renderGraph).
+     */
+    function _renderArcDiagram(model) {
+        if (!_arcDiagram.buildAxis) {
+            console.error("APP: Arc diagram module not loaded.");
+            return;
+        }
+        _loadArcOutline();
+        const axis = _arcDiagram.buildAxis(_arcOutline);
+        const result = _arcDiagram.layoutArcs(_getAggregatedPairs(), axis, { categories: _graphCategories });
+        _arcLayout = { axis: axis, edges: result.arcs };
+        const scale = !_arcOutline ? _t('graph.scaleDefault')
+            : _t(axis.fromBibleData ? 'graph.scaleBible' : 'graph.scaleMixed', { translation: _getTranslationName() });
+        _renderArcDiagramUI(axis, result.arcs, Object.assign(model, {
+            summary: _t('graph.arcSummary', { count: result.arcs.length, scale: scale }) +
+                     (result.unplaced.length ? _t('graph.unplaced', { count: result.unplaced.length }) : '') + '.'
+        }));
+        _markGraphSelection();
+    }
+
+    /**
+     * Requests the primary translation's outline for the timeline, if the Bible data is loaded and it is not
+     * known yet, and redraws the timeline when it arrives. A failed request is retried on the next draw.
+     */
+    function _loadArcOutline() {
+        if (_arcOutline || _arcOutlineLoading || !_isBsbDataReady()) return;
+        _arcOutlineLoading = true;
+        const translationId = _getPrimaryTranslationId();
+        _getBookOutline(translationId)
+            .then(outline => {
+                if (translationId !== _getPrimaryTranslationId()) return; // Switched meanwhile; the next draw asks again
+                _arcOutline = outline;
+                if (_graphOpen && _graphType === 'arcs') _renderGraph();
+            })
+            .catch(error => console.warn("APP: Could not load the book outline for the timeline:", error))
+            .finally(() => { _arcOutlineLoading = false; });
+    }
+
+    /**
+     * The edges (network) or arcs (timeline) currently drawn; both have id and pair.
+     * @returns {Array<object>}
+     */
+    function _currentGraphEdges() {
+        const layout = _graphType === 'arcs' ? _arcLayout : _graphLayout;
+        return layout ? layout.edges : [];
+    }
+
+    /**
+     * Marks the selected pair's edges in the graph view.
+     */
+    function _markGraphSelection() {
+        if (!_graphOpen) return;
+        const key = _currentSelectionRefPair ? _getPairKey(_currentSelectionRefPair) : null;
+        _markGraphSelectionUI(key ? _currentGraphEdges().filter(edge => _getPairKey(edge.pair) === key).map(edge => edge.id) : []);
+    }
+
+    /**
+     * Opens or closes the graph view. Called by event handler.
+     * @param {boolean} [open] - Omit to toggle.
+     */
+    function toggleGraphView(open) {
+        _graphOpen = open === undefined ? !_graphOpen : !!open;
+        _showGraphViewUI(_graphOpen); // Shown first, so the drawing can be fitted to the panel's size
+        if (_graphOpen) _renderGraph();
+        else previewArc(null);
+    }
+
+    /**
+     * Switches the graph view between the books network and the canon timeline. Called by event handler.
+     * The category filter is shared: hidden categories stay hidden as timeline layers.
+     * @param {string} type - One of GRAPH_TYPES.
+     */
+    function setGraphType(type) {
+        if (!GRAPH_TYPES.includes(type)) {
+            console.warn(`APP: Unknown graph type "${type}".`);
+            return;
+        }
+        if (type === _graphType) return;
+        _graphType = type;
+        _showGraphTypeUI(type);
+        _renderGraph(true);
+    }
+
+    /**
+     * Switches the graph between book and verse nodes. Called by event handler.
+     * @param {string} level - One of prophecyGraph.LEVELS.
+     */
+    function setGraphLevel(level) {
+        if (!(_prophecyGraph.LEVELS || []).includes(level)) {
+            console.warn(`APP: Unknown graph level "${level}".`);
+            return;
+        }
+        _graphLevel = level;
+        _graphFocus = null; // Book and verse nodes do not correspond
+        _renderGraph(true);
+    }
+
+    /**
+     * Adds a category to the graph's filter or removes it. Called by event handler.
+     * @param {string} categoryName
+     * @param {boolean} included
+     */
+    function setGraphCategoryIncluded(categoryName, included) {
+        const allNames = _getAvailableCategories().map(category => category.name).filter(name => name !== ALL_CATEGORIES);
+        const names = (_graphCategories || allNames).filter(name => name !== categoryName);
+        if (included) names.push(categoryName);
+        setGraphCategories(names.length === allNames.length ? null : names);
+    }
+
+    /**
+     * Sets the graph's category filter. Called by event handler ("All" / "None").
+     * @param {Array<string> | null} categoryNames - null draws every category.
+     */
+    function setGraphCategories(categoryNames) {
+        _graphCategories = categoryNames ? categoryNames.slice() : null;
+        _renderGraph();
+    }
+
+    /**
+     * Highlights a graph node's edges; selecting the highlighted node again clears it. Called by event handler.
+     * @param {string} side - 'ot' | 'nt'.
+     * @param {string} key - Node key, e.g. "GEN" or "GEN 3:15".
+     */
+    function focusGraphNode(side, key) {
+        const isSame = _graphFocus && _graphFocus.side === side && _graphFocus.key === key;
+        _graphFocus = isSame ? null : { side: side, key: key };
+        _focusGraphNodeUI(_graphFocus ? side : null, _graphFocus ? key : null);
+    }
+
+    /**
+     * Opens the pair behind a graph edge or timeline arc in the detail view: in the current list if it is there,
+     * otherwise in "All Categories". Called by event handler.
+     * @param {number} edgeId - data-edge-id of the clicked edge or arc.
+     */
+    function openGraphPair(edgeId) {
+        const edge = _currentGraphEdges().find(candidate => candidate.id === edgeId);
+        if (!edge) return;
+        console.log(`APP: Opening graph edge ${edge.pair.ot_ref} / ${edge.pair.nt_ref}.`);
+        _openPair(edge.pair);
+    }
+
+    /**
+     * Opens a pair in the detail view: in the current list if it is there, otherwise in "All Categories".
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     */
+    function _openPair(pair) {
+        const refs = { ot_ref: pair.ot_ref, nt_ref: pair.nt_ref };
+        const index = _findPairIndex(refs);
+        if (index !== -1) displayAppDetailedPair(index);
+        else filterAndRenderAppReferences(ALL_CATEGORIES, { selectRefs: refs });
+    }
+
+    /**
+     * Previews a timeline arc next to the pointer: refs, description and categories at once, the verse text of
+     * both sides once looked up (kept per translation, so moving back over an arc shows it immediately).
+     * Called by event handler.
+     * @param {number|null} arcId - data-edge-id of the arc under the pointer; null hides the preview.
+     * @param {number} [clientX]
+     * @param {number} [clientY]
+     */
+    async function previewArc(arcId, clientX, clientY) {
+        const token = ++_arcPreviewToken;
+        const arc = arcId === null || !_arcLayout ? null : _arcLayout.edges.find(candidate => candidate.id === arcId);
+        if (!arc) {
+            _showArcPreviewUI(null);
+            return;
+        }
+        const pair = arc.pair;
+        const cacheKey = `${_getPrimaryTranslationId()}|${_getPairKey(pair)}`;
+        const ready = _isBsbDataReady();
+        const cached = _arcPreviewTexts.get(cacheKey);
+        const waitingText = _t(ready ? 'detail.waitingText' : 'detail.textNotLoaded');
+        const preview = {
+            otRef: pair.ot_ref,
+            ntRef: pair.nt_ref,
+            description: pair.description || '',
+            categories: _getPairCategories(pair),
+            otText: cached ? cached.otText : waitingText,
+            ntText: cached ? cached.ntText : waitingText
+        };
+        _showArcPreviewUI(preview, clientX, clientY);
+        if (cached || !ready) return;
+
+        const [otText, ntText] = await Promise.all([_previewVerseText(pair.ot_ref), _previewVerseText(pair.nt_ref)]);
+        _arcPreviewTexts.set(cacheKey, { otText: otText, ntText: ntText });
+        if (token !== _arcPreviewToken) return; // The pointer moved on
+        _showArcPreviewUI(Object.assign(preview, { otText: otText, ntText: ntText })); // Keeps its position
+    }
+
+    /**
+     * The first verses of a ref as one line of text for the arc preview.
+     * @param {string} refString
+     * @returns {Promise<string>} - The lookup error in brackets if the ref cannot be resolved.
+     */
+    async function _previewVerseText(refString) {
+        const result = await _getVerses(refString);
+        if (result.error) return result.error;
+        const text = result.verses.slice(0, MAX_PREVIEW_VERSES).map(verse => verse.text).join(' ');
+        return result.verses.length > MAX_PREVIEW_VERSES ? `${text} …` : text;
+    }
+
+    /**
+     * The pairs a practice session draws from.
+     * @param {string} scope - 'all' | 'category'.
+     * @returns {Array<object>}
+     */
+    function _getQuizPairs(scope) {
+        return scope === 'category' ? _getCategoryPairs(_currentCategoryFilter) : _getAggregatedPairs();
+    }
+
+    /**
+     * Updates the practice setup: the selected category's name and the mastery of the pairs in scope.
+     */
+    function _refreshQuizSetup() {
+        if (!_quiz.getMasterySummary) return;
+        const mastery = _quiz.getMasterySummary(_getQuizPairs(_quizScope));
+        const scopeName = _listDisplayName(_quizScope === 'category' ? _currentCategoryFilter : ALL_CATEGORIES);
+        _updateQuizSetupUI({
+            categoryName: _listDisplayName(_currentCategoryFilter),
+            masteryText: mastery.total === 0 ? _t('quiz.noPairs', { scope: scopeName })
+                : _t('quiz.mastery', {
+                    scope: scopeName, mastered: mastery.mastered, total: mastery.total, inProgress: mastery.seen - mastery.mastered,
+                    due: mastery.due ? _t('quiz.due', { count: mastery.due }) : ''
+                })
+        });
+    }
+
+    /**
+     * Opens or closes the practice panel. Called by event handler.
+     * A session in progress is kept while the panel is closed.
+     * @param {boolean} [open] - Omit to toggle.
+     */
+    function toggleQuizView(open) {
+        _quizOpen = open === undefined ? !_quizOpen : !!open;
+        if (_quizOpen) _refreshQuizSetup();
+        _showQuizViewUI(_quizOpen);
+    }
+
+    /**
+     * Chooses which pairs the next session practices. Called by event handler.
+     * @param {string} scope - 'all' | 'category'.
+     */
+    function setQuizScope(scope) {
+        _quizScope = scope === 'category' ? 'category' : 'all';
+        _refreshQuizSetup();
+    }
+
+    /**
+     * Starts a practice session. Called by event handler.
+     * @param {{scope: string, type: string, length: number}} settings - type is one of quiz.SESSION_TYPES.
+     */
+    function startQuiz(settings) {
+        if (!_quiz.createSession) {
+            console.error("APP: Quiz module not loaded.");
+            return;
+        }
+        setQuizScope(settings.scope);
+        const pairs = _getQuizPairs(_quizScope);
+        if (pairs.length === 0) return; // The mastery line already says so
+        _quizSession = _quiz.createSession(pairs, { type: settings.type, length: settings.length });
+        _quizSummary = null;
+        console.log(`APP: Practice session of ${_quizSession.queue.length} ${_quizSession.type} questions.`);
+        _showQuizStageUI('question');
+        nextQuizQuestion();
+    }
+
+    /**
+     * Shows the session's next question, or its summary when it is over. Called by event handler.
+     * The OT passage of the question is looked up in the primary translation.
+     */
+    async function nextQuizQuestion() {
+        if (!_quizSession) return;
+        const token = ++_quizToken;
+        const question = _quiz.nextQuestion(_quizSession);
+        if (!question) {
+            endQuiz();
+            return;
+        }
+        _renderQuizQuestionUI(question);
+        if (question.type === 'description') return; // The OT passage would give the answer away
+        if (!_isBsbDataReady()) {
+            _showQuizPromptTextUI(_t('detail.textNotLoaded'));
+            return;
+        }
+        const result = await _getVerses(question.pair.ot_ref);
+        if (token !== _quizToken) return; // The student moved on
+        _showQuizPromptTextUI(result.error || result.verses);
+    }
+
+    /**
+     * Answers the current question. Called by event handler.
+     * @param {number|string} answer - Choice index, or the typed reference.
+     */
+    function answerQuiz(answer) {
+        if (!_quizSession) return;
+        const question = _quizSession.question;
+        const result = _quiz.answerQuestion(_quizSession, answer);
+        if (!result) return; // Already answered
+        _showQuizFeedbackUI(question, result, answer);
+    }
+
+    /**
+     * The practice question types named in the page language.
+     * @returns {Object<string, string>} - Question type -> label.
+     */
+    function _getQuizTypeLabels() {
+        return Object.fromEntries(Object.entries(QUIZ_TYPE_LABELS).map(([type, key]) => [type, _t(key)]));
+    }
+
+    /**
+     * Ends the session (finished or stopped early) and shows its summary. Called by event handler.
+     */
+    function endQuiz() {
+        if (!_quizSession) return;
+        _quizToken++;
+        _quizSummary = _quiz.summarizeSession(_quizSession);
+        _quizSession = null;
+        console.log(`APP: Practice session ended: ${_quizSummary.correct} of ${_quizSummary.asked} correct.`);
+        _renderQuizSummaryUI(_quizSummary, _getQuizTypeLabels());
+        _showQuizStageUI('summary');
+        _refreshQuizSetup();
+    }
+
+    /**
+     * Opens a pair missed in the last session in the detail view. Called by event handler.
+     * @param {number} index - data-quiz-open of the clicked pair.
+     */
+    function openQuizPair(index) {
+        const pair = _quizSummary ? _quizSummary.missed[index] : null;
+        if (pair) _openPair(pair);
+    }
+
+    /**
+     * Forgets all practice progress. Called by event handler (after confirmation).
+     */
+    function resetQuizProgress() {
+        if (!_quiz.resetProgress) return;
+        if (!_quiz.resetProgress()) console.warn("APP: Practice progress reset in memory only (storage unavailable).");
+        _refreshQuizSetup();
+    }
+
+    /**
+     * Presents the current reference list, in its order, from the selected pair. Called by event handler.
+     */
+    function presentCurrentList() {
+        if (_filteredReferences.length === 0) return;
+        _startPresentation({ pairs: _filteredReferences.slice(), label: _listDisplayName(_currentListLabel), planIndex: null }, _currentSelectionIndex || 0);
+    }
+
+    /**
+     * Switches to the presentation layout and shows a walkthrough's first slide.
+     * @param {{pairs: Array<object>, label: string, planIndex: number|null}} walkthrough - The pairs are a snapshot:
+     *        later changes to the list do not move the slides.
+     * @param {number} position - Slide to start at (0-based).
+     */
+    function _startPresentation(walkthrough, position) {
+        _presentation = Object.assign({ position: 0 }, walkthrough);
+        console.log(`APP: Presenting "${walkthrough.label}" (${walkthrough.pairs.length} pairs).`);
+        showPresentationSlide(position);
+        _showPresentationUI(true);
+    }
+
+    /**
+     * Shows a slide of the walkthrough: its pair in the detail view (displayAppDetailedPair), in the current
+     * list if it is there, otherwise in "All Categories". A pair shown in a plan's walkthrough counts as read.
+     * Called by event handler.
+     * @param {number} position - 0-based; clamped to the walkthrough.
+     */
+    function showPresentationSlide(position) {
+        if (!_presentation) return;
+        _presentation.position = Math.min(Math.max(position, 0), _presentation.pairs.length - 1);
+        const pair = _presentation.pairs[_presentation.position];
+        const refs = { ot_ref: pair.ot_ref, nt_ref: pair.nt_ref };
+        const index = _findPairIndex(refs);
+        // Slides replace the history entry: Back leaves the presentation's last pair, not one slide
+        if (index !== -1) displayAppDetailedPair(index, undefined, { routeMode: 'replace' });
+        else filterAndRenderAppReferences(ALL_CATEGORIES, { selectRefs: refs, routeMode: 'replace' });
+        _refreshPresentation();
+        if (_presentation.planIndex !== null) _markPlanPairRead(_presentation.planIndex, pair);
+    }
+
+    /**
+     * Moves to the next or previous slide (stops at either end). Called by event handler.
+     * @param {number} step - 1 for next, -1 for previous.
+     */
+    function stepPresentation(step) {
+        if (_presentation) showPresentationSlide(_presentation.position + step);
+    }
+
+    /**
+     * Shows or hides the speaker notes (the descriptions of the pair on screen). Called by event handler.
+     */
+    function toggleSpeakerNotes() {
+        _speakerNotesShown = !_speakerNotesShown;
+        _refreshPresentation();
+    }
+
+    /**
+     * Updates the presentation bar and speaker notes for the current slide.
+     */
+    function _refreshPresentation() {
+        if (!_presentation) return;
+        const pair = _presentation.pairs[_presentation.position];
+        const key = _getPairKey(pair);
+        const merged = _getAggregatedPairs().find(candidate => _getPairKey(candidate) === key) || pair; // Every source's description
+        _updatePresentationUI({
+            label: _presentation.label,
+            position: _presentation.position,
+            total: _presentation.pairs.length,
+            notes: (Array.isArray(merged.descriptions) && merged.descriptions.length ? merged.descriptions : [merged.description]).filter(Boolean),
+            notesShown: _speakerNotesShown
+        });
+    }
+
+    /**
+     * Leaves the presentation layout; the last pair shown stays selected. Called by event handler.
+     */
+    function exitPresentation() {
+        if (!_presentation) return;
+        console.log(`APP: Presentation of "${_presentation.label}" ended at ${_presentation.position + 1} of ${_presentation.pairs.length}.`);
+        _presentation = null;
+        _showPresentationUI(false);
+        _revealListSelectionUI();
+        if (_plansOpen) _refreshReadingPlans(); // Progress made while presenting
+    }
+
+    /**
+     * Lists the reading plans with their progress, and names the list a new plan would be made from.
+     */
+    function _refreshReadingPlans() {
+        if (!_readingPlans.getPlans) return;
+        _updatePlanSourceUI(_listDisplayName(_currentListLabel), _filteredReferences.length);
+        _renderReadingPlansUI(_readingPlans.getPlans().map((plan, index) => ({
+            index: index,
+            name: plan.name,
+            perDay: plan.perDay,
+            schedule: _readingPlans.getSchedule(plan)
+        })));
+    }
+
+    /**
+     * Applies a change to the reading plans, then refreshes the panel and reports the outcome there.
+     * @param {function(): {saved: boolean}} edit - A readingPlans call; may throw.
+     * @param {string} successText
+     * @returns {object|null} - The call's result, or null if it was rejected.
+     */
+    function _editReadingPlans(edit, successText) {
+        let result;
+        try {
+            result = edit();
+        } catch (error) {
+            console.warn(`APP: Reading plan change rejected: ${error.message}`);
+            _showPlanStatusUI(error.message, true);
+            return null;
+        }
+        _refreshReadingPlans();
+        if (result.saved) _showPlanStatusUI(successText);
+        else _showPlanStatusUI(_t('plans.saveFailed'), true);
+        return result;
+    }
+
+    /**
+     * Marks a pair of a plan as read (it was shown in the plan's walkthrough).
+     * @param {number} planIndex
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     */
+    function _markPlanPairRead(planIndex, pair) {
+        try {
+            const result = _readingPlans.setPairRead(planIndex, pair);
+            if (!result.saved) console.warn("APP: Reading progress kept in memory only (storage unavailable).");
+        } catch (error) {
+            console.warn(`APP: Could not record reading progress: ${error.message}`);
+        }
+    }
+
+    /**
+     * Opens or closes the reading plans panel. Called by event handler.
+     * @param {boolean} [open] - Omit to toggle.
+     */
+    function togglePlanView(open) {
+        if (!_readingPlans.getPlans) {
+            console.error("APP: Reading plans module not loaded.");
+            return;
+        }
+        _plansOpen = open === undefined ? !_plansOpen : !!open;
+        if (_plansOpen) {
+            _refreshReadingPlans();
+            _showPlanStatusUI('');
+        }
+        _showPlanViewUI(_plansOpen);
+    }
+
+    /**
+     * Makes a reading plan of the current list, in its order. Called by event handler.
+     * @param {string} name - Blank uses the list's name.
+     * @param {number} perDay - Pairs per day.
+     * @returns {boolean} - False if the plan was rejected.
+     */
+    function createReadingPlan(name, perDay) {
+        const planName = String(name || '').trim() || _listDisplayName(_currentListLabel);
+        return !!_editReadingPlans(() => _readingPlans.createPlan(planName, _filteredReferences, perDay),
+            _t('plans.created', { name: planName }));
+    }
+
+    /**
+     * Deletes a reading plan and its progress. Called by event handler (after confirmation).
+     * @param {number} index
+     */
+    function deleteReadingPlan(index) {
+        _editReadingPlans(() => _readingPlans.deletePlan(index), _t('plans.deleted'));
+    }
+
+    /**
+     * Ticks a day of a plan off as read, or back to unread. Called by event handler.
+     * @param {number} index
+     * @param {number} dayNumber
+     * @param {boolean} read
+     */
+    function setPlanDayRead(index, dayNumber, read) {
+        _editReadingPlans(() => _readingPlans.setDayRead(index, dayNumber, read), _t(read ? 'plans.dayRead' : 'plans.dayUnread', { day: dayNumber }));
+    }
+
+    /**
+     * Presents one day of a reading plan. Pairs that are no longer in the manifest are skipped.
+     * Called by event handler.
+     * @param {number} index
+     * @param {number} dayNumber
+     */
+    function readPlanDay(index, dayNumber) {
+        const plan = _readingPlans.getPlans ? _readingPlans.getPlans()[index] : null;
+        const schedule = plan ? _readingPlans.getSchedule(plan) : null;
+        const day = schedule ? schedule.days[dayNumber - 1] : null;
+        if (!day) {
+            console.warn(`APP: No day ${dayNumber} in reading plan #${index + 1}.`);
+            return;
+        }
+        const pairsByKey = new Map(_getAggregatedPairs().map(pair => [_getPairKey(pair), pair]));
+        const pairs = day.pairs.map(pair => pairsByKey.get(_getPairKey(pair))).filter(Boolean);
+        const missing = day.pairs.length - pairs.length;
+        if (pairs.length === 0) {
+            _showPlanStatusUI(_t('plans.dayMissing', { day: dayNumber }), true);
+            return;
+        }
+        _showPlanStatusUI(missing ? _t('plans.daySkipped', { count: missing, day: dayNumber }) : '', missing > 0);
+        _startPresentation({
+            pairs: pairs,
+            label: _t('plans.presentationLabel', { name: plan.name, day: dayNumber, days: schedule.days.length }),
+            planIndex: index
+        }, 0);
+    }
+
+    /**
+     * Opens or closes the settings panel. Called by event handler.
+     * @param {boolean} [open] - Omit to toggle.
+     */
+    function toggleSettingsPanel(open) {
+        _settingsOpen = open === undefined ? !_settingsOpen : !!open;
+        if (_settingsOpen) {
+            _renderManifestSourcesUI(_getManifestSources());
+            if (!_sourcesBusy) _showSourcesStatusUI('');
+        }
+        _showSettingsPanelUI(_settingsOpen);
+    }
+
+    /**
+     * Applies a change to the manifest sources: reloads and re-merges the manifest, then refreshes
+     * everything built from it. If no enabled source loads, the previous manifest stays in use.
+     * @param {function(): {saved: boolean}} change - A manifestSources call; throws on invalid input.
+     * @param {string} successText - Shown in the settings panel.
+     * @returns {Promise<boolean>} - False if the change was rejected.
+     */
+    async function _changeManifestSources(change, successText) {
+        if (_sourcesBusy) return false;
+        let result;
+        try {
+            result = change();
+        } catch (error) {
+            console.warn(`APP: Manifest source change rejected: ${error.message}`);
+            _showSourcesStatusUI(error.message, { isError: true });
+            return false;
+        }
+        _sourcesBusy = true;
+        _showSourcesStatusUI(_t('sources.loading'), { busy: true });
+        if (_manifestStartupFailed) {
+            window.location.reload(); // Start over with the changed sources
+            return true;
+        }
+        try {
+            await _fetchManifest();
+            _onManifestChanged();
+            if (_editorOpen) _renderManifestEditor(); // "adds to shipped" depends on the sources
+            const failed = _getManifestSources().filter(source => source.enabled && source.error);
+            if (!result.saved) {
+                _showSourcesStatusUI(_t('sources.saveFailed'), { isError: true });
+            } else if (failed.length) {
+                _showSourcesStatusUI(_t('sources.loadFailed', { status: successText, names: failed.map(source => source.name).join(', ') }), { isError: true });
+            } else {
+                _showSourcesStatusUI(successText);
+            }
+        } catch (error) {
+            console.error("APP: Reloading manifest sources failed:", error);
+            _showSourcesStatusUI(_t('sources.keptPrevious', { message: error.message }), { isError: true });
+        } finally {
+            _sourcesBusy = false;
+            _renderManifestSourcesUI(_getManifestSources());
+        }
+        return true;
+    }
+
+    /**
+     * Switches a manifest source on or off. Called by event handler.
+     * @param {string} sourceId
+     * @param {boolean} enabled
+     * @returns {Promise<boolean>}
+     */
+    function setManifestSourceEnabled(sourceId, enabled) {
+        const source = _getManifestSources().find(candidate => candidate.id === sourceId);
+        return _changeManifestSources(() => _manifestSources.setEnabled(sourceId, enabled),
+                                      _t(enabled ? 'sources.on' : 'sources.off', { name: source ? source.name : sourceId }));
+    }
+
+    /**
+     * Adds a manifest URL as a source. Called by event handler.
+     * @param {string} url
+     * @param {string} [name]
+     * @returns {Promise<boolean>} - False if the URL was rejected.
+     */
+    function addManifestUrlSource(url, name) {
+        return _changeManifestSources(() => _manifestSources.addUrlSource(url, name), _t('sources.added', { name: (name || url).trim() }));
+    }
+
+    /**
+     * Adds a local manifest file as a source (its contents are kept in this browser). Called by event handler.
+     * @param {File} file - The chosen .json file.
+     */
+    async function addManifestFileSource(file) {
+        if (!file) return;
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            _showSourcesStatusUI(_t('sources.readFailed', { file: file.name, message: error.message }), { isError: true });
+            return;
+        }
+        await _changeManifestSources(() => _manifestSources.addFileSource(file.name, text), _t('sources.added', { name: file.name }));
+    }
+
+    /**
+     * Removes an added manifest source. Called by event handler.
+     * @param {string} sourceId
+     * @returns {Promise<boolean>}
+     */
+    function removeManifestSource(sourceId) {
+        const source = _getManifestSources().find(candidate => candidate.id === sourceId);
+        return _changeManifestSources(() => _manifestSources.removeSource(sourceId), _t('sources.removed', { name: source ? source.name : sourceId }));
+    }
+
+    /**
+     * Renders the manifest editor from the stored user categories.
+     */
+    function _renderManifestEditor() {
+        const categories = _customCategories.getCategories ? _customCategories.getCategories() : [];
+        if (_editorSelectedIndex === null || _editorSelectedIndex >= categories.length) {
+            _editorSelectedIndex = categories.length ? Math.min(_editorSelectedIndex || 0, categories.length - 1) : null;
+        }
+        const shippedNames = new Set(_getShippedCategories().filter(category => category && typeof category.name === 'string')
+                                                            .map(category => category.name.trim().toLowerCase()));
+        _renderManifestEditorUI({
+            categories: categories.map(category => Object.assign({ extendsShipped: shippedNames.has(category.name.toLowerCase()) }, category)),
+            selectedIndex: _editorSelectedIndex
+        });
+    }
+
+    /**
+     * Runs one edit of the user categories, then refreshes the app and the editor.
+     * @param {function(): {saved: boolean}} edit - A customCategories mutator call; throws on invalid input.
+     * @param {string} successText - Shown in the editor footer.
+     * @returns {object|null} - The mutator's result, or null if it was rejected.
+     */
+    function _editCustomCategories(edit, successText) {
+        let result;
+        try {
+            result = edit();
+        } catch (error) {
+            console.warn(`APP: Category edit rejected: ${error.message}`);
+            _showEditorStatusUI(error.message, true);
+            return null;
+        }
+        _onManifestChanged();
+        _renderManifestEditor();
+        if (result.saved) _showEditorStatusUI(successText);
+        else _showEditorStatusUI(_t('editor.saveFailed'), true);
+        return result;
+    }
+
+    /**
+     * Opens or closes the manifest editor. Called by event handler.
+     * @param {boolean} [open] - Omit to toggle.
+     */
+    function toggleManifestEditor(open) {
+        if (!_customCategories.getCategories) {
+            console.error("APP: Custom categories module not loaded.");
+            return;
+        }
+        _editorOpen = open === undefined ? !_editorOpen : !!open;
+        if (_editorOpen) {
+            _renderManifestEditor();
+            _showEditorStatusUI('');
+        }
+        _showManifestEditorUI(_editorOpen);
+    }
+
+    /**
+     * Shows the pairs of a user category in the editor. Called by event handler.
+     * @param {number} index
+     */
+    function selectCustomCategory(index) {
+        _editorSelectedIndex = index;
+        _renderManifestEditor();
+        checkCustomPairDraft(_getPairDraftUI()); // The duplicate check depends on the category
+    }
+
+    /**
+     * Adds a user category and selects it in the editor. Called by event handler.
+     * @param {string} name
+     * @returns {boolean} - False if the name was rejected.
+     */
+    function createCustomCategory(name) {
+        const result = _editCustomCategories(
+            () => _customCategories.createCategory(name, { reservedNames: [ALL_CATEGORIES, BOOKMARKS_CATEGORY] }),
+            _t('editor.created', { name: name.trim() }));
+        if (!result) return false;
+        _editorSelectedIndex = result.index;
+        _renderManifestEditor();
+        return true;
+    }
+
+    /**
+     * Renames a user category; the category list follows it if it was showing. Called by event handler.
+     * @param {number} index
+     * @param {string} name
+     * @returns {boolean} - False if the name was rejected.
+     */
+    function renameCustomCategory(index, name) {
+        const previous = (_customCategories.getCategories()[index] || {}).name;
+        if (previous === name.trim()) return true;
+        const stillShipped = _getShippedCategories().some(category => category && category.name === previous);
+        if (_currentCategoryFilter === previous && !stillShipped) _currentCategoryFilter = name.trim();
+        const result = _editCustomCategories(
+            () => _customCategories.renameCategory(index, name, { reservedNames: [ALL_CATEGORIES, BOOKMARKS_CATEGORY] }),
+            _t('editor.renamed', { from: previous, to: name.trim() }));
+        if (!result && _currentCategoryFilter === name.trim()) _currentCategoryFilter = previous;
+        return !!result;
+    }
+
+    /**
+     * Moves a user category up or down (user-only categories are listed in this order). Called by event handler.
+     * @param {number} index
+     * @param {number} offset - -1 (up) or 1 (down).
+     */
+    function moveCustomCategory(index, offset) {
+        const result = _editCustomCategories(() => _customCategories.moveCategory(index, offset), _t('editor.orderSaved'));
+        if (result && _editorSelectedIndex === index) {
+            _editorSelectedIndex = result.index;
+            _renderManifestEditor();
+        }
+    }
+
+    /**
+     * Deletes a user category with its pairs. Called by event handler (after confirmation).
+     * @param {number} index
+     */
+    function deleteCustomCategory(index) {
+        const name = (_customCategories.getCategories()[index] || {}).name;
+        if (_editorSelectedIndex !== null && _editorSelectedIndex > index) _editorSelectedIndex--;
+        _editCustomCategories(() => _customCategories.deleteCategory(index), _t('editor.deleted', { name: name }));
+    }
+
+    /**
+     * Checks the pair being typed in the editor as the manifest check would, looks its verses up in the
+     * primary translation for a preview, and enables "Add pair" when it is complete and sound.
+     * Called by event handler (debounced) and after category changes.
+     * @param {{ot_ref: string, nt_ref: string, description: string}} draft
+     */
+    async function checkCustomPairDraft(draft) {
+        const draftToken = ++_pairDraftToken;
+        const checkRefs = options => (_manifestValidator.checkPairRefs ? _manifestValidator.checkPairRefs(draft, options) : []);
+        const structuralIssues = checkRefs();
+        const previews = { ot_ref: null, nt_ref: null };
+        const resolutionErrors = {};
+        await Promise.all(Object.keys(previews).map(async field => {
+            const refString = draft[field];
+            const unusable = structuralIssues.some(issue => issue.field === field && issue.code !== 'wrong-testament');
+            if (!refString || unusable) return;
+            if (!_isBsbDataReady()) {
+                previews[field] = { ref: refString, verses: null, error: _t('editor.textLoading'), moreCount: 0 };
+                return;
+            }
+            const result = await _getVerses(refString);
+            resolutionErrors[refString] = result.error || null;
+            previews[field] = result.error ?
+                { ref: refString, verses: null, error: result.error, moreCount: 0 } :
+                { ref: refString, verses: result.verses.slice(0, MAX_PREVIEW_VERSES), error: null,
+                  moreCount: Math.max(0, result.verses.length - MAX_PREVIEW_VERSES) };
+        }));
+        if (draftToken !== _pairDraftToken) return; // The user kept typing
+
+        const issues = Object.keys(resolutionErrors).length ? checkRefs({ resolutionErrors: resolutionErrors }) : structuralIssues;
+        if (draft.ot_ref && draft.nt_ref) {
+            const selected = _editorSelectedIndex !== null ? _customCategories.getCategories()[_editorSelectedIndex] : null;
+            const key = _getPairKey(draft);
+            const otherCategories = _getPairCategories(draft).filter(name => !selected || name !== selected.name);
+            if (selected && selected.pairs.some(pair => _getPairKey(pair) === key)) {
+                issues.push({ severity: 'error', code: 'duplicate-pair', message: _t('editor.duplicateHere', { name: selected.name }) });
+            } else if (otherCategories.length) {
+                issues.push({ severity: 'warning', code: 'duplicate-pair', message: _t('editor.duplicateElsewhere', { names: otherCategories.join(', ') }) });
+            }
+        }
+        _renderPairDraftUI({
+            issues: issues,
+            otPreview: previews.ot_ref,
+            ntPreview: previews.nt_ref,
+            canAdd: !!(draft.ot_ref && draft.nt_ref && draft.description) && !issues.some(issue => issue.severity === 'error')
+        });
+    }
+
+    /**
+     * Adds the typed pair to the selected user category. Called by event handler.
+     * @param {{ot_ref: string, nt_ref: string, description: string}} draft
+     */
+    function addCustomPair(draft) {
+        if (_editorSelectedIndex === null) return;
+        // Enter may submit before the debounced check has seen the last keystrokes
+        const refIssues = _manifestValidator.checkPairRefs ? _manifestValidator.checkPairRefs(draft) : [];
+        if (!draft.description || refIssues.length) {
+            _showEditorStatusUI(refIssues.length ? refIssues[0].message : _t('editor.needsDescription'), true);
+            checkCustomPairDraft(draft);
+            return;
+        }
+        const result = _editCustomCategories(() => _customCategories.addPair(_editorSelectedIndex, draft),
+                                             _t('editor.pairAdded', { ot: draft.ot_ref, nt: draft.nt_ref }));
+        if (result) _resetPairDraftUI();
+    }
+
+    /**
+     * Changes the description of a pair in the selected user category. Called by event handler.
+     * @param {number} pairIndex
+     * @param {string} description
+     */
+    function updateCustomPairDescription(pairIndex, description) {
+        if (_editorSelectedIndex === null) return;
+        _editCustomCategories(() => _customCategories.updatePair(_editorSelectedIndex, pairIndex, { description: description }),
+                              _t('editor.descriptionSaved'));
+    }
+
+    /**
+     * Removes a pair from the selected user category. Called by event handler.
+     * @param {number} pairIndex
+     */
+    function removeCustomPair(pairIndex) {
+        if (_editorSelectedIndex === null) return;
+        const pair = (_customCategories.getCategories()[_editorSelectedIndex] || { pairs: [] }).pairs[pairIndex];
+        _editCustomCategories(() => _customCategories.removePair(_editorSelectedIndex, pairIndex),
+                              pair ? _t('editor.pairRemoved', { ot: pair.ot_ref, nt: pair.nt_ref }) : _t('editor.removed'));
+    }
+
+    /**
+     * Downloads a references.json for contributors to submit upstream. Called by event handler.
+     * @param {string} which - 'combined' (shipped categories with the user's merged in) or 'user' (the user's categories only).
+     */
+    function downloadManifest(which) {
+        if (!_customCategories.serializeManifest) return;
+        const categories = which === 'user' ? _customCategories.getCategories() : _getAvailableCategories();
+        const report = _manifestValidator.validateManifest ?
+                       _manifestValidator.validateManifest({ categories: categories }, { getPairKey: _getPairKey }) : null;
+        _downloadFileUI(which === 'user' ? 'references.user.json' : 'references.json', _customCategories.serializeManifest(categories));
+        const pairCount = categories.reduce((count, category) =>
+            count + (category.name !== ALL_CATEGORIES && Array.isArray(category.pairs) ? category.pairs.length : 0), 0);
+        const problems = report && report.errorCount ? _t('editor.downloadProblems', { count: report.errorCount }) : '';
+        _showEditorStatusUI(_t('editor.downloaded', { count: pairCount, problems: problems }), !!problems);
+    }
+
+    /**
+     * Closes the manifest check panel for the rest of the session. Called by event handler.
+     */
+    function dismissValidationReport() {
+        _validationDismissed = true;
+        _renderValidationReportUI(null);
+        console.log("APP: Manifest check report dismissed.");
+    }
+
+    /**
+     * Expands or collapses the manifest check details. Called by event handler.
+     */
+    function toggleValidationDetails() {
+        _toggleValidationDetailsUI();
+    }
+
+    /**
+     * Opens the pair a manifest check issue refers to, in its category. Called by event handler.
+     * @param {{category: string, otRef: string, ntRef: string}} issue - From the issue list item's dataset.
+     */
+    function openValidationIssue(issue) {
+        const refs = { ot_ref: issue.otRef, nt_ref: issue.ntRef };
+        const categoryExists = _getAvailableCategories().some(category => category.name === issue.category);
+        console.log(`APP: Opening flagged pair ${issue.otRef} / ${issue.ntRef} in "${issue.category}".`);
+        filterAndRenderAppReferences(categoryExists ? issue.category : ALL_CATEGORIES, { selectRefs: refs });
+    }
+
+    /**
+     * Describes what a panel shows for its toolbar: the context lookup's own answer when there is one,
+     * otherwise chapter stepping is judged from the book registry (chapters before/after the cited ones).
+     * @param {string} refString - The panel's reference.
+     * @param {Array<object>} passages - Result of _buildPassages (primary translation first).
+     * @returns {{label: string, hasPrevious: boolean, hasNext: boolean} | null}
+     */
+    function _contextInfo(refString, passages) {
+        if (passages.length && passages[0].context) return passages[0].context.error ? null : passages[0].context;
+        const segments = _parseRefQuietly(refString).filter(segment => segment.bookId);
+        if (segments.length === 0) return null;
+        const anchorBookId = segments[0].bookId;
+        const anchorSegments = segments.filter(segment => segment.bookId === anchorBookId);
+        const book = _bookRegistry.getBookById ? _bookRegistry.getBookById(anchorBookId) : null;
+        return {
+            label: '',
+            hasPrevious: anchorSegments[0].startChapter > 1,
+            hasNext: !!book && anchorSegments[anchorSegments.length - 1].endChapter < book.chapters
+        };
+    }
+
+    /**
+     * Changes a passage panel's context view and re-renders that panel only. Called by event handler.
+     * @param {string} panel - 'ot' or 'nt'.
+     * @param {string} action - 'none' | 'verses' | 'chapter' | 'previous' | 'next' | 'count'.
+     * @param {number} [verseCount] - New N for 'count'.
+     */
+    async function setPassageContext(panel, action, verseCount) {
+        const state = _contextState[panel];
+        if (!state || !_currentSelectionRefPair) return;
+        if (action === 'previous' || action === 'next') {
+            state.chapterOffset += action === 'previous' ? -1 : 1;
+            state.level = 'chapter'; // Stepping reads whole chapters, including the cited one on the way back
+        } else if (action === 'count') {
+            state.verseCount = verseCount;
+            if (state.level === 'none') state.level = 'verses';
+        } else {
+            state.level = action;
+            state.chapterOffset = 0;
+        }
+        console.log(`APP: ${panel.toUpperCase()} context: ${state.level}, ±${state.verseCount}, chapter offset ${state.chapterOffset}.`);
+
+        const refPair = _currentSelectionRefPair;
+        const refString = panel === 'ot' ? refPair.ot_ref : refPair.nt_ref;
+        const contextToken = ++_contextTokens[panel];
+        const passages = await _buildPassages(refString, panel);
+        if (contextToken !== _contextTokens[panel] || refPair !== _currentSelectionRefPair) return; // Superseded
+        _displayPanelPassagesUI(panel, passages);
+        _updateContextControlsUI(panel, state, _contextInfo(refString, passages));
+        if (_compareMode) _highlightSharedTermsUI(_comparisons.get(_comparisonKey(refPair))?.comparison || null); // The panel was re-rendered
+    }
+
+    /**
+     * Identifies a pair's wording comparison: the verse text differs per translation.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @param {string} [translationId] - Defaults to the primary translation.
+     * @returns {string}
+     */
+    function _comparisonKey(pair, translationId = _getPrimaryTranslationId()) {
+        return `${translationId}|${_getPairKey(pair)}`;
+    }
+
+    /**
+     * A pair's wording similarity in the primary translation.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @returns {number|null} - 0 to 1; null if not compared yet or a ref did not resolve.
+     */
+    function _pairScore(pair) {
+        const entry = _comparisons.get(_comparisonKey(pair));
+        return entry && entry.comparison ? entry.comparison.score : null;
+    }
+
+    /**
+     * Compares the wording of a pair's two passages (textCompare.compareTexts), once per translation.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @param {string} translationId
+     * @returns {Promise<{comparison: object|null, error: string|null}>} - error is the lookup error of either ref.
+     */
+    async function _comparePair(pair, translationId) {
+        const key = _comparisonKey(pair, translationId);
+        if (_comparisons.has(key)) return _comparisons.get(key);
+        const [otResult, ntResult] = await Promise.all([_getVerses(pair.ot_ref, translationId), _getVerses(pair.nt_ref, translationId)]);
+        const error = otResult.error || ntResult.error || null;
+        const joinText = result => result.verses.map(verse => verse.text).join(' ');
+        const entry = {
+            comparison: error ? null : _textCompare.compareTexts(joinText(otResult), joinText(ntResult)),
+            error: error
+        };
+        if (_isTranslationReady(translationId)) _comparisons.set(key, entry); // "Not ready" answers are asked again later
+        return entry;
+    }
+
+    /**
+     * Marks the shared wording of the displayed pair and summarizes it above the passages.
+     * @param {{ot_ref: string, nt_ref: string}} refPair - The displayed pair.
+     * @param {number} displayToken - _displayToken of that display; a newer selection discards the result.
+     */
+    async function _showComparison(refPair, displayToken) {
+        if (!_textCompare.compareTexts) {
+            _showComparisonUI(true, _t('compare.unavailable'));
+            return;
+        }
+        if (!_isBsbDataReady()) {
+            _showComparisonUI(true, _t('compare.waiting'));
+            return;
+        }
+        const entry = await _comparePair(refPair, _getPrimaryTranslationId());
+        if (displayToken !== _displayToken || !_compareMode) return;
+        if (entry.error) {
+            _highlightSharedTermsUI(null);
+            _showComparisonUI(true, _t('compare.failed', { message: entry.error }));
+            return;
+        }
+        const comparison = entry.comparison;
+        _highlightSharedTermsUI(comparison);
+        _showComparisonUI(true, {
+            percent: Math.round(comparison.score * 100),
+            kindLabel: _t(SIMILARITY_LABELS[_textCompare.classifyScore(comparison.score)].pair),
+            phrases: comparison.phrases.map(phrase => phrase.text),
+            words: comparison.sharedWords
+        });
+    }
+
+    /**
+     * Turns the wording comparison of the detail view on or off. Called by event handler.
+     */
+    function toggleComparison() {
+        _compareMode = !_compareMode;
+        console.log(`APP: Wording comparison ${_compareMode ? 'on' : 'off'}.`);
+        if (_compareMode && _currentSelectionRefPair) {
+            _showComparison(_currentSelectionRefPair, _displayToken);
+            return;
+        }
+        _highlightSharedTermsUI(null);
+        _showComparisonUI(_compareMode, null);
+    }
+
+    /**
+     * Switches the interface language and redraws what scripts rendered in the old one: category and
+     * reference navigation, the reference list (group headings, book names), the detail view and the open panels.
+     * Called by event handler when the language selector changes.
+     * @param {string} language - A language with a catalog (i18n.getLanguages).
+     */
+    function setLanguage(language) {
+        let result;
+        try {
+            result = _setLanguage(language);
+        } catch (error) {
+            console.warn(`APP: ${error.message}`);
+            return;
+        }
+        if (!result.saved) console.warn("APP: The language could not be saved; it applies to this visit only.");
+        _applyLanguageUI(result.language, _getDirection(), _getLanguages());
+        _refreshCategoryNav();
+        if (_navMode !== 'category') {
+            _renderReferenceNavUI(_navMode, _reverseIndex);
+            _updateReferenceNavSelectionUI(_getCurrentNavKey());
+        }
+        _refreshTranslationControls();
+        setListOrder(_listOrder); // Re-renders the list and the selected pair
+        if (_currentSelectionRefPair) _updatePairMarkersUI(_getNoteEntry(_currentSelectionRefPair));
+        // Open panels are redrawn with their script-built text in the new language
+        if (_graphOpen) _renderGraph();
+        if (_quizOpen) {
+            _refreshQuizSetup();
+            if (_quizSummary && !_quizSession) _renderQuizSummaryUI(_quizSummary, _getQuizTypeLabels());
+        }
+        if (_plansOpen) _refreshReadingPlans();
+        if (_editorOpen) _renderManifestEditor();
+        if (_settingsOpen) _renderManifestSourcesUI(_getManifestSources());
+        if (_validationReport && !_validationDismissed) _renderValidationReportUI(_validationReport);
+        _refreshPresentation();
+        _refreshCacheInfo();
+    }
+
+    /**
+     * Compares every pair of the manifest (and the current list) in the primary translation for the 'similarity'
+     * list order, then re-sorts the list. One run at a time; a run repeats while the translation or manifest
+     * changes under it.
+     */
+    async function _scoreAllPairs() {
+        if (_scoringInProgress || !_textCompare.compareTexts) return;
+        _scoringInProgress = true;
+        let comparedCount = 0;
+        try {
+            for (;;) {
+                const translationId = _getPrimaryTranslationId();
+                if (!translationId || !_isTranslationReady(translationId)) break; // Started again once it is loaded
+                const pending = new Map();
+                _getAggregatedPairs().concat(_filteredReferences).forEach(pair => {
+                    const key = _comparisonKey(pair, translationId);
+                    if (!_comparisons.has(key)) pending.set(key, pair);
+                });
+                if (pending.size === 0) break;
+                console.log(`APP: Comparing the wording of ${pending.size} pairs in ${translationId}.`);
+                await Promise.all([...pending.values()].map(pair => _comparePair(pair, translationId)));
+                comparedCount += pending.size;
+            }
+        } catch (error) {
+            console.error("APP: Could not compare the wording of the pairs:", error);
+        } finally {
+            _scoringInProgress = false;
+        }
+        if (comparedCount > 0 && _listOrder === 'similarity') setListOrder('similarity');
+    }
+
+    /**
+     * Redisplays the currently selected pair (e.g., after a translation change).
+     */
+    function _refreshCurrentPair() {
+        if (_currentSelectionRefPair !== null && _currentSelectionIndex !== null) {
+            displayAppDetailedPair(_currentSelectionIndex, undefined, { routeMode: 'none' });
+        }
+    }
+
+    /**
+     * Re-renders the footer selector and the parallel checkboxes from current state.
+     */
+    function _refreshTranslationControls() {
+        _populateTranslationControlsUI(_getTranslations(), _getPrimaryTranslationId(), _parallelTranslationIds);
+    }
+
+    /**
+     * Switches the primary translation. Called by event handler when the footer selector changes.
+     * @param {string} translationId - Registry id of the new primary translation.
+     */
+    async function setPrimaryTranslation(translationId) {
+        if (translationId === _getPrimaryTranslationId()) return;
+        console.log(`APP: Switching primary translation to ${translationId}`);
+        _displayTranslationNameUI(_t('footer.translationLoading'));
+        try {
+            delete _translationLoadErrors[translationId];
+            await _setPrimaryTranslation(translationId, _updateLoadProgressUI);
+            // A translation is never shown next to itself
+            _parallelTranslationIds = _parallelTranslationIds.filter(id => id !== translationId);
+        } catch (error) {
+            console.error(`APP: Could not switch to translation ${translationId}:`, error);
+            _translationLoadErrors[translationId] = error.message;
+        }
+        _updateLoadProgressUI(null);
+        _displayTranslationNameUI(_getTranslationName());
+        _refreshTranslationControls();
+        _refreshCurrentPair();
+        _refreshCacheInfo();
+        _precachePrimaryTranslation();
+        _buildBibleSearchIndex();
+        _validateManifest(); // Refs are looked up in the new primary translation
+        if (_listOrder === 'similarity') setListOrder('similarity'); // Scores of the new translation
+        _arcOutline = null; // The timeline is rescaled by the new translation
+        if (_graphOpen && _graphType === 'arcs') _renderGraph();
+    }
+
+    /**
+     * Shows or hides a translation as a parallel column. Called by event handler.
+     * @param {string} translationId - Registry id.
+     * @param {boolean} enabled - Whether the column should be shown.
+     */
+    function toggleParallelTranslation(translationId, enabled) {
+        _parallelTranslationIds = _parallelTranslationIds.filter(id => id !== translationId);
+        if (enabled && _parallelTranslationIds.length < _getMaxParallelTranslations()) {
+            delete _translationLoadErrors[translationId]; // Retry a previously failed load
+            _parallelTranslationIds.push(translationId);
+        }
+        console.log(`APP: Parallel translations: [${_parallelTranslationIds.join(', ')}]`);
+        _refreshTranslationControls();
+        _refreshCurrentPair();
+    }
+
+    /**
+     * Asks the service worker to keep the primary translation file available offline.
+     */
+    function _precachePrimaryTranslation() {
+        const primary = _getTranslations().find(translation => translation.id === _getPrimaryTranslationId());
+        if (primary && primary.loaded) _precacheUrls([primary.url]);
+    }
+
+    /**
+     * Updates the offline cache readout in the footer.
+     * @param {string} [note] - Optional status text to append.
+     */
+    async function _refreshCacheInfo(note) {
+        try {
+            _updateCacheInfoUI(await _getCacheInfo(), note);
+        } catch (error) {
+            console.error("APP: Could not read cache info:", error);
+            _updateCacheInfoUI(null);
+        }
+    }
+
+    /**
+     * Deletes the IndexedDB copy of all translations. Called by event handler.
+     * Data already in memory keeps working; the next page load re-downloads.
+     */
+    async function clearCachedData() {
+        try {
+            await _clearCachedData();
+            await _refreshCacheInfo(_t('cache.cleared'));
+        } catch (error) {
+            console.error("APP: Clearing cached data failed:", error);
+            await _refreshCacheInfo(_t('cache.clearFailed', { message: error.message }));
+        }
+    }
+
+    /**
+     * Indexes the unique pairs of all categories (see dataFetcher.getAggregatedPairs)
+     * by description, refs and category names for search.
+     */
+    function _buildManifestSearchIndex() {
+        if (!_searchIndex.createIndex) {
+            console.error("APP: Search index module not loaded. Search disabled.");
+            return;
+        }
+        _searchPairs = _getAggregatedPairs().map(pair => ({
+            pair: pair,
+            categories: pair.categories,
+            otSegments: _parseRefQuietly(pair.ot_ref),
+            ntSegments: _parseRefQuietly(pair.nt_ref)
+        }));
+
+        const index = _searchIndex.createIndex();
+        const documents = _searchPairs.map((entry, position) => ({
+            docId: position,
+            fields: [
+                { text: entry.pair.description, weight: 2 },
+                { text: `${entry.pair.ot_ref} ${entry.pair.nt_ref}` },
+                { text: entry.categories.join(' ') }
+            ]
+        }));
+        const searchPairs = _searchPairs;
+        _manifestSearchIndex = null; // Positions changed; pair search waits for the new index
+        _searchIndex.addDocumentsIncrementally(index, documents, null, 200).then(() => {
+            if (searchPairs !== _searchPairs) return; // Rebuilt after a manifest edit meanwhile
+            _manifestSearchIndex = index;
+            console.log(`APP: Manifest search index ready (${documents.length} pairs).`);
+            if (_lastSearchQuery) runSearch(_lastSearchQuery); // Typed before the index was ready
+        });
+    }
+
+    /**
+     * Parses a manifest ref for sorting and reference search; refs that do not parse (e.g., "Adam") give no segments.
+     * @param {string} refString
+     * @returns {Array<object>}
+     */
+    function _parseRefQuietly(refString) {
+        try {
+            return _referenceParser.parseReference ? _referenceParser.parseReference(refString) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Builds the verse-text search index for the primary translation, showing progress under the search box.
+     */
+    async function _buildBibleSearchIndex() {
+        const translationId = _getPrimaryTranslationId();
+        try {
+            await _buildSearchIndex(progress => {
+                if (translationId !== _getPrimaryTranslationId()) return;
+                const percent = progress.total ? Math.floor(100 * progress.loaded / progress.total) : 0;
+                _updateSearchStatusUI(_t('search.indexing', { translation: translationId, percent: percent }));
+            }, translationId);
+            if (translationId !== _getPrimaryTranslationId()) return;
+            _updateSearchStatusUI('');
+            if (_lastSearchQuery) runSearch(_lastSearchQuery); // Earlier results covered part of the text only
+        } catch (error) {
+            console.error("APP: Building the verse search index failed:", error);
+            _updateSearchStatusUI(_t('search.unavailable'));
+        }
+    }
+
+    /**
+     * Searches pair descriptions/refs and verse text together. Called by event handler as the user types.
+     * Input that reads as a reference ("mic 5 2") lists the pairs citing that passage instead.
+     * @param {string} query - Search box text; empty hides the results.
+     * @returns {Promise<void>}
+     */
+    async function runSearch(query) {
+        const searchToken = ++_searchToken;
+        const trimmed = (query || '').trim();
+        _lastSearchQuery = trimmed;
+        if (!trimmed) {
+            _renderSearchResultsUI(null);
+            return;
+        }
+
+        const referenceSegments = _referenceParser.parseSearchReference ? _referenceParser.parseSearchReference(trimmed) : null;
+        if (referenceSegments) {
+            const referenceLabel = _describeSegments(referenceSegments);
+            const citing = _searchPairs.filter(entry =>
+                _referenceParser.segmentsOverlap(referenceSegments, entry.otSegments) ||
+                _referenceParser.segmentsOverlap(referenceSegments, entry.ntSegments));
+            console.log(`APP: "${trimmed}" read as a reference; ${citing.length} pairs cite it.`);
+            // With no citing pairs, show the passage itself so the search still leads somewhere
+            const passage = citing.length > 0 ? { verses: [] } : await _getVerses(referenceLabel);
+            if (searchToken !== _searchToken) return; // A newer search has started
+            const verses = passage.verses.slice(0, MAX_VERSE_RESULTS).map(verse => Object.assign({ matchedTerms: [] }, verse));
+            _renderSearchResultsUI({
+                reference: referenceLabel,
+                pairs: citing.map(entry => Object.assign({ matchedTerms: [] }, entry)),
+                verses: verses, verseTotal: passage.verses.length, versesComplete: true
+            });
+            return;
+        }
+
+        const pairHits = _manifestSearchIndex ? _manifestSearchIndex.search(trimmed, MAX_PAIR_RESULTS).results : [];
+        const verseHits = await _searchBible(trimmed, MAX_VERSE_RESULTS);
+        if (searchToken !== _searchToken) return; // A newer search has started
+        _renderSearchResultsUI({
+            reference: null,
+            pairs: pairHits.map(hit => Object.assign({ matchedTerms: hit.matchedTerms }, _searchPairs[hit.docId])),
+            verses: verseHits.results,
+            verseTotal: verseHits.total,
+            versesComplete: verseHits.complete
+        });
+    }
+
+    /**
+     * Formats parsed segments for display ("Micah 5:2", "Isaiah 53").
+     * @param {Array<object>} segments
+     * @returns {string}
+     */
+    function _describeSegments(segments) {
+        return segments.map(segment => {
+            const start = segment.startVerse !== null ? `${segment.startChapter}:${segment.startVerse}` : `${segment.startChapter}`;
+            const isSingle = segment.startChapter === segment.endChapter && segment.startVerse === segment.endVerse;
+            if (isSingle) return `${segment.book} ${start}`;
+            const end = segment.endVerse !== null ?
+                        (segment.endChapter === segment.startChapter ? `${segment.endVerse}` : `${segment.endChapter}:${segment.endVerse}`) :
+                        `${segment.endChapter}`;
+            return `${segment.book} ${start}-${end}`;
+        }).join('; ');
+    }
+
+    /**
+     * Opens a search result. Called by event handler.
+     * Pairs are selected in the current list if they are in it, otherwise shown in "All Categories";
+     * verses become a reference search for the pairs citing them.
+     * @param {{resultType: string, otRef?: string, ntRef?: string, reference?: string}} result
+     *        - The result item's data attributes.
+     */
+    function openSearchResult(result) {
+        if (result.resultType === 'pair') {
+            const refs = { ot_ref: result.otRef, nt_ref: result.ntRef };
+            const index = _findPairIndex(refs);
+            console.log(`APP: Opening search result ${result.otRef} / ${result.ntRef}${index === -1 ? ' in All Categories' : ''}.`);
+            if (index !== -1) displayAppDetailedPair(index);
+            else filterAndRenderAppReferences(ALL_CATEGORIES, { selectRefs: refs });
+        } else if (result.resultType === 'verse') {
+            _setSearchQueryUI(result.reference);
+            runSearch(result.reference);
+        }
+    }
+
     // --- Public Methods / Getters ---
     return {
         initializeApp: initializeApp,
         filterAndRenderAppReferences: filterAndRenderAppReferences,
         displayAppDetailedPair: displayAppDetailedPair,
-        getFilteredReferencesCount: function() { return _filteredReferences.length; }
+        setPrimaryTranslation: setPrimaryTranslation,
+        toggleParallelTranslation: toggleParallelTranslation,
+        clearCachedData: clearCachedData,
+        setListOrder: setListOrder,
+        setLanguage: setLanguage,
+        setPassageContext: setPassageContext,
+        setNavMode: setNavMode,
+        selectAdjacentPair: selectAdjacentPair,
+        selectAdjacentCategory: selectAdjacentCategory,
+        filterAndRenderAppByReference: filterAndRenderAppByReference,
+        runSearch: runSearch,
+        openSearchResult: openSearchResult,
+        dismissValidationReport: dismissValidationReport,
+        toggleValidationDetails: toggleValidationDetails,
+        openValidationIssue: openValidationIssue,
+        toggleBookmark: toggleBookmark,
+        setPairHighlight: setPairHighlight,
+        editNote: editNote,
+        saveNote: saveNote,
+        cancelNoteEdit: cancelNoteEdit,
+        exportNotes: exportNotes,
+        importNotes: importNotes,
+        exportSelection: exportSelection,
+        toggleGraphView: toggleGraphView,
+        setGraphType: setGraphType,
+        setGraphLevel: setGraphLevel,
+        setGraphCategoryIncluded: setGraphCategoryIncluded,
+        setGraphCategories: setGraphCategories,
+        focusGraphNode: focusGraphNode,
+        openGraphPair: openGraphPair,
+        toggleQuizView: toggleQuizView,
+        setQuizScope: setQuizScope,
+        startQuiz: startQuiz,
+        nextQuizQuestion: nextQuizQuestion,
+        answerQuiz: answerQuiz,
+        endQuiz: endQuiz,
+        openQuizPair: openQuizPair,
+        resetQuizProgress: resetQuizProgress,
+        presentCurrentList: presentCurrentList,
+        showPresentationSlide: showPresentationSlide,
+        stepPresentation: stepPresentation,
+        toggleSpeakerNotes: toggleSpeakerNotes,
+        exitPresentation: exitPresentation,
+        togglePlanView: togglePlanView,
+        createReadingPlan: createReadingPlan,
+        deleteReadingPlan: deleteReadingPlan,
+        setPlanDayRead: setPlanDayRead,
+        readPlanDay: readPlanDay,
+        toggleComparison: toggleComparison,
+        previewArc: previewArc,
+        toggleSettingsPanel: toggleSettingsPanel,
+        setManifestSourceEnabled: setManifestSourceEnabled,
+        addManifestUrlSource: addManifestUrlSource,
+        addManifestFileSource: addManifestFileSource,
+        removeManifestSource: removeManifestSource,
+        toggleManifestEditor: toggleManifestEditor,
+        selectCustomCategory: selectCustomCategory,
+        createCustomCategory: createCustomCategory,
+        renameCustomCategory: renameCustomCategory,
+        moveCustomCategory: moveCustomCategory,
+        deleteCustomCategory: deleteCustomCategory,
+        checkCustomPairDraft: checkCustomPairDraft,
+        addCustomPair: addCustomPair,
+        updateCustomPairDescription: updateCustomPairDescription,
+        removeCustomPair: removeCustomPair,
+        downloadManifest: downloadManifest,
+        getFilteredReferencesCount: function() { return _filteredReferences.length; },
+        isPresenting: function() { return _presentation !== null; }
     };
 })();
 
@@ -0,0 +1,174 @@
+/**
+ * arc_diagram.js - Canon timeline: the 66 books on one horizontal axis in canonical order, each as wide
+ * as its chapter count, and every pair drawn as an arc from its OT location to its NT location.
+ * The scale comes from the indexed Bible data (dataFetcher.getBookOutline: verses per chapter, so arcs
+ * land on the cited verse); until it is loaded, and for books a translation lacks, the chapter counts of
+ * the book registry are used and arcs land mid-chapter.
+ * An arc starts at the first passage of its ot_ref and ends at the first passage of its nt_ref.
+ * Pairs with a side that names no Bible book are returned in `unplaced`. Drawn by ui_manager.js.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.bookRegistry = ProphecyApp.bookRegistry || require('./book_registry.js');
+    ProphecyApp.referenceParser = ProphecyApp.referenceParser || require('./reference_parser.js');
+}
+
+ProphecyApp.arcDiagram = (function() {
+    // Assumes book_registry.js and reference_parser.js are loaded before this module
+    const _bookRegistry = ProphecyApp.bookRegistry || {};
+    const _referenceParser = ProphecyApp.referenceParser || {};
+
+    // Layout defaults, in SVG user units (the SVG scales to its container)
+    const DEFAULT_LAYOUT = {
+        width: 1200,
+        margin: 10,       // Left and right of the axis
+        bookGap: 2,       // Between neighbouring books
+        arcHeight: 360,   // Height of the widest possible arc (first chapter of Genesis to last of Revelation)
+        axisHeight: 12,
+        labelSpace: 70    // Below the axis, for the rotated book labels
+    };
+
+    /**
+     * Places the books on the axis.
+     * @param {Object<string, Array<number>> | null} outline - bookId -> verses per chapter (dataFetcher.getBookOutline);
+     *        null (Bible data not loaded) uses the registry's chapter counts.
+     * @param {object} [options] - Overrides of DEFAULT_LAYOUT.
+     * @returns {{width: number, height: number, axisY: number, axisHeight: number, arcHeight: number, fromBibleData: boolean,
+     *           books: Array<{id: string, name: string, testament: string, x: number, width: number, chapters: number,
+     *           verseCounts: Array<number>|null}>}} - fromBibleData is false when any book's scale came from the registry.
+     */
+    function buildAxis(outline, options = {}) {
+        const settings = Object.assign({}, DEFAULT_LAYOUT, options);
+        const records = _bookRegistry.getAllBooks();
+        let fromBibleData = true;
+        const sized = records.map(record => {
+            const verseCounts = outline && Array.isArray(outline[record.id]) && outline[record.id].length ? outline[record.id] : null;
+            if (!verseCounts) fromBibleData = false;
+            return { record: record, chapters: verseCounts ? verseCounts.length : record.chapters, verseCounts: verseCounts };
+        });
+        const totalChapters = sized.reduce((sum, book) => sum + book.chapters, 0);
+        const chapterWidth = (settings.width - 2 * settings.margin - (sized.length - 1) * settings.bookGap) / totalChapters;
+
+        let x = settings.margin;
+        const books = sized.map(book => {
+            const placed = {
+                id: book.record.id,
+                name: book.record.name,
+                testament: book.record.testament,
+                x: x,
+                width: book.chapters * chapterWidth,
+                chapters: book.chapters,
+                verseCounts: book.verseCounts
+            };
+            x += placed.width + settings.bookGap;
+            return placed;
+        });
+        const axisY = settings.margin + settings.arcHeight;
+        return {
+            width: settings.width,
+            height: axisY + settings.axisHeight + settings.labelSpace,
+            axisY: axisY,
+            axisHeight: settings.axisHeight,
+            arcHeight: settings.arcHeight,
+            fromBibleData: fromBibleData,
+            books: books
+        };
+    }
+
+    /**
+     * The x position of a verse on the axis.
+     * @param {object} axis - Result of buildAxis.
+     * @param {string} bookId
+     * @param {number} chapter
+     * @param {number|null} verse - null for a whole chapter (its middle).
+     * @returns {number|null} - null for a book not on the axis.
+     */
+    function locate(axis, bookId, chapter, verse) {
+        const book = axis.books.find(candidate => candidate.id === bookId);
+        if (!book) return null;
+        const chapterIndex = Math.min(Math.max(chapter, 1), book.chapters) - 1;
+        const verseCount = book.verseCounts ? book.verseCounts[chapterIndex] : 0;
+        const withinChapter = (verse === null || !verseCount) ? 0.5 : (Math.min(Math.max(verse, 1), verseCount) - 0.5) / verseCount;
+        return book.x + (chapterIndex + withinChapter) * (book.width / book.chapters);
+    }
+
+    /**
+     * The first passage of a ref that names a known book.
+     * @param {string} refString
+     * @returns {object|null} - A reference_parser segment.
+     */
+    function _firstSegment(refString) {
+        try {
+            return _referenceParser.parseReference(refString).find(segment => segment.bookId) || null;
+        } catch (error) {
+            return null; // Not a Bible reference ("Adam")
+        }
+    }
+
+    /**
+     * Draws every pair as an arc above the axis, from its OT location to its NT location. Arcs are half-ellipses
+     * whose height grows with their span, so the widest possible arc is axis.arcHeight tall.
+     * Categories work as layers: the axis does not depend on them, so hiding one only removes its arcs.
+     * @param {Array<object>} pairs - Merged pairs (see dataFetcher.getAggregatedPairs); each carries its categories.
+     * @param {object} axis - Result of buildAxis.
+     * @param {object} [options]
+     * @param {Array<string>|null} [options.categories=null] - Only pairs in one of these categories; null for all.
+     * @returns {{arcs: Array<{id: number, pair: object, category: string|null, x1: number, x2: number, path: string}>,
+     *           unplaced: Array<object>}} - Arcs keep the order of the pairs; category is the pair's first category
+     *           that passes the filter (it colors the arc).
+     */
+    function layoutArcs(pairs, axis, options = {}) {
+        const included = Array.isArray(options.categories) ? new Set(options.categories) : null;
+        const arcs = [];
+        const unplaced = [];
+        const axisStart = axis.books[0].x;
+        const axisEnd = axis.books[axis.books.length - 1].x + axis.books[axis.books.length - 1].width;
+        const heightPerUnit = axis.arcHeight / ((axisEnd - axisStart) / 2); // Vertical radius per unit of horizontal radius
+        const round = value => Math.round(value * 10) / 10;
+
+        (pairs || []).forEach(pair => {
+            const categories = Array.isArray(pair.categories) ? pair.categories : [];
+            const category = included ? categories.find(name => included.has(name)) : categories[0];
+            if (included && category === undefined) return;
+            const ot = _firstSegment(pair.ot_ref);
+            const nt = _firstSegment(pair.nt_ref);
+            const x1 = ot ? locate(axis, ot.bookId, ot.startChapter, ot.startVerse) : null;
+            const x2 = nt ? locate(axis, nt.bookId, nt.startChapter, nt.startVerse) : null;
+            if (x1 === null || x2 === null) {
+                unplaced.push(pair);
+                return;
+            }
+            const left = Math.min(x1, x2);
+            const right = Math.max(x1, x2);
+            const radiusX = Math.max((right - left) / 2, 0.5);
+            const radiusY = radiusX * heightPerUnit;
+            arcs.push({
+                id: arcs.length,
+                pair: pair,
+                category: category || null,
+                x1: round(x1),
+                x2: round(x2),
+                path: `M ${round(left)} ${axis.axisY} A ${round(radiusX)} ${round(radiusY)} 0 0 1 ${round(right)} ${axis.axisY}`
+            });
+        });
+        console.log(`ARC_DIAGRAM: ${arcs.length} arcs on a ${axis.fromBibleData ? 'Bible data' : 'registry'} scale; ${unplaced.length} pairs not drawn.`);
+        return { arcs: arcs, unplaced: unplaced };
+    }
+
+    // Expose layout functions
+    return {
+        buildAxis: buildAxis,
+        locate: locate,
+        layoutArcs: layoutArcs
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.arcDiagram;
+}
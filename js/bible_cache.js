@@ -0,0 +1,192 @@
+/**
+ * bible_cache.js - Persists indexed translations in IndexedDB so later page loads skip the
+ * download and indexing. Each record is keyed by translation id and carries the registry
+ * version, the source validator (ETag/Last-Modified) and a content hash for invalidation.
+ * Used by bible_service.js (inside the worker or on the main thread).
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+ProphecyApp.bibleCache = (function() {
+    const DB_NAME = 'prophecy-viewer';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'translations';
+
+    let _dbPromise = null;
+
+    /**
+     * Wraps an IDBRequest in a Promise.
+     * @param {IDBRequest} request
+     * @returns {Promise<*>}
+     */
+    function _promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Opens (and on first use creates) the cache database.
+     * @returns {Promise<IDBDatabase|null>} - null when IndexedDB is unavailable or blocked.
+     */
+    function _openDb() {
+        if (_dbPromise) return _dbPromise;
+        if (typeof indexedDB === 'undefined') {
+            console.warn("BIBLE_CACHE: IndexedDB unavailable. Indexed data will not be cached.");
+            _dbPromise = Promise.resolve(null);
+            return _dbPromise;
+        }
+        let request;
+        try {
+            request = indexedDB.open(DB_NAME, DB_VERSION);
+        } catch (error) {
+            console.warn("BIBLE_CACHE: IndexedDB is blocked. Indexed data will not be cached.", error);
+            _dbPromise = Promise.resolve(null);
+            return _dbPromise;
+        }
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'translationId' });
+        };
+        _dbPromise = _promisify(request).catch(error => {
+            console.warn("BIBLE_CACHE: Could not open IndexedDB (private mode?):", error);
+            return null;
+        });
+        return _dbPromise;
+    }
+
+    /**
+     * Runs one operation against the translations store.
+     * @param {string} mode - 'readonly' or 'readwrite'.
+     * @param {function(IDBObjectStore): IDBRequest} operation
+     * @returns {Promise<*>} - The request result, or null if the cache is unavailable.
+     */
+    async function _withStore(mode, operation) {
+        const db = await _openDb();
+        if (!db) return null;
+        const transaction = db.transaction(STORE_NAME, mode);
+        return _promisify(operation(transaction.objectStore(STORE_NAME)));
+    }
+
+    /**
+     * Reads a cached translation.
+     * @param {string} translationId - Registry id.
+     * @returns {Promise<object|null>} - {translationId, version, sourceToken, contentHash, translationName, index, cachedAt}, or null.
+     */
+    async function getTranslation(translationId) {
+        try {
+            return (await _withStore('readonly', store => store.get(translationId))) || null;
+        } catch (error) {
+            console.warn(`BIBLE_CACHE: Read failed for ${translationId}; treating as not cached.`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Stores (or replaces) a cached translation. Failures (e.g., quota) are logged, not thrown.
+     * @param {object} record - See getTranslation.
+     */
+    async function putTranslation(record) {
+        try {
+            await _withStore('readwrite', store => store.put(record));
+            console.log(`BIBLE_CACHE: Cached ${record.translationId} (version=${record.version || 'n/a'}, hash=${record.contentHash}).`);
+        } catch (error) {
+            console.warn(`BIBLE_CACHE: Could not cache ${record.translationId}:`, error);
+        }
+    }
+
+    /**
+     * Removes one cached translation (e.g., when it is found to be corrupt).
+     * @param {string} translationId - Registry id.
+     */
+    async function deleteTranslation(translationId) {
+        try {
+            await _withStore('readwrite', store => store.delete(translationId));
+        } catch (error) {
+            console.warn(`BIBLE_CACHE: Could not delete ${translationId}:`, error);
+        }
+    }
+
+    /**
+     * Removes every cached translation.
+     * @returns {Promise<boolean>} - False if the cache is unavailable or could not be cleared.
+     */
+    async function clearAll() {
+        try {
+            const db = await _openDb();
+            if (!db) return false;
+            await _withStore('readwrite', store => store.clear());
+            console.log("BIBLE_CACHE: All cached translations cleared.");
+            return true;
+        } catch (error) {
+            console.warn("BIBLE_CACHE: Could not clear the cache:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Summarizes what is cached and how much storage the origin uses.
+     * @returns {Promise<{available: boolean, translations: Array<object>, usage: number|null, quota: number|null} | null>}
+     *          - null if the cache could not be read.
+     */
+    async function getInfo() {
+        try {
+            const db = await _openDb();
+            const info = { available: !!db, translations: [], usage: null, quota: null };
+            if (db) {
+                const records = await _withStore('readonly', store => store.getAll());
+                info.translations = (records || []).map(record => ({
+                    translationId: record.translationId,
+                    version: record.version,
+                    contentHash: record.contentHash,
+                    cachedAt: record.cachedAt
+                }));
+            }
+            if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+                const estimate = await navigator.storage.estimate();
+                info.usage = estimate.usage;
+                info.quota = estimate.quota;
+            }
+            return info;
+        } catch (error) {
+            console.warn("BIBLE_CACHE: Could not read the cache summary:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Hashes file contents so a re-downloaded, unchanged file can reuse the cached index.
+     * Uses SHA-256 where SubtleCrypto exists (secure contexts), otherwise 32-bit FNV-1a.
+     * @param {string} text - The downloaded file contents.
+     * @returns {Promise<string>} - Hex digest prefixed with the algorithm name.
+     */
+    async function hashContent(text) {
+        if (typeof crypto !== 'undefined' && crypto.subtle && typeof TextEncoder !== 'undefined') {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+            return 'sha256:' + Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return 'fnv1a:' + (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // Expose cache operations
+    return {
+        getTranslation: getTranslation,
+        putTranslation: putTranslation,
+        deleteTranslation: deleteTranslation,
+        clearAll: clearAll,
+        getInfo: getInfo,
+        hashContent: hashContent
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.bibleCache;
+}
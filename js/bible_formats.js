@@ -0,0 +1,571 @@
+/**
+ * bible_formats.js - Source adapters that turn Bible files into the internal index
+ * ({ bookId: { chapter: { verse: text } } }, registry ids as keys) read by reference_parser.js.
+ * Formats:
+ *   bsb-json  - { translation, books: [{ name, chapters: [{ chapter, verses: [{ verse, text }] }] }] } (bsb_parser.js)
+ *   usfm      - Unified Standard Format Markers; one or more books (\id) per file
+ *   osis      - OSIS XML; container (<verse osisID>..</verse>) or milestone (<verse sID/>..<verse eID/>) verses
+ *   zefania   - Zefania XML (<XMLBIBLE><BIBLEBOOK bnumber><CHAPTER cnumber><VERS vnumber>)
+ * detectFormat picks the adapter from the file extension, falling back to the file content.
+ *
+ * Formatting quirks are handled the same way in every adapter:
+ *   - Footnotes, cross-references and alternate readings are removed (USFM \f \fe \x, OSIS <note> <rdg>, Zefania <NOTE> <XREF>).
+ *   - Section headings, Psalm superscriptions and book titles are removed (USFM \s \ms \mr \r \d \mt ..,
+ *     OSIS <title>, Zefania <CAPTION>); only verse text is indexed.
+ *   - Character styling (words of Jesus, added words, divine name, Strong's tagged words) keeps its text;
+ *     word-level attributes (USFM "|strong=...", OSIS lemma) are dropped.
+ *   - Whitespace is collapsed to single spaces.
+ *   - Verse bridges ("\v 4-5", osisID="Isa.53.4 Isa.53.5", vnumber="4-5"): the whole text is stored on the
+ *     first verse; every later verse of the bridge stores "[See verse 4]" so it still resolves on its own
+ *     and a range lookup shows the text once.
+ *   - Books that are not in book_registry.js (deuterocanon, front matter) are skipped with a warning.
+ * XML is read with a small tokenizer (no DOMParser in workers); it ignores namespaces, comments,
+ * processing instructions and DOCTYPE, and decodes the predefined and numeric entities.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.bookRegistry = ProphecyApp.bookRegistry || require('./book_registry.js');
+    ProphecyApp.bsbParser = ProphecyApp.bsbParser || require('./bsb_parser.js');
+}
+
+ProphecyApp.bibleFormats = (function() {
+    // Assumes book_registry.js and bsb_parser.js are loaded before this module
+    const _bookRegistry = ProphecyApp.bookRegistry || {};
+    const _bsbParser = ProphecyApp.bsbParser || {};
+
+    const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+
+    // --- Shared index builder ---
+
+    /**
+     * Creates an accumulator that applies the shared text and verse-bridge rules.
+     * @param {string} formatName - For log messages.
+     * @returns {{addVerse: function, skipBook: function, build: function}}
+     */
+    function _createIndexBuilder(formatName) {
+        const index = {};
+        const skippedBooks = new Set();
+
+        /**
+         * Stores one verse (or bridge). Empty text is ignored; repeated verses are appended.
+         * @param {string} bookId - Registry id.
+         * @param {number} chapter
+         * @param {number} firstVerse
+         * @param {number} lastVerse - Equal to firstVerse unless this is a bridge.
+         * @param {string} rawText - Text before whitespace normalization.
+         */
+        function addVerse(bookId, chapter, firstVerse, lastVerse, rawText) {
+            const text = rawText.replace(/\s+/g, ' ').trim();
+            if (!text || !(chapter > 0) || !(firstVerse > 0)) return;
+            const bookIndex = index[bookId] || (index[bookId] = {});
+            const chapterIndex = bookIndex[chapter] || (bookIndex[chapter] = {});
+            chapterIndex[firstVerse] = chapterIndex[firstVerse] ? `${chapterIndex[firstVerse]} ${text}` : text;
+            for (let verse = firstVerse + 1; verse <= lastVerse; verse++) {
+                if (!chapterIndex[verse]) chapterIndex[verse] = `[See verse ${firstVerse}]`;
+            }
+        }
+
+        /**
+         * Records a book that is not in the registry (warned once).
+         * @param {string} name
+         */
+        function skipBook(name) {
+            if (skippedBooks.has(name)) return;
+            skippedBooks.add(name);
+            console.warn(`BIBLE_FORMATS: Skipping ${formatName} book '${name}' (not in book registry).`);
+        }
+
+        /**
+         * @returns {object} - The finished index.
+         * @throws {Error} - If no verse was found.
+         */
+        function build() {
+            if (Object.keys(index).length === 0) {
+                throw new Error(`No verses found in ${formatName} data.`);
+            }
+            return index;
+        }
+
+        return { addVerse: addVerse, skipBook: skipBook, build: build };
+    }
+
+    /**
+     * Parses a verse number or bridge ("4", "4-5", "4–5", "4a").
+     * @param {string} text
+     * @returns {{first: number, last: number} | null}
+     */
+    function _parseVerseNumber(text) {
+        const match = String(text).trim().match(/^(\d+)[a-z]?(?:\s*[-–—]\s*(\d+)[a-z]?)?/i);
+        if (!match) return null;
+        const first = parseInt(match[1], 10);
+        const last = match[2] !== undefined ? parseInt(match[2], 10) : first;
+        return { first: first, last: Math.max(first, last) };
+    }
+
+    // --- XML tokenizer ---
+
+    /**
+     * Decodes XML character references.
+     * @param {string} text
+     * @returns {string}
+     */
+    function _decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+            if (body[0] === '#') {
+                const codePoint = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+                return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : entity;
+            }
+            return XML_ENTITIES[body.toLowerCase()] !== undefined ? XML_ENTITIES[body.toLowerCase()] : entity;
+        });
+    }
+
+    /**
+     * Splits XML into tokens. Element names lose their namespace prefix ("osis:verse" -> "verse").
+     * @param {string} xml
+     * @param {function({type: string, name?: string, attrs?: object, text?: string})} onToken
+     *        - Receives {type: 'open'|'close'|'empty', name, attrs} or {type: 'text', text}.
+     * @throws {Error} - On an unterminated tag, comment or CDATA section.
+     */
+    function tokenizeXml(xml, onToken) {
+        let position = 0;
+        const length = xml.length;
+        while (position < length) {
+            const tagStart = xml.indexOf('<', position);
+            if (tagStart === -1) {
+                onToken({ type: 'text', text: _decodeEntities(xml.slice(position)) });
+                break;
+            }
+            if (tagStart > position) onToken({ type: 'text', text: _decodeEntities(xml.slice(position, tagStart)) });
+
+            if (xml.startsWith('<!--', tagStart)) {
+                const end = xml.indexOf('-->', tagStart + 4);
+                if (end === -1) throw new Error('Unterminated XML comment.');
+                position = end + 3;
+                continue;
+            }
+            if (xml.startsWith('<![CDATA[', tagStart)) {
+                const end = xml.indexOf(']]>', tagStart + 9);
+                if (end === -1) throw new Error('Unterminated CDATA section.');
+                onToken({ type: 'text', text: xml.slice(tagStart + 9, end) });
+                position = end + 3;
+                continue;
+            }
+            if (xml[tagStart + 1] === '?' || xml[tagStart + 1] === '!') {
+                // Processing instruction or DOCTYPE (internal subsets are not supported)
+                const end = xml.indexOf('>', tagStart);
+                if (end === -1) throw new Error('Unterminated XML declaration.');
+                position = end + 1;
+                continue;
+            }
+
+            // Find the end of the tag, skipping ">" inside quoted attribute values
+            let end = tagStart + 1;
+            let quote = null;
+            while (end < length) {
+                const char = xml[end];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '>') {
+                    break;
+                }
+                end++;
+            }
+            if (end >= length) throw new Error(`Unterminated XML tag at offset ${tagStart}.`);
+
+            const body = xml.slice(tagStart + 1, end).trim();
+            position = end + 1;
+            if (body[0] === '/') {
+                onToken({ type: 'close', name: _localName(body.slice(1).trim()) });
+                continue;
+            }
+            const isEmpty = body.endsWith('/');
+            const nameMatch = body.match(/^[^\s/]+/);
+            if (!nameMatch) continue;
+            const attrs = {};
+            const attrPattern = /([^\s=/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+            let attrMatch;
+            while ((attrMatch = attrPattern.exec(body.slice(nameMatch[0].length))) !== null) {
+                attrs[_localName(attrMatch[1])] = _decodeEntities(attrMatch[3] !== undefined ? attrMatch[3] : attrMatch[4]);
+            }
+            onToken({ type: isEmpty ? 'empty' : 'open', name: _localName(nameMatch[0]), attrs: attrs });
+        }
+    }
+
+    /**
+     * Strips a namespace prefix.
+     * @param {string} name
+     * @returns {string}
+     */
+    function _localName(name) {
+        const colon = name.indexOf(':');
+        return colon === -1 ? name : name.slice(colon + 1);
+    }
+
+    // --- Adapters ---
+
+    /**
+     * BSB-style JSON (delegates to bsb_parser.js).
+     * @param {string} text
+     * @param {function(number, number)} [onProgress]
+     * @param {function(...*)} [log]
+     * @returns {{index: object, translationName: string|null}}
+     */
+    function _parseBsbJson(text, onProgress, log) {
+        const jsonData = JSON.parse(text);
+        return { index: _bsbParser.parseAndIndexBsbData(jsonData, onProgress, log), translationName: jsonData.translation || null };
+    }
+
+    // USFM markers whose content runs to the end of the line and is not verse text
+    const USFM_LINE_MARKERS = /^(id|ide|h\d*|toc\d*|toca\d*|mt\d*|mte\d*|ms\d*|mr|s\d*|sr|r|d|sp|rem|sts|restore|cl|cd|periph|imt\d*|is\d*|ip|ipi|im|imi|ipq|imq|ipr|iq\d*|ib|ili\d*|iot|io\d*|iex|imte\d*|ie|qa|lit|usfm)$/;
+    // USFM spans removed with their content (closed by the same marker with "*")
+    const USFM_NOTE_MARKERS = /^(f|fe|ef|x|ex|fig|ca|va|vp|rq|cat|jmp)$/;
+    // USFM paragraph-level markers that start verse text on a new line (treated as a space)
+    const USFM_PARAGRAPH_MARKERS = /^(p|m|po|pr|cls|pmo|pm|pmc|pmr|pi\d*|mi|nb|pc|ph\d*|b|q\d*|qr|qc|qm\d*|qd|lh|li\d*|lf|lim\d*|tr|th\d*|thr\d*|tc\d*|tcr\d*|pb)$/;
+
+    /**
+     * USFM. Reads \id, \c and \v; see the module header for what is dropped.
+     * @param {string} text
+     * @param {function(number, number)} [onProgress]
+     * @returns {{index: object, translationName: string|null}}
+     */
+    function _parseUsfm(text, onProgress) {
+        const builder = _createIndexBuilder('USFM');
+        const totalBooks = (text.match(/\\id\s/g) || []).length;
+        let booksSeen = 0;
+        let bookId = null;
+        let chapter = 0;
+        let verse = null; // { first, last }
+        let verseText = '';
+        let skipLine = false; // Inside a heading/title line
+        let noteMarker = null; // Inside a footnote/cross-reference span (its marker name)
+        let characterDepth = 0; // Inside character styling; "|attributes" are dropped there
+        let inMilestone = false; // Inside a USFM 3 milestone such as "\qt-s |who="Jesus"\*"
+
+        const flushVerse = () => {
+            if (bookId && verse) builder.addVerse(bookId, chapter, verse.first, verse.last, verseText);
+            verse = null;
+            verseText = '';
+        };
+
+        // Markers: backslash, optional "+" (nested character style), name (milestones end in -s/-e), then
+        // "*" (closing) or the one space that ends an opening marker; a bare "\*" closes a milestone.
+        // The space after a closing marker is text ("\w virgin\w* will").
+        const tokenPattern = /\\(\+?)([a-z]+\d*(?:-[se])?)(\*|[ \t]?)|([^\\]+)|(\\\*)/gi;
+        let match;
+        while ((match = tokenPattern.exec(text)) !== null) {
+            if (match[5] !== undefined) {
+                inMilestone = false;
+                continue;
+            }
+            if (match[4] !== undefined) {
+                // Text run
+                let run = match[4];
+                if (noteMarker || inMilestone) continue;
+                if (skipLine) {
+                    const newline = run.indexOf('\n');
+                    if (newline === -1) continue;
+                    skipLine = false;
+                    run = run.slice(newline + 1);
+                }
+                if (characterDepth > 0 && run.indexOf('|') !== -1) run = run.slice(0, run.indexOf('|'));
+                if (verse) verseText += run;
+                continue;
+            }
+
+            const name = match[2].toLowerCase();
+            const isClosing = match[3] === '*';
+            if (/-[se]$/.test(name)) {
+                inMilestone = !isClosing; // Milestones carry only attributes
+                continue;
+            }
+            if (noteMarker) {
+                if (isClosing && name === noteMarker) noteMarker = null;
+                continue;
+            }
+            if (USFM_NOTE_MARKERS.test(name)) {
+                if (!isClosing) noteMarker = name;
+                continue;
+            }
+            if (name === 'id') {
+                flushVerse();
+                const idMatch = text.slice(tokenPattern.lastIndex).match(/^\s*([0-9A-Za-z]{3})/);
+                const record = idMatch ? _bookRegistry.resolveBook(idMatch[1]) : null;
+                if (!record && idMatch) builder.skipBook(idMatch[1]);
+                bookId = record ? record.id : null;
+                chapter = 0;
+                booksSeen++;
+                if (onProgress) onProgress(booksSeen, totalBooks);
+                skipLine = true;
+                continue;
+            }
+            if (name === 'c') {
+                flushVerse();
+                const chapterMatch = text.slice(tokenPattern.lastIndex).match(/^\s*(\d+)/);
+                chapter = chapterMatch ? parseInt(chapterMatch[1], 10) : 0;
+                if (chapterMatch) tokenPattern.lastIndex += chapterMatch[0].length;
+                skipLine = false;
+                continue;
+            }
+            if (name === 'v') {
+                flushVerse();
+                const verseMatch = text.slice(tokenPattern.lastIndex).match(/^\s*(\d+[a-z]?(?:\s*[-–—]\s*\d+[a-z]?)?)/i);
+                verse = verseMatch ? _parseVerseNumber(verseMatch[1]) : null;
+                if (verseMatch) tokenPattern.lastIndex += verseMatch[0].length;
+                skipLine = false;
+                characterDepth = 0;
+                continue;
+            }
+            if (USFM_LINE_MARKERS.test(name)) {
+                flushVerse(); // A heading ends the verse before it
+                skipLine = true;
+                continue;
+            }
+            if (USFM_PARAGRAPH_MARKERS.test(name)) {
+                skipLine = false;
+                if (verse) verseText += ' ';
+                continue;
+            }
+            // Anything else is character styling (\w, \wj, \add, \nd, \qs, ...): keep its text
+            if (skipLine) continue;
+            characterDepth = isClosing ? Math.max(0, characterDepth - 1) : characterDepth + 1;
+        }
+        flushVerse();
+        return { index: builder.build(), translationName: null };
+    }
+
+    /**
+     * Splits an OSIS verse id list ("Isa.53.4", "Isa.53.4 Isa.53.5", "Isa.53.4-Isa.53.5") into a bridge.
+     * @param {string} osisID
+     * @returns {{book: string, chapter: number, first: number, last: number} | null}
+     */
+    function _parseOsisVerseId(osisID) {
+        const ids = String(osisID).trim().split(/[\s-]+/).filter(Boolean);
+        const parts = ids.map(id => id.replace(/^[^:]*:/, '').split('.')); // Drop work prefixes ("KJV:Gen.1.1")
+        if (parts.length === 0 || parts[0].length < 3) return null;
+        const first = parseInt(parts[0][2], 10);
+        const lastParts = parts[parts.length - 1];
+        const last = lastParts[0] === parts[0][0] && lastParts[1] === parts[0][1] ? parseInt(lastParts[2], 10) : first;
+        return { book: parts[0][0], chapter: parseInt(parts[0][1], 10), first: first, last: Number.isFinite(last) ? last : first };
+    }
+
+    /**
+     * OSIS XML. Verse text is collected between verse start and end (container or milestone);
+     * notes, titles and alternate readings are dropped.
+     * @param {string} text
+     * @param {function(number, number)} [onProgress]
+     * @returns {{index: object, translationName: string|null}}
+     */
+    function _parseOsis(text, onProgress) {
+        const builder = _createIndexBuilder('OSIS');
+        const totalBooks = (text.match(/type\s*=\s*["']book["']/g) || []).length;
+        const skippedElements = new Set(['note', 'title', 'rdg', 'header', 'reference', 'catchWord']);
+        let booksSeen = 0;
+        let skipDepth = 0; // Nesting depth inside skipped elements
+        let inHeader = false;
+        let inWorkTitle = false;
+        let translationName = null;
+        let verse = null; // { bookId, chapter, first, last, sID }
+        let verseText = '';
+
+        const startVerse = attrs => {
+            const parsed = _parseOsisVerseId(attrs.osisID || attrs.sID || '');
+            if (!parsed) return;
+            const record = _bookRegistry.resolveBook(parsed.book);
+            if (!record) {
+                builder.skipBook(parsed.book);
+                verse = null;
+                return;
+            }
+            verse = { bookId: record.id, chapter: parsed.chapter, first: parsed.first, last: parsed.last };
+            verseText = '';
+        };
+        const endVerse = () => {
+            if (verse) builder.addVerse(verse.bookId, verse.chapter, verse.first, verse.last, verseText);
+            verse = null;
+            verseText = '';
+        };
+
+        tokenizeXml(text, token => {
+            if (token.type === 'text') {
+                if (inWorkTitle && !translationName) translationName = token.text.trim() || null;
+                if (verse && skipDepth === 0) verseText += token.text;
+                return;
+            }
+            const name = token.name;
+            if (name === 'header') inHeader = token.type === 'open';
+            if (inHeader && name === 'title') inWorkTitle = token.type === 'open';
+
+            if (skippedElements.has(name)) {
+                if (token.type === 'open') skipDepth++;
+                else if (token.type === 'close') skipDepth = Math.max(0, skipDepth - 1);
+                return;
+            }
+            if (skipDepth > 0) return;
+
+            if (name === 'div' && token.type === 'open' && token.attrs.type === 'book') {
+                booksSeen++;
+                if (onProgress) onProgress(booksSeen, totalBooks);
+            } else if (name === 'verse') {
+                if (token.type === 'open') {
+                    endVerse();
+                    startVerse(token.attrs); // Container verse
+                } else if (token.type === 'close') {
+                    endVerse();
+                } else if (token.attrs.eID) {
+                    endVerse();
+                } else if (token.attrs.sID || token.attrs.osisID) {
+                    endVerse();
+                    startVerse(token.attrs); // Milestone verse
+                }
+            } else if (name === 'chapter' && (token.type === 'close' || token.attrs.eID)) {
+                endVerse();
+            } else if (verse && (name === 'lb' || name === 'l' || name === 'p' || name === 'lg')) {
+                verseText += ' '; // Line and paragraph breaks inside a verse
+            }
+        });
+        endVerse();
+        return { index: builder.build(), translationName: translationName };
+    }
+
+    /**
+     * Zefania XML. Books are identified by bnumber (1-66, canonical order), falling back to bname;
+     * notes, cross-references and captions are dropped.
+     * @param {string} text
+     * @param {function(number, number)} [onProgress]
+     * @returns {{index: object, translationName: string|null}}
+     */
+    function _parseZefania(text, onProgress) {
+        const builder = _createIndexBuilder('Zefania');
+        const totalBooks = (text.match(/<BIBLEBOOK[\s>]/gi) || []).length;
+        const skippedElements = new Set(['note', 'xref', 'caption', 'information', 'remark', 'prolog']);
+        const books = _bookRegistry.getAllBooks ? _bookRegistry.getAllBooks() : [];
+        let booksSeen = 0;
+        let skipDepth = 0;
+        let inInformation = false;
+        let inInformationTitle = false;
+        let translationName = null;
+        let bookId = null;
+        let chapter = 0;
+        let verse = null; // { first, last }
+        let verseText = '';
+
+        tokenizeXml(text, token => {
+            if (token.type === 'text') {
+                if (inInformationTitle && !translationName) translationName = token.text.trim() || null;
+                if (verse && skipDepth === 0) verseText += token.text;
+                return;
+            }
+            const name = token.name.toLowerCase();
+            if (name === 'information') inInformation = token.type === 'open';
+            if (inInformation && name === 'title') inInformationTitle = token.type === 'open';
+
+            if (skippedElements.has(name)) {
+                if (token.type === 'open') skipDepth++;
+                else if (token.type === 'close') skipDepth = Math.max(0, skipDepth - 1);
+                return;
+            }
+            if (skipDepth > 0) return;
+
+            if (name === 'xmlbible' && token.type === 'open' && token.attrs.biblename) {
+                translationName = token.attrs.biblename;
+            } else if (name === 'biblebook' && token.type === 'open') {
+                const number = parseInt(token.attrs.bnumber, 10);
+                const record = (number >= 1 && number <= books.length) ? books[number - 1] :
+                               _bookRegistry.resolveBook(token.attrs.bname || token.attrs.bsname || '');
+                if (!record) builder.skipBook(token.attrs.bname || `#${token.attrs.bnumber}`);
+                bookId = record ? record.id : null;
+                booksSeen++;
+                if (onProgress) onProgress(booksSeen, totalBooks);
+            } else if (name === 'chapter' && token.type === 'open') {
+                chapter = parseInt(token.attrs.cnumber, 10) || 0;
+            } else if (name === 'vers') {
+                if (token.type === 'open') {
+                    verse = _parseVerseNumber(token.attrs.vnumber || '');
+                    verseText = '';
+                } else if (token.type === 'close') {
+                    if (bookId && verse) builder.addVerse(bookId, chapter, verse.first, verse.last, verseText);
+                    verse = null;
+                }
+            } else if (verse && name === 'br') {
+                verseText += ' ';
+            }
+        });
+        return { index: builder.build(), translationName: translationName };
+    }
+
+    // --- Registry and detection ---
+
+    const ADAPTERS = {
+        'bsb-json': { name: 'BSB JSON', extensions: ['.json'], parse: _parseBsbJson },
+        'usfm': { name: 'USFM', extensions: ['.usfm', '.sfm'], parse: _parseUsfm },
+        'osis': { name: 'OSIS XML', extensions: ['.osis', '.osis.xml'], parse: _parseOsis },
+        'zefania': { name: 'Zefania XML', extensions: [], parse: _parseZefania } // Usually plain .xml; detected by content
+    };
+
+    /**
+     * Picks the adapter for a file: by extension first, then by content.
+     * @param {string} [fileName] - File name or URL (query strings are ignored).
+     * @param {string} text - File contents.
+     * @returns {string|null} - Adapter id ('bsb-json' | 'usfm' | 'osis' | 'zefania'), or null if unrecognized.
+     */
+    function detectFormat(fileName, text) {
+        const path = String(fileName || '').toLowerCase().split(/[?#]/)[0];
+        // Longest extension first so ".osis.xml" beats ".xml"
+        const byExtension = Object.keys(ADAPTERS)
+            .flatMap(id => ADAPTERS[id].extensions.map(extension => ({ id: id, extension: extension })))
+            .sort((a, b) => b.extension.length - a.extension.length)
+            .find(entry => path.endsWith(entry.extension));
+        if (byExtension) return byExtension.id;
+
+        const head = String(text || '').slice(0, 4096).replace(/^\uFEFF/, '').trimStart();
+        if (head[0] === '{') return 'bsb-json';
+        if (/^\\id\s/.test(head) || /^\\(usfm|ide)\s/.test(head)) return 'usfm';
+        if (/<osis[\s>:]/.test(head) || /<osis:osis[\s>]/.test(head)) return 'osis';
+        if (/<XMLBIBLE[\s>]/i.test(head)) return 'zefania';
+        return null;
+    }
+
+    /**
+     * Parses a Bible file into the internal index.
+     * @param {string} text - File contents.
+     * @param {object} [options]
+     * @param {string} [options.format] - Adapter id; detected from fileName/content when omitted.
+     * @param {string} [options.fileName] - Used for detection.
+     * @param {function(number, number)} [options.onProgress] - Called with (booksDone, totalBooks).
+     * @param {function(...*)} [options.log=console.log] - Receives progress messages (the CLI passes a no-op).
+     * @returns {{index: object, translationName: string|null, format: string}}
+     * @throws {Error} - If the format is unknown or the file holds no usable verses.
+     */
+    function parseBible(text, options = {}) {
+        const format = options.format || detectFormat(options.fileName, text);
+        const adapter = ADAPTERS[format];
+        if (!adapter) {
+            throw new Error(options.format ? `Unknown Bible format "${options.format}".` :
+                            `Could not detect the Bible format of ${options.fileName || 'the file'}.`);
+        }
+        const log = options.log || console.log;
+        log(`BIBLE_FORMATS: Parsing ${options.fileName || 'data'} as ${adapter.name}...`);
+        const result = adapter.parse(text, options.onProgress, log);
+        return { index: result.index, translationName: result.translationName, format: format };
+    }
+
+    // Expose detection, parsing and the tokenizer (for tests)
+    return {
+        detectFormat: detectFormat,
+        parseBible: parseBible,
+        tokenizeXml: tokenizeXml,
+        getFormats: function() { return Object.keys(ADAPTERS).map(id => ({ id: id, name: ADAPTERS[id].name })); }
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.bibleFormats;
+}
@@ -0,0 +1,444 @@
+/**
+ * bible_service.js - Owns the indexed Bible data: downloads translation files, indexes them
+ * via bible_formats.js (BSB JSON, USFM, OSIS, Zefania) and answers verse lookups via reference_parser.js.
+ * Full-text search over verse text uses search_index.js; the inverted index is built
+ * per translation in chunks after the translation loads.
+ * Indexed translations are persisted through bible_cache.js (IndexedDB).
+ * Runs inside bible_worker.js; data_fetcher.js also calls it directly when Workers are unavailable.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+ProphecyApp.bibleService = (function() {
+    // --- Module-Scoped Variables ---
+    const _translations = {}; // translationId -> { index, translationName }
+    const _searchIndexes = {}; // translationId -> { index, verseKeys: [[bookId, chapter, verse]], complete, buildPromise }
+
+    // --- Aliases (book_registry.js, reference_parser.js, search_index.js, bsb_parser.js, bible_formats.js and bible_cache.js are loaded first) ---
+    const _bookRegistry = ProphecyApp.bookRegistry || {};
+    const _referenceParser = ProphecyApp.referenceParser || {};
+    const _searchIndex = ProphecyApp.searchIndex || {};
+    const _bibleCache = ProphecyApp.bibleCache || {
+        getTranslation: async function() { return null; },
+        putTranslation: async function() {},
+        deleteTranslation: async function() {},
+        clearAll: async function() { return false; },
+        getInfo: async function() { return { available: false, translations: [], usage: null, quota: null }; },
+        hashContent: async function() { return null; }
+    };
+    const _parseBible = ProphecyApp.bibleFormats?.parseBible || function() {
+        console.error("BIBLE_SERVICE Error: bibleFormats not loaded correctly!");
+        throw new Error("Bible format adapters not available.");
+    };
+
+    /**
+     * Downloads a text file, reporting bytes received as they stream in.
+     * @param {string} url - File to fetch.
+     * @param {function(object)} onProgress - Receives {phase: 'download', loaded, total}; total is 0 if unknown.
+     * @returns {Promise<{text: string, sourceToken: string|null}>} - File contents and its HTTP validator.
+     */
+    async function _downloadText(url, onProgress) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Data fetch failed (${url}): ${response.status} ${response.statusText}`);
+        }
+        const total = parseInt(response.headers.get('content-length'), 10) || 0;
+        const sourceToken = _sourceTokenFromHeaders(response.headers);
+
+        // Streaming body is not available everywhere; fall back to a single read
+        if (!response.body || typeof response.body.getReader !== 'function') {
+            const text = await response.text();
+            onProgress({ phase: 'download', loaded: text.length, total: total || text.length });
+            return { text: text, sourceToken: sourceToken };
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const chunks = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            loaded += value.byteLength;
+            chunks.push(decoder.decode(value, { stream: true }));
+            onProgress({ phase: 'download', loaded: loaded, total: total });
+        }
+        chunks.push(decoder.decode());
+        return { text: chunks.join(''), sourceToken: sourceToken };
+    }
+
+    /**
+     * Builds a change validator from response headers (ETag, else Last-Modified + length).
+     * @param {Headers} headers
+     * @returns {string|null} - null if the server sends no validator.
+     */
+    function _sourceTokenFromHeaders(headers) {
+        const etag = headers.get('etag');
+        if (etag) return `etag:${etag}`;
+        const lastModified = headers.get('last-modified');
+        if (lastModified) return `modified:${lastModified}|${headers.get('content-length') || ''}`;
+        return null;
+    }
+
+    /**
+     * Asks the server whether the source file changed, without downloading it.
+     * @param {string} url - Translation file URL.
+     * @returns {Promise<string|null|undefined>} - Current validator, null if none is sent, undefined if unreachable.
+     */
+    async function _fetchSourceToken(url) {
+        try {
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+            if (!response.ok) return undefined;
+            return _sourceTokenFromHeaders(response.headers);
+        } catch (error) {
+            console.warn(`BIBLE_SERVICE: Could not check ${url} for changes (offline?):`, error.message);
+            return undefined;
+        }
+    }
+
+    /**
+     * Decides whether a cached record can be used without downloading.
+     * A registry version, when present, is authoritative; otherwise the HTTP validator is compared,
+     * and an unreachable server means the cache is used as-is.
+     * @param {object} cached - Cached record.
+     * @param {string} url - Translation file URL.
+     * @param {string|null} version - Version from translations.json, if any.
+     * @returns {Promise<boolean>}
+     */
+    async function _isCacheFresh(cached, url, version) {
+        if (version) return cached.version === version;
+        const currentToken = await _fetchSourceToken(url);
+        if (currentToken === undefined) return true; // Offline: stale data beats no data
+        return currentToken !== null && currentToken === cached.sourceToken;
+    }
+
+    /**
+     * Loads a translation: from memory, from the IndexedDB cache if still valid,
+     * otherwise by downloading and indexing it (and caching the result).
+     * @param {string} translationId - Registry id.
+     * @param {string} url - Translation file URL.
+     * @param {string|null} version - Registry version field; a change invalidates the cache.
+     * @param {function(object)} onProgress - Progress callback (download, then {phase: 'index', loaded, total} in books).
+     * @param {string|null} [format] - Registry format field (see bibleFormats); detected from the URL/content when null.
+     * @returns {Promise<{translationName: string|null, fromCache: boolean}>}
+     */
+    async function loadTranslation(translationId, url, version, onProgress, format = null) {
+        if (_translations[translationId]) {
+            return { translationName: _translations[translationId].translationName, fromCache: true };
+        }
+
+        const cached = await _bibleCache.getTranslation(translationId);
+        const isCacheUsable = !!cached && !!cached.index && typeof cached.index === 'object' && Object.keys(cached.index).length > 0;
+        if (cached) {
+            if (!isCacheUsable) {
+                console.warn(`BIBLE_SERVICE: Cached ${translationId} is corrupt. Discarding.`);
+                await _bibleCache.deleteTranslation(translationId);
+            } else if (await _isCacheFresh(cached, url, version)) {
+                console.log(`BIBLE_SERVICE: Using cached ${translationId} (cached ${cached.cachedAt}).`);
+                _translations[translationId] = { index: cached.index, translationName: cached.translationName };
+                return { translationName: cached.translationName, fromCache: true };
+            } else {
+                console.log(`BIBLE_SERVICE: Cached ${translationId} is out of date. Re-downloading.`);
+            }
+        }
+
+        console.log(`BIBLE_SERVICE: Fetching ${translationId} data (${url})...`);
+        const download = await _downloadText(url, onProgress);
+        const contentHash = await _bibleCache.hashContent(download.text);
+        let index;
+        let translationName;
+        if (isCacheUsable && contentHash && cached.contentHash === contentHash) {
+            // Validator changed but the bytes did not (e.g., file re-deployed): keep the cached index
+            console.log(`BIBLE_SERVICE: ${translationId} content unchanged. Reusing cached index.`);
+            index = cached.index;
+            translationName = cached.translationName;
+        } else {
+            console.log(`BIBLE_SERVICE: ${translationId} data fetched successfully. Indexing...`);
+            const parsed = _parseBible(download.text, {
+                format: format,
+                fileName: url,
+                onProgress: (booksIndexed, totalBooks) => onProgress({ phase: 'index', loaded: booksIndexed, total: totalBooks })
+            });
+            index = parsed.index;
+            translationName = parsed.translationName;
+        }
+
+        _translations[translationId] = { index: index, translationName: translationName };
+        await _bibleCache.putTranslation({
+            translationId: translationId,
+            version: version || null,
+            sourceToken: download.sourceToken,
+            contentHash: contentHash,
+            translationName: translationName,
+            index: index,
+            cachedAt: new Date().toISOString()
+        });
+        return { translationName: translationName, fromCache: false };
+    }
+
+    /**
+     * Retrieves every verse covered by a reference from an indexed translation.
+     * @param {string} translationId - Registry id.
+     * @param {string} refString - The reference string (e.g., "Isaiah 52:13-53:12", "Acts 2:27, 31").
+     * @returns {{verses: Array<{book: string, bookId: string, chapter: number, verse: number, text: string}>, error: string|null}}
+     *          - Verse objects in reference order, or an error/status message with an empty verse list.
+     */
+    function getVerses(translationId, refString) {
+        const index = _translations[translationId]?.index;
+        if (!index) return { verses: [], error: "[BSB Data Not Ready]" };
+        if (!refString) return { verses: [], error: "[N/A]" };
+
+        let segments;
+        try {
+            segments = _referenceParser.parseReference(refString);
+        } catch (parseError) {
+            console.warn(`BIBLE_SERVICE: Could not parse reference "${refString}": ${parseError.message}`);
+            return { verses: [], error: `[Invalid Ref Format: ${refString}]` };
+        }
+
+        try {
+            const result = _referenceParser.resolveSegments(index, segments);
+            if (result.error) {
+                console.error(`BIBLE_SERVICE ERROR: Lookup failed for "${refString}": ${result.error}`);
+            }
+            return result;
+        } catch (e) {
+            console.error(`BIBLE_SERVICE: Error processing reference "${refString}":`, e);
+            return { verses: [], error: "[Lookup Error]" };
+        }
+    }
+
+    /**
+     * Looks up many references at once without logging each failure (used by the manifest check).
+     * @param {string} translationId - Registry id.
+     * @param {Array<string>} refStrings
+     * @returns {Object<string, string|null>} - ref -> error message, or null if every verse exists.
+     */
+    function checkReferences(translationId, refStrings) {
+        const index = _translations[translationId]?.index;
+        if (!index) throw new Error(`Translation ${translationId} is not loaded.`);
+        return _referenceParser.checkReferences(index, refStrings);
+    }
+
+    /**
+     * Describes the shape of an indexed translation: for each book, the last verse number of every chapter.
+     * Books missing from the translation are left out; a chapter missing inside a book counts as 0 verses.
+     * @param {string} translationId - Registry id.
+     * @returns {Object<string, Array<number>>} - bookId -> verses per chapter (index 0 is chapter 1).
+     * @throws {Error} - If the translation is not loaded.
+     */
+    function getBookOutline(translationId) {
+        const index = _translations[translationId]?.index;
+        if (!index) throw new Error(`Translation ${translationId} is not loaded.`);
+        const outline = {};
+        Object.keys(index).forEach(bookId => {
+            const chapters = Object.keys(index[bookId]).map(Number);
+            if (chapters.length === 0) return;
+            const verseCounts = new Array(Math.max(...chapters)).fill(0);
+            chapters.forEach(chapter => { verseCounts[chapter - 1] = Math.max(...Object.keys(index[bookId][chapter]).map(Number)); });
+            outline[bookId] = verseCounts;
+        });
+        return outline;
+    }
+
+    /**
+     * Lists a book's verses in order as [chapter, verse] pairs (numbers).
+     * @param {object} bookIndex - { chapter: { verse: text } }.
+     * @returns {Array<Array<number>>}
+     */
+    function _listBookVerses(bookIndex) {
+        const list = [];
+        Object.keys(bookIndex).map(Number).sort((a, b) => a - b).forEach(chapter => {
+            Object.keys(bookIndex[chapter]).map(Number).sort((a, b) => a - b).forEach(verse => list.push([chapter, verse]));
+        });
+        return list;
+    }
+
+    /**
+     * Retrieves a reference together with its surrounding context. Cited verses are flagged so they
+     * can stay highlighted. Context is taken from the book of the first cited verse.
+     * @param {string} translationId - Registry id.
+     * @param {string} refString - The cited reference.
+     * @param {object} options
+     * @param {string} options.level - 'verses' (N verses before/after each cited verse) or 'chapter' (the full chapters).
+     * @param {number} [options.verseCount=3] - N for 'verses'.
+     * @param {number} [options.chapterOffset=0] - Steps from the cited chapters: -1 is the chapter before the first
+     *        cited chapter, +1 the one after the last. A non-zero offset always shows one full chapter.
+     * @returns {{verses: Array<{book: string, bookId: string, chapter: number, verse: number, text: string, cited: boolean}>,
+     *           error: string|null, label: string, hasPrevious: boolean, hasNext: boolean}}
+     *          - label describes the shown range; hasPrevious/hasNext say whether another chapter can be stepped to.
+     */
+    function getContext(translationId, refString, options = {}) {
+        const cited = getVerses(translationId, refString);
+        if (cited.error || cited.verses.length === 0) {
+            return { verses: [], error: cited.error || "[N/A]", label: '', hasPrevious: false, hasNext: false };
+        }
+        const index = _translations[translationId].index;
+        const anchorBookId = cited.verses[0].bookId;
+        const bookName = cited.verses[0].book;
+        const bookVerses = _listBookVerses(index[anchorBookId]);
+        const citedKeys = new Set(cited.verses.map(v => `${v.bookId} ${v.chapter}:${v.verse}`));
+        const anchorVerses = cited.verses.filter(v => v.bookId === anchorBookId);
+        const firstCitedChapter = anchorVerses[0].chapter;
+        const lastCitedChapter = anchorVerses[anchorVerses.length - 1].chapter;
+        const chapterOffset = options.chapterOffset || 0;
+
+        let shown; // [chapter, verse] pairs from bookVerses, in order
+        if (chapterOffset !== 0) {
+            const chapter = chapterOffset < 0 ? firstCitedChapter + chapterOffset : lastCitedChapter + chapterOffset;
+            shown = bookVerses.filter(([c]) => c === chapter);
+        } else if (options.level === 'chapter') {
+            const chapters = new Set(anchorVerses.map(v => v.chapter));
+            shown = bookVerses.filter(([c]) => chapters.has(c));
+        } else {
+            const verseCount = Math.max(0, options.verseCount || 3);
+            const keep = new Set();
+            bookVerses.forEach(([c, v], position) => {
+                if (!citedKeys.has(`${anchorBookId} ${c}:${v}`)) return;
+                for (let i = Math.max(0, position - verseCount); i <= Math.min(bookVerses.length - 1, position + verseCount); i++) keep.add(i);
+            });
+            shown = bookVerses.filter((entry, position) => keep.has(position));
+        }
+        if (shown.length === 0) {
+            return { verses: [], error: `[Chapter Not Found: ${bookName}]`, label: '', hasPrevious: false, hasNext: false };
+        }
+
+        const first = shown[0];
+        const last = shown[shown.length - 1];
+        const chapterNumbers = bookVerses.map(([c]) => c);
+        let label;
+        if (first[0] === last[0] && first[1] === 1 && !index[anchorBookId][first[0]][last[1] + 1]) {
+            label = `${bookName} ${first[0]}`; // A whole chapter
+        } else if (first[0] === last[0]) {
+            label = `${bookName} ${first[0]}:${first[1]}–${last[1]}`;
+        } else {
+            label = `${bookName} ${first[0]}:${first[1]}–${last[0]}:${last[1]}`;
+        }
+        return {
+            verses: shown.map(([c, v]) => ({
+                book: bookName, bookId: anchorBookId, chapter: c, verse: v,
+                text: index[anchorBookId][c][v],
+                cited: citedKeys.has(`${anchorBookId} ${c}:${v}`)
+            })),
+            error: null,
+            label: label,
+            hasPrevious: chapterNumbers[0] < first[0],
+            hasNext: chapterNumbers[chapterNumbers.length - 1] > last[0]
+        };
+    }
+
+    /**
+     * Builds the full-text index for a loaded translation, one chunk of verses at a time
+     * so verse lookups are answered while it builds. Safe to call repeatedly.
+     * @param {string} translationId - Registry id (must be loaded).
+     * @param {function(object)} onProgress - Receives {phase: 'search-index', loaded, total} in verses.
+     * @returns {Promise<{verseCount: number}>}
+     */
+    function buildSearchIndex(translationId, onProgress) {
+        const bibleIndex = _translations[translationId]?.index;
+        if (!bibleIndex) return Promise.reject(new Error(`Translation ${translationId} is not loaded.`));
+        if (!_searchIndex.createIndex) return Promise.reject(new Error("Search index module not available."));
+        if (_searchIndexes[translationId]) return _searchIndexes[translationId].buildPromise;
+
+        const entry = { index: _searchIndex.createIndex(), verseKeys: [], complete: false, buildPromise: null };
+        const documents = [];
+        Object.keys(bibleIndex).forEach(bookId => {
+            Object.keys(bibleIndex[bookId]).forEach(chapter => {
+                Object.keys(bibleIndex[bookId][chapter]).forEach(verse => {
+                    const docId = entry.verseKeys.length;
+                    entry.verseKeys.push([bookId, chapter, verse]);
+                    documents.push({ docId: docId, fields: [{ text: bibleIndex[bookId][chapter][verse] }] });
+                });
+            });
+        });
+
+        console.log(`BIBLE_SERVICE: Building search index for ${translationId} (${documents.length} verses)...`);
+        entry.buildPromise = _searchIndex.addDocumentsIncrementally(entry.index, documents, (loaded, total) => {
+            onProgress({ phase: 'search-index', loaded: loaded, total: total });
+        }).then(() => {
+            entry.complete = true;
+            console.log(`BIBLE_SERVICE: Search index for ${translationId} complete.`);
+            return { verseCount: documents.length };
+        });
+        _searchIndexes[translationId] = entry;
+        return entry.buildPromise;
+    }
+
+    /**
+     * Ranked full-text search over a translation's verses. Starts the index build if needed;
+     * until it finishes, results cover only the verses indexed so far (complete = false).
+     * @param {string} translationId - Registry id.
+     * @param {string} query - Free text.
+     * @param {number} [limit=50] - Maximum results.
+     * @returns {{results: Array<{book: string, bookId: string, chapter: number, verse: number, text: string, score: number, matchedTerms: Array<string>}>, total: number, complete: boolean}}
+     */
+    function searchVerses(translationId, query, limit = 50) {
+        const bibleIndex = _translations[translationId]?.index;
+        if (!bibleIndex) return { results: [], total: 0, complete: false };
+        if (!_searchIndexes[translationId]) {
+            buildSearchIndex(translationId, function() {}).catch(error => console.error("BIBLE_SERVICE: Search index build failed:", error));
+        }
+        const entry = _searchIndexes[translationId];
+        if (!entry) return { results: [], total: 0, complete: false }; // The build failed before it started
+        const found = entry.index.search(query, limit);
+        return {
+            results: found.results.map(hit => {
+                const [bookId, chapter, verse] = entry.verseKeys[hit.docId];
+                const book = _bookRegistry.getBookById ? _bookRegistry.getBookById(bookId) : null;
+                return {
+                    book: book ? book.name : bookId,
+                    bookId: bookId,
+                    chapter: parseInt(chapter, 10),
+                    verse: parseInt(verse, 10),
+                    text: bibleIndex[bookId][chapter][verse],
+                    score: hit.score,
+                    matchedTerms: hit.matchedTerms
+                };
+            }),
+            total: found.total,
+            complete: entry.complete
+        };
+    }
+
+    /**
+     * Dispatches a request message (the worker protocol) to the matching function.
+     * @param {object} message - { type: 'load' | 'getVerses' | 'checkReferences' | 'getContext' | 'getBookOutline' | 'buildSearchIndex' | 'search' |
+     *        'getCacheInfo' | 'clearCache', ...payload }.
+     * @param {function(object)} onProgress - Progress callback for long-running requests.
+     * @returns {Promise<*>} - The request result (must be structured-cloneable).
+     * @throws {Error} - For unknown request types or failed loads.
+     */
+    async function handleRequest(message, onProgress) {
+        switch (message.type) {
+            case 'load':
+                return loadTranslation(message.translationId, message.url, message.version || null, onProgress, message.format || null);
+            case 'getVerses':
+                return getVerses(message.translationId, message.refString);
+            case 'checkReferences':
+                return checkReferences(message.translationId, message.refStrings);
+            case 'getContext':
+                return getContext(message.translationId, message.refString, message.options);
+            case 'getBookOutline':
+                return getBookOutline(message.translationId);
+            case 'buildSearchIndex':
+                return buildSearchIndex(message.translationId, onProgress);
+            case 'search':
+                return searchVerses(message.translationId, message.query, message.limit);
+            case 'getCacheInfo':
+                return _bibleCache.getInfo();
+            case 'clearCache':
+                // Already-loaded translations stay in memory until the page is reloaded
+                if (!(await _bibleCache.clearAll())) throw new Error('The offline cache could not be cleared.');
+                return _bibleCache.getInfo();
+            default:
+                throw new Error(`Unknown request type: ${message.type}`);
+        }
+    }
+
+    // Expose the request dispatcher only; all data stays inside this module
+    return {
+        handleRequest: handleRequest
+    };
+})();
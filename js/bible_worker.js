@@ -0,0 +1,24 @@
+/**
+ * bible_worker.js - Dedicated Web Worker that downloads, indexes and queries Bible data
+ * off the main thread. Protocol (see data_fetcher.js):
+ *   in:  { requestId, type, ...payload }
+ *   out: { requestId, type: 'progress', progress } | { requestId, type: 'result', result }
+ *        | { requestId, type: 'error', message }
+ */
+
+// Paths are relative to this worker script (js/)
+importScripts('book_registry.js', 'reference_parser.js', 'search_index.js', 'bsb_parser.js', 'bible_formats.js', 'bible_cache.js', 'bible_service.js');
+
+self.addEventListener('message', async function(event) {
+    const message = event.data || {};
+    const requestId = message.requestId;
+    try {
+        const result = await ProphecyApp.bibleService.handleRequest(message, function(progress) {
+            self.postMessage({ requestId: requestId, type: 'progress', progress: progress });
+        });
+        self.postMessage({ requestId: requestId, type: 'result', result: result });
+    } catch (error) {
+        console.error(`BIBLE_WORKER: Request ${requestId} (${message.type}) failed:`, error);
+        self.postMessage({ requestId: requestId, type: 'error', message: error.message });
+    }
+});
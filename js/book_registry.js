@@ -0,0 +1,242 @@
+/**
+ * book_registry.js - Canonical registry of the 66 books of the Protestant canon.
+ * Resolves full names, abbreviations, OSIS/USFM ids, ordinals and Roman numerals
+ * to a single book record. Shared by bsb_parser.js and reference_parser.js.
+ * Spanish and Portuguese names are resolved too (accents optional), so Bibles and manifests
+ * in those languages parse, and getBookName shows the books in the interface language (i18n.js).
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+ProphecyApp.bookRegistry = (function() {
+
+    // --- Canonical Book Table ---
+    // id = USFM book code (used as the index key), osis = OSIS book id,
+    // chapters = chapter count in English versification.
+    const BOOKS = [
+        { id: 'GEN', osis: 'Gen',    name: 'Genesis',         testament: 'OT', chapters: 50,  aliases: ['Gen', 'Ge', 'Gn'] },
+        { id: 'EXO', osis: 'Exod',   name: 'Exodus',          testament: 'OT', chapters: 40,  aliases: ['Exod', 'Exo', 'Ex'] },
+        { id: 'LEV', osis: 'Lev',    name: 'Leviticus',       testament: 'OT', chapters: 27,  aliases: ['Lev', 'Le', 'Lv'] },
+        { id: 'NUM', osis: 'Num',    name: 'Numbers',         testament: 'OT', chapters: 36,  aliases: ['Num', 'Nu', 'Nm', 'Nb'] },
+        { id: 'DEU', osis: 'Deut',   name: 'Deuteronomy',     testament: 'OT', chapters: 34,  aliases: ['Deut', 'De', 'Dt'] },
+        { id: 'JOS', osis: 'Josh',   name: 'Joshua',          testament: 'OT', chapters: 24,  aliases: ['Josh', 'Jsh'] },
+        { id: 'JDG', osis: 'Judg',   name: 'Judges',          testament: 'OT', chapters: 21,  aliases: ['Judg', 'Jdgs', 'Jg'] },
+        { id: 'RUT', osis: 'Ruth',   name: 'Ruth',            testament: 'OT', chapters: 4,   aliases: ['Rth', 'Ru'] },
+        { id: '1SA', osis: '1Sam',   name: '1 Samuel',        testament: 'OT', chapters: 31,  aliases: ['1 Sam', '1 Sa', '1 Sm'] },
+        { id: '2SA', osis: '2Sam',   name: '2 Samuel',        testament: 'OT', chapters: 24,  aliases: ['2 Sam', '2 Sa', '2 Sm'] },
+        { id: '1KI', osis: '1Kgs',   name: '1 Kings',         testament: 'OT', chapters: 22,  aliases: ['1 Kgs', '1 Ki', '1 Kin'] },
+        { id: '2KI', osis: '2Kgs',   name: '2 Kings',         testament: 'OT', chapters: 25,  aliases: ['2 Kgs', '2 Ki', '2 Kin'] },
+        { id: '1CH', osis: '1Chr',   name: '1 Chronicles',    testament: 'OT', chapters: 29,  aliases: ['1 Chr', '1 Chron', '1 Ch'] },
+        { id: '2CH', osis: '2Chr',   name: '2 Chronicles',    testament: 'OT', chapters: 36,  aliases: ['2 Chr', '2 Chron', '2 Ch'] },
+        { id: 'EZR', osis: 'Ezra',   name: 'Ezra',            testament: 'OT', chapters: 10,  aliases: ['Ezr'] },
+        { id: 'NEH', osis: 'Neh',    name: 'Nehemiah',        testament: 'OT', chapters: 13,  aliases: ['Ne'] },
+        { id: 'EST', osis: 'Esth',   name: 'Esther',          testament: 'OT', chapters: 10,  aliases: ['Es'] },
+        { id: 'JOB', osis: 'Job',    name: 'Job',             testament: 'OT', chapters: 42,  aliases: ['Jb'] },
+        { id: 'PSA', osis: 'Ps',     name: 'Psalms',          testament: 'OT', chapters: 150, aliases: ['Psalm', 'Psa', 'Pss', 'Psm'] },
+        { id: 'PRO', osis: 'Prov',   name: 'Proverbs',        testament: 'OT', chapters: 31,  aliases: ['Pr', 'Prv'] },
+        { id: 'ECC', osis: 'Eccl',   name: 'Ecclesiastes',    testament: 'OT', chapters: 12,  aliases: ['Eccles', 'Ec', 'Qoheleth'] },
+        { id: 'SNG', osis: 'Song',   name: 'Song of Songs',   testament: 'OT', chapters: 8,   aliases: ['Song of Solomon', 'SOS', 'So', 'Canticles', 'Canticle of Canticles'] },
+        { id: 'ISA', osis: 'Isa',    name: 'Isaiah',          testament: 'OT', chapters: 66,  aliases: ['Is'] },
+        { id: 'JER', osis: 'Jer',    name: 'Jeremiah',        testament: 'OT', chapters: 52,  aliases: ['Je', 'Jr'] },
+        { id: 'LAM', osis: 'Lam',    name: 'Lamentations',    testament: 'OT', chapters: 5,   aliases: ['La'] },
+        { id: 'EZK', osis: 'Ezek',   name: 'Ezekiel',         testament: 'OT', chapters: 48,  aliases: ['Eze'] },
+        { id: 'DAN', osis: 'Dan',    name: 'Daniel',          testament: 'OT', chapters: 12,  aliases: ['Da', 'Dn'] },
+        { id: 'HOS', osis: 'Hos',    name: 'Hosea',           testament: 'OT', chapters: 14,  aliases: ['Ho'] },
+        { id: 'JOL', osis: 'Joel',   name: 'Joel',            testament: 'OT', chapters: 3,   aliases: ['Jl'] },
+        { id: 'AMO', osis: 'Amos',   name: 'Amos',            testament: 'OT', chapters: 9,   aliases: ['Am'] },
+        { id: 'OBA', osis: 'Obad',   name: 'Obadiah',         testament: 'OT', chapters: 1,   aliases: ['Ob'] },
+        { id: 'JON', osis: 'Jonah',  name: 'Jonah',           testament: 'OT', chapters: 4,   aliases: ['Jnh'] },
+        { id: 'MIC', osis: 'Mic',    name: 'Micah',           testament: 'OT', chapters: 7,   aliases: ['Mc'] },
+        { id: 'NAM', osis: 'Nah',    name: 'Nahum',           testament: 'OT', chapters: 3,   aliases: ['Na'] },
+        { id: 'HAB', osis: 'Hab',    name: 'Habakkuk',        testament: 'OT', chapters: 3,   aliases: ['Hb'] },
+        { id: 'ZEP', osis: 'Zeph',   name: 'Zephaniah',       testament: 'OT', chapters: 3,   aliases: ['Zp'] },
+        { id: 'HAG', osis: 'Hag',    name: 'Haggai',          testament: 'OT', chapters: 2,   aliases: ['Hg'] },
+        { id: 'ZEC', osis: 'Zech',   name: 'Zechariah',       testament: 'OT', chapters: 14,  aliases: ['Zc'] },
+        { id: 'MAL', osis: 'Mal',    name: 'Malachi',         testament: 'OT', chapters: 4,   aliases: ['Ml'] },
+        { id: 'MAT', osis: 'Matt',   name: 'Matthew',         testament: 'NT', chapters: 28,  aliases: ['Mt'] },
+        { id: 'MRK', osis: 'Mark',   name: 'Mark',            testament: 'NT', chapters: 16,  aliases: ['Mk', 'Mr'] },
+        { id: 'LUK', osis: 'Luke',   name: 'Luke',            testament: 'NT', chapters: 24,  aliases: ['Lk'] },
+        { id: 'JHN', osis: 'John',   name: 'John',            testament: 'NT', chapters: 21,  aliases: ['Jn', 'Joh'] },
+        { id: 'ACT', osis: 'Acts',   name: 'Acts',            testament: 'NT', chapters: 28,  aliases: ['Ac', 'Acts of the Apostles'] },
+        { id: 'ROM', osis: 'Rom',    name: 'Romans',          testament: 'NT', chapters: 16,  aliases: ['Ro', 'Rm'] },
+        { id: '1CO', osis: '1Cor',   name: '1 Corinthians',   testament: 'NT', chapters: 16,  aliases: ['1 Cor', '1 Co'] },
+        { id: '2CO', osis: '2Cor',   name: '2 Corinthians',   testament: 'NT', chapters: 13,  aliases: ['2 Cor', '2 Co'] },
+        { id: 'GAL', osis: 'Gal',    name: 'Galatians',       testament: 'NT', chapters: 6,   aliases: ['Ga'] },
+        { id: 'EPH', osis: 'Eph',    name: 'Ephesians',       testament: 'NT', chapters: 6,   aliases: ['Ephes'] },
+        { id: 'PHP', osis: 'Phil',   name: 'Philippians',     testament: 'NT', chapters: 4,   aliases: ['Pp'] },
+        { id: 'COL', osis: 'Col',    name: 'Colossians',      testament: 'NT', chapters: 4,   aliases: [] },
+        { id: '1TH', osis: '1Thess', name: '1 Thessalonians', testament: 'NT', chapters: 5,   aliases: ['1 Thes', '1 Th'] },
+        { id: '2TH', osis: '2Thess', name: '2 Thessalonians', testament: 'NT', chapters: 3,   aliases: ['2 Thes', '2 Th'] },
+        { id: '1TI', osis: '1Tim',   name: '1 Timothy',       testament: 'NT', chapters: 6,   aliases: ['1 Ti'] },
+        { id: '2TI', osis: '2Tim',   name: '2 Timothy',       testament: 'NT', chapters: 4,   aliases: ['2 Ti'] },
+        { id: 'TIT', osis: 'Titus',  name: 'Titus',           testament: 'NT', chapters: 3,   aliases: [] },
+        { id: 'PHM', osis: 'Phlm',   name: 'Philemon',        testament: 'NT', chapters: 1,   aliases: ['Philem', 'Pm'] },
+        { id: 'HEB', osis: 'Heb',    name: 'Hebrews',         testament: 'NT', chapters: 13,  aliases: [] },
+        { id: 'JAS', osis: 'Jas',    name: 'James',           testament: 'NT', chapters: 5,   aliases: ['Jm'] },
+        { id: '1PE', osis: '1Pet',   name: '1 Peter',         testament: 'NT', chapters: 5,   aliases: ['1 Pe', '1 Pt'] },
+        { id: '2PE', osis: '2Pet',   name: '2 Peter',         testament: 'NT', chapters: 3,   aliases: ['2 Pe', '2 Pt'] },
+        { id: '1JN', osis: '1John',  name: '1 John',          testament: 'NT', chapters: 5,   aliases: ['1 Jn', '1 Jhn', '1 Joh'] },
+        { id: '2JN', osis: '2John',  name: '2 John',          testament: 'NT', chapters: 1,   aliases: ['2 Jn', '2 Jhn', '2 Joh'] },
+        { id: '3JN', osis: '3John',  name: '3 John',          testament: 'NT', chapters: 1,   aliases: ['3 Jn', '3 Jhn', '3 Joh'] },
+        { id: 'JUD', osis: 'Jude',   name: 'Jude',            testament: 'NT', chapters: 1,   aliases: ['Jd'] },
+        { id: 'REV', osis: 'Rev',    name: 'Revelation',      testament: 'NT', chapters: 22,  aliases: ['Re', 'Rv', 'Revelations', 'Revelation of John', 'The Revelation', 'Apocalypse'] }
+    ];
+
+    // Names per language: the first is shown (getBookName), the others are accepted abbreviations and spellings.
+    // English names are the records' own name and aliases above.
+    const LOCALIZED_NAMES = {
+        es: {
+            GEN: ['Génesis', 'Gén'],                 EXO: ['Éxodo', 'Éx'],                  LEV: ['Levítico'],
+            NUM: ['Números', 'Núm'],                  DEU: ['Deuteronomio'],                 JOS: ['Josué'],
+            JDG: ['Jueces', 'Jue'],                   RUT: ['Rut'],                          '1SA': ['1 Samuel'],
+            '2SA': ['2 Samuel'],                      '1KI': ['1 Reyes', '1 Re'],            '2KI': ['2 Reyes', '2 Re'],
+            '1CH': ['1 Crónicas', '1 Cró'],           '2CH': ['2 Crónicas', '2 Cró'],        EZR: ['Esdras', 'Esd'],
+            NEH: ['Nehemías'],                        EST: ['Ester'],                        JOB: ['Job'],
+            PSA: ['Salmos', 'Salmo', 'Sal'],          PRO: ['Proverbios'],                   ECC: ['Eclesiastés', 'Ecl'],
+            SNG: ['Cantares', 'Cantar de los Cantares', 'Cnt'],                              ISA: ['Isaías'],
+            JER: ['Jeremías'],                        LAM: ['Lamentaciones', 'Lm'],          EZK: ['Ezequiel', 'Ez'],
+            DAN: ['Daniel'],                          HOS: ['Oseas', 'Os'],                  JOL: ['Joel'],
+            AMO: ['Amós'],                            OBA: ['Abdías', 'Abd'],                JON: ['Jonás'],
+            MIC: ['Miqueas', 'Miq'],                  NAM: ['Nahúm'],                        HAB: ['Habacuc'],
+            ZEP: ['Sofonías', 'Sof'],                 HAG: ['Hageo'],                        ZEC: ['Zacarías', 'Zac'],
+            MAL: ['Malaquías'],                       MAT: ['Mateo'],                        MRK: ['Marcos'],
+            LUK: ['Lucas', 'Lc'],                     JHN: ['Juan'],                         ACT: ['Hechos', 'Hch'],
+            ROM: ['Romanos'],                         '1CO': ['1 Corintios'],                '2CO': ['2 Corintios'],
+            GAL: ['Gálatas'],                         EPH: ['Efesios', 'Ef'],                PHP: ['Filipenses', 'Flp'],
+            COL: ['Colosenses'],                      '1TH': ['1 Tesalonicenses', '1 Ts'],   '2TH': ['2 Tesalonicenses', '2 Ts'],
+            '1TI': ['1 Timoteo'],                     '2TI': ['2 Timoteo'],                  TIT: ['Tito'],
+            PHM: ['Filemón', 'Flm'],                  HEB: ['Hebreos'],                      JAS: ['Santiago', 'Stg'],
+            '1PE': ['1 Pedro'],                       '2PE': ['2 Pedro'],                    '1JN': ['1 Juan'],
+            '2JN': ['2 Juan'],                        '3JN': ['3 Juan'],                     JUD: ['Judas'],
+            REV: ['Apocalipsis', 'Ap', 'Apoc']
+        },
+        pt: {
+            GEN: ['Gênesis'],                         EXO: ['Êxodo'],                        LEV: ['Levítico'],
+            NUM: ['Números'],                         DEU: ['Deuteronômio', 'Deuteronómio'], JOS: ['Josué'],
+            JDG: ['Juízes', 'Jz'],                    RUT: ['Rute'],                         '1SA': ['1 Samuel'],
+            '2SA': ['2 Samuel'],                      '1KI': ['1 Reis', '1 Rs'],             '2KI': ['2 Reis', '2 Rs'],
+            '1CH': ['1 Crônicas', '1 Crónicas', '1 Cr'],                                     '2CH': ['2 Crônicas', '2 Crónicas', '2 Cr'],
+            EZR: ['Esdras'],                          NEH: ['Neemias'],                      EST: ['Ester'],
+            JOB: ['Jó'],                              PSA: ['Salmos'],                       PRO: ['Provérbios'],
+            ECC: ['Eclesiastes'],                     SNG: ['Cânticos', 'Cântico dos Cânticos', 'Ct'],
+            ISA: ['Isaías'],                          JER: ['Jeremias'],                     LAM: ['Lamentações'],
+            EZK: ['Ezequiel'],                        DAN: ['Daniel'],                       HOS: ['Oseias', 'Oséias'],
+            JOL: ['Joel'],                            AMO: ['Amós'],                         OBA: ['Obadias'],
+            JON: ['Jonas'],                           MIC: ['Miqueias', 'Miquéias', 'Mq'],   NAM: ['Naum'],
+            HAB: ['Habacuque'],                       ZEP: ['Sofonias'],                     HAG: ['Ageu'],
+            ZEC: ['Zacarias'],                        MAL: ['Malaquias'],                    MAT: ['Mateus'],
+            MRK: ['Marcos'],                          LUK: ['Lucas'],                        JHN: ['João', 'Jo'],
+            ACT: ['Atos', 'At'],                      ROM: ['Romanos', 'Rm'],                '1CO': ['1 Coríntios'],
+            '2CO': ['2 Coríntios'],                   GAL: ['Gálatas', 'Gl'],                EPH: ['Efésios'],
+            PHP: ['Filipenses', 'Fp'],                COL: ['Colossenses'],                  '1TH': ['1 Tessalonicenses'],
+            '2TH': ['2 Tessalonicenses'],             '1TI': ['1 Timóteo', '1 Tm'],          '2TI': ['2 Timóteo', '2 Tm'],
+            TIT: ['Tito'],                            PHM: ['Filemom', 'Filémon'],           HEB: ['Hebreus'],
+            JAS: ['Tiago', 'Tg'],                     '1PE': ['1 Pedro'],                    '2PE': ['2 Pedro'],
+            '1JN': ['1 João', '1 Jo'],                '2JN': ['2 João', '2 Jo'],             '3JN': ['3 João', '3 Jo'],
+            JUD: ['Judas', 'Jd'],                     REV: ['Apocalipse']
+        }
+    };
+
+    // Leading ordinal words/numerals -> digit ("I John", "First John", "1st John" -> "1john")
+    const ORDINAL_PREFIXES = [
+        { pattern: /^(?:iii|3rd|third)\s+/, digit: '3' },
+        { pattern: /^(?:ii|2nd|second)\s+/, digit: '2' },
+        { pattern: /^(?:i|1st|first)\s+/,   digit: '1' }
+    ];
+
+    /**
+     * Normalizes a book name for lookup: lowercase, no accents, no periods, ordinals as digits, no spaces.
+     * @param {string} name - Any book name or abbreviation (e.g., "I John", "Isa.", "Song of Solomon", "Éxodo").
+     * @returns {string} - Lookup key (e.g., "1john", "isa", "songofsolomon", "exodo").
+     */
+    function normalizeBookName(name) {
+        return _normalizeKey(String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '')); // "Génesis" -> "Genesis"
+    }
+
+    /**
+     * Lookup key that keeps the accents ("Jó" and "Jo" stay apart).
+     * @param {string} name
+     * @returns {string}
+     */
+    function _accentedKey(name) {
+        return _normalizeKey(String(name).normalize('NFC'));
+    }
+
+    /**
+     * Lowercase, no periods, ordinals as digits, no spaces.
+     * @param {string} text
+     * @returns {string}
+     */
+    function _normalizeKey(text) {
+        let key = text.toLowerCase().replace(/\./g, ' ').replace(/\s+/g, ' ').trim();
+        for (const ordinal of ORDINAL_PREFIXES) {
+            if (ordinal.pattern.test(key)) {
+                key = key.replace(ordinal.pattern, ordinal.digit);
+                break;
+            }
+        }
+        return key.replace(/\s+/g, '');
+    }
+
+    // --- Build lookup tables ---
+    // Normalized name -> book record, or null where names of different books fold to the same key
+    // (Portuguese "Jó" = Job and "Jo" = John); those resolve by their exact spelling only
+    const _lookup = {};
+    const _accentedLookup = {};
+    const _byId = {};
+    const _add = (table, key, book) => { table[key] = key in table && table[key] !== book ? null : book; };
+    BOOKS.forEach((book, index) => {
+        book.order = index + 1; // Canonical position, 1-66
+        Object.freeze(book.aliases);
+        Object.freeze(book);
+        _byId[book.id] = book;
+        const localized = [].concat(...Object.values(LOCALIZED_NAMES).map(names => names[book.id] || []));
+        [book.name, book.id, book.osis].concat(book.aliases, localized).forEach(variant => {
+            _add(_lookup, normalizeBookName(variant), book);
+            _add(_accentedLookup, _accentedKey(variant), book);
+        });
+    });
+
+    /**
+     * Resolves any supported book name, abbreviation or id to its canonical record.
+     * Does not guess: names that are not in the registry, and accent-less spellings shared by two books
+     * ("Jo" without an accent where "Jó" is meant), return null unless written exactly as registered.
+     * @param {string} name - The book name as written.
+     * @returns {object|null} - {id, osis, name, testament, chapters, aliases, order}, or null if unknown.
+     */
+    function resolveBook(name) {
+        if (typeof name !== 'string' || !name.trim()) return null;
+        const book = _lookup[normalizeBookName(name)];
+        if (book !== null) return book || null;
+        return _accentedLookup[_accentedKey(name)] || null;
+    }
+
+    /**
+     * A book's name in a language, for display.
+     * @param {string} id - USFM book id.
+     * @param {string} [language='en'] - Language code ("es", "pt-BR"); languages without book names get the English name.
+     * @returns {string|null} - null for an unknown id.
+     */
+    function getBookName(id, language = 'en') {
+        const book = _byId[id];
+        if (!book) return null;
+        const names = LOCALIZED_NAMES[String(language).toLowerCase().split('-')[0]];
+        return names && names[id] ? names[id][0] : book.name;
+    }
+
+    // Expose lookup functions
+    return {
+        normalizeBookName: normalizeBookName,
+        resolveBook: resolveBook,
+        getBookName: getBookName,
+        getBookById: function(id) { return _byId[id] || null; },
+        getAllBooks: function() { return BOOKS.slice(); } // Canonical order, return copy
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.bookRegistry;
+}
@@ -1,88 +1,60 @@
 /**
  * bsb_parser.js - Handles parsing and indexing BSB JSON data.
- * Uses a mapping object for robust book name normalization.
+ * Book names are standardized to registry ids via book_registry.js.
  * Part of ProphecyApp namespace.
  */
 
 // Initialize the namespace object if it doesn't exist
 var ProphecyApp = ProphecyApp || {};
 
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.bookRegistry = ProphecyApp.bookRegistry || require('./book_registry.js');
+}
+
 ProphecyApp.bsbParser = (function() {
 
-    // --- Book Name Mapping for Standardization ---
-    // Maps variations found in BSB.json (after lower/no-space) TO standard keys used for lookup
-    const bookNameMappings = {
-        // Add variations found in YOUR BSB.json name fields here -> map to standard key
-        'psalms': 'psalms',
-        'songofsongs': 'songofsongs', // Keep consistent if ref uses this
-        'songofsolomon': 'songofsongs', // Map variation to standard
-        'revelationofjohn': 'revelation',
-        // Numbered Books (assuming BSB.json uses Roman numerals or spelled out first/second)
-        'isamuel': '1samuel',
-        'firstsamuel': '1samuel',
-        'iisamuel': '2samuel',
-        'secondsamuel': '2samuel',
-        'ikings': '1kings',
-        'firstkings': '1kings',
-        'iikings': '2kings',
-        'secondkings': '2kings',
-        'ichronicles': '1chronicles',
-        'firstchronicles': '1chronicles',
-        'iichronicles': '2chronicles',
-        'secondchronicles': '2chronicles',
-        'icorinthians': '1corinthians',
-        'firstcorinthians': '1corinthians',
-        'iicorinthians': '2corinthians',
-        'secondcorinthians': '2corinthians',
-        'ithessalonians': '1thessalonians',
-        'firstthessalonians': '1thessalonians',
-        'iithessalonians': '2thessalonians',
-        'secondthessalonians': '2thessalonians',
-        'itimothy': '1timothy',
-        'firsttimothy': '1timothy',
-        'iitimothy': '2timothy',
-        'secondtimothy': '2timothy',
-        'ipeter': '1peter',
-        'firstpeter': '1peter',
-        'iipeter': '2peter',
-        'secondpeter': '2peter',
-        'ijohn': '1john',
-        'firstjohn': '1john',
-        'iijohn': '2john',
-        'secondjohn': '2john',
-        'iiijohn': '3john',
-        'thirdjohn': '3john'
-        // Add more mappings if needed based on your BSB.json analysis
+    // --- Book Registry ---
+    // Assumes book_registry.js is loaded first; book names in BSB.json resolve to registry ids
+    const _resolveBook = ProphecyApp.bookRegistry?.resolveBook || function() {
+        console.error("BSB_PARSER Error: bookRegistry not loaded correctly!");
+        return null;
     };
 
     /**
      * Parses and indexes the raw BSB JSON data.
      * @param {object} jsonData - The raw JSON data from BSB.json.
-     * @returns {object} - The indexed BSB data object.
+     * @param {function(number, number)} [onProgress] - Called as each book is processed with (bookNumber, totalBooks).
+     * @param {function(...*)} [log=console.log] - Receives progress messages.
+     * @returns {object} - The indexed BSB data object, keyed by registry book id ("GEN", "1JN", ...).
      * @throws {Error} - If parsing fails or data is invalid.
      */
-    function parseAndIndexBsbData(jsonData) {
-        console.log("BSB_PARSER: Starting BSB parsing and indexing...");
+    function parseAndIndexBsbData(jsonData, onProgress, log = console.log) {
+        log("BSB_PARSER: Starting BSB parsing and indexing...");
         const startTime = performance.now();
         try {
             const indexedBsb = {};
             if (!jsonData || !Array.isArray(jsonData.books)) {
                 throw new Error("BSB_PARSER Error: Invalid BSB JSON structure: 'books' array not found.");
             }
-            console.log(`BSB_PARSER: Found ${jsonData.books.length} books in BSB data.`);
+            log(`BSB_PARSER: Found ${jsonData.books.length} books in BSB data.`);
 
             jsonData.books.forEach((book, bookArrayIndex) => {
+                 if (onProgress) onProgress(bookArrayIndex + 1, jsonData.books.length);
                  if (!book || typeof book.name !== 'string') {
                       console.warn(`BSB_PARSER: Skipping book at index ${bookArrayIndex} due to missing or invalid name.`);
                       return;
                  }
 
-                // Normalize book name from BSB.json
-                let rawBookKey = book.name.toLowerCase().replace(/\s+/g, '');
-                // Standardize using the mapping object, default to raw key if no map found
-                let finalBookKey = bookNameMappings[rawBookKey] || rawBookKey;
+                // Standardize the book name through the shared registry; never guess unknown names
+                const bookRecord = _resolveBook(book.name);
+                if (!bookRecord) {
+                    console.warn(`BSB_PARSER: Skipping unknown book '${book.name}' at index ${bookArrayIndex} (not in book registry).`);
+                    return;
+                }
+                const finalBookKey = bookRecord.id;
 
-                console.log(`BSB_PARSER: Indexing book: Original='${book.name}', RawKey='${rawBookKey}', FinalKey='${finalBookKey}'`);
+                log(`BSB_PARSER: Indexing book: Original='${book.name}', FinalKey='${finalBookKey}'`);
 
                 const bookIndex = {};
                  if (!Array.isArray(book.chapters)) return; // Skip book if no chapters
@@ -109,13 +81,12 @@ ProphecyApp.bsbParser = (function() {
             }
 
             const endTime = performance.now();
-            console.log(`BSB_PARSER: BSB data parsed and indexed successfully in ${endTime - startTime} ms.`);
-            console.log("BSB_PARSER: Final Indexed Keys (sample):", Object.keys(indexedBsb).slice(0, 66));
+            log(`BSB_PARSER: BSB data parsed and indexed successfully in ${endTime - startTime} ms.`);
+            log("BSB_PARSER: Final Indexed Keys (sample):", Object.keys(indexedBsb).slice(0, 66));
             return indexedBsb; // Return the created index
 
         } catch (error) {
-            console.error('BSB_PARSER: Error during parseAndIndexBsbData execution:', error);
-            // Re-throw error to be caught by data_fetcher
+            // Re-throw error to be caught and reported by the caller (bible_service, tools/validate_manifest.js)
             throw new Error(`Failed to process BSB data: ${error.message}`);
         }
     }
@@ -124,4 +95,9 @@ ProphecyApp.bsbParser = (function() {
     return {
         parseAndIndexBsbData: parseAndIndexBsbData
     };
-})();
\ No newline at end of file
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.bsbParser;
+}
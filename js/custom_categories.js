@@ -0,0 +1,324 @@
+/**
+ * custom_categories.js - Categories authored in the app (manifest editor), stored in this browser.
+ * dataFetcher.fetchManifest merges them on top of the shipped references.json (see mergeCategories):
+ * a user category whose name matches a shipped one adds its pairs to that category, any other
+ * becomes a new category after the shipped ones.
+ * serializeManifest writes categories in the layout of references.json (one pair per line) so the
+ * combined or user-only manifest can be downloaded and submitted upstream.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.localStore = ProphecyApp.localStore || require('./local_store.js');
+}
+
+ProphecyApp.customCategories = (function() {
+    // Assumes local_store.js is loaded before this module
+    const _localStore = ProphecyApp.localStore;
+    const _getPairKey = _localStore.getPairKey;
+
+    const STORAGE_KEY = 'prophecyViewer.customCategories';
+    const STORAGE_VERSION = 1;
+    const ALL_CATEGORIES_NAME = "All Categories"; // Placeholder category references.json starts with (its pairs are ignored)
+    const PAIR_FIELDS = ['ot_ref', 'nt_ref', 'description'];
+
+    let _storage = _localStore.getDefaultStorage();
+    let _categories = null; // [{ name, pairs: [{ ot_ref, nt_ref, description }] }]; read from storage on first use
+
+    /**
+     * Normalizes a category name for comparisons.
+     * @param {string} name
+     * @returns {string}
+     */
+    function _nameKey(name) {
+        return String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * Copies the manifest fields of a pair, trimmed.
+     * @param {object} pair
+     * @returns {{ot_ref: string, nt_ref: string, description: string}}
+     */
+    function _cleanPair(pair) {
+        const cleaned = {};
+        PAIR_FIELDS.forEach(field => { cleaned[field] = typeof pair[field] === 'string' ? pair[field].replace(/\s+/g, ' ').trim() : ''; });
+        return cleaned;
+    }
+
+    /**
+     * Deep copy of categories (callers never hold the stored objects).
+     * @param {Array<object>} categories
+     * @returns {Array<object>}
+     */
+    function _copy(categories) {
+        return categories.map(category => ({ name: category.name, pairs: category.pairs.map(pair => Object.assign({}, pair)) }));
+    }
+
+    /**
+     * Reads the saved categories once.
+     */
+    function _load() {
+        if (_categories) return;
+        _categories = [];
+        if (!_storage) return;
+        try {
+            const saved = JSON.parse(_storage.getItem(STORAGE_KEY) || 'null');
+            (saved && Array.isArray(saved.categories) ? saved.categories : []).forEach(category => {
+                if (!category || typeof category.name !== 'string' || !category.name.trim()) return;
+                const pairs = Array.isArray(category.pairs) ? category.pairs.filter(pair => pair && typeof pair === 'object').map(_cleanPair) : [];
+                _categories.push({ name: category.name.trim(), pairs: pairs });
+            });
+            console.log(`CUSTOM_CATEGORIES: Loaded ${_categories.length} user categories.`);
+        } catch (error) {
+            console.warn("CUSTOM_CATEGORIES: Could not read saved categories:", error);
+        }
+    }
+
+    /**
+     * Writes all categories to storage.
+     * @returns {boolean} - False if they are kept in memory only (no storage, quota exceeded).
+     */
+    function _save() {
+        if (!_storage) return false;
+        try {
+            _storage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, categories: _categories }));
+            return true;
+        } catch (error) {
+            console.warn("CUSTOM_CATEGORIES: Could not save categories:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Returns a stored category or throws.
+     * @param {number} index
+     * @returns {object}
+     * @throws {Error}
+     */
+    function _categoryAt(index) {
+        _load();
+        const category = _categories[index];
+        if (!category) throw new Error(`No user category #${index + 1}.`);
+        return category;
+    }
+
+    /**
+     * Checks a category name: not blank, not reserved, not used by another user category.
+     * @param {string} name
+     * @param {number} ownIndex - Index of the category being renamed, -1 for a new one.
+     * @param {Array<string>} reservedNames - Names the app uses for pseudo-categories.
+     * @returns {string} - The trimmed name.
+     * @throws {Error}
+     */
+    function _checkName(name, ownIndex, reservedNames) {
+        const trimmed = String(name || '').replace(/\s+/g, ' ').trim();
+        if (!trimmed) throw new Error('A category needs a name.');
+        if ([ALL_CATEGORIES_NAME].concat(reservedNames || []).some(reserved => _nameKey(reserved) === _nameKey(trimmed))) {
+            throw new Error(`"${trimmed}" is reserved by the app.`);
+        }
+        const clash = _categories.findIndex(category => _nameKey(category.name) === _nameKey(trimmed));
+        if (clash !== -1 && clash !== ownIndex) throw new Error(`You already have a category named "${_categories[clash].name}".`);
+        return trimmed;
+    }
+
+    /**
+     * The user's categories, in their order.
+     * @returns {Array<{name: string, pairs: Array<{ot_ref: string, nt_ref: string, description: string}>}>} - Copies.
+     */
+    function getCategories() {
+        _load();
+        return _copy(_categories);
+    }
+
+    /**
+     * Adds an empty category at the end.
+     * @param {string} name
+     * @param {object} [options]
+     * @param {Array<string>} [options.reservedNames] - Pseudo-category names that may not be used (e.g., "My Bookmarks").
+     * @returns {{index: number, saved: boolean}}
+     * @throws {Error} - Blank, reserved or duplicate name.
+     */
+    function createCategory(name, options = {}) {
+        _load();
+        const trimmed = _checkName(name, -1, options.reservedNames);
+        _categories.push({ name: trimmed, pairs: [] });
+        console.log(`CUSTOM_CATEGORIES: Created "${trimmed}".`);
+        return { index: _categories.length - 1, saved: _save() };
+    }
+
+    /**
+     * Renames a category.
+     * @param {number} index
+     * @param {string} name
+     * @param {object} [options] - As for createCategory.
+     * @returns {{saved: boolean}}
+     * @throws {Error} - Unknown index; blank, reserved or duplicate name.
+     */
+    function renameCategory(index, name, options = {}) {
+        const category = _categoryAt(index);
+        category.name = _checkName(name, index, options.reservedNames);
+        return { saved: _save() };
+    }
+
+    /**
+     * Moves a category up (negative offset) or down.
+     * @param {number} index
+     * @param {number} offset - e.g. -1 or 1; clamped to the list.
+     * @returns {{index: number, saved: boolean}} - The category's new index.
+     * @throws {Error} - Unknown index.
+     */
+    function moveCategory(index, offset) {
+        const category = _categoryAt(index);
+        const target = Math.max(0, Math.min(_categories.length - 1, index + offset));
+        _categories.splice(index, 1);
+        _categories.splice(target, 0, category);
+        return { index: target, saved: _save() };
+    }
+
+    /**
+     * Deletes a category and its pairs.
+     * @param {number} index
+     * @returns {{saved: boolean}}
+     * @throws {Error} - Unknown index.
+     */
+    function deleteCategory(index) {
+        const category = _categoryAt(index);
+        _categories.splice(index, 1);
+        console.log(`CUSTOM_CATEGORIES: Deleted "${category.name}" (${category.pairs.length} pairs).`);
+        return { saved: _save() };
+    }
+
+    /**
+     * Appends a pair to a category.
+     * @param {number} categoryIndex
+     * @param {{ot_ref: string, nt_ref: string, description: string}} pair
+     * @returns {{pairIndex: number, saved: boolean}}
+     * @throws {Error} - Unknown category, missing ref, or the pair is already in the category.
+     */
+    function addPair(categoryIndex, pair) {
+        const category = _categoryAt(categoryIndex);
+        const cleaned = _cleanPair(pair || {});
+        if (!cleaned.ot_ref || !cleaned.nt_ref) throw new Error('A pair needs both an OT and an NT reference.');
+        if (category.pairs.some(existing => _getPairKey(existing) === _getPairKey(cleaned))) {
+            throw new Error(`${cleaned.ot_ref} / ${cleaned.nt_ref} is already in "${category.name}".`);
+        }
+        category.pairs.push(cleaned);
+        return { pairIndex: category.pairs.length - 1, saved: _save() };
+    }
+
+    /**
+     * Changes fields of a pair (e.g., its description).
+     * @param {number} categoryIndex
+     * @param {number} pairIndex
+     * @param {object} changes - Any of ot_ref, nt_ref, description.
+     * @returns {{saved: boolean}}
+     * @throws {Error} - Unknown category or pair, or a ref emptied.
+     */
+    function updatePair(categoryIndex, pairIndex, changes) {
+        const category = _categoryAt(categoryIndex);
+        const pair = category.pairs[pairIndex];
+        if (!pair) throw new Error(`No pair #${pairIndex + 1} in "${category.name}".`);
+        const updated = _cleanPair(Object.assign({}, pair, changes));
+        if (!updated.ot_ref || !updated.nt_ref) throw new Error('A pair needs both an OT and an NT reference.');
+        category.pairs[pairIndex] = updated;
+        return { saved: _save() };
+    }
+
+    /**
+     * Removes a pair from a category.
+     * @param {number} categoryIndex
+     * @param {number} pairIndex
+     * @returns {{saved: boolean}}
+     * @throws {Error} - Unknown category or pair.
+     */
+    function removePair(categoryIndex, pairIndex) {
+        const category = _categoryAt(categoryIndex);
+        if (!category.pairs[pairIndex]) throw new Error(`No pair #${pairIndex + 1} in "${category.name}".`);
+        category.pairs.splice(pairIndex, 1);
+        return { saved: _save() };
+    }
+
+    /**
+     * Merges user categories on top of the shipped ones. Neither input is modified.
+     * A user category named like a shipped one (ignoring case/spacing) adds the pairs that category lacks;
+     * the others are appended in the user's order.
+     * @param {Array<object>} shippedCategories - manifest.categories from references.json.
+     * @param {Array<object>} userCategories - From getCategories.
+     * @returns {{categories: Array<object>, addedCategoryNames: Array<string>, extendedCategoryNames: Array<string>}}
+     *          - addedCategoryNames are user-only categories; extendedCategoryNames are shipped categories that gained pairs.
+     */
+    function mergeCategories(shippedCategories, userCategories) {
+        const categories = (Array.isArray(shippedCategories) ? shippedCategories : []).map(category =>
+            category && Array.isArray(category.pairs) ? Object.assign({}, category, { pairs: category.pairs.slice() }) : category);
+        const result = { categories: categories, addedCategoryNames: [], extendedCategoryNames: [] };
+        (userCategories || []).forEach(userCategory => {
+            const shipped = categories.find(category => category && Array.isArray(category.pairs) &&
+                                                        _nameKey(category.name) === _nameKey(userCategory.name));
+            if (!shipped) {
+                categories.push({ name: userCategory.name, pairs: userCategory.pairs.map(pair => Object.assign({}, pair)) });
+                result.addedCategoryNames.push(userCategory.name);
+                return;
+            }
+            const existingKeys = new Set(shipped.pairs.filter(pair => pair && typeof pair === 'object').map(_getPairKey));
+            const newPairs = userCategory.pairs.filter(pair => !existingKeys.has(_getPairKey(pair)));
+            if (newPairs.length === 0) return;
+            shipped.pairs.push(...newPairs.map(pair => Object.assign({}, pair)));
+            result.extendedCategoryNames.push(shipped.name);
+        });
+        return result;
+    }
+
+    /**
+     * Writes categories as references.json text, one pair per line like the shipped file.
+     * The "All Categories" placeholder is added first if missing, so the file works as the app's manifest.
+     * @param {Array<object>} categories
+     * @returns {string}
+     */
+    function serializeManifest(categories) {
+        const list = (categories || []).filter(category => category && typeof category.name === 'string');
+        if (!list.some(category => category.name === ALL_CATEGORIES_NAME)) list.unshift({ name: ALL_CATEGORIES_NAME, pairs: [] });
+        const categoryTexts = list.map(category => {
+            const pairs = (Array.isArray(category.pairs) ? category.pairs : []).filter(pair => pair && typeof pair === 'object');
+            const pairLines = pairs.map(pair => '        { ' + PAIR_FIELDS.map(field =>
+                `${JSON.stringify(field)}: ${JSON.stringify(typeof pair[field] === 'string' ? pair[field] : '')}`).join(', ') + ' }');
+            return '    {\n' +
+                   `      "name": ${JSON.stringify(category.name)},\n` +
+                   (pairLines.length ? `      "pairs": [\n${pairLines.join(',\n')}\n      ]\n` : '      "pairs": []\n') +
+                   '    }';
+        });
+        return `{\n  "categories": [\n${categoryTexts.join(',\n')}\n  ]\n}\n`;
+    }
+
+    /**
+     * Switches the storage backend and re-reads it (tests; null keeps categories in memory only).
+     * @param {{getItem: function(string): string|null, setItem: function(string, string)} | null} storage
+     */
+    function setStorage(storage) {
+        _storage = storage;
+        _categories = null;
+    }
+
+    // Expose custom category functions
+    return {
+        getCategories: getCategories,
+        createCategory: createCategory,
+        renameCategory: renameCategory,
+        moveCategory: moveCategory,
+        deleteCategory: deleteCategory,
+        addPair: addPair,
+        updatePair: updatePair,
+        removePair: removePair,
+        mergeCategories: mergeCategories,
+        serializeManifest: serializeManifest,
+        setStorage: setStorage
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.customCategories;
+}
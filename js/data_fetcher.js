@@ -1,154 +1,600 @@
 /**
- * data_fetcher.js - Fetches manifest and BSB data, coordinates parsing via bsb_parser.js,
- * provides data access functions (getVerseText etc.) using ProphecyApp namespace.
+ * data_fetcher.js - Fetches the manifest and translation registry, and provides data access
+ * functions (getVerses etc.) using ProphecyApp namespace.
+ * Bible data is downloaded, indexed and queried in a Web Worker (bible_worker.js); lookups are
+ * asynchronous. If Workers are unavailable, the same bibleService runs on the main thread.
+ * Translations are listed in translations.json and indexed lazily when selected.
+ * The manifest is merged from several sources (manifests.json plus sources added in the settings panel; see
+ * manifestSources), and the categories the user authored in the manifest editor (customCategories) on top.
  */
 
 // Initialize the namespace object if it doesn't exist
 var ProphecyApp = ProphecyApp || {};
 
 ProphecyApp.dataFetcher = (function() {
+    // Pair identity shared with the stores (local_store.js is loaded first)
+    const getPairKey = ProphecyApp.localStore.getPairKey;
+
     // --- Module-Scoped Variables ---
-    let _availableCategories = [];
-    let _parsedBsbData = null; // Will be populated by calling bsbParser
-    let _translationName = "[Unknown]";
-
-    // --- Alias parser function ---
-    // Assumes bsb_parser.js is loaded first
-    const _parseAndIndexBsbData = ProphecyApp.bsbParser?.parseAndIndexBsbData || function() {
-        console.error("DATA_FETCHER Error: bsbParser not loaded correctly!");
-        throw new Error("BSB Parser module not available.");
+    let _shippedCategories = []; // Merged from the enabled manifest sources, without the user's categories
+    let _availableCategories = []; // Shipped categories with the user's categories merged in
+    let _customCategoryNames = { added: [], extended: [] }; // User-only categories / shipped categories the user added pairs to
+    // Union of all categories: one entry per unique OT/NT ref pair, listing every category it appears in
+    let _aggregatedPairs = [];
+    const _aggregatedPairsByKey = new Map(); // pair key -> aggregated entry
+    const ALL_CATEGORIES_NAME = "All Categories"; // Placeholder category in references.json (its pairs are ignored)
+    // Manifest sources in merge order: manifests.json entries, then sources added in this browser.
+    // { id, name, origin: 'registry'|'url'|'file', url, fileName, text, defaultEnabled, enabled, categories, error }
+    // categories/error are set once a source is loaded and kept, so switching a source back on needs no fetch.
+    let _manifestRegistry = null; // manifests.json entries, fetched once
+    let _manifestSources = [];
+    // Used when manifests.json is missing or invalid
+    const DEFAULT_MANIFESTS = {
+        manifests: [{ id: "core", name: "Prophecy Viewer list", url: "references.json" }]
+    };
+    // Provenance of pairs from the manifest editor
+    const CUSTOM_SOURCE = { id: "custom", name: "My categories" };
+    // Translation registry: id -> { id, name, url, version, format, attribution, translationName, ready, loadPromise }
+    // Each translation is fetched and indexed lazily, the first time it is selected.
+    // An optional "format" (bsb-json, usfm, osis, zefania; see bible_formats.js) overrides detection
+    // from the file extension and content.
+    // An optional "attribution" is the copyright/credit notice printed with exported text (see exporter.js).
+    // An optional "version" in translations.json invalidates the IndexedDB cache when bumped;
+    // without it the worker compares the file's ETag/Last-Modified instead.
+    // Only BSB ships. To offer another translation, put its file next to data/BSB.json (BSB JSON, USFM, OSIS or
+    // Zefania XML) and add { "id", "name", "url", "attribution" } to translations.json; the footer selector and
+    // the parallel columns list every entry.
+    let _translations = {};
+    let _translationOrder = []; // Registry ids in display order
+    let _primaryTranslationId = null;
+
+    // Used when translations.json is missing or invalid
+    const DEFAULT_TRANSLATIONS = {
+        default: "BSB",
+        translations: [{
+            id: "BSB", name: "Berean Standard Bible", url: "data/BSB.json",
+            attribution: "The Holy Bible, Berean Standard Bible, BSB is produced in cooperation with Bible Hub, Discovery Bible, OpenBible.com, and the Berean Bible Translation Committee. This text of God's Word has been dedicated to the public domain."
+        }]
     };
 
+    // --- Worker Channel ---
+    const WORKER_URL = 'js/bible_worker.js';
+    let _worker = null;
+    let _workerConfirmed = false; // True once the worker has answered at least one message
+    let _nextRequestId = 1;
+    const _pendingRequests = new Map(); // requestId -> { message, resolve, reject, onProgress }
+
+    // Main-thread fallback (bible_service.js is also loaded by index.html)
+    const _bibleService = ProphecyApp.bibleService || {
+        handleRequest: async function() { throw new Error("Bible service module not available."); }
+    };
 
-    // --- Public Fetching Functions ---
     /**
-     * Fetches the reference manifest file (references.json).
+     * Starts the Bible worker, or leaves _worker null if Workers cannot be used here.
      */
-    async function fetchManifest() {
-        console.log("DATA_FETCHER: Fetching reference manifest (references.json)...");
-        const response = await fetch('references.json');
-        if (!response.ok) {
-            console.error(`DATA_FETCHER: Manifest fetch failed! Status: ${response.status} ${response.statusText}`);
-            throw new Error(`Manifest fetch failed: ${response.status} ${response.statusText}`);
+    function _startWorker() {
+        if (typeof Worker === 'undefined') {
+            console.warn("DATA_FETCHER: Web Workers unavailable. Bible data will be indexed on the main thread.");
+            return;
+        }
+        try {
+            _worker = new Worker(WORKER_URL);
+        } catch (error) {
+            console.warn(`DATA_FETCHER: Could not start Bible worker (${error.message}). Using main thread.`);
+            _worker = null;
+            return;
         }
-        const manifest = await response.json();
-        console.log("DATA_FETCHER: Manifest fetched successfully.");
-        if (!manifest || !Array.isArray(manifest.categories)) {
-            throw new Error('Invalid manifest format: "categories" array not found.');
+        _worker.addEventListener('message', _handleWorkerMessage);
+        _worker.addEventListener('error', _handleWorkerError);
+    }
+
+    /**
+     * Routes worker replies to the pending request they answer.
+     */
+    function _handleWorkerMessage(event) {
+        _workerConfirmed = true;
+        const reply = event.data || {};
+        const pending = _pendingRequests.get(reply.requestId);
+        if (!pending) return;
+        if (reply.type === 'progress') {
+            if (pending.onProgress) pending.onProgress(reply.progress);
+            return;
         }
-        _availableCategories = manifest.categories; // Store module-scoped
-        return _availableCategories; // Return categories array
+        _pendingRequests.delete(reply.requestId);
+        if (reply.type === 'result') pending.resolve(reply.result);
+        else pending.reject(new Error(reply.message || "Bible worker request failed."));
     }
 
     /**
-     * Fetches the full BSB data file and triggers parsing.
+     * A worker that fails before answering anything (e.g., script blocked on file://) is dropped
+     * and its pending requests are replayed on the main thread.
      */
-    async function fetchAndParseBsbData() { // Renamed slightly for clarity
-        console.log("DATA_FETCHER: Fetching BSB data (data/BSB.json)...");
+    function _handleWorkerError(event) {
+        console.error("DATA_FETCHER: Bible worker error:", event.message || event);
+        if (_workerConfirmed) return; // Per-request errors arrive as 'error' messages instead
+        event.preventDefault?.();
+        _worker.terminate();
+        _worker = null;
+        console.warn("DATA_FETCHER: Falling back to main-thread Bible indexing.");
+        const replay = Array.from(_pendingRequests.values());
+        _pendingRequests.clear();
+        replay.forEach(pending => {
+            _bibleService.handleRequest(pending.message, pending.onProgress || function() {})
+                .then(pending.resolve, pending.reject);
+        });
+    }
+
+    /**
+     * Sends a request to the Bible worker (or the main-thread fallback).
+     * @param {object} message - { type, ...payload } as understood by bibleService.handleRequest.
+     * @param {function(object)} [onProgress] - Receives progress events for long-running requests.
+     * @returns {Promise<*>} - The request result.
+     */
+    function _request(message, onProgress) {
+        if (!_worker) {
+            return _bibleService.handleRequest(message, onProgress || function() {});
+        }
+        return new Promise((resolve, reject) => {
+            const requestId = _nextRequestId++;
+            const fullMessage = Object.assign({ requestId: requestId }, message);
+            _pendingRequests.set(requestId, { message: fullMessage, resolve: resolve, reject: reject, onProgress: onProgress });
+            _worker.postMessage(fullMessage);
+        });
+    }
+
+    _startWorker();
+
+    // --- Public Fetching Functions ---
+    /**
+     * Fetches the manifest source registry (manifests.json), once.
+     * Falls back to the built-in entry for references.json if the registry cannot be loaded.
+     * @returns {Promise<Array<object>>} - Registry entries ({id, name, url, enabled?}).
+     */
+    async function _fetchManifestRegistry() {
+        if (_manifestRegistry) return _manifestRegistry;
+        let registry = DEFAULT_MANIFESTS;
         try {
-            const response = await fetch('data/BSB.json');
-            if (!response.ok) {
-                 console.error(`DATA_FETCHER: BSB data fetch failed! Status: ${response.status} ${response.statusText}`);
-                throw new Error(`BSB data fetch failed: ${response.status} ${response.statusText}`);
-            }
-            const jsonData = await response.json();
-            console.log("DATA_FETCHER: BSB data fetched successfully. Preparing to parse...");
-
-            _translationName = jsonData.translation || "Unknown Translation"; // Read translation name
-            console.log(`DATA_FETCHER: Translation Name Found: ${_translationName}`);
-
-            // Use await with setTimeout wrapped in a Promise for parsing
-            await new Promise((resolve, reject) => {
-                 console.log("DATA_FETCHER: Entering Promise for setTimeout(bsbParser.parseAndIndex)...");
-                 setTimeout(() => {
-                    console.log("DATA_FETCHER: Starting bsbParser.parseAndIndex inside setTimeout...");
-                    try {
-                        // Call the parser function from the other module
-                        _parsedBsbData = _parseAndIndexBsbData(jsonData); // Store the returned index
-                        console.log("DATA_FETCHER: bsbParser completed successfully (within setTimeout). Resolving promise.");
-                        resolve();
-                    } catch (parseError) {
-                        console.error("DATA_FETCHER: Error occurred INSIDE bsbParser (caught in setTimeout):", parseError);
-                        _parsedBsbData = null; // Ensure null on error
-                        _translationName = "[Error Loading]";
-                        reject(parseError);
-                    }
-                }, 50);
+            const response = await fetch('manifests.json');
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const json = await response.json();
+            if (!json || !Array.isArray(json.manifests)) throw new Error('"manifests" array not found.');
+            registry = json;
+        } catch (error) {
+            console.warn(`DATA_FETCHER: Manifest source registry unavailable (${error.message}). Using references.json only.`);
+        }
+        _manifestRegistry = registry.manifests.filter(entry => {
+            const valid = entry && typeof entry.id === 'string' && typeof entry.url === 'string' && entry.id !== CUSTOM_SOURCE.id;
+            if (!valid) console.warn("DATA_FETCHER: Skipping invalid manifest source entry:", entry);
+            return valid;
+        });
+        return _manifestRegistry;
+    }
+
+    /**
+     * Rebuilds _manifestSources from the registry and the sources added in this browser,
+     * keeping what was already loaded for sources that are still listed.
+     */
+    function _collectManifestSources() {
+        const sourcesModule = ProphecyApp.manifestSources;
+        const previous = new Map(_manifestSources.map(source => [source.id, source]));
+        const entries = _manifestRegistry.map(entry => ({
+            id: entry.id, name: entry.name || entry.id, origin: 'registry', url: entry.url, defaultEnabled: entry.enabled !== false
+        })).concat(sourcesModule.getUserSources().map(source => ({
+            id: source.id, name: source.name, origin: source.type, url: source.url || null,
+            fileName: source.fileName || null, text: source.text || null, defaultEnabled: true
+        })));
+        _manifestSources = entries.map(entry => {
+            const loaded = previous.get(entry.id);
+            return Object.assign(entry, {
+                enabled: sourcesModule.isEnabled(entry.id, entry.defaultEnabled),
+                categories: loaded ? loaded.categories : null,
+                error: loaded ? loaded.error : null
             });
-             console.log("DATA_FETCHER: Promise for BSB parsing resolved/awaited.");
-             // If we get here, parsing was successful.
+        });
+    }
 
+    /**
+     * Fetches (URL) or parses (stored file) one manifest source; failures are recorded on the source.
+     * @param {object} source - Entry of _manifestSources.
+     */
+    async function _loadManifestSource(source) {
+        if (source.categories) return;
+        try {
+            let manifest;
+            if (source.origin === 'file') {
+                manifest = JSON.parse(source.text);
+            } else {
+                console.log(`DATA_FETCHER: Fetching manifest source ${source.id} (${source.url})...`);
+                const response = await fetch(source.url);
+                if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+                manifest = await response.json();
+            }
+            source.categories = ProphecyApp.manifestSources.readCategories(manifest);
+            source.error = null;
         } catch (error) {
-             console.error('DATA_FETCHER: Error caught in fetchAndParseBsbData (could be fetch OR parse rejection):', error);
-             _parsedBsbData = null;
-             _translationName = "[Error Loading]";
-             throw error; // Re-throw to be caught by initializeApp
+            console.error(`DATA_FETCHER: Manifest source ${source.id} failed: ${error.message}`);
+            source.error = error.message; // Retried on the next fetchManifest
         }
     }
 
+    /**
+     * Loads the enabled manifest sources and merges them (manifestSources.mergeManifests), then the user's categories.
+     * Called at startup and again whenever sources are added, removed or switched on/off.
+     * @returns {Promise<Array<object>>} - The merged categories.
+     * @throws {Error} - If every enabled source failed to load (the previous manifest is kept).
+     */
+    async function fetchManifest() {
+        console.log("DATA_FETCHER: Fetching reference manifest sources...");
+        await _fetchManifestRegistry();
+        _collectManifestSources();
+        const enabledSources = _manifestSources.filter(source => source.enabled);
+        enabledSources.forEach(source => { if (source.error) source.error = null; }); // Retry failed sources
+        await Promise.all(enabledSources.map(_loadManifestSource));
+        const loadedSources = enabledSources.filter(source => source.categories);
+        if (enabledSources.length > 0 && loadedSources.length === 0) {
+            const firstError = enabledSources[0].error;
+            console.error(`DATA_FETCHER: Manifest fetch failed! ${firstError}`);
+            throw new Error(`Manifest fetch failed: ${firstError}`);
+        }
+        _shippedCategories = ProphecyApp.manifestSources.mergeManifests(loadedSources.map(source => ({ id: source.id, categories: source.categories })));
+        console.log(`DATA_FETCHER: Manifest merged from ${loadedSources.length} of ${_manifestSources.length} source(s).`);
+        applyCustomCategories();
+        return _availableCategories; // Return categories array
+    }
 
     /**
-     * Retrieves verse text from the parsed BSB data (_parsedBsbData).
-     * Performs ONLY basic normalization for lookup.
-     * @param {string} refString - The reference string (e.g., "Micah 5:2", "Psalms 16:10").
-     * @returns {string} - The verse text or an error/not found message.
+     * Display info for every manifest source (settings panel).
+     * @returns {Array<{id: string, name: string, origin: string, location: string, enabled: boolean, removable: boolean,
+     *           error: string|null, categoryCount: number|null, pairCount: number|null}>} - Counts are null until loaded.
      */
-    function getVerseText(refString) {
-        if (!_parsedBsbData) return "[BSB Data Not Ready]";
-        if (!refString) return "[N/A]";
+    function getManifestSources() {
+        return _manifestSources.map(source => {
+            const categories = source.categories ? source.categories.filter(category => category && category.name !== ALL_CATEGORIES_NAME) : null;
+            return {
+                id: source.id, name: source.name, origin: source.origin,
+                location: source.origin === 'file' ? source.fileName : source.url,
+                enabled: source.enabled, removable: source.origin !== 'registry', error: source.error,
+                categoryCount: categories ? categories.length : null,
+                pairCount: categories ? categories.reduce((count, category) => count + (Array.isArray(category.pairs) ? category.pairs.length : 0), 0) : null
+            };
+        });
+    }
 
-        try {
-            // Handle comma refs (take first part) and optional range
-             let cleanRef = refString.trim();
-             const commaIndex = cleanRef.indexOf(',');
-             if (commaIndex !== -1) {
-                 console.warn(`DATA_FETCHER: Comma detected in ref "${refString}", using only first part: "${cleanRef.substring(0, commaIndex).trim()}"`);
-                 cleanRef = cleanRef.substring(0, commaIndex).trim();
-             }
-            const match = cleanRef.match(/^(\d?\s?[A-Za-z]+(?:\s[A-Za-z]+)*)\s?(\d+):(\d+)(?:-(\d+))?$/);
-            if (!match) {
-               console.warn(`DATA_FETCHER: Could not parse reference: ${refString}`);
-               return `[Invalid Ref Format: ${refString}]`;
+    /**
+     * (Re)merges the user's categories on top of the shipped manifest and rebuilds the aggregated pairs.
+     * Called by fetchManifest and after every edit in the manifest editor.
+     * @returns {Array<object>} - The merged categories.
+     */
+    function applyCustomCategories() {
+        const customCategories = ProphecyApp.customCategories;
+        if (!customCategories) {
+            _availableCategories = _shippedCategories;
+        } else {
+            const merged = customCategories.mergeCategories(_shippedCategories, customCategories.getCategories());
+            _availableCategories = merged.categories;
+            _customCategoryNames = { added: merged.addedCategoryNames, extended: merged.extendedCategoryNames };
+            // Pairs from the manifest editor are copies without provenance
+            _availableCategories.forEach(category => {
+                if (!category || !Array.isArray(category.pairs)) return;
+                category.pairs.forEach(pair => { if (pair && typeof pair === 'object' && !pair.sources) pair.sources = [CUSTOM_SOURCE.id]; });
+            });
+            if (merged.addedCategoryNames.length || merged.extendedCategoryNames.length) {
+                console.log(`DATA_FETCHER: Merged user categories (${merged.addedCategoryNames.length} new, ${merged.extendedCategoryNames.length} extended).`);
             }
+        }
+        _buildAggregatedPairs();
+        return _availableCategories;
+    }
 
-            // --- Simple Normalization for Lookup ---
-            let bookName = match[1].toLowerCase().replace(/\s+/g, '');
-            const chapterNum = match[2];
-            const verseNum = match[3];   // START VERSE
-            // --- End Simple Normalization ---
-
-            // --- Diagnostic Log ---
-            console.log(`DATA_FETCHER: Attempting lookup for book key: '${bookName}', chapter: '${chapterNum}', verse: '${verseNum}'`);
-            if (!_parsedBsbData[bookName]) {
-                console.error(`DATA_FETCHER ERROR: Book key '${bookName}' NOT FOUND.`);
-                console.log("DATA_FETCHER: Available keys sample:", Object.keys(_parsedBsbData).slice(0, 66));
-                return `[Book Key Not Found: ${bookName}]`;
+    /**
+     * Merges the pairs of all categories into _aggregatedPairs.
+     * A pair listed in several categories becomes one entry with all of its categories and sources;
+     * differing descriptions are kept and joined with " / ".
+     */
+    function _buildAggregatedPairs() {
+        _aggregatedPairs = [];
+        _aggregatedPairsByKey.clear();
+        _availableCategories.forEach(category => {
+            if (category.name === ALL_CATEGORIES_NAME || !Array.isArray(category.pairs)) return;
+            category.pairs.forEach(pair => {
+                if (!pair || typeof pair !== 'object') return; // Reported by the manifest check
+                const key = getPairKey(pair);
+                let entry = _aggregatedPairsByKey.get(key);
+                if (!entry) {
+                    entry = { ot_ref: pair.ot_ref, nt_ref: pair.nt_ref, description: '', descriptions: [], categories: [], sources: [] };
+                    _aggregatedPairsByKey.set(key, entry);
+                    _aggregatedPairs.push(entry);
+                }
+                if (!entry.categories.includes(category.name)) entry.categories.push(category.name);
+                (pair.sources || []).forEach(sourceId => { if (!entry.sources.includes(sourceId)) entry.sources.push(sourceId); });
+                if (pair.description && !entry.descriptions.includes(pair.description)) {
+                    entry.descriptions.push(pair.description);
+                    entry.description = entry.descriptions.join(' / ');
+                }
+            });
+        });
+        console.log(`DATA_FETCHER: ${_aggregatedPairs.length} unique pairs across all categories.`);
+    }
+
+    /**
+     * Fetches the translation registry (translations.json) and selects the default primary translation.
+     * Falls back to the built-in BSB entry if the registry cannot be loaded.
+     * @returns {Array<object>} - The registered translations ({id, name, loaded}).
+     */
+    async function fetchTranslationList() {
+        console.log("DATA_FETCHER: Fetching translation registry (translations.json)...");
+        let registry = DEFAULT_TRANSLATIONS;
+        try {
+            const response = await fetch('translations.json');
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const json = await response.json();
+            if (!json || !Array.isArray(json.translations) || json.translations.length === 0) {
+                throw new Error('"translations" array not found.');
             }
-            // Add further checks if needed...
-            if (!_parsedBsbData[bookName]?.[chapterNum]?.[verseNum]) {
-                 console.error(`DATA_FETCHER ERROR: Chapter '${chapterNum}' or Verse '${verseNum}' NOT FOUND for book '${bookName}'.`);
-                return `[Verse/Chapter Not Found: ${refString}]`;
+            registry = json;
+        } catch (error) {
+            console.warn(`DATA_FETCHER: Translation registry unavailable (${error.message}). Using built-in default.`);
+        }
+
+        _translations = {};
+        _translationOrder = [];
+        registry.translations.forEach(entry => {
+            if (!entry || typeof entry.id !== 'string' || typeof entry.url !== 'string') {
+                console.warn("DATA_FETCHER: Skipping invalid translation entry:", entry);
+                return;
             }
-            // --- End Diagnostic Log ---
+            _translations[entry.id] = {
+                id: entry.id,
+                name: entry.name || entry.id,
+                url: entry.url,
+                version: entry.version || null,
+                format: entry.format || null,
+                attribution: typeof entry.attribution === 'string' && entry.attribution.trim() ? entry.attribution.trim() : null,
+                translationName: null, // Read from the file once loaded
+                ready: false,
+                loadPromise: null
+            };
+            _translationOrder.push(entry.id);
+        });
+        if (_translationOrder.length === 0) throw new Error("No valid translations registered.");
 
-            // Lookup
-            let text = _parsedBsbData[bookName][chapterNum][verseNum];
-            if (match[4] || commaIndex !== -1) { text += ` [...]`; } // Indicate truncation
-            return text; // SUCCESS
+        _primaryTranslationId = _translations[registry.default] ? registry.default : _translationOrder[0];
+        console.log(`DATA_FETCHER: ${_translationOrder.length} translation(s) registered. Primary: ${_primaryTranslationId}`);
+        return getTranslations();
+    }
+
+    /**
+     * Fetches and indexes a translation in the worker. Repeated calls share the same load.
+     * @param {string} translationId - Registry id (e.g., "BSB").
+     * @param {function(object)} [onProgress] - Receives {translationId, phase: 'download'|'index', loaded, total}.
+     * @returns {Promise<void>}
+     * @throws {Error} - If the id is unknown or the fetch/parse fails.
+     */
+    function loadTranslation(translationId, onProgress) {
+        const translation = _translations[translationId];
+        if (!translation) return Promise.reject(new Error(`Unknown translation: ${translationId}`));
+        if (!translation.loadPromise) {
+            console.log(`DATA_FETCHER: Requesting ${translation.id} data (${translation.url})...`);
+            const forwardProgress = progress => {
+                if (onProgress) onProgress(Object.assign({ translationId: translationId }, progress));
+            };
+            const message = { type: 'load', translationId: translation.id, url: translation.url, version: translation.version, format: translation.format };
+            translation.loadPromise = _request(message, forwardProgress)
+                .then(result => {
+                    translation.translationName = result.translationName || translation.name;
+                    translation.ready = true;
+                    console.log(`DATA_FETCHER: ${translation.id} ${result.fromCache ? 'loaded from cache' : 'indexed'}. Translation Name Found: ${translation.translationName}`);
+                })
+                .catch(error => {
+                    console.error(`DATA_FETCHER: Error loading translation ${translation.id} (fetch OR parse):`, error);
+                    translation.loadPromise = null; // Allow a retry on next selection
+                    throw error; // Re-throw to be caught by the caller
+                });
+        }
+        return translation.loadPromise;
+    }
+
+    /**
+     * Fetches and parses the primary translation (BSB unless the registry says otherwise).
+     * Loads the translation registry first if that has not happened yet.
+     * @param {function(object)} [onProgress] - Download/index progress callback (see loadTranslation).
+     */
+    async function fetchAndParseBsbData(onProgress) {
+        if (!_primaryTranslationId) await fetchTranslationList();
+        await loadTranslation(_primaryTranslationId, onProgress);
+    }
+
+    /**
+     * Makes another registered translation the primary one, loading it if needed.
+     * The previous primary stays indexed so switching back is instant.
+     * @param {string} translationId - Registry id.
+     * @param {function(object)} [onProgress] - Download/index progress callback (see loadTranslation).
+     */
+    async function setPrimaryTranslation(translationId, onProgress) {
+        if (!_translations[translationId]) throw new Error(`Unknown translation: ${translationId}`);
+        await loadTranslation(translationId, onProgress);
+        _primaryTranslationId = translationId;
+        console.log(`DATA_FETCHER: Primary translation is now ${translationId}.`);
+    }
 
+    /**
+     * Returns display info for all registered translations.
+     * @returns {Array<{id: string, name: string, url: string, attribution: string|null, loaded: boolean}>}
+     */
+    function getTranslations() {
+        return _translationOrder.map(id => ({
+            id: id, name: _translations[id].name, url: _translations[id].url,
+            attribution: _translations[id].attribution, loaded: _translations[id].ready
+        }));
+    }
+
+    /**
+     * Retrieves every verse covered by a reference from an indexed translation (answered by the worker).
+     * Handles ranges, comma lists, semicolon lists, cross-chapter spans and whole chapters.
+     * @param {string} refString - The reference string (e.g., "Isaiah 52:13-53:12", "Acts 2:27, 31").
+     * @param {string} [translationId] - Registry id; defaults to the primary translation.
+     * @returns {Promise<{verses: Array<{book: string, bookId: string, chapter: number, verse: number, text: string}>, error: string|null}>}
+     *          - Verse objects in reference order, or an error/status message with an empty verse list.
+     */
+    async function getVerses(refString, translationId = _primaryTranslationId) {
+        if (!_translations[translationId]?.ready) return { verses: [], error: "[BSB Data Not Ready]" };
+        try {
+            return await _request({ type: 'getVerses', translationId: translationId, refString: refString });
         } catch (e) {
             console.error(`DATA_FETCHER: Error processing reference "${refString}":`, e);
-            return `[Lookup Error]`;
+            return { verses: [], error: "[Lookup Error]" };
         }
     }
 
+    /**
+     * Retrieves the text of a reference as a single string.
+     * A single verse is returned as-is; several verses are prefixed with "chapter:verse", one per line.
+     * @param {string} refString - The reference string.
+     * @param {string} [translationId] - Registry id; defaults to the primary translation.
+     * @returns {Promise<string>} - The verse text or an error/not found message.
+     */
+    async function getVerseText(refString, translationId = _primaryTranslationId) {
+        const result = await getVerses(refString, translationId);
+        if (result.error) return result.error;
+        if (result.verses.length === 1) return result.verses[0].text;
+        return result.verses.map(v => `${v.chapter}:${v.verse} ${v.text}`).join('\n');
+    }
+
+    /**
+     * Retrieves a reference with surrounding verses or full chapters (answered by the worker).
+     * @param {string} refString - The cited reference.
+     * @param {{level: string, verseCount?: number, chapterOffset?: number}} options - See bibleService getContext.
+     * @param {string} [translationId] - Registry id; defaults to the primary translation.
+     * @returns {Promise<{verses: Array<object>, error: string|null, label: string, hasPrevious: boolean, hasNext: boolean}>}
+     *          - Verse objects carry cited: true for the verses of the reference itself.
+     */
+    async function getContext(refString, options, translationId = _primaryTranslationId) {
+        const notReady = { verses: [], error: "[BSB Data Not Ready]", label: '', hasPrevious: false, hasNext: false };
+        if (!_translations[translationId]?.ready) return notReady;
+        try {
+            return await _request({ type: 'getContext', translationId: translationId, refString: refString, options: options });
+        } catch (e) {
+            console.error(`DATA_FETCHER: Error loading context for "${refString}":`, e);
+            return Object.assign(notReady, { error: "[Lookup Error]" });
+        }
+    }
+
+    /**
+     * Looks up many references in one worker round trip (manifest integrity check).
+     * @param {Array<string>} refStrings
+     * @param {string} [translationId] - Registry id; defaults to the primary translation.
+     * @returns {Promise<Object<string, string|null>>} - ref -> error message, or null if found.
+     */
+    function checkReferences(refStrings, translationId = _primaryTranslationId) {
+        if (!_translations[translationId]?.ready) return Promise.reject(new Error(`Translation ${translationId} is not loaded.`));
+        return _request({ type: 'checkReferences', translationId: translationId, refStrings: refStrings });
+    }
+
+    /**
+     * Chapters and verses per book of a loaded translation (answered by the worker); drives the canon timeline's scale.
+     * @param {string} [translationId] - Registry id; defaults to the primary translation.
+     * @returns {Promise<Object<string, Array<number>>>} - bookId -> last verse number of each chapter.
+     */
+    function getBookOutline(translationId = _primaryTranslationId) {
+        if (!_translations[translationId]?.ready) return Promise.reject(new Error(`Translation ${translationId} is not loaded.`));
+        return _request({ type: 'getBookOutline', translationId: translationId });
+    }
+
+    /**
+     * Builds the verse-text search index for a translation in the worker (in chunks, so lookups stay responsive).
+     * @param {function(object)} [onProgress] - Receives {phase: 'search-index', loaded, total} in verses.
+     * @param {string} [translationId] - Registry id; defaults to the primary translation.
+     * @returns {Promise<{verseCount: number}>}
+     */
+    function buildSearchIndex(onProgress, translationId = _primaryTranslationId) {
+        if (!_translations[translationId]?.ready) return Promise.reject(new Error(`Translation ${translationId} is not loaded.`));
+        return _request({ type: 'buildSearchIndex', translationId: translationId }, onProgress);
+    }
+
+    /**
+     * Ranked full-text search over verse text (answered by the worker).
+     * @param {string} query - Free text; the last word also matches as a prefix.
+     * @param {number} [limit=50] - Maximum results.
+     * @param {string} [translationId] - Registry id; defaults to the primary translation.
+     * @returns {Promise<{results: Array<object>, total: number, complete: boolean}>}
+     *          - Verse objects plus score and matchedTerms; complete is false while the index is still building.
+     */
+    async function searchBible(query, limit = 50, translationId = _primaryTranslationId) {
+        if (!_translations[translationId]?.ready) return { results: [], total: 0, complete: false };
+        try {
+            return await _request({ type: 'search', translationId: translationId, query: query, limit: limit });
+        } catch (e) {
+            console.error(`DATA_FETCHER: Error searching for "${query}":`, e);
+            return { results: [], total: 0, complete: false };
+        }
+    }
+
+    /**
+     * Reports which translations are cached in IndexedDB and the origin's storage usage.
+     * @returns {Promise<{available: boolean, translations: Array<object>, usage: number|null, quota: number|null}>}
+     */
+    function getCacheInfo() {
+        return _request({ type: 'getCacheInfo' });
+    }
+
+    /**
+     * Deletes all cached translations. The next page load downloads and indexes again.
+     * @returns {Promise<object>} - Cache info after clearing (see getCacheInfo).
+     */
+    function clearCachedData() {
+        console.log("DATA_FETCHER: Clearing cached Bible data...");
+        return _request({ type: 'clearCache' });
+    }
+
     // --- Expose Public Interface ---
     return {
         fetchManifest: fetchManifest,
-        fetchAndParseBsbData: fetchAndParseBsbData, // Expose combined fetch & parse action
+        applyCustomCategories: applyCustomCategories,
+        getManifestSources: getManifestSources,
+        fetchTranslationList: fetchTranslationList,
+        fetchAndParseBsbData: fetchAndParseBsbData, // Expose combined fetch & parse action (primary translation)
+        loadTranslation: loadTranslation,
+        setPrimaryTranslation: setPrimaryTranslation,
+        getTranslations: getTranslations,
+        getVerses: getVerses,
         getVerseText: getVerseText,
+        getContext: getContext,
+        checkReferences: checkReferences,
+        getBookOutline: getBookOutline,
+        buildSearchIndex: buildSearchIndex,
+        searchBible: searchBible,
+        getCacheInfo: getCacheInfo,
+        clearCachedData: clearCachedData,
         getAvailableCategories: function() { return [..._availableCategories]; }, // Return copy
-        isBsbDataReady: function() { return !!_parsedBsbData; }, // Check if parsing succeeded
-        getTranslationName: function() { return _translationName; } // Getter for name
+        getShippedCategories: function() { return [..._shippedCategories]; }, // references.json without user categories
+        // Names of user-only categories (added) and of shipped categories the user added pairs to (extended)
+        getCustomCategoryNames: function() { return { added: [..._customCategoryNames.added], extended: [..._customCategoryNames.extended] }; },
+        getAggregatedPairs: function() { return [..._aggregatedPairs]; }, // Return copy
+        getPairKey: getPairKey,
+        // Every category a pair appears in (manifest order); empty for unknown pairs
+        getPairCategories: function(pair) {
+            const entry = pair ? _aggregatedPairsByKey.get(getPairKey(pair)) : null;
+            return entry ? [...entry.categories] : [];
+        },
+        // Names of the manifest sources that list a pair (provenance); empty for unknown pairs
+        getPairSources: function(pair) {
+            const entry = pair ? _aggregatedPairsByKey.get(getPairKey(pair)) : null;
+            if (!entry) return [];
+            return entry.sources.map(sourceId => {
+                if (sourceId === CUSTOM_SOURCE.id) return CUSTOM_SOURCE.name;
+                const source = _manifestSources.find(candidate => candidate.id === sourceId);
+                return source ? source.name : sourceId;
+            });
+        },
+        getPrimaryTranslationId: function() { return _primaryTranslationId; },
+        isBsbDataReady: function() { return !!_translations[_primaryTranslationId]?.ready; }, // Check if primary parsing succeeded
+        isTranslationReady: function(translationId) { return !!_translations[translationId]?.ready; },
+        // Getter for name as read from the file (primary translation unless an id is given)
+        getTranslationName: function(translationId = _primaryTranslationId) {
+            const translation = _translations[translationId];
+            if (!translation) return "[Unknown]";
+            if (translation.ready) return translation.translationName;
+            return translation.loadPromise ? "[Loading...]" : "[Error Loading]";
+        }
     };
 })();
\ No newline at end of file
@@ -12,6 +12,80 @@ ProphecyApp.eventHandler = (function() {
     // Get references here, assuming they exist when attachListeners is called
     const categoryNavContainerEH = document.getElementById('category-nav-container');
     const prophecyListElementEH = document.getElementById('prophecy-list');
+    const translationSelectElementEH = document.getElementById('translation-select');
+    const parallelControlsElementEH = document.getElementById('parallel-controls');
+    const clearCacheButtonEH = document.getElementById('clear-cache-button');
+    const updateReloadButtonEH = document.getElementById('update-reload-button');
+    const searchInputEH = document.getElementById('search-input');
+    const searchResultsEH = document.getElementById('search-results');
+    const listOrderSelectEH = document.getElementById('list-order-select');
+    const navModeTabsEH = document.getElementById('nav-mode-tabs');
+    const referenceNavContainerEH = document.getElementById('reference-nav-container');
+    const contextControlsEH = document.querySelectorAll('.context-controls');
+    const validationDismissButtonEH = document.getElementById('validation-dismiss-button');
+    const validationDetailsButtonEH = document.getElementById('validation-details-button');
+    const validationIssuesEH = document.getElementById('validation-issues');
+    const bookmarkButtonEH = document.getElementById('bookmark-button');
+    const highlightSelectEH = document.getElementById('highlight-select');
+    const compareButtonEH = document.getElementById('compare-button');
+    const languageSelectEH = document.getElementById('language-select');
+    const pairNotesEH = document.getElementById('pair-notes');
+    const notesTextareaEH = document.getElementById('notes-textarea');
+    const notesImportInputEH = document.getElementById('notes-import-input');
+    const exportButtonEH = document.getElementById('export-button');
+    const exportScopeSelectEH = document.getElementById('export-scope');
+    const exportFormatSelectEH = document.getElementById('export-format');
+    const manifestEditorButtonEH = document.getElementById('manifest-editor-button');
+    const settingsButtonEH = document.getElementById('settings-button');
+    const settingsPanelEH = document.getElementById('settings-panel');
+    const manifestSourceUrlInputEH = document.getElementById('manifest-source-url');
+    const manifestSourceNameInputEH = document.getElementById('manifest-source-name');
+    const manifestSourceFileInputEH = document.getElementById('manifest-source-file-input');
+    const manifestEditorEH = document.getElementById('manifest-editor');
+    const editorPairFormEH = document.getElementById('editor-pair-form');
+    const editorNewCategoryInputEH = document.getElementById('editor-new-category-name');
+    const graphViewButtonEH = document.getElementById('graph-view-button');
+    const graphViewEH = document.getElementById('graph-view');
+    const graphCanvasEH = document.getElementById('graph-canvas');
+    const quizViewButtonEH = document.getElementById('quiz-view-button');
+    const quizViewEH = document.getElementById('quiz-view');
+    const planViewButtonEH = document.getElementById('plan-view-button');
+    const planViewEH = document.getElementById('plan-view');
+    const presentButtonEH = document.getElementById('present-button');
+    const presentationBarEH = document.getElementById('presentation-bar');
+
+    // Wait this long after the last keystroke before searching
+    const SEARCH_DEBOUNCE_MS = 200;
+    let _searchDebounceTimer = null;
+    // ...and before checking a pair typed into the manifest editor
+    const PAIR_CHECK_DEBOUNCE_MS = 300;
+    let _pairCheckDebounceTimer = null;
+
+    // Graph view: zoom step per button press/wheel notch, pan step per arrow key (screen pixels),
+    // and how far the pointer must move before a press becomes a drag (which then does not click)
+    const GRAPH_ZOOM_STEP = 1.25;
+    const GRAPH_WHEEL_ZOOM_STEP = 1.1;
+    const GRAPH_KEY_PAN_PX = 40;
+    const GRAPH_DRAG_THRESHOLD_PX = 4;
+    let _graphDrag = null; // { pointerId, startX, startY, lastX, lastY, moved } while a pointer is down on the canvas
+    let _graphDragEnded = false; // The click after a drag is not a click on an edge or node
+
+    // Listbox type-ahead: letters typed within this long of each other form one search
+    const TYPE_AHEAD_RESET_MS = 600;
+    const TYPE_AHEAD_KEY_PATTERN = /^[\p{L}\p{N}]$/u; // Other characters are left to the global shortcuts
+    const TYPE_AHEAD_SKIPPED_KEYS = ['j', 'k']; // Next/previous pair everywhere, even with the focus in a list
+    let _typeAheadText = '';
+    let _typeAheadTimer = null;
+
+    /**
+     * A message in the interface language (i18n.js).
+     * @param {string} key - Catalog key.
+     * @param {object} [params] - Placeholder values.
+     * @returns {string}
+     */
+    function _t(key, params) {
+        return ProphecyApp.i18n ? ProphecyApp.i18n.t(key, params) : key;
+    }
 
     /**
      * Attaches event listeners to the category list container using event delegation.
@@ -24,12 +98,61 @@ ProphecyApp.eventHandler = (function() {
         // Remove existing listeners first to prevent duplicates if called multiple times
         categoryNavContainerEH.removeEventListener('click', handleCategorySelection);
         categoryNavContainerEH.removeEventListener('keydown', handleCategorySelection);
+        categoryNavContainerEH.removeEventListener('keydown', handleListboxKeydown);
         // Attach new listeners
         categoryNavContainerEH.addEventListener('click', handleCategorySelection);
         categoryNavContainerEH.addEventListener('keydown', handleCategorySelection); // For keyboard accessibility
+        categoryNavContainerEH.addEventListener('keydown', handleListboxKeydown); // Arrows, Home/End, type-ahead
         console.log("Event Handlers: Category listeners attached.");
     }
 
+    /**
+     * Attaches listeners to the navigation mode tabs and the reverse-index tree (event delegation).
+     */
+    function attachNavModeListeners() {
+        if (!navModeTabsEH || !referenceNavContainerEH) {
+            console.warn("EVENT_HANDLER: Navigation mode elements not found, only categories can be browsed.");
+            return;
+        }
+        navModeTabsEH.removeEventListener('click', handleNavModeSelection);
+        referenceNavContainerEH.removeEventListener('click', handleReferenceNavSelection);
+        referenceNavContainerEH.removeEventListener('keydown', handleReferenceNavSelection);
+        navModeTabsEH.addEventListener('click', handleNavModeSelection);
+        referenceNavContainerEH.addEventListener('click', handleReferenceNavSelection);
+        referenceNavContainerEH.addEventListener('keydown', handleReferenceNavSelection); // For keyboard accessibility
+        console.log("Event Handlers: Navigation mode listeners attached.");
+    }
+
+    /**
+     * Handles clicks on the Categories / OT books / NT books / OT verses tabs.
+     */
+    function handleNavModeSelection(event) {
+        const tab = event.target.closest('[data-nav-mode]');
+        if (!tab) return;
+        console.log(`EVENT_HANDLER: Navigation mode selected: ${tab.dataset.navMode}. Calling app controller.`);
+        ProphecyApp.app.setNavMode(tab.dataset.navMode);
+    }
+
+    /**
+     * Handles the reverse-index tree: toggles expand/collapse books, nodes list their pairs.
+     */
+    function handleReferenceNavSelection(event) {
+        if (event.type === 'keydown' && event.key !== 'Enter' && event.key !== ' ') return;
+        const toggle = event.target.closest('.tree-toggle');
+        if (toggle) {
+            if (event.type === 'keydown') return; // Buttons turn Enter/Space into a click themselves
+            ProphecyApp.uiManager.toggleTreeNodeUI(toggle);
+            return;
+        }
+        const node = event.target.closest('[data-nav-key]');
+        if (!node || !referenceNavContainerEH.contains(node)) return;
+        if (event.key === ' ') event.preventDefault(); // Prevent spacebar scroll
+
+        const mode = referenceNavContainerEH.dataset.navMode;
+        console.log(`EVENT_HANDLER: ${mode} node selected: ${node.dataset.navKey}. Calling app controller.`);
+        ProphecyApp.app.filterAndRenderAppByReference(mode, node.dataset.navKey);
+    }
+
     /**
      * Attaches event listeners to the prophecy reference list container using event delegation.
      */
@@ -41,12 +164,387 @@ ProphecyApp.eventHandler = (function() {
          // Remove existing listeners first
         prophecyListElementEH.removeEventListener('click', handleReferenceSelection);
         prophecyListElementEH.removeEventListener('keydown', handleReferenceSelection);
+        prophecyListElementEH.removeEventListener('keydown', handleListboxKeydown);
          // Attach new listeners
         prophecyListElementEH.addEventListener('click', handleReferenceSelection);
         prophecyListElementEH.addEventListener('keydown', handleReferenceSelection); // For keyboard accessibility
+        prophecyListElementEH.addEventListener('keydown', handleListboxKeydown); // Arrows, Home/End, type-ahead
+        if (listOrderSelectEH) {
+            listOrderSelectEH.removeEventListener('change', handleListOrderChange);
+            listOrderSelectEH.addEventListener('change', handleListOrderChange);
+        }
         console.log("Event Handlers: Reference listeners attached.");
     }
 
+    /**
+     * Attaches listeners to the context toolbars of the prophecy and fulfillment panels.
+     */
+    function attachContextListeners() {
+        contextControlsEH.forEach(toolbar => {
+            toolbar.removeEventListener('click', handleContextAction);
+            toolbar.removeEventListener('change', handleContextCountChange);
+            toolbar.addEventListener('click', handleContextAction);
+            toolbar.addEventListener('change', handleContextCountChange);
+        });
+        console.log(`Event Handlers: Context listeners attached to ${contextControlsEH.length} toolbars.`);
+    }
+
+    /**
+     * Attaches listeners to the manifest check panel (dismiss, details, flagged pairs).
+     */
+    function attachValidationListeners() {
+        if (!validationDismissButtonEH || !validationDetailsButtonEH || !validationIssuesEH) {
+            console.warn("EVENT_HANDLER: Manifest check panel not found.");
+            return;
+        }
+        validationDismissButtonEH.removeEventListener('click', handleValidationDismiss);
+        validationDetailsButtonEH.removeEventListener('click', handleValidationDetailsToggle);
+        validationIssuesEH.removeEventListener('click', handleValidationIssueSelection);
+        validationIssuesEH.removeEventListener('keydown', handleValidationIssueSelection);
+        validationDismissButtonEH.addEventListener('click', handleValidationDismiss);
+        validationDetailsButtonEH.addEventListener('click', handleValidationDetailsToggle);
+        validationIssuesEH.addEventListener('click', handleValidationIssueSelection);
+        validationIssuesEH.addEventListener('keydown', handleValidationIssueSelection); // For keyboard accessibility
+        console.log("Event Handlers: Manifest check listeners attached.");
+    }
+
+    /**
+     * Attaches listeners to the bookmark button, highlight selector and the notes section (editor, export/import).
+     */
+    function attachNotesListeners() {
+        if (!bookmarkButtonEH || !highlightSelectEH || !pairNotesEH || !notesTextareaEH || !notesImportInputEH) {
+            console.warn("EVENT_HANDLER: Notes elements not found, notes and bookmarks disabled.");
+            return;
+        }
+        bookmarkButtonEH.removeEventListener('click', handleBookmarkToggle);
+        highlightSelectEH.removeEventListener('change', handleHighlightChange);
+        pairNotesEH.removeEventListener('click', handleNotesAction);
+        notesTextareaEH.removeEventListener('keydown', handleNotesKeydown);
+        notesImportInputEH.removeEventListener('change', handleNotesImportFile);
+        bookmarkButtonEH.addEventListener('click', handleBookmarkToggle);
+        highlightSelectEH.addEventListener('change', handleHighlightChange);
+        pairNotesEH.addEventListener('click', handleNotesAction); // Edit/Save/Cancel/Export/Import buttons
+        notesTextareaEH.addEventListener('keydown', handleNotesKeydown);
+        notesImportInputEH.addEventListener('change', handleNotesImportFile);
+        console.log("Event Handlers: Notes listeners attached.");
+    }
+
+    /**
+     * Attaches the detail view's wording comparison button.
+     */
+    function attachComparisonListeners() {
+        if (!compareButtonEH) {
+            console.warn("EVENT_HANDLER: Compare button not found, wording comparison disabled.");
+            return;
+        }
+        compareButtonEH.removeEventListener('click', handleComparisonToggle);
+        compareButtonEH.addEventListener('click', handleComparisonToggle);
+        console.log("Event Handlers: Comparison listeners attached.");
+    }
+
+    /**
+     * Attaches the header's language selector.
+     */
+    function attachLanguageListeners() {
+        if (!languageSelectEH) {
+            console.warn("EVENT_HANDLER: Language selector not found, language switching disabled.");
+            return;
+        }
+        languageSelectEH.removeEventListener('change', handleLanguageChange);
+        languageSelectEH.addEventListener('change', handleLanguageChange);
+        console.log("Event Handlers: Language listeners attached.");
+    }
+
+    /**
+     * Attaches the export menu's button.
+     */
+    function attachExportListeners() {
+        if (!exportButtonEH || !exportScopeSelectEH || !exportFormatSelectEH) {
+            console.warn("EVENT_HANDLER: Export menu not found, export disabled.");
+            return;
+        }
+        exportButtonEH.removeEventListener('click', handleExportRequest);
+        exportButtonEH.addEventListener('click', handleExportRequest);
+        console.log("Event Handlers: Export listeners attached.");
+    }
+
+    /**
+     * Attaches the settings button and the settings panel's listeners (manifest sources).
+     * Also called on its own when the manifest failed to load, so the sources can be fixed.
+     */
+    function attachSettingsListeners() {
+        if (!settingsButtonEH || !settingsPanelEH || !manifestSourceUrlInputEH || !manifestSourceFileInputEH) {
+            console.warn("EVENT_HANDLER: Settings panel not found, settings disabled.");
+            return;
+        }
+        settingsButtonEH.removeEventListener('click', handleSettingsToggle);
+        settingsPanelEH.removeEventListener('click', handleSettingsAction);
+        settingsPanelEH.removeEventListener('change', handleManifestSourceChange);
+        settingsPanelEH.removeEventListener('submit', handleManifestSourceSubmit);
+        settingsButtonEH.addEventListener('click', handleSettingsToggle);
+        settingsPanelEH.addEventListener('click', handleSettingsAction); // Close, Remove, Add local file
+        settingsPanelEH.addEventListener('change', handleManifestSourceChange); // Source checkboxes, chosen file
+        settingsPanelEH.addEventListener('submit', handleManifestSourceSubmit); // Add URL
+        console.log("Event Handlers: Settings listeners attached.");
+    }
+
+    /**
+     * Attaches the graph view's listeners: toolbar, legend and clicks by delegation over the panel;
+     * wheel zoom, drag panning and keyboard zoom/pan on the canvas.
+     */
+    function attachGraphListeners() {
+        if (!graphViewButtonEH || !graphViewEH || !graphCanvasEH) {
+            console.warn("EVENT_HANDLER: Graph view not found, graph disabled.");
+            return;
+        }
+        graphViewButtonEH.removeEventListener('click', handleGraphViewToggle);
+        graphViewEH.removeEventListener('click', handleGraphClick);
+        graphViewEH.removeEventListener('change', handleGraphChange);
+        graphCanvasEH.removeEventListener('wheel', handleGraphWheel);
+        graphCanvasEH.removeEventListener('pointerdown', handleGraphPointer);
+        graphCanvasEH.removeEventListener('pointermove', handleGraphPointer);
+        graphCanvasEH.removeEventListener('pointerup', handleGraphPointer);
+        graphCanvasEH.removeEventListener('pointercancel', handleGraphPointer);
+        graphCanvasEH.removeEventListener('keydown', handleGraphKeydown);
+        graphCanvasEH.removeEventListener('mouseover', handleArcHover);
+        graphCanvasEH.removeEventListener('mouseout', handleArcHover);
+        graphViewButtonEH.addEventListener('click', handleGraphViewToggle);
+        graphViewEH.addEventListener('click', handleGraphClick); // Close, type tabs, zoom buttons, All/None, edges, nodes
+        graphViewEH.addEventListener('change', handleGraphChange); // Level select, legend checkboxes
+        graphCanvasEH.addEventListener('wheel', handleGraphWheel, { passive: false }); // Zooms instead of scrolling the page
+        ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(type => graphCanvasEH.addEventListener(type, handleGraphPointer));
+        graphCanvasEH.addEventListener('keydown', handleGraphKeydown);
+        graphCanvasEH.addEventListener('mouseover', handleArcHover); // Timeline arc previews
+        graphCanvasEH.addEventListener('mouseout', handleArcHover);
+        console.log("Event Handlers: Graph listeners attached.");
+    }
+
+    /**
+     * Attaches the practice panel's listeners (event delegation over the whole panel).
+     */
+    function attachQuizListeners() {
+        if (!quizViewButtonEH || !quizViewEH) {
+            console.warn("EVENT_HANDLER: Practice panel not found, practice mode disabled.");
+            return;
+        }
+        quizViewButtonEH.removeEventListener('click', handleQuizViewToggle);
+        quizViewEH.removeEventListener('click', handleQuizClick);
+        quizViewEH.removeEventListener('change', handleQuizChange);
+        quizViewEH.removeEventListener('submit', handleQuizSubmit);
+        quizViewButtonEH.addEventListener('click', handleQuizViewToggle);
+        quizViewEH.addEventListener('click', handleQuizClick); // Close, choices, next/end, reset, missed pairs
+        quizViewEH.addEventListener('change', handleQuizChange); // Scope select
+        quizViewEH.addEventListener('submit', handleQuizSubmit); // Setup form (start), typed answer
+        console.log("Event Handlers: Practice listeners attached.");
+    }
+
+    /**
+     * Attaches the reading plans panel's listeners (event delegation over the whole panel).
+     */
+    function attachPlanListeners() {
+        if (!planViewButtonEH || !planViewEH) {
+            console.warn("EVENT_HANDLER: Reading plans panel not found, reading plans disabled.");
+            return;
+        }
+        planViewButtonEH.removeEventListener('click', handlePlanViewToggle);
+        planViewEH.removeEventListener('click', handlePlanClick);
+        planViewEH.removeEventListener('change', handlePlanChange);
+        planViewEH.removeEventListener('submit', handlePlanSubmit);
+        planViewButtonEH.addEventListener('click', handlePlanViewToggle);
+        planViewEH.addEventListener('click', handlePlanClick); // Close, Read day, Delete
+        planViewEH.addEventListener('change', handlePlanChange); // Day checkboxes
+        planViewEH.addEventListener('submit', handlePlanSubmit); // New plan form
+        console.log("Event Handlers: Reading plan listeners attached.");
+    }
+
+    /**
+     * Attaches the Present button, the presentation bar, the presentation keys (before the page-wide
+     * shortcuts, which they replace while presenting) and leaving full screen.
+     */
+    function attachPresentationListeners() {
+        if (!presentButtonEH || !presentationBarEH) {
+            console.warn("EVENT_HANDLER: Presentation controls not found, presentation mode disabled.");
+            return;
+        }
+        presentButtonEH.removeEventListener('click', handlePresentClick);
+        presentationBarEH.removeEventListener('click', handlePresentationAction);
+        document.removeEventListener('keydown', handlePresentationKeydown);
+        document.removeEventListener('fullscreenchange', handleFullscreenChange);
+        presentButtonEH.addEventListener('click', handlePresentClick);
+        presentationBarEH.addEventListener('click', handlePresentationAction); // Previous, Next, Speaker notes, Exit
+        document.addEventListener('keydown', handlePresentationKeydown);
+        document.addEventListener('fullscreenchange', handleFullscreenChange);
+        console.log("Event Handlers: Presentation listeners attached.");
+    }
+
+    /**
+     * Attaches the manifest editor's listeners (event delegation over the whole panel).
+     */
+    function attachManifestEditorListeners() {
+        if (!manifestEditorButtonEH || !manifestEditorEH || !editorPairFormEH || !editorNewCategoryInputEH) {
+            console.warn("EVENT_HANDLER: Manifest editor not found, category editing disabled.");
+            return;
+        }
+        manifestEditorButtonEH.removeEventListener('click', handleManifestEditorToggle);
+        manifestEditorEH.removeEventListener('click', handleManifestEditorAction);
+        manifestEditorEH.removeEventListener('change', handleManifestEditorChange);
+        manifestEditorEH.removeEventListener('submit', handleManifestEditorSubmit);
+        editorPairFormEH.removeEventListener('input', handlePairDraftInput);
+        manifestEditorButtonEH.addEventListener('click', handleManifestEditorToggle);
+        manifestEditorEH.addEventListener('click', handleManifestEditorAction); // Close, category/pair buttons, downloads
+        manifestEditorEH.addEventListener('change', handleManifestEditorChange); // Renames and description edits
+        manifestEditorEH.addEventListener('submit', handleManifestEditorSubmit); // New category, add pair
+        editorPairFormEH.addEventListener('input', handlePairDraftInput);
+        console.log("Event Handlers: Manifest editor listeners attached.");
+    }
+
+    /**
+     * Attaches change listeners to the primary translation selector and the parallel checkboxes.
+     */
+    function attachTranslationListeners() {
+        if (translationSelectElementEH) {
+            translationSelectElementEH.removeEventListener('change', handlePrimaryTranslationChange);
+            translationSelectElementEH.addEventListener('change', handlePrimaryTranslationChange);
+        } else {
+            console.warn("EVENT_HANDLER: Translation selector not found, primary translation cannot be changed.");
+        }
+        if (parallelControlsElementEH) {
+            // Checkboxes are re-created on every render, so delegate from the container
+            parallelControlsElementEH.removeEventListener('change', handleParallelTranslationToggle);
+            parallelControlsElementEH.addEventListener('change', handleParallelTranslationToggle);
+        }
+        if (clearCacheButtonEH) {
+            clearCacheButtonEH.removeEventListener('click', handleClearCache);
+            clearCacheButtonEH.addEventListener('click', handleClearCache);
+        }
+        console.log("Event Handlers: Translation listeners attached.");
+    }
+
+    /**
+     * Attaches the page-wide keyboard shortcuts (j/k pairs, [ ] categories, / search).
+     */
+    function attachShortcutListeners() {
+        document.removeEventListener('keydown', handleGlobalShortcut);
+        document.addEventListener('keydown', handleGlobalShortcut);
+        console.log("Event Handlers: Keyboard shortcuts attached.");
+    }
+
+    /**
+     * Attaches connectivity listeners (offline indicator) and the update banner's Reload button.
+     */
+    function attachConnectivityListeners() {
+        window.removeEventListener('online', handleConnectivityChange);
+        window.removeEventListener('offline', handleConnectivityChange);
+        window.addEventListener('online', handleConnectivityChange);
+        window.addEventListener('offline', handleConnectivityChange);
+        if (updateReloadButtonEH) {
+            updateReloadButtonEH.removeEventListener('click', handleUpdateReload);
+            updateReloadButtonEH.addEventListener('click', handleUpdateReload);
+        }
+        ProphecyApp.uiManager.updateConnectivityUI(); // Reflect the state at startup
+        console.log("Event Handlers: Connectivity listeners attached.");
+    }
+
+    /**
+     * Attaches the search box (debounced input, Enter/Escape) and the delegated result listeners.
+     */
+    function attachSearchListeners() {
+        if (!searchInputEH || !searchResultsEH) {
+            console.warn("EVENT_HANDLER: Search elements not found, search disabled.");
+            return;
+        }
+        searchInputEH.removeEventListener('input', handleSearchInput);
+        searchInputEH.removeEventListener('keydown', handleSearchKeydown);
+        searchResultsEH.removeEventListener('click', handleSearchResultSelection);
+        searchResultsEH.removeEventListener('keydown', handleSearchResultSelection);
+        searchInputEH.addEventListener('input', handleSearchInput);
+        searchInputEH.addEventListener('keydown', handleSearchKeydown);
+        searchResultsEH.addEventListener('click', handleSearchResultSelection);
+        searchResultsEH.addEventListener('keydown', handleSearchResultSelection); // For keyboard accessibility
+        console.log("Event Handlers: Search listeners attached.");
+    }
+
+    /**
+     * Handles typing in the search box; searches once typing pauses.
+     */
+    function handleSearchInput(event) {
+        clearTimeout(_searchDebounceTimer);
+        const query = event.target.value;
+        _searchDebounceTimer = setTimeout(() => ProphecyApp.app.runSearch(query), SEARCH_DEBOUNCE_MS);
+    }
+
+    /**
+     * Enter searches immediately and opens the top result; Escape clears the search.
+     */
+    async function handleSearchKeydown(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            clearTimeout(_searchDebounceTimer);
+            await ProphecyApp.app.runSearch(searchInputEH.value);
+            const firstResult = searchResultsEH.querySelector('li[data-result-type]');
+            if (firstResult) ProphecyApp.app.openSearchResult({ ...firstResult.dataset });
+        } else if (event.key === 'Escape') {
+            clearTimeout(_searchDebounceTimer);
+            searchInputEH.value = '';
+            ProphecyApp.app.runSearch('');
+        }
+    }
+
+    /**
+     * Handles clicks or keydowns on search results. Delegates to the app controller.
+     */
+    function handleSearchResultSelection(event) {
+        const targetLi = event.target.closest('li[data-result-type]');
+        if (!targetLi || !searchResultsEH.contains(targetLi)) return;
+
+        if (event.type === 'click' || event.key === 'Enter' || event.key === ' ') {
+            if (event.key === ' ') event.preventDefault();
+            console.log(`EVENT_HANDLER: Search result selected (${targetLi.dataset.resultType}). Calling app controller.`);
+            ProphecyApp.app.openSearchResult({ ...targetLi.dataset });
+        }
+    }
+
+    /**
+     * Handles the browser going online or offline.
+     */
+    function handleConnectivityChange(event) {
+        console.log(`EVENT_HANDLER: Connection is now ${event.type}.`);
+        ProphecyApp.uiManager.updateConnectivityUI(event.type === 'online');
+    }
+
+    /**
+     * Handles the Reload button in the "New content available" banner.
+     */
+    function handleUpdateReload() {
+        window.location.reload();
+    }
+
+    /**
+     * Handles the "Clear cached data" button.
+     */
+    function handleClearCache() {
+        console.log("EVENT_HANDLER: Clear cached data requested. Calling app controller.");
+        ProphecyApp.app.clearCachedData();
+    }
+
+    /**
+     * Handles a new selection in the footer translation selector.
+     */
+    function handlePrimaryTranslationChange(event) {
+        const translationId = event.target.value;
+        console.log(`EVENT_HANDLER: Primary translation selected: ${translationId}. Calling app controller.`);
+        ProphecyApp.app.setPrimaryTranslation(translationId);
+    }
+
+    /**
+     * Handles checking/unchecking a parallel translation.
+     */
+    function handleParallelTranslationToggle(event) {
+        const checkbox = event.target;
+        if (!checkbox || checkbox.type !== 'checkbox') return;
+        console.log(`EVENT_HANDLER: Parallel translation ${checkbox.value} ${checkbox.checked ? 'enabled' : 'disabled'}.`);
+        ProphecyApp.app.toggleParallelTranslation(checkbox.value, checkbox.checked);
+    }
 
     /**
      * Handles clicks or keydowns on items in the category navigation UI.
@@ -58,23 +556,9 @@ ProphecyApp.eventHandler = (function() {
         if (!targetLi || !categoryNavContainerEH.contains(targetLi)) return;
 
 
-        // *** CORRECTED NAMESPACE HERE ***
-        // Check if BSB data is ready via dataFetcher module
+        // Categories are selectable as soon as the manifest loads; passages show
+        // "[Loading text...]" until the Bible worker has indexed the data.
         const selectedCategoryName = targetLi.dataset.categoryName;
-        if (!ProphecyApp.dataFetcher.isBsbDataReady() && selectedCategoryName !== "All Categories") {
-            console.warn("EVENT_HANDLER: BSB data not ready, ignoring category selection.");
-            // Trigger UI feedback via uiManager
-            ProphecyApp.uiManager.updateStatusUI(false, "Please wait for BSB data to finish loading.", "");
-            // Use setTimeout to clear the message after a delay
-            setTimeout(() => {
-                 const errorElement = document.getElementById('error-message'); // Get element again
-                 // Check if the message is still the BSB loading warning before clearing
-                 if (errorElement && errorElement.textContent.startsWith("Please wait")) {
-                     ProphecyApp.uiManager.updateStatusUI(false, null, ""); // Clear error if it's still the same warning
-                 }
-            }, 3000);
-            return;
-        }
 
         // Process selection via keyboard or click
         if (event.type === 'click' || event.key === 'Enter' || event.key === ' ') {
@@ -89,19 +573,629 @@ ProphecyApp.eventHandler = (function() {
     }
 
     /**
-     * Handles clicks or keydowns on items in the prophecy reference list.
-     * Delegates the actual logic to the main app controller.
+     * Moves the focus within the category or reference listbox: Up/Down, Home/End, and type-ahead on letters
+     * and digits other than j/k (typing the same letter again cycles through the options starting with it).
+     * Enter/Space are handled by the list's selection handler.
      */
-    function handleReferenceSelection(event) {
-         // *** CORRECTED NAMESPACE HERE ***
-         // Ensure BSB data is loaded before processing selection
-         if (!ProphecyApp.dataFetcher.isBsbDataReady()) {
-            console.warn("EVENT_HANDLER: BSB data not ready, ignoring reference selection.");
+    function handleListboxKeydown(event) {
+        const listbox = event.target.closest('[role="listbox"]');
+        if (!listbox || event.ctrlKey || event.metaKey || event.altKey) return;
+        const moves = { ArrowDown: 'next', ArrowUp: 'previous', Home: 'first', End: 'last' };
+        if (moves[event.key]) {
+            event.preventDefault(); // Not a page scroll
+            ProphecyApp.uiManager.moveListFocusUI(listbox, moves[event.key]);
+            return;
+        }
+        if (!TYPE_AHEAD_KEY_PATTERN.test(event.key) || TYPE_AHEAD_SKIPPED_KEYS.includes(event.key)) return;
+        event.preventDefault(); // Handled here, not by the global shortcuts
+        clearTimeout(_typeAheadTimer);
+        _typeAheadTimer = setTimeout(() => { _typeAheadText = ''; }, TYPE_AHEAD_RESET_MS);
+        _typeAheadText += event.key;
+        if (!ProphecyApp.uiManager.focusListOptionByTextUI(listbox, _typeAheadText) && _typeAheadText.length > 1) {
+            _typeAheadText = event.key; // "mm" matches nothing: look for the next "m" instead
+            ProphecyApp.uiManager.focusListOptionByTextUI(listbox, _typeAheadText);
+        }
+    }
+
+    /**
+     * Page-wide shortcuts: j/k next/previous pair, [ and ] previous/next category, / to the search box.
+     * Ignored while typing in a form field, with a modifier key, or when a focused widget already handled the key.
+     */
+    function handleGlobalShortcut(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        switch (event.key) {
+            case 'j':
+            case 'k':
+                console.log(`EVENT_HANDLER: Shortcut "${event.key}". Calling app controller.`);
+                ProphecyApp.app.selectAdjacentPair(event.key === 'j' ? 1 : -1);
+                break;
+            case '[':
+            case ']':
+                console.log(`EVENT_HANDLER: Shortcut "${event.key}". Calling app controller.`);
+                ProphecyApp.app.selectAdjacentCategory(event.key === ']' ? 1 : -1);
+                break;
+            case '/':
+                if (!searchInputEH) return;
+                searchInputEH.focus();
+                searchInputEH.select();
+                break;
+            default:
+                return;
+        }
+        event.preventDefault(); // "/" is not typed into the search box, keys do not scroll
+    }
+
+    /**
+     * Handles clicks on a context toolbar button (cited verses, ±N, chapter, previous/next chapter).
+     */
+    function handleContextAction(event) {
+        const button = event.target.closest('button[data-context-action]');
+        if (!button || button.disabled) return;
+        const panel = event.currentTarget.dataset.panel;
+        console.log(`EVENT_HANDLER: Context action "${button.dataset.contextAction}" on ${panel} panel. Calling app controller.`);
+        ProphecyApp.app.setPassageContext(panel, button.dataset.contextAction);
+    }
+
+    /**
+     * Handles a new ±N choice in a context toolbar.
+     */
+    function handleContextCountChange(event) {
+        if (!event.target.matches('select[data-context-count]')) return;
+        const panel = event.currentTarget.dataset.panel;
+        ProphecyApp.app.setPassageContext(panel, 'count', parseInt(event.target.value, 10));
+    }
+
+    /**
+     * Handles the manifest check panel's close button.
+     */
+    function handleValidationDismiss() {
+        ProphecyApp.app.dismissValidationReport();
+    }
+
+    /**
+     * Handles the manifest check panel's details button.
+     */
+    function handleValidationDetailsToggle() {
+        ProphecyApp.app.toggleValidationDetails();
+    }
+
+    /**
+     * Handles clicks or keydowns on a manifest check issue that belongs to a pair.
+     */
+    function handleValidationIssueSelection(event) {
+        const targetLi = event.target.closest('li[data-ot-ref]');
+        if (!targetLi) return;
+        if (event.type === 'click' || event.key === 'Enter' || event.key === ' ') {
+            if (event.key === ' ') event.preventDefault();
+            ProphecyApp.app.openValidationIssue({
+                category: targetLi.dataset.category, otRef: targetLi.dataset.otRef, ntRef: targetLi.dataset.ntRef
+            });
+        }
+    }
+
+    /**
+     * Handles the detail view's Bookmark button.
+     */
+    function handleBookmarkToggle() {
+        ProphecyApp.app.toggleBookmark();
+    }
+
+    /**
+     * Handles a click on the Compare wording button.
+     */
+    function handleComparisonToggle() {
+        ProphecyApp.app.toggleComparison();
+    }
+
+    /**
+     * Handles a new choice in the language selector.
+     */
+    function handleLanguageChange(event) {
+        ProphecyApp.app.setLanguage(event.target.value);
+    }
+
+    /**
+     * Handles a new choice in the highlight selector.
+     */
+    function handleHighlightChange(event) {
+        ProphecyApp.app.setPairHighlight(event.target.value);
+    }
+
+    /**
+     * Handles the buttons of the notes section.
+     */
+    function handleNotesAction(event) {
+        const button = event.target.closest('button');
+        if (!button) return;
+        switch (button.id) {
+            case 'notes-edit-button': ProphecyApp.app.editNote(); break;
+            case 'notes-save-button': ProphecyApp.app.saveNote(notesTextareaEH.value); break;
+            case 'notes-cancel-button': ProphecyApp.app.cancelNoteEdit(); break;
+            case 'notes-export-button': ProphecyApp.app.exportNotes(); break;
+            case 'notes-import-button': notesImportInputEH.click(); break; // Opens the file picker
+        }
+    }
+
+    /**
+     * Ctrl/Cmd+Enter saves the note being edited; Escape discards the changes.
+     */
+    function handleNotesKeydown(event) {
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            ProphecyApp.app.saveNote(notesTextareaEH.value);
+        } else if (event.key === 'Escape') {
+            ProphecyApp.app.cancelNoteEdit();
+        }
+    }
+
+    /**
+     * Handles the file chosen for "Import notes".
+     */
+    function handleNotesImportFile(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) return;
+        console.log(`EVENT_HANDLER: Notes file chosen: ${file.name}. Calling app controller.`);
+        ProphecyApp.app.importNotes(file);
+        event.target.value = ''; // Choosing the same file again fires change again
+    }
+
+    /**
+     * Handles the Export button: exports the chosen scope in the chosen format.
+     */
+    function handleExportRequest() {
+        console.log(`EVENT_HANDLER: Export requested: ${exportScopeSelectEH.value} as ${exportFormatSelectEH.value}. Calling app controller.`);
+        ProphecyApp.app.exportSelection(exportScopeSelectEH.value, exportFormatSelectEH.value);
+    }
+
+    /**
+     * Handles the "Show graph" button.
+     */
+    function handleGraphViewToggle() {
+        ProphecyApp.app.toggleGraphView();
+    }
+
+    /**
+     * Handles clicks in the graph view: close, zoom and category buttons, an edge (opens its pair)
+     * or a node (highlights its edges).
+     */
+    function handleGraphClick(event) {
+        const button = event.target.closest('button');
+        if (button) {
+            if (button.id === 'graph-view-close') {
+                ProphecyApp.app.toggleGraphView(false);
+                graphViewButtonEH.focus();
+            } else if (button.dataset.graphType) {
+                ProphecyApp.app.setGraphType(button.dataset.graphType);
+            } else if (button.dataset.graphZoom === 'reset') {
+                ProphecyApp.uiManager.resetGraphViewUI();
+            } else if (button.dataset.graphZoom) {
+                ProphecyApp.uiManager.zoomGraphUI(button.dataset.graphZoom === 'in' ? GRAPH_ZOOM_STEP : 1 / GRAPH_ZOOM_STEP);
+            } else if (button.dataset.graphCategories) {
+                ProphecyApp.app.setGraphCategories(button.dataset.graphCategories === 'all' ? null : []);
+            }
+            return;
+        }
+        if (_graphDragEnded) {
+            _graphDragEnded = false;
+            return;
+        }
+        const edge = event.target.closest('.graph-edge');
+        if (edge) {
+            console.log(`EVENT_HANDLER: Graph edge ${edge.dataset.edgeId} clicked. Calling app controller.`);
+            ProphecyApp.app.openGraphPair(Number(edge.dataset.edgeId));
+            return;
+        }
+        const node = event.target.closest('.graph-node');
+        if (node) ProphecyApp.app.focusGraphNode(node.dataset.side, node.dataset.nodeKey);
+    }
+
+    /**
+     * Shows the preview of the timeline arc under the pointer, and hides it when the pointer leaves the arc
+     * or the drawing is being dragged.
+     */
+    function handleArcHover(event) {
+        const arc = event.target.closest('.arc');
+        if (!arc) return;
+        if (event.type === 'mouseout' || (_graphDrag && _graphDrag.moved)) {
+            ProphecyApp.app.previewArc(null);
             return;
         }
+        ProphecyApp.app.previewArc(Number(arc.dataset.edgeId), event.clientX, event.clientY);
+    }
+
+    /**
+     * Handles the Practice button in the sidebar.
+     */
+    function handleQuizViewToggle() {
+        ProphecyApp.app.toggleQuizView();
+    }
+
+    /**
+     * Handles buttons in the practice panel.
+     */
+    function handleQuizClick(event) {
+        const button = event.target.closest('button');
+        if (!button || button.disabled || button.type === 'submit') return;
+        if (button.id === 'quiz-view-close') {
+            ProphecyApp.app.toggleQuizView(false);
+            quizViewButtonEH.focus();
+        } else if (button.dataset.quizChoice !== undefined) {
+            console.log(`EVENT_HANDLER: Practice choice ${button.dataset.quizChoice}. Calling app controller.`);
+            ProphecyApp.app.answerQuiz(Number(button.dataset.quizChoice));
+        } else if (button.id === 'quiz-next') {
+            ProphecyApp.app.nextQuizQuestion();
+        } else if (button.id === 'quiz-end') {
+            ProphecyApp.app.endQuiz();
+        } else if (button.dataset.quizOpen !== undefined) {
+            ProphecyApp.app.openQuizPair(Number(button.dataset.quizOpen));
+        } else if (button.id === 'quiz-reset-progress') {
+            if (window.confirm(_t('quiz.confirmReset'))) ProphecyApp.app.resetQuizProgress();
+        }
+    }
+
+    /**
+     * Handles the practice scope select (all categories or the selected one).
+     */
+    function handleQuizChange(event) {
+        if (event.target.id === 'quiz-scope') ProphecyApp.app.setQuizScope(event.target.value);
+    }
+
+    /**
+     * Handles the practice setup form (starts a session) and the typed-answer form.
+     */
+    function handleQuizSubmit(event) {
+        event.preventDefault(); // Never navigates
+        const form = event.target;
+        if (form.id === 'quiz-setup') {
+            const settings = {
+                scope: form.querySelector('#quiz-scope').value,
+                type: form.querySelector('#quiz-type').value,
+                length: parseInt(form.querySelector('#quiz-length').value, 10)
+            };
+            console.log(`EVENT_HANDLER: Practice started (${settings.type}, ${settings.length}, ${settings.scope}). Calling app controller.`);
+            ProphecyApp.app.startQuiz(settings);
+        } else if (form.id === 'quiz-typed-form') {
+            const input = form.querySelector('#quiz-typed-input');
+            if (input.value.trim()) ProphecyApp.app.answerQuiz(input.value);
+        }
+    }
 
+    /**
+     * Handles the Reading plans button in the sidebar.
+     */
+    function handlePlanViewToggle() {
+        ProphecyApp.app.togglePlanView();
+    }
+
+    /**
+     * Handles buttons in the reading plans panel.
+     */
+    function handlePlanClick(event) {
+        const button = event.target.closest('button');
+        if (!button || button.type === 'submit') return;
+        if (button.id === 'plan-view-close') {
+            ProphecyApp.app.togglePlanView(false);
+            planViewButtonEH.focus();
+        } else if (button.dataset.planRead !== undefined) {
+            console.log(`EVENT_HANDLER: Read day ${button.dataset.planDay} of plan ${button.dataset.planRead}. Calling app controller.`);
+            ProphecyApp.app.readPlanDay(Number(button.dataset.planRead), Number(button.dataset.planDay));
+        } else if (button.dataset.planDelete !== undefined) {
+            const name = button.closest('.plan-item').querySelector('strong').textContent;
+            if (window.confirm(_t('plans.confirmDelete', { name: name }))) ProphecyApp.app.deleteReadingPlan(Number(button.dataset.planDelete));
+        }
+    }
+
+    /**
+     * Handles a day's read checkbox in a plan's schedule.
+     */
+    function handlePlanChange(event) {
+        const checkbox = event.target;
+        if (checkbox.dataset.planDay === undefined) return;
+        ProphecyApp.app.setPlanDayRead(Number(checkbox.dataset.planIndex), Number(checkbox.dataset.planDay), checkbox.checked);
+    }
+
+    /**
+     * Handles the new plan form (a plan over the current list).
+     */
+    function handlePlanSubmit(event) {
+        event.preventDefault(); // Never navigates
+        const form = event.target;
+        const nameInput = form.querySelector('#plan-name');
+        const perDay = parseInt(form.querySelector('#plan-per-day').value, 10);
+        console.log(`EVENT_HANDLER: New reading plan (${perDay} per day). Calling app controller.`);
+        if (ProphecyApp.app.createReadingPlan(nameInput.value, perDay)) nameInput.value = '';
+    }
+
+    /**
+     * Handles the Present button above the reference list.
+     */
+    function handlePresentClick() {
+        console.log("EVENT_HANDLER: Present the current list. Calling app controller.");
+        ProphecyApp.app.presentCurrentList();
+    }
+
+    /**
+     * Handles the presentation bar's buttons.
+     */
+    function handlePresentationAction(event) {
+        const button = event.target.closest('button[data-presentation-action]');
+        if (!button || button.disabled) return;
+        switch (button.dataset.presentationAction) {
+            case 'previous': ProphecyApp.app.stepPresentation(-1); break;
+            case 'next': ProphecyApp.app.stepPresentation(1); break;
+            case 'notes': ProphecyApp.app.toggleSpeakerNotes(); break;
+            case 'exit':
+                ProphecyApp.app.exitPresentation();
+                presentButtonEH.focus();
+                break;
+        }
+    }
+
+    /**
+     * Presentation keys: arrows, Page Up/Down, Space, j/k move between slides, Home/End jump to either end,
+     * n shows the speaker notes and Escape leaves (in full screen the browser's Escape leaves full screen,
+     * which ends the presentation too; see handleFullscreenChange).
+     */
+    function handlePresentationKeydown(event) {
+        if (!ProphecyApp.app.isPresenting() || event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        if (event.key === ' ' && event.target.closest && event.target.closest('button')) return; // Space presses the focused button
+        switch (event.key) {
+            case 'ArrowRight':
+            case 'PageDown':
+            case ' ':
+            case 'j':
+                ProphecyApp.app.stepPresentation(1);
+                break;
+            case 'ArrowLeft':
+            case 'PageUp':
+            case 'k':
+                ProphecyApp.app.stepPresentation(-1);
+                break;
+            case 'Home':
+                ProphecyApp.app.showPresentationSlide(0);
+                break;
+            case 'End':
+                ProphecyApp.app.showPresentationSlide(Infinity);
+                break;
+            case 'n':
+                ProphecyApp.app.toggleSpeakerNotes();
+                break;
+            case 'Escape':
+                ProphecyApp.app.exitPresentation();
+                presentButtonEH.focus();
+                break;
+            default:
+                return;
+        }
+        event.preventDefault(); // Keys do not scroll, and the page-wide shortcuts skip them
+    }
+
+    /**
+     * Ends the presentation when the page leaves full screen (the browser's Escape or its own controls).
+     */
+    function handleFullscreenChange() {
+        if (!document.fullscreenElement && ProphecyApp.app.isPresenting()) {
+            console.log("EVENT_HANDLER: Full screen left. Ending the presentation.");
+            ProphecyApp.app.exitPresentation();
+        }
+    }
+
+    /**
+     * Handles the graph's level select and the legend's category checkboxes.
+     */
+    function handleGraphChange(event) {
+        if (event.target.id === 'graph-level-select') {
+            ProphecyApp.app.setGraphLevel(event.target.value);
+        } else if (event.target.dataset.categoryName !== undefined) {
+            ProphecyApp.app.setGraphCategoryIncluded(event.target.dataset.categoryName, event.target.checked);
+        }
+    }
+
+    /**
+     * Zooms the graph around the pointer with the mouse wheel or a trackpad pinch.
+     */
+    function handleGraphWheel(event) {
+        if (!event.deltaY) return;
+        event.preventDefault();
+        ProphecyApp.uiManager.zoomGraphUI(event.deltaY < 0 ? GRAPH_WHEEL_ZOOM_STEP : 1 / GRAPH_WHEEL_ZOOM_STEP, event.clientX, event.clientY);
+    }
+
+    /**
+     * Pans the graph while a pointer is dragged across the canvas. The pointer is captured only once the press
+     * has become a drag, so a plain click still reaches the edge or node under it.
+     */
+    function handleGraphPointer(event) {
+        if (event.type === 'pointerdown') {
+            if (event.button !== 0) return;
+            _graphDrag = { pointerId: event.pointerId, startX: event.clientX, startY: event.clientY, lastX: event.clientX, lastY: event.clientY, moved: false };
+            _graphDragEnded = false;
+            return;
+        }
+        if (!_graphDrag || event.pointerId !== _graphDrag.pointerId) return;
+        if (event.type === 'pointermove') {
+            if (!_graphDrag.moved && Math.hypot(event.clientX - _graphDrag.startX, event.clientY - _graphDrag.startY) < GRAPH_DRAG_THRESHOLD_PX) return;
+            if (!_graphDrag.moved) {
+                _graphDrag.moved = true;
+                graphCanvasEH.classList.add('dragging');
+                if (graphCanvasEH.setPointerCapture) graphCanvasEH.setPointerCapture(event.pointerId);
+            }
+            ProphecyApp.uiManager.panGraphUI(event.clientX - _graphDrag.lastX, event.clientY - _graphDrag.lastY);
+            _graphDrag.lastX = event.clientX;
+            _graphDrag.lastY = event.clientY;
+            return;
+        }
+        // pointerup / pointercancel
+        _graphDragEnded = _graphDrag.moved;
+        _graphDrag = null;
+        graphCanvasEH.classList.remove('dragging');
+    }
+
+    /**
+     * Keyboard zoom and pan for the focused graph canvas: arrow keys pan, + and - zoom, 0 fits.
+     */
+    function handleGraphKeydown(event) {
+        const panSteps = { ArrowLeft: [1, 0], ArrowRight: [-1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
+        if (panSteps[event.key]) {
+            ProphecyApp.uiManager.panGraphUI(panSteps[event.key][0] * GRAPH_KEY_PAN_PX, panSteps[event.key][1] * GRAPH_KEY_PAN_PX);
+        } else if (event.key === '+' || event.key === '=') {
+            ProphecyApp.uiManager.zoomGraphUI(GRAPH_ZOOM_STEP);
+        } else if (event.key === '-') {
+            ProphecyApp.uiManager.zoomGraphUI(1 / GRAPH_ZOOM_STEP);
+        } else if (event.key === '0') {
+            ProphecyApp.uiManager.resetGraphViewUI();
+        } else {
+            return;
+        }
+        event.preventDefault(); // Arrow keys would scroll the page
+    }
+
+    /**
+     * Handles the header's Settings button.
+     */
+    function handleSettingsToggle() {
+        ProphecyApp.app.toggleSettingsPanel();
+    }
+
+    /**
+     * Handles the settings panel's buttons: close, remove a source, add a local file.
+     */
+    function handleSettingsAction(event) {
+        const button = event.target.closest('button');
+        if (!button || button.type === 'submit') return;
+        if (button.id === 'settings-close') {
+            ProphecyApp.app.toggleSettingsPanel(false);
+            settingsButtonEH.focus();
+        } else if (button.id === 'manifest-source-file-button') {
+            manifestSourceFileInputEH.click(); // Opens the file picker
+        } else if (button.dataset.sourceAction === 'remove') {
+            const sourceItem = button.closest('li[data-source-id]');
+            console.log(`EVENT_HANDLER: Removing manifest source ${sourceItem.dataset.sourceId}. Calling app controller.`);
+            ProphecyApp.app.removeManifestSource(sourceItem.dataset.sourceId);
+        }
+    }
+
+    /**
+     * Handles a source checkbox being switched, or the file chosen for "Add local file".
+     */
+    function handleManifestSourceChange(event) {
+        if (event.target === manifestSourceFileInputEH) {
+            const file = event.target.files && event.target.files[0];
+            if (!file) return;
+            console.log(`EVENT_HANDLER: Manifest file chosen: ${file.name}. Calling app controller.`);
+            ProphecyApp.app.addManifestFileSource(file);
+            event.target.value = ''; // Choosing the same file again fires change again
+            return;
+        }
+        const sourceItem = event.target.closest('li[data-source-id]');
+        if (!sourceItem || event.target.type !== 'checkbox') return;
+        console.log(`EVENT_HANDLER: Manifest source ${sourceItem.dataset.sourceId} ${event.target.checked ? 'on' : 'off'}. Calling app controller.`);
+        ProphecyApp.app.setManifestSourceEnabled(sourceItem.dataset.sourceId, event.target.checked);
+    }
+
+    /**
+     * Handles the "Add URL" form.
+     */
+    async function handleManifestSourceSubmit(event) {
+        event.preventDefault();
+        const added = await ProphecyApp.app.addManifestUrlSource(manifestSourceUrlInputEH.value, manifestSourceNameInputEH.value);
+        if (added) {
+            manifestSourceUrlInputEH.value = '';
+            manifestSourceNameInputEH.value = '';
+        }
+    }
+
+    /**
+     * Handles the "Edit my categories" button.
+     */
+    function handleManifestEditorToggle() {
+        ProphecyApp.app.toggleManifestEditor();
+    }
+
+    /**
+     * Handles the manifest editor's buttons: close, download, and the per-category/per-pair actions.
+     */
+    function handleManifestEditorAction(event) {
+        const button = event.target.closest('button');
+        if (!button || button.type === 'submit') return;
+        if (button.id === 'manifest-editor-close') {
+            ProphecyApp.app.toggleManifestEditor(false);
+            manifestEditorButtonEH.focus();
+            return;
+        }
+        if (button.dataset.downloadManifest) {
+            ProphecyApp.app.downloadManifest(button.dataset.downloadManifest);
+            return;
+        }
+        const categoryItem = button.closest('li[data-index]');
+        const pairItem = button.closest('li[data-pair-index]');
+        switch (button.dataset.editorAction) {
+            case 'select': ProphecyApp.app.selectCustomCategory(Number(categoryItem.dataset.index)); break;
+            case 'move-up': ProphecyApp.app.moveCustomCategory(Number(categoryItem.dataset.index), -1); break;
+            case 'move-down': ProphecyApp.app.moveCustomCategory(Number(categoryItem.dataset.index), 1); break;
+            case 'delete': {
+                const name = categoryItem.querySelector('.editor-category-name').dataset.savedName;
+                if (window.confirm(_t('editor.confirmDelete', { name: name }))) {
+                    ProphecyApp.app.deleteCustomCategory(Number(categoryItem.dataset.index));
+                }
+                break;
+            }
+            case 'remove-pair': ProphecyApp.app.removeCustomPair(Number(pairItem.dataset.pairIndex)); break;
+        }
+    }
+
+    /**
+     * Handles committed edits in the editor lists: category renames and pair descriptions.
+     */
+    function handleManifestEditorChange(event) {
+        const input = event.target;
+        if (input.classList.contains('editor-category-name')) {
+            const index = Number(input.closest('li[data-index]').dataset.index);
+            if (!ProphecyApp.app.renameCustomCategory(index, input.value)) input.value = input.dataset.savedName; // Rejected name
+        } else if (input.classList.contains('editor-pair-description')) {
+            ProphecyApp.app.updateCustomPairDescription(Number(input.closest('li[data-pair-index]').dataset.pairIndex), input.value);
+        }
+    }
+
+    /**
+     * Handles the editor's forms: "Add category" and "Add pair".
+     */
+    function handleManifestEditorSubmit(event) {
+        event.preventDefault();
+        if (event.target.id === 'editor-new-category-form') {
+            if (ProphecyApp.app.createCustomCategory(editorNewCategoryInputEH.value)) editorNewCategoryInputEH.value = '';
+        } else if (event.target === editorPairFormEH) {
+            clearTimeout(_pairCheckDebounceTimer);
+            ProphecyApp.app.addCustomPair(ProphecyApp.uiManager.getPairDraftUI());
+        }
+    }
+
+    /**
+     * Handles typing in the "Add pair" form: checks the refs and previews the verses once typing pauses.
+     */
+    function handlePairDraftInput() {
+        clearTimeout(_pairCheckDebounceTimer);
+        _pairCheckDebounceTimer = setTimeout(() => {
+            ProphecyApp.app.checkCustomPairDraft(ProphecyApp.uiManager.getPairDraftUI());
+        }, PAIR_CHECK_DEBOUNCE_MS);
+    }
+
+    /**
+     * Handles a new choice in the reference list order selector.
+     */
+    function handleListOrderChange(event) {
+        console.log(`EVENT_HANDLER: List order selected: ${event.target.value}. Calling app controller.`);
+        ProphecyApp.app.setListOrder(event.target.value);
+    }
+
+    /**
+     * Handles clicks or keydowns on items in the prophecy reference list.
+     * Delegates the actual logic to the main app controller.
+     */
+    function handleReferenceSelection(event) {
         // Ensure the event target is within the container and is a list item
-        const targetLi = event.target.closest('li'); // Adjust selector if needed
+        const targetLi = event.target.closest('li[data-index]'); // Group headings have no index
         if (!targetLi || !prophecyListElementEH.contains(targetLi)) return;
 
 
@@ -126,7 +1220,25 @@ ProphecyApp.eventHandler = (function() {
     return {
         attachListeners: function() {
             attachCategoryListeners();
+            attachNavModeListeners();
             attachReferenceListeners();
-        }
+            attachContextListeners();
+            attachTranslationListeners();
+            attachConnectivityListeners();
+            attachSearchListeners();
+            attachValidationListeners();
+            attachNotesListeners();
+            attachComparisonListeners();
+            attachLanguageListeners();
+            attachExportListeners();
+            attachManifestEditorListeners();
+            attachGraphListeners();
+            attachQuizListeners();
+            attachPlanListeners();
+            attachSettingsListeners();
+            attachPresentationListeners(); // Before the shortcuts: presentation keys take precedence
+            attachShortcutListeners();
+        },
+        attachSettingsListeners: attachSettingsListeners
     };
 })();
\ No newline at end of file
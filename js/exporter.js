@@ -0,0 +1,337 @@
+/**
+ * exporter.js - Turns prophecy pairs with their looked-up verse text into downloadable documents:
+ *   markdown - one section per pair, passages as block quotes
+ *   csv      - one row per pair: ot_ref, ot_text, nt_ref, nt_text, description, category, translation, attribution
+ *   handout  - standalone HTML with its own screen and print stylesheet (two-column pairs, no page breaks inside a pair)
+ *   slides   - standalone HTML deck, one pair per slide (arrow keys / Page Up/Down; prints one slide per page)
+ * Every format names the translation and carries its attribution/copyright notice.
+ * The caller (app.js) resolves the verses; this module only formats, so it runs in Node for tests.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.markdown = ProphecyApp.markdown || require('./markdown.js');
+}
+
+ProphecyApp.exporter = (function() {
+    // Assumes markdown.js is loaded before this module (HTML escaping)
+    const _markdown = ProphecyApp.markdown || {};
+    const _escapeHtml = text => _markdown.escapeHtml(text);
+
+    const FORMATS = [
+        { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+        { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+        { id: 'handout', label: 'Printable handout', extension: 'html', mimeType: 'text/html' },
+        { id: 'slides', label: 'Slides', extension: 'html', mimeType: 'text/html' }
+    ];
+    const CSV_COLUMNS = ['ot_ref', 'ot_text', 'nt_ref', 'nt_text', 'description', 'category', 'translation', 'attribution'];
+
+    /**
+     * Describes the translation for headings and footers ("Berean Standard Bible (BSB)").
+     * @param {{id: string, name: string}} translation
+     * @returns {string}
+     */
+    function _translationLabel(translation) {
+        return translation.name && translation.name !== translation.id ? `${translation.name} (${translation.id})` : translation.id;
+    }
+
+    /**
+     * The attribution notice, or a plain credit when the registry has none.
+     * @param {{id: string, name: string, attribution?: string|null}} translation
+     * @returns {string}
+     */
+    function _attribution(translation) {
+        return translation.attribution || `Scripture quotations from the ${_translationLabel(translation)}.`;
+    }
+
+    /**
+     * Numbers a passage's verses the way the detail view does: verse numbers, "chapter:verse" after a chapter change.
+     * @param {{verses: Array<{book: string, chapter: number, verse: number, text: string}>}} passage
+     * @returns {Array<{number: string, text: string}>}
+     */
+    function _numberVerses(passage) {
+        let previousLocation = null;
+        return passage.verses.map(verse => {
+            const location = `${verse.book} ${verse.chapter}`;
+            const number = previousLocation !== null && location !== previousLocation ? `${verse.chapter}:${verse.verse}` : `${verse.verse}`;
+            previousLocation = location;
+            return { number: number, text: verse.text };
+        });
+    }
+
+    /**
+     * A passage as one line of plain text (no verse numbers), or its lookup error.
+     * @param {{verses: Array<object>, error: string|null}} passage
+     * @returns {string}
+     */
+    function _plainText(passage) {
+        if (!passage || passage.error || !passage.verses.length) return (passage && passage.error) || '';
+        return passage.verses.map(verse => verse.text).join(' ');
+    }
+
+    /**
+     * Escapes characters Markdown would read as formatting.
+     * @param {string} text
+     * @returns {string}
+     */
+    function _escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+    }
+
+    /**
+     * Calls render(item, index, isNewGroup) for each item, flagging where the group label changes.
+     * @param {Array<object>} items
+     * @param {function(object, number, boolean)} render
+     */
+    function _forEachGrouped(items, render) {
+        items.forEach((item, index) => render(item, index, !!item.group && (index === 0 || item.group !== items[index - 1].group)));
+    }
+
+    /**
+     * @param {object} doc - See renderExport.
+     * @returns {string}
+     */
+    function _toMarkdown(doc) {
+        const lines = [`# ${_escapeMarkdown(doc.title)}`, '',
+                       `*${_escapeMarkdown(_translationLabel(doc.translation))} · ${doc.items.length} pair${doc.items.length === 1 ? '' : 's'} · exported ${_formatDate(doc.generated)}*`, ''];
+        const passageLines = (label, ref, passage) => {
+            lines.push(`**${label}: ${_escapeMarkdown(ref)}**`, '');
+            if (passage.error || !passage.verses.length) {
+                lines.push(`> ${_escapeMarkdown(passage.error || '[No text]')}`, '');
+                return;
+            }
+            lines.push('> ' + _numberVerses(passage).map(verse => `**${verse.number}** ${_escapeMarkdown(verse.text)}`).join(' '), '');
+        };
+        _forEachGrouped(doc.items, (item, index, isNewGroup) => {
+            if (isNewGroup) lines.push(`## ${_escapeMarkdown(item.group)}`, '');
+            lines.push(`### ${_escapeMarkdown(item.ot_ref)} → ${_escapeMarkdown(item.nt_ref)}`, '');
+            if (item.description) lines.push(_escapeMarkdown(item.description), '');
+            if (item.categories && item.categories.length) lines.push(`*Categories: ${_escapeMarkdown(item.categories.join(', '))}*`, '');
+            passageLines('Prophecy', item.ot_ref, item.ot);
+            passageLines('Fulfillment', item.nt_ref, item.nt);
+        });
+        lines.push('---', '', _escapeMarkdown(_attribution(doc.translation)), '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Quotes a CSV field when needed (RFC 4180).
+     * @param {*} value
+     * @returns {string}
+     */
+    function _csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * @param {object} doc - See renderExport.
+     * @returns {string} - Starts with a byte order mark so spreadsheet programs read it as UTF-8.
+     */
+    function _toCsv(doc) {
+        const translation = _translationLabel(doc.translation);
+        const attribution = _attribution(doc.translation);
+        const rows = [CSV_COLUMNS];
+        doc.items.forEach(item => rows.push([
+            item.ot_ref, _plainText(item.ot), item.nt_ref, _plainText(item.nt), item.description,
+            (item.categories || []).join('; '), translation, attribution
+        ]));
+        return '\uFEFF' + rows.map(row => row.map(_csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * A passage as HTML: numbered verse spans, or the lookup error.
+     * @param {{verses: Array<object>, error: string|null}} passage
+     * @returns {string}
+     */
+    function _passageHtml(passage) {
+        if (passage.error || !passage.verses.length) return `<p class="passage-error">${_escapeHtml(passage.error || '[No text]')}</p>`;
+        return '<p>' + _numberVerses(passage).map(verse => `<sup>${_escapeHtml(verse.number)}</sup>${_escapeHtml(verse.text)}`).join(' ') + '</p>';
+    }
+
+    /**
+     * Wraps a body in a standalone HTML page.
+     * @param {string} title
+     * @param {string} css
+     * @param {string} body
+     * @param {string} [script]
+     * @returns {string}
+     */
+    function _htmlPage(title, css, body, script = '') {
+        return ['<!DOCTYPE html>', '<html lang="en">', '<head>', '<meta charset="UTF-8">',
+                '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+                `<title>${_escapeHtml(title)}</title>`, `<style>${css}</style>`, '</head>', '<body>',
+                body, script ? `<script>${script}</script>` : '', '</body>', '</html>', ''].join('\n');
+    }
+
+    // Handout stylesheet: two columns on screen; on paper, black on white with no pair split across pages
+    const HANDOUT_CSS = `
+body { font-family: Georgia, 'Times New Roman', serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #212529; line-height: 1.5; }
+header { border-bottom: 2px solid #495057; margin-bottom: 1rem; }
+h1 { font-size: 1.8rem; margin: 0; }
+.meta { color: #6c757d; margin: 0.25rem 0 0.75rem; }
+h2 { font-size: 1.3rem; margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #dee2e6; }
+article { margin-bottom: 1.25rem; }
+article h3 { font-size: 1.1rem; margin: 0 0 0.25rem; }
+.description { margin: 0 0 0.25rem; font-style: italic; }
+.categories { margin: 0 0 0.5rem; font-size: 0.85rem; color: #6c757d; }
+.passages { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+.passages h4 { font-size: 0.95rem; margin: 0; }
+.passages p { margin: 0.25rem 0 0; }
+sup { font-size: 0.7em; color: #6c757d; margin-right: 0.15em; }
+.passage-error { color: #842029; }
+footer { margin-top: 2rem; padding-top: 0.5rem; border-top: 1px solid #dee2e6; font-size: 0.85rem; color: #495057; }
+@media print {
+  @page { margin: 1.5cm; }
+  body { max-width: none; margin: 0; padding: 0; font-size: 11pt; color: #000; }
+  .meta, .categories, sup, footer { color: #000; }
+  h2 { break-after: avoid; page-break-after: avoid; }
+  article { break-inside: avoid; page-break-inside: avoid; }
+}`;
+
+    /**
+     * @param {object} doc - See renderExport.
+     * @returns {string}
+     */
+    function _toHandout(doc) {
+        const parts = ['<header>', `<h1>${_escapeHtml(doc.title)}</h1>`,
+                       `<p class="meta">${_escapeHtml(_translationLabel(doc.translation))} · ${doc.items.length} pair${doc.items.length === 1 ? '' : 's'} · ${_formatDate(doc.generated)}</p>`,
+                       '</header>', '<main>'];
+        _forEachGrouped(doc.items, (item, index, isNewGroup) => {
+            if (isNewGroup) parts.push(`<h2>${_escapeHtml(item.group)}</h2>`);
+            parts.push('<article>', `<h3>${_escapeHtml(item.ot_ref)} → ${_escapeHtml(item.nt_ref)}</h3>`);
+            if (item.description) parts.push(`<p class="description">${_escapeHtml(item.description)}</p>`);
+            if (item.categories && item.categories.length) parts.push(`<p class="categories">${_escapeHtml(item.categories.join(', '))}</p>`);
+            parts.push('<div class="passages">',
+                       `<section><h4>Prophecy: ${_escapeHtml(item.ot_ref)}</h4>${_passageHtml(item.ot)}</section>`,
+                       `<section><h4>Fulfillment: ${_escapeHtml(item.nt_ref)}</h4>${_passageHtml(item.nt)}</section>`,
+                       '</div>', '</article>');
+        });
+        parts.push('</main>', `<footer>${_escapeHtml(_attribution(doc.translation))}</footer>`);
+        return _htmlPage(doc.title, HANDOUT_CSS, parts.join('\n'));
+    }
+
+    // Slide stylesheet: one full-window slide at a time (scroll snapping), one slide per landscape page when printed
+    const SLIDES_CSS = `
+html { scroll-snap-type: y mandatory; }
+body { margin: 0; font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; background: #212529; }
+.slide { box-sizing: border-box; height: 100vh; scroll-snap-align: start; display: flex; flex-direction: column; padding: 4vh 5vw; background: #fff; color: #212529; border-bottom: 1px solid #495057; overflow: auto; }
+.slide h1 { font-size: 3rem; margin: auto 0 0.5rem; }
+.slide h2 { font-size: 2rem; margin: 0 0 0.5rem; }
+.title-slide p, .end-slide p { font-size: 1.4rem; color: #495057; }
+.title-slide p:last-child, .end-slide p:last-child { margin-bottom: auto; }
+.description { font-size: 1.3rem; font-style: italic; margin: 0 0 1rem; }
+.passages { display: grid; grid-template-columns: 1fr 1fr; gap: 3vw; flex: 1; font-size: 1.35rem; line-height: 1.5; }
+.passages h3 { font-size: 1.1rem; text-transform: uppercase; letter-spacing: 0.05em; color: #6c757d; margin: 0; }
+.passages p { margin: 0.5rem 0 0; }
+sup { font-size: 0.6em; color: #6c757d; margin-right: 0.15em; }
+.passage-error { color: #842029; }
+.slide-footer { display: flex; justify-content: space-between; font-size: 0.9rem; color: #6c757d; margin-top: 1rem; }
+@media print {
+  @page { size: landscape; margin: 1cm; }
+  html { scroll-snap-type: none; }
+  body { background: #fff; }
+  .slide { height: auto; min-height: 95vh; border: none; break-after: page; page-break-after: always; overflow: visible; }
+}`;
+
+    // Keyboard navigation between slides
+    const SLIDES_SCRIPT = `
+document.addEventListener('keydown', function(event) {
+  var slides = document.querySelectorAll('.slide');
+  var current = Math.round(window.scrollY / window.innerHeight);
+  var next = null;
+  if (['ArrowRight', 'ArrowDown', 'PageDown', ' '].indexOf(event.key) !== -1) next = current + 1;
+  else if (['ArrowLeft', 'ArrowUp', 'PageUp'].indexOf(event.key) !== -1) next = current - 1;
+  else if (event.key === 'Home') next = 0;
+  else if (event.key === 'End') next = slides.length - 1;
+  if (next === null) return;
+  event.preventDefault();
+  slides[Math.max(0, Math.min(slides.length - 1, next))].scrollIntoView();
+});`;
+
+    /**
+     * @param {object} doc - See renderExport.
+     * @returns {string}
+     */
+    function _toSlides(doc) {
+        const translationLabel = _escapeHtml(_translationLabel(doc.translation));
+        const total = doc.items.length;
+        const parts = ['<section class="slide title-slide">', `<h1>${_escapeHtml(doc.title)}</h1>`,
+                       `<p>${total} prophec${total === 1 ? 'y' : 'ies'} and fulfillment${total === 1 ? '' : 's'}</p>`,
+                       `<p>${translationLabel}</p>`, '</section>'];
+        doc.items.forEach((item, index) => {
+            parts.push('<section class="slide">', `<h2>${_escapeHtml(item.ot_ref)} → ${_escapeHtml(item.nt_ref)}</h2>`);
+            if (item.description) parts.push(`<p class="description">${_escapeHtml(item.description)}</p>`);
+            parts.push('<div class="passages">',
+                       `<div><h3>Prophecy · ${_escapeHtml(item.ot_ref)}</h3>${_passageHtml(item.ot)}</div>`,
+                       `<div><h3>Fulfillment · ${_escapeHtml(item.nt_ref)}</h3>${_passageHtml(item.nt)}</div>`,
+                       '</div>',
+                       `<div class="slide-footer"><span>${_escapeHtml(item.group || (item.categories || []).join(', '))}</span><span>${translationLabel} · ${index + 1} / ${total}</span></div>`,
+                       '</section>');
+        });
+        parts.push('<section class="slide end-slide">', `<h2>${_escapeHtml(doc.title)}</h2>`,
+                   `<p>${_escapeHtml(_attribution(doc.translation))}</p>`, '</section>');
+        return _htmlPage(doc.title, SLIDES_CSS, parts.join('\n'), SLIDES_SCRIPT);
+    }
+
+    /**
+     * Formats a date as YYYY-MM-DD.
+     * @param {Date} date
+     * @returns {string}
+     */
+    function _formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    const RENDERERS = { markdown: _toMarkdown, csv: _toCsv, handout: _toHandout, slides: _toSlides };
+
+    /**
+     * Renders an export document.
+     * @param {string} formatId - One of getFormats() ids.
+     * @param {object} doc
+     * @param {string} doc.title - What is exported (pair refs, category name, "All categories").
+     * @param {{id: string, name: string, attribution?: string|null}} doc.translation - Translation the verses come from.
+     * @param {Date} doc.generated - Export time.
+     * @param {Array<{ot_ref: string, nt_ref: string, description: string, categories: Array<string>, group: string|null,
+     *         ot: {verses: Array<object>, error: string|null}, nt: {verses: Array<object>, error: string|null}}>} doc.items
+     *        - Pairs in output order; group starts a new section where it changes (Markdown, handout).
+     * @returns {string}
+     * @throws {Error} - On an unknown format.
+     */
+    function renderExport(formatId, doc) {
+        const render = RENDERERS[formatId];
+        if (!render) throw new Error(`Unknown export format "${formatId}".`);
+        const output = render(doc);
+        console.log(`EXPORTER: Rendered ${doc.items.length} pairs as ${formatId} (${output.length} characters).`);
+        return output;
+    }
+
+    /**
+     * Suggests a file name for an export ("prophecy-birth-childhood-BSB.md").
+     * @param {string} formatId
+     * @param {{title: string, translation: {id: string}}} doc
+     * @returns {string}
+     */
+    function getFileName(formatId, doc) {
+        const format = FORMATS.find(entry => entry.id === formatId);
+        const slug = String(doc.title).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+        const suffix = formatId === 'slides' ? '-slides' : formatId === 'handout' ? '-handout' : '';
+        return `prophecy-${slug || 'export'}${suffix}-${doc.translation.id}.${format ? format.extension : 'txt'}`;
+    }
+
+    // Expose export functions
+    return {
+        renderExport: renderExport,
+        getFileName: getFileName,
+        getFormats: function() { return FORMATS.map(format => Object.assign({}, format)); }
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.exporter;
+}
@@ -0,0 +1,1234 @@
+/**
+ * i18n.js - Interface language: message catalogs for the viewer's chrome (buttons, headings, prompts,
+ * status text), the chosen language kept in localStorage of this browser, and book names and references
+ * in that language (book_registry.js has the names). Manifest content (categories, descriptions) and
+ * Bible text are shown as written. index.html marks translatable elements with data-i18n attributes,
+ * which ui_manager.js applyLanguageUI fills in; scripts use t() for the text they build.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.localStore = ProphecyApp.localStore || require('./local_store.js');
+    ProphecyApp.bookRegistry = ProphecyApp.bookRegistry || require('./book_registry.js');
+    ProphecyApp.referenceParser = ProphecyApp.referenceParser || require('./reference_parser.js');
+}
+
+ProphecyApp.i18n = (function() {
+    // Assumes book_registry.js, reference_parser.js and local_store.js are loaded before this module
+    const _bookRegistry = ProphecyApp.bookRegistry || {};
+    const _referenceParser = ProphecyApp.referenceParser || {};
+    const _localStore = ProphecyApp.localStore;
+
+    const STORAGE_KEY = 'prophecyViewer.language';
+    const DEFAULT_LANGUAGE = 'en';
+    const RTL_LANGUAGES = new Set(['ar', 'fa', 'he', 'ur']); // Written right to left (registerCatalog may add them)
+
+    // Messages per language; a message is a string with {name} placeholders, or { one, other, ... } chosen by
+    // Intl.PluralRules for params.count. Keys missing from a catalog fall back to English.
+    const CATALOGS = {
+        en: {
+            name: 'English',
+            messages: {
+                'header.settings': 'Settings',
+                'header.language': 'Language',
+                'header.offline': 'Offline - using cached data',
+                'update.available': 'New content available.',
+                'update.reload': 'Reload',
+                'validation.label': 'Manifest check',
+                'validation.showDetails': 'Show details',
+                'validation.dismiss': 'Dismiss manifest check',
+                'editor.heading': 'My categories',
+                'editor.open': 'Edit my categories',
+                'editor.close': 'Close category editor',
+                'settings.close': 'Close settings',
+                'settings.sources': 'Manifest sources',
+                'graph.heading': 'Prophecy graph',
+                'graph.show': 'Show graph',
+                'graph.close': 'Close graph',
+                'quiz.heading': 'Practice',
+                'quiz.close': 'Close practice',
+                'plans.heading': 'Reading plans',
+                'plans.close': 'Close reading plans',
+                'search.label': 'Search',
+                'search.placeholder': 'Words or a reference (e.g. mic 5 2)',
+                'nav.browse': 'Browse',
+                'nav.browseBy': 'Browse by',
+                'nav.categories': 'Categories',
+                'nav.otBooks': 'OT books',
+                'nav.ntBooks': 'NT books',
+                'nav.otVerses': 'OT verses',
+                'nav.allCategories': 'All Categories',
+                'nav.bookmarks': 'My Bookmarks',
+                'nav.noCategories': 'No categories loaded.',
+                'nav.noReferences': 'No references to browse.',
+                'nav.showChapters': 'Show chapters of {book}',
+                'nav.unparsed': {
+                    one: '{count} pair with non-verse references is only listed under categories.',
+                    other: '{count} pairs with non-verse references are only listed under categories.'
+                },
+                'nav.customAdded': 'Your category (kept in this browser)',
+                'nav.customExtended': 'Includes pairs you added',
+                'list.heading': 'Prophecies (References)',
+                'list.label': 'Prophecies',
+                'list.order': 'Order:',
+                'list.orderCategory': 'Group by category',
+                'list.orderOt': 'OT canonical order',
+                'list.orderNt': 'NT canonical order',
+                'list.orderSimilarity': 'Shared wording (most first)',
+                'list.present': 'Present this list',
+                'list.selectCategoryFirst': 'Select a category first.',
+                'list.emptyAll': 'No references in any category.',
+                'list.empty': 'No references found for {name}.',
+                'list.error': 'Error state.',
+                'list.noBookmarks': 'No bookmarks yet. Use the Bookmark button on a pair to list it here.',
+                'list.otherReferences': 'Other references',
+                'list.notInManifest': 'Not in the manifest',
+                'list.notCompared': 'Not compared',
+                'list.quotations': 'Close quotations',
+                'list.sharedWording': 'Some shared wording',
+                'list.allusions': 'Allusions (little shared wording)',
+                'export.label': 'Export:',
+                'export.scopePair': 'Selected pair',
+                'export.scopeList': 'Current list',
+                'export.scopeManifest': 'All categories',
+                'export.format': 'Export format',
+                'export.handout': 'Printable handout (.html)',
+                'export.slides': 'Slides (.html)',
+                'export.button': 'Export',
+                'status.loading': 'Loading...',
+                'status.loadingCategories': 'Loading categories/references...',
+                'status.initFailed': 'Initialization failed: {message}',
+                'status.initFailedSources': 'Initialization failed: {message}. Check the manifest sources in Settings.',
+                'status.downloading': 'Downloading {translation}... {loaded}',
+                'status.downloadingOf': 'Downloading {translation}... {loaded} of {total}',
+                'status.indexing': 'Indexing {translation}... book {loaded} of {total}',
+                'detail.description': 'Description:',
+                'detail.prophecy': 'Prophecy',
+                'detail.fulfillment': 'Fulfillment',
+                'detail.category': 'Category:',
+                'detail.source': 'Source:',
+                'detail.waitingText': '[Loading text...]',
+                'detail.selectCategory': 'Select a category.',
+                'detail.selectReference': 'Select a reference.',
+                'detail.notApplicable': 'N/A',
+                'detail.announce': 'Showing {ot}, fulfilled in {nt}.',
+                'pair.bookmark': '☆ Bookmark',
+                'pair.bookmarked': '★ Bookmarked',
+                'pair.highlight': 'Highlight:',
+                'pair.highlightNone': 'None',
+                'pair.highlightYellow': 'Yellow',
+                'pair.highlightGreen': 'Green',
+                'pair.highlightBlue': 'Blue',
+                'pair.highlightPink': 'Pink',
+                'pair.compare': 'Compare wording',
+                'compare.summary': 'Shared wording: {percent}%',
+                'compare.phrases': 'Phrases',
+                'compare.words': 'Words',
+                'compare.badge': 'Shared wording',
+                'compare.badgeLabel': '{percent}% shared wording',
+                'compare.quotation': 'close quotation',
+                'compare.shared': 'some shared wording',
+                'compare.allusion': 'allusion',
+                'context.otLabel': 'Prophecy context',
+                'context.ntLabel': 'Fulfillment context',
+                'context.cited': 'Cited verses',
+                'context.count': 'Verses of context before and after',
+                'context.verses': { one: '{count} verse', other: '{count} verses' },
+                'context.chapter': 'Full chapter',
+                'context.previous': 'Prev chapter',
+                'context.next': 'Next chapter',
+                'context.showing': 'Showing {range}',
+                'notes.heading': 'My notes',
+                'notes.edit': 'Edit note',
+                'notes.label': 'Note (Markdown)',
+                'notes.save': 'Save',
+                'notes.cancel': 'Cancel',
+                'notes.keys': 'Ctrl+Enter saves, Escape cancels.',
+                'notes.kept': 'Notes and bookmarks are kept in this browser.',
+                'notes.export': 'Export all notes',
+                'notes.import': 'Import notes',
+                'presentation.label': 'Presentation',
+                'presentation.notes': 'Speaker notes',
+                'presentation.previous': 'Previous',
+                'presentation.next': 'Next',
+                'presentation.exit': 'Exit',
+                'footer.translation': 'Bible Translation:',
+                'footer.primary': 'Primary:',
+                'footer.compareWith': 'Compare with:',
+                'footer.cache': 'Offline cache:',
+                'footer.clearCache': 'Clear cached data',
+                'footer.translationUnavailable': '[Translation N/A]',
+                'footer.translationLoading': '[Loading...]',
+                'detail.loadFailed': '[Could not load {translation}: {message}]',
+                'detail.textNotLoaded': '[Bible text not loaded yet]',
+                'notes.saveFailed': 'Could not save in this browser\'s storage. Export your notes to keep them.',
+                'notes.exported': 'Notes exported.',
+                'notes.imported': 'Imported {file}: {added} new, {updated} updated{details}.',
+                'notes.importUnchanged': ', {count} already up to date',
+                'notes.importSkipped': ', {count} skipped',
+                'notes.importFailed': 'Could not import {file}: {message}',
+                'export.markdown': 'Markdown (.md)',
+                'export.csv': 'CSV (.csv)',
+                'export.unavailable': 'Export unavailable.',
+                'export.waitForText': 'Bible text is still loading. Try again when it is ready.',
+                'export.nothing': 'Nothing to export.',
+                'export.lookingUp': 'Looking up verses... {done}/{total}',
+                'export.done': { one: 'Exported {count} pair as {format}.', other: 'Exported {count} pairs as {format}.' },
+                'export.failed': 'Export failed: {message}',
+                'graph.noCategories': 'No categories selected.',
+                'graph.noPairs': 'No pairs to draw.',
+                'graph.summaryBooks': { one: '{count} pair linking {ot} OT and {nt} NT books', other: '{count} pairs linking {ot} OT and {nt} NT books' },
+                'graph.summaryPassages': { one: '{count} pair linking {ot} OT and {nt} NT passages', other: '{count} pairs linking {ot} OT and {nt} NT passages' },
+                'graph.unplaced': '; {count} not drawn (refs that name no Bible book)',
+                'graph.arcSummary': { one: '{count} pair across the 66 books, {scale}', other: '{count} pairs across the 66 books, {scale}' },
+                'graph.scaleDefault': 'scaled by chapter counts until the Bible text is loaded',
+                'graph.scaleBible': 'scaled by the chapters of the {translation}',
+                'graph.scaleMixed': 'scaled by the {translation}, with usual chapter counts for the books it lacks',
+                'quiz.typeFulfillment': 'Pick the fulfillment',
+                'quiz.typeDescription': 'Match the description',
+                'quiz.typeTyped': 'Type the fulfillment',
+                'quiz.noPairs': '{scope}: no pairs to practice.',
+                'quiz.mastery': '{scope}: {mastered} of {total} pairs mastered, {inProgress} in progress{due}.',
+                'quiz.due': ', {count} due for review',
+                'plans.saveFailed': 'Could not save in this browser\'s storage; the change is lost when the page closes.',
+                'plans.created': 'Plan "{name}" created.',
+                'plans.deleted': 'Plan deleted.',
+                'plans.dayRead': 'Day {day} marked read.',
+                'plans.dayUnread': 'Day {day} marked unread.',
+                'plans.dayMissing': 'The pairs of day {day} are no longer in the manifest. Tick the day off to move on.',
+                'plans.daySkipped': { one: '{count} pair of day {day} no longer in the manifest, skipped.', other: '{count} pairs of day {day} no longer in the manifest, skipped.' },
+                'plans.presentationLabel': '{name}: day {day} of {days}',
+                'sources.loading': 'Loading manifest sources...',
+                'sources.saveFailed': 'Could not save in this browser\'s storage. The change applies until the page is closed.',
+                'sources.loadFailed': '{status} Could not load: {names}.',
+                'sources.keptPrevious': '{message}. Still showing the previous categories.',
+                'sources.on': '{name} on.',
+                'sources.off': '{name} off.',
+                'sources.added': 'Added {name}.',
+                'sources.readFailed': 'Could not read {file}: {message}',
+                'sources.removed': 'Removed {name}.',
+                'editor.saveFailed': 'Could not save in this browser\'s storage. Download your categories to keep them.',
+                'editor.created': 'Created "{name}".',
+                'editor.renamed': 'Renamed "{from}" to "{to}".',
+                'editor.orderSaved': 'Order saved.',
+                'editor.deleted': 'Deleted "{name}".',
+                'editor.textLoading': 'Bible text is still loading.',
+                'editor.duplicateHere': 'This pair is already in "{name}".',
+                'editor.duplicateElsewhere': 'Already listed in: {names}.',
+                'editor.needsDescription': 'A pair needs a description.',
+                'editor.pairAdded': 'Added {ot} / {nt}.',
+                'editor.descriptionSaved': 'Description saved.',
+                'editor.pairRemoved': 'Removed {ot} / {nt}.',
+                'editor.removed': 'Removed.',
+                'editor.downloaded': { one: 'Downloaded {count} pair.{problems}', other: 'Downloaded {count} pairs.{problems}' },
+                'editor.downloadProblems': { one: ' Note: the manifest check finds {count} error in it.', other: ' Note: the manifest check finds {count} errors in it.' },
+                'compare.unavailable': 'Wording comparison is not available.',
+                'compare.waiting': 'Shared wording is marked once the Bible text is loaded.',
+                'compare.failed': 'Could not compare the wording: {message}',
+                'cache.cleared': 'Cleared. Reload to download fresh data.',
+                'cache.clearFailed': 'Clearing failed: {message}',
+                'search.indexing': 'Indexing {translation} text for search... {percent}%',
+                'search.unavailable': 'Verse text search unavailable.',
+                'footer.translationUnknown': '[Unknown]',
+                'cache.unavailable': '[Unavailable]',
+                'cache.unsupported': 'Not available in this browser',
+                'cache.cached': '{ids} cached',
+                'cache.empty': 'Nothing cached',
+                'cache.usage': ' ({used} used)',
+                'cache.usageOf': ' ({used} used of {quota})',
+                'list.problems': { one: '{count} manifest problem: {details}', other: '{count} manifest problems: {details}' },
+                'list.bookmarked': 'bookmarked',
+                'list.hasNote': 'has a note',
+                'notes.add': 'Add note',
+                'notes.empty': 'No note for this pair yet.',
+                'sources.stateOff': 'off',
+                'sources.stateFailed': 'could not be loaded: {message}',
+                'sources.stateLoading': 'loading...',
+                'sources.stateLoaded': '{categories} categories, {pairs} pairs',
+                'sources.localFile': 'local file',
+                'sources.remove': 'Remove',
+                'sources.removeLabel': 'Remove {name}',
+                'sources.loadFailedTitle': 'Could not load: {names}',
+                'editor.noCategories': 'No categories of your own yet.',
+                'editor.categoryName': 'Name of category {number}',
+                'editor.pairCount': { one: '{count} pair', other: '{count} pairs' },
+                'editor.extendsShipped': ', adds to shipped',
+                'editor.pairs': 'Pairs',
+                'editor.editPairs': 'Edit the pairs of {name}',
+                'editor.moveUp': 'Move {name} up',
+                'editor.moveDown': 'Move {name} down',
+                'editor.delete': 'Delete {name}',
+                'editor.pairsIn': 'Pairs in {name}',
+                'editor.chooseCategory': 'Choose a category to edit its pairs.',
+                'editor.createFirst': 'Create a category to add pairs.',
+                'editor.noPairs': 'No pairs yet. Add one below.',
+                'editor.descriptionOf': 'Description of {pair}',
+                'editor.removePair': 'Remove {pair}',
+                'editor.moreVerses': { one: '... ({count} more verse)', other: '... ({count} more verses)' },
+                'graph.hide': 'Hide graph',
+                'graph.helpNetwork': 'Drag to pan, scroll to zoom. Click a line to open its pair, a book or verse to highlight its lines.',
+                'graph.helpArcs': 'Drag to pan, scroll to zoom. Point at an arc to preview its passages, click it to open the pair.',
+                'graph.links': { one: '{label}: {count} link', other: '{label}: {count} links' },
+                'graph.chapters': { one: '{name} ({count} chapter)', other: '{name} ({count} chapters)' },
+                'quiz.selectedCategory': 'Selected category: {name}',
+                'quiz.counter': 'Question {number} of {total}',
+                'quiz.promptDescription': 'Which pair is this? “{prompt}”',
+                'quiz.promptTyped': 'Type the reference that fulfills {prompt}.',
+                'quiz.promptFulfillment': 'Which passage fulfills {prompt}?',
+                'quiz.correct': 'Correct! {answer}{description}.',
+                'quiz.wrong': 'Not quite. The answer is {answer}{description}.',
+                'quiz.notSaved': ' Progress could not be saved in this browser.',
+                'quiz.summary': 'Session summary',
+                'quiz.noAnswers': 'No questions answered.',
+                'quiz.score': '{correct} of {asked} answers correct ({percent}%).',
+                'quiz.typeScore': '{type}: {correct} of {asked}',
+                'quiz.review': 'To review (they come back in your next session):',
+                'plans.source': { one: '{name} ({count} pair)', other: '{name} ({count} pairs)' },
+                'plans.empty': 'No reading plans yet.',
+                'plans.finished': 'Finished: all {total} pairs read.',
+                'plans.progress': 'Day {day} of {days}, {read} of {total} pairs read{behind}.',
+                'plans.behind': { one: ', {count} day behind', other: ', {count} days behind' },
+                'plans.progressLabel': '{name} progress',
+                'plans.deleteLabel': 'Delete plan {name}',
+                'plans.delete': 'Delete',
+                'plans.readAgain': 'Read again from day 1',
+                'plans.readDay': 'Read day {day}',
+                'plans.schedule': { one: 'Schedule: {count} day, {perDay} per day', other: 'Schedule: {count} days, {perDay} per day' },
+                'plans.day': 'Day {day} ({date})',
+                'plans.read': 'Read',
+                'presentation.counter': '{position} of {total}',
+                'presentation.noNotes': 'No description for this pair.',
+                'validation.errors': { one: '{count} error', other: '{count} errors' },
+                'validation.warnings': { one: '{count} warning', other: '{count} warnings' },
+                'validation.summaryChecked': 'Manifest check: {problems} in {pairs} pairs (verses checked in {translation}).',
+                'validation.summaryUnchecked': 'Manifest check: {problems} in {pairs} pairs (verses not checked).',
+                'validation.hideDetails': 'Hide details',
+                'search.pairsCiting': 'Pairs citing {reference}',
+                'search.pairs': 'Prophecy pairs',
+                'search.noPairs': 'No matching pairs.',
+                'search.showing': ', showing {count}',
+                'search.stillIndexing': ', still indexing',
+                'search.verses': 'Bible verses',
+                'search.noVerses': 'No matching verses.',
+                'app.title': 'Prophecy Viewer MVP V3',
+                'nav.loading': 'Loading categories...',
+                'editor.intro': 'Kept in this browser and added to the shipped references.json. A category named like a shipped one adds its pairs to it.',
+                'editor.newCategory': 'New category name',
+                'editor.addCategory': 'Add category',
+                'editor.otRef': 'Prophecy (OT)',
+                'editor.otPlaceholder': 'e.g. Micah 5:2',
+                'editor.ntRef': 'Fulfillment (NT)',
+                'editor.ntPlaceholder': 'e.g. Matthew 2:1-6',
+                'editor.description': 'Description',
+                'editor.addPair': 'Add pair',
+                'editor.download': 'Download references.json:',
+                'editor.downloadCombined': 'Shipped + mine',
+                'editor.downloadUser': 'My categories only',
+                'settings.intro': 'The categories of every source that is on are merged: categories with the same name are combined, and each pair is listed once with the sources it came from.',
+                'settings.url': 'Manifest URL',
+                'settings.name': 'Name (optional)',
+                'settings.nameLabel': 'Source name',
+                'settings.addUrl': 'Add URL',
+                'settings.addFile': 'Add local file...',
+                'graph.type': 'Graph type',
+                'graph.network': 'Books network',
+                'graph.arcs': 'Canon timeline',
+                'graph.level': 'Show:',
+                'graph.levelBooks': 'Books',
+                'graph.levelVerses': 'Verses',
+                'graph.zoomIn': 'Zoom in',
+                'graph.zoomOut': 'Zoom out',
+                'graph.fit': 'Fit',
+                'graph.canvas': 'Prophecy graph; arrow keys pan, plus and minus zoom',
+                'graph.all': 'All',
+                'graph.none': 'None',
+                'quiz.scope': 'Pairs:',
+                'quiz.scopeAll': 'All categories',
+                'quiz.type': 'Questions:',
+                'quiz.typeMixed': 'Mixed',
+                'quiz.length': 'Length:',
+                'quiz.start': 'Start',
+                'quiz.reset': 'Reset progress',
+                'quiz.intro': 'Pairs you miss come back sooner; pairs you know wait longer. Progress is kept in this browser.',
+                'quiz.typedPlaceholder': 'e.g. Matthew 2:1 or mt 2 1',
+                'quiz.typedLabel': 'Fulfillment reference',
+                'quiz.check': 'Check',
+                'quiz.next': 'Next',
+                'quiz.end': 'End session',
+                'plans.newOver': 'New plan over',
+                'plans.name': 'Plan name',
+                'plans.perDay': 'Pairs per day',
+                'plans.create': 'Create plan',
+                'plans.intro': 'Pairs are read in the order of the list. A pair counts as read once it is shown in the plan\'s presentation; progress is kept in this browser.',
+                'notes.placeholder': 'Markdown: **bold**, *italic*, - lists, [links](https://...)',
+                'footer.version': 'MVP Version 3 - Dynamic Fetch Architecture (Refactored)',
+                'footer.keys': 'Keyboard:',
+                'footer.keysPairs': 'next/previous pair',
+                'footer.keysCategories': 'previous/next category',
+                'footer.keysSearch': 'search; arrow keys, Home/End and typing move through a focused list, Enter selects.',
+                'footer.keysPresenting': 'Presenting: arrow keys or',
+                'footer.keysSlides': 'move between slides',
+                'footer.keysNotes': 'speaker notes',
+                'footer.keysExit': 'exits.',
+                'quiz.confirmReset': 'Forget your practice progress for every pair?',
+                'plans.confirmDelete': 'Delete the reading plan "{name}" and its progress?',
+                'editor.confirmDelete': 'Delete your category "{name}" and its pairs?'
+            }
+        },
+        es: {
+            name: 'Español',
+            messages: {
+                'header.settings': 'Ajustes',
+                'header.language': 'Idioma',
+                'header.offline': 'Sin conexión: usando datos guardados',
+                'update.available': 'Hay contenido nuevo.',
+                'update.reload': 'Recargar',
+                'validation.label': 'Revisión del manifiesto',
+                'validation.showDetails': 'Ver detalles',
+                'validation.dismiss': 'Cerrar la revisión del manifiesto',
+                'editor.heading': 'Mis categorías',
+                'editor.open': 'Editar mis categorías',
+                'editor.close': 'Cerrar el editor de categorías',
+                'settings.close': 'Cerrar ajustes',
+                'settings.sources': 'Fuentes del manifiesto',
+                'graph.heading': 'Gráfico de profecías',
+                'graph.show': 'Ver gráfico',
+                'graph.close': 'Cerrar gráfico',
+                'quiz.heading': 'Práctica',
+                'quiz.close': 'Cerrar práctica',
+                'plans.heading': 'Planes de lectura',
+                'plans.close': 'Cerrar planes de lectura',
+                'search.label': 'Buscar',
+                'search.placeholder': 'Palabras o una referencia (p. ej. miq 5 2)',
+                'nav.browse': 'Explorar',
+                'nav.browseBy': 'Explorar por',
+                'nav.categories': 'Categorías',
+                'nav.otBooks': 'Libros del AT',
+                'nav.ntBooks': 'Libros del NT',
+                'nav.otVerses': 'Versículos del AT',
+                'nav.allCategories': 'Todas las categorías',
+                'nav.bookmarks': 'Mis marcadores',
+                'nav.noCategories': 'No se cargaron categorías.',
+                'nav.noReferences': 'No hay referencias para explorar.',
+                'nav.showChapters': 'Ver capítulos de {book}',
+                'nav.unparsed': {
+                    one: '{count} par con referencias que no son versículos solo aparece en las categorías.',
+                    other: '{count} pares con referencias que no son versículos solo aparecen en las categorías.'
+                },
+                'nav.customAdded': 'Tu categoría (guardada en este navegador)',
+                'nav.customExtended': 'Incluye pares que agregaste',
+                'list.heading': 'Profecías (referencias)',
+                'list.label': 'Profecías',
+                'list.order': 'Orden:',
+                'list.orderCategory': 'Agrupar por categoría',
+                'list.orderOt': 'Orden canónico del AT',
+                'list.orderNt': 'Orden canónico del NT',
+                'list.orderSimilarity': 'Palabras en común (más primero)',
+                'list.present': 'Presentar esta lista',
+                'list.selectCategoryFirst': 'Elige primero una categoría.',
+                'list.emptyAll': 'No hay referencias en ninguna categoría.',
+                'list.empty': 'No se encontraron referencias para {name}.',
+                'list.error': 'Error.',
+                'list.noBookmarks': 'Aún no hay marcadores. Usa el botón Marcador de un par para listarlo aquí.',
+                'list.otherReferences': 'Otras referencias',
+                'list.notInManifest': 'No está en el manifiesto',
+                'list.notCompared': 'Sin comparar',
+                'list.quotations': 'Citas cercanas',
+                'list.sharedWording': 'Algunas palabras en común',
+                'list.allusions': 'Alusiones (pocas palabras en común)',
+                'export.label': 'Exportar:',
+                'export.scopePair': 'Par seleccionado',
+                'export.scopeList': 'Lista actual',
+                'export.scopeManifest': 'Todas las categorías',
+                'export.format': 'Formato de exportación',
+                'export.handout': 'Folleto imprimible (.html)',
+                'export.slides': 'Diapositivas (.html)',
+                'export.button': 'Exportar',
+                'status.loading': 'Cargando...',
+                'status.loadingCategories': 'Cargando categorías y referencias...',
+                'status.initFailed': 'Error al iniciar: {message}',
+                'status.initFailedSources': 'Error al iniciar: {message}. Revisa las fuentes del manifiesto en Ajustes.',
+                'status.downloading': 'Descargando {translation}... {loaded}',
+                'status.downloadingOf': 'Descargando {translation}... {loaded} de {total}',
+                'status.indexing': 'Indexando {translation}... libro {loaded} de {total}',
+                'detail.description': 'Descripción:',
+                'detail.prophecy': 'Profecía',
+                'detail.fulfillment': 'Cumplimiento',
+                'detail.category': 'Categoría:',
+                'detail.source': 'Fuente:',
+                'detail.waitingText': '[Cargando el texto...]',
+                'detail.selectCategory': 'Elige una categoría.',
+                'detail.selectReference': 'Elige una referencia.',
+                'detail.notApplicable': 'N/D',
+                'detail.announce': 'Mostrando {ot}, cumplida en {nt}.',
+                'pair.bookmark': '☆ Marcador',
+                'pair.bookmarked': '★ Marcado',
+                'pair.highlight': 'Resaltar:',
+                'pair.highlightNone': 'Ninguno',
+                'pair.highlightYellow': 'Amarillo',
+                'pair.highlightGreen': 'Verde',
+                'pair.highlightBlue': 'Azul',
+                'pair.highlightPink': 'Rosa',
+                'pair.compare': 'Comparar palabras',
+                'compare.summary': 'Palabras en común: {percent}%',
+                'compare.phrases': 'Frases',
+                'compare.words': 'Palabras',
+                'compare.badge': 'Palabras en común',
+                'compare.badgeLabel': '{percent}% de palabras en común',
+                'compare.quotation': 'cita cercana',
+                'compare.shared': 'algunas palabras en común',
+                'compare.allusion': 'alusión',
+                'context.otLabel': 'Contexto de la profecía',
+                'context.ntLabel': 'Contexto del cumplimiento',
+                'context.cited': 'Versículos citados',
+                'context.count': 'Versículos de contexto antes y después',
+                'context.verses': { one: '{count} versículo', other: '{count} versículos' },
+                'context.chapter': 'Capítulo completo',
+                'context.previous': 'Capítulo anterior',
+                'context.next': 'Capítulo siguiente',
+                'context.showing': 'Mostrando {range}',
+                'notes.heading': 'Mis notas',
+                'notes.edit': 'Editar nota',
+                'notes.label': 'Nota (Markdown)',
+                'notes.save': 'Guardar',
+                'notes.cancel': 'Cancelar',
+                'notes.keys': 'Ctrl+Intro guarda, Escape cancela.',
+                'notes.kept': 'Las notas y los marcadores se guardan en este navegador.',
+                'notes.export': 'Exportar todas las notas',
+                'notes.import': 'Importar notas',
+                'presentation.label': 'Presentación',
+                'presentation.notes': 'Notas del orador',
+                'presentation.previous': 'Anterior',
+                'presentation.next': 'Siguiente',
+                'presentation.exit': 'Salir',
+                'footer.translation': 'Traducción de la Biblia:',
+                'footer.primary': 'Principal:',
+                'footer.compareWith': 'Comparar con:',
+                'footer.cache': 'Caché sin conexión:',
+                'footer.clearCache': 'Borrar los datos guardados',
+                'footer.translationUnavailable': '[Traducción no disponible]',
+                'footer.translationLoading': '[Cargando...]',
+                'detail.loadFailed': '[No se pudo cargar {translation}: {message}]',
+                'detail.textNotLoaded': '[El texto bíblico aún no se ha cargado]',
+                'notes.saveFailed': 'No se pudo guardar en el almacenamiento de este navegador. Exporta tus notas para conservarlas.',
+                'notes.exported': 'Notas exportadas.',
+                'notes.imported': 'Importado {file}: {added} nuevas, {updated} actualizadas{details}.',
+                'notes.importUnchanged': ', {count} ya al día',
+                'notes.importSkipped': ', {count} omitidas',
+                'notes.importFailed': 'No se pudo importar {file}: {message}',
+                'export.markdown': 'Markdown (.md)',
+                'export.csv': 'CSV (.csv)',
+                'export.unavailable': 'Exportación no disponible.',
+                'export.waitForText': 'El texto bíblico aún se está cargando. Inténtalo de nuevo cuando esté listo.',
+                'export.nothing': 'No hay nada que exportar.',
+                'export.lookingUp': 'Buscando versículos... {done}/{total}',
+                'export.done': { one: 'Se exportó {count} par como {format}.', other: 'Se exportaron {count} pares como {format}.' },
+                'export.failed': 'La exportación falló: {message}',
+                'graph.noCategories': 'No hay categorías seleccionadas.',
+                'graph.noPairs': 'No hay pares que dibujar.',
+                'graph.summaryBooks': { one: '{count} par que une {ot} libros del AT y {nt} del NT', other: '{count} pares que unen {ot} libros del AT y {nt} del NT' },
+                'graph.summaryPassages': { one: '{count} par que une {ot} pasajes del AT y {nt} del NT', other: '{count} pares que unen {ot} pasajes del AT y {nt} del NT' },
+                'graph.unplaced': '; {count} sin dibujar (referencias que no nombran un libro bíblico)',
+                'graph.arcSummary': { one: '{count} par a lo largo de los 66 libros, {scale}', other: '{count} pares a lo largo de los 66 libros, {scale}' },
+                'graph.scaleDefault': 'a escala del número de capítulos hasta que se cargue el texto bíblico',
+                'graph.scaleBible': 'a escala de los capítulos de la {translation}',
+                'graph.scaleMixed': 'a escala de la {translation}, con el número habitual de capítulos para los libros que le faltan',
+                'quiz.typeFulfillment': 'Elige el cumplimiento',
+                'quiz.typeDescription': 'Relaciona la descripción',
+                'quiz.typeTyped': 'Escribe el cumplimiento',
+                'quiz.noPairs': '{scope}: no hay pares para practicar.',
+                'quiz.mastery': '{scope}: {mastered} de {total} pares dominados, {inProgress} en progreso{due}.',
+                'quiz.due': ', {count} pendientes de repaso',
+                'plans.saveFailed': 'No se pudo guardar en el almacenamiento de este navegador; el cambio se pierde al cerrar la página.',
+                'plans.created': 'Plan «{name}» creado.',
+                'plans.deleted': 'Plan eliminado.',
+                'plans.dayRead': 'Día {day} marcado como leído.',
+                'plans.dayUnread': 'Día {day} marcado como no leído.',
+                'plans.dayMissing': 'Los pares del día {day} ya no están en el manifiesto. Marca el día como leído para seguir.',
+                'plans.daySkipped': { one: '{count} par del día {day} ya no está en el manifiesto; se omitió.', other: '{count} pares del día {day} ya no están en el manifiesto; se omitieron.' },
+                'plans.presentationLabel': '{name}: día {day} de {days}',
+                'sources.loading': 'Cargando las fuentes del manifiesto...',
+                'sources.saveFailed': 'No se pudo guardar en el almacenamiento de este navegador. El cambio vale hasta que se cierre la página.',
+                'sources.loadFailed': '{status} No se pudo cargar: {names}.',
+                'sources.keptPrevious': '{message}. Se siguen mostrando las categorías anteriores.',
+                'sources.on': '{name} activada.',
+                'sources.off': '{name} desactivada.',
+                'sources.added': 'Se agregó {name}.',
+                'sources.readFailed': 'No se pudo leer {file}: {message}',
+                'sources.removed': 'Se quitó {name}.',
+                'editor.saveFailed': 'No se pudo guardar en el almacenamiento de este navegador. Descarga tus categorías para conservarlas.',
+                'editor.created': 'Se creó «{name}».',
+                'editor.renamed': 'Se cambió el nombre de «{from}» a «{to}».',
+                'editor.orderSaved': 'Orden guardado.',
+                'editor.deleted': 'Se eliminó «{name}».',
+                'editor.textLoading': 'El texto bíblico aún se está cargando.',
+                'editor.duplicateHere': 'Este par ya está en «{name}».',
+                'editor.duplicateElsewhere': 'Ya aparece en: {names}.',
+                'editor.needsDescription': 'Un par necesita una descripción.',
+                'editor.pairAdded': 'Se agregó {ot} / {nt}.',
+                'editor.descriptionSaved': 'Descripción guardada.',
+                'editor.pairRemoved': 'Se quitó {ot} / {nt}.',
+                'editor.removed': 'Se quitó.',
+                'editor.downloaded': { one: 'Se descargó {count} par.{problems}', other: 'Se descargaron {count} pares.{problems}' },
+                'editor.downloadProblems': { one: ' Nota: la revisión del manifiesto encuentra {count} error en él.', other: ' Nota: la revisión del manifiesto encuentra {count} errores en él.' },
+                'compare.unavailable': 'La comparación de palabras no está disponible.',
+                'compare.waiting': 'Las palabras en común se marcan cuando se carga el texto bíblico.',
+                'compare.failed': 'No se pudieron comparar las palabras: {message}',
+                'cache.cleared': 'Borrado. Recarga la página para descargar datos nuevos.',
+                'cache.clearFailed': 'No se pudo borrar: {message}',
+                'search.indexing': 'Indexando el texto de {translation} para la búsqueda... {percent}%',
+                'search.unavailable': 'La búsqueda en el texto de los versículos no está disponible.',
+                'footer.translationUnknown': '[Desconocida]',
+                'cache.unavailable': '[No disponible]',
+                'cache.unsupported': 'No disponible en este navegador',
+                'cache.cached': 'Guardado: {ids}',
+                'cache.empty': 'Nada guardado',
+                'cache.usage': ' ({used} en uso)',
+                'cache.usageOf': ' ({used} en uso de {quota})',
+                'list.problems': { one: '{count} problema del manifiesto: {details}', other: '{count} problemas del manifiesto: {details}' },
+                'list.bookmarked': 'marcado',
+                'list.hasNote': 'tiene una nota',
+                'notes.add': 'Agregar nota',
+                'notes.empty': 'Aún no hay una nota para este par.',
+                'sources.stateOff': 'desactivada',
+                'sources.stateFailed': 'no se pudo cargar: {message}',
+                'sources.stateLoading': 'cargando...',
+                'sources.stateLoaded': '{categories} categorías, {pairs} pares',
+                'sources.localFile': 'archivo local',
+                'sources.remove': 'Quitar',
+                'sources.removeLabel': 'Quitar {name}',
+                'sources.loadFailedTitle': 'No se pudo cargar: {names}',
+                'editor.noCategories': 'Aún no tienes categorías propias.',
+                'editor.categoryName': 'Nombre de la categoría {number}',
+                'editor.pairCount': { one: '{count} par', other: '{count} pares' },
+                'editor.extendsShipped': ', se suma a la incluida',
+                'editor.pairs': 'Pares',
+                'editor.editPairs': 'Editar los pares de {name}',
+                'editor.moveUp': 'Subir {name}',
+                'editor.moveDown': 'Bajar {name}',
+                'editor.delete': 'Eliminar {name}',
+                'editor.pairsIn': 'Pares de {name}',
+                'editor.chooseCategory': 'Elige una categoría para editar sus pares.',
+                'editor.createFirst': 'Crea una categoría para agregar pares.',
+                'editor.noPairs': 'Aún no hay pares. Agrega uno abajo.',
+                'editor.descriptionOf': 'Descripción de {pair}',
+                'editor.removePair': 'Quitar {pair}',
+                'editor.moreVerses': { one: '... ({count} versículo más)', other: '... ({count} versículos más)' },
+                'graph.hide': 'Ocultar gráfico',
+                'graph.helpNetwork': 'Arrastra para desplazar y usa la rueda para acercar. Haz clic en una línea para abrir su par, o en un libro o versículo para resaltar sus líneas.',
+                'graph.helpArcs': 'Arrastra para desplazar y usa la rueda para acercar. Señala un arco para ver sus pasajes y haz clic para abrir el par.',
+                'graph.links': { one: '{label}: {count} enlace', other: '{label}: {count} enlaces' },
+                'graph.chapters': { one: '{name} ({count} capítulo)', other: '{name} ({count} capítulos)' },
+                'quiz.selectedCategory': 'Categoría seleccionada: {name}',
+                'quiz.counter': 'Pregunta {number} de {total}',
+                'quiz.promptDescription': '¿Qué par es este? «{prompt}»',
+                'quiz.promptTyped': 'Escribe la referencia que cumple {prompt}.',
+                'quiz.promptFulfillment': '¿Qué pasaje cumple {prompt}?',
+                'quiz.correct': '¡Correcto! {answer}{description}.',
+                'quiz.wrong': 'No exactamente. La respuesta es {answer}{description}.',
+                'quiz.notSaved': ' No se pudo guardar el progreso en este navegador.',
+                'quiz.summary': 'Resumen de la sesión',
+                'quiz.noAnswers': 'No se respondió ninguna pregunta.',
+                'quiz.score': '{correct} de {asked} respuestas correctas ({percent}%).',
+                'quiz.typeScore': '{type}: {correct} de {asked}',
+                'quiz.review': 'Para repasar (vuelven en tu próxima sesión):',
+                'plans.source': { one: '{name} ({count} par)', other: '{name} ({count} pares)' },
+                'plans.empty': 'Aún no hay planes de lectura.',
+                'plans.finished': 'Terminado: se leyeron los {total} pares.',
+                'plans.progress': 'Día {day} de {days}, {read} de {total} pares leídos{behind}.',
+                'plans.behind': { one: ', {count} día de atraso', other: ', {count} días de atraso' },
+                'plans.progressLabel': 'Progreso de {name}',
+                'plans.deleteLabel': 'Eliminar el plan {name}',
+                'plans.delete': 'Eliminar',
+                'plans.readAgain': 'Leer de nuevo desde el día 1',
+                'plans.readDay': 'Leer el día {day}',
+                'plans.schedule': { one: 'Calendario: {count} día, {perDay} por día', other: 'Calendario: {count} días, {perDay} por día' },
+                'plans.day': 'Día {day} ({date})',
+                'plans.read': 'Leer',
+                'presentation.counter': '{position} de {total}',
+                'presentation.noNotes': 'Este par no tiene descripción.',
+                'validation.errors': { one: '{count} error', other: '{count} errores' },
+                'validation.warnings': { one: '{count} advertencia', other: '{count} advertencias' },
+                'validation.summaryChecked': 'Revisión del manifiesto: {problems} en {pairs} pares (versículos revisados en {translation}).',
+                'validation.summaryUnchecked': 'Revisión del manifiesto: {problems} en {pairs} pares (versículos sin revisar).',
+                'validation.hideDetails': 'Ocultar detalles',
+                'search.pairsCiting': 'Pares que citan {reference}',
+                'search.pairs': 'Pares de profecías',
+                'search.noPairs': 'No hay pares que coincidan.',
+                'search.showing': ', se muestran {count}',
+                'search.stillIndexing': ', aún indexando',
+                'search.verses': 'Versículos bíblicos',
+                'search.noVerses': 'No hay versículos que coincidan.',
+                'app.title': 'Visor de profecías MVP V3',
+                'nav.loading': 'Cargando categorías...',
+                'editor.intro': 'Se guardan en este navegador y se suman al references.json incluido. Una categoría con el nombre de una incluida le agrega sus pares.',
+                'editor.newCategory': 'Nombre de la nueva categoría',
+                'editor.addCategory': 'Agregar categoría',
+                'editor.otRef': 'Profecía (AT)',
+                'editor.otPlaceholder': 'p. ej. Miqueas 5:2',
+                'editor.ntRef': 'Cumplimiento (NT)',
+                'editor.ntPlaceholder': 'p. ej. Mateo 2:1-6',
+                'editor.description': 'Descripción',
+                'editor.addPair': 'Agregar par',
+                'editor.download': 'Descargar references.json:',
+                'editor.downloadCombined': 'Incluidas + mías',
+                'editor.downloadUser': 'Solo mis categorías',
+                'settings.intro': 'Se unen las categorías de todas las fuentes activadas: las categorías con el mismo nombre se combinan y cada par aparece una vez con las fuentes de donde vino.',
+                'settings.url': 'URL del manifiesto',
+                'settings.name': 'Nombre (opcional)',
+                'settings.nameLabel': 'Nombre de la fuente',
+                'settings.addUrl': 'Agregar URL',
+                'settings.addFile': 'Agregar archivo local...',
+                'graph.type': 'Tipo de gráfico',
+                'graph.network': 'Red de libros',
+                'graph.arcs': 'Línea del canon',
+                'graph.level': 'Mostrar:',
+                'graph.levelBooks': 'Libros',
+                'graph.levelVerses': 'Versículos',
+                'graph.zoomIn': 'Acercar',
+                'graph.zoomOut': 'Alejar',
+                'graph.fit': 'Ajustar',
+                'graph.canvas': 'Gráfico de profecías; las flechas lo desplazan, más y menos acercan y alejan',
+                'graph.all': 'Todas',
+                'graph.none': 'Ninguna',
+                'quiz.scope': 'Pares:',
+                'quiz.scopeAll': 'Todas las categorías',
+                'quiz.type': 'Preguntas:',
+                'quiz.typeMixed': 'Mezcladas',
+                'quiz.length': 'Cantidad:',
+                'quiz.start': 'Empezar',
+                'quiz.reset': 'Reiniciar el progreso',
+                'quiz.intro': 'Los pares que fallas vuelven antes; los que sabes esperan más. El progreso se guarda en este navegador.',
+                'quiz.typedPlaceholder': 'p. ej. Mateo 2:1 o mt 2 1',
+                'quiz.typedLabel': 'Referencia del cumplimiento',
+                'quiz.check': 'Comprobar',
+                'quiz.next': 'Siguiente',
+                'quiz.end': 'Terminar la sesión',
+                'plans.newOver': 'Nuevo plan con',
+                'plans.name': 'Nombre del plan',
+                'plans.perDay': 'Pares por día',
+                'plans.create': 'Crear plan',
+                'plans.intro': 'Los pares se leen en el orden de la lista. Un par cuenta como leído cuando se muestra en la presentación del plan; el progreso se guarda en este navegador.',
+                'notes.placeholder': 'Markdown: **negrita**, *cursiva*, - listas, [enlaces](https://...)',
+                'footer.version': 'Versión MVP 3 - Arquitectura de carga dinámica (refactorizada)',
+                'footer.keys': 'Teclado:',
+                'footer.keysPairs': 'par siguiente/anterior',
+                'footer.keysCategories': 'categoría anterior/siguiente',
+                'footer.keysSearch': 'buscar; las flechas, Inicio/Fin y escribir recorren una lista enfocada, Intro selecciona.',
+                'footer.keysPresenting': 'Al presentar: las flechas o',
+                'footer.keysSlides': 'cambian de diapositiva',
+                'footer.keysNotes': 'notas del orador',
+                'footer.keysExit': 'sale.',
+                'quiz.confirmReset': '¿Olvidar tu progreso de práctica en todos los pares?',
+                'plans.confirmDelete': '¿Eliminar el plan de lectura «{name}» y su progreso?',
+                'editor.confirmDelete': '¿Eliminar tu categoría «{name}» y sus pares?'
+            }
+        },
+        pt: {
+            name: 'Português',
+            messages: {
+                'header.settings': 'Configurações',
+                'header.language': 'Idioma',
+                'header.offline': 'Offline - usando dados salvos',
+                'update.available': 'Há conteúdo novo.',
+                'update.reload': 'Recarregar',
+                'validation.label': 'Verificação do manifesto',
+                'validation.showDetails': 'Ver detalhes',
+                'validation.dismiss': 'Fechar a verificação do manifesto',
+                'editor.heading': 'Minhas categorias',
+                'editor.open': 'Editar minhas categorias',
+                'editor.close': 'Fechar o editor de categorias',
+                'settings.close': 'Fechar configurações',
+                'settings.sources': 'Fontes do manifesto',
+                'graph.heading': 'Gráfico das profecias',
+                'graph.show': 'Ver gráfico',
+                'graph.close': 'Fechar gráfico',
+                'quiz.heading': 'Prática',
+                'quiz.close': 'Fechar prática',
+                'plans.heading': 'Planos de leitura',
+                'plans.close': 'Fechar planos de leitura',
+                'search.label': 'Pesquisar',
+                'search.placeholder': 'Palavras ou uma referência (ex.: mq 5 2)',
+                'nav.browse': 'Navegar',
+                'nav.browseBy': 'Navegar por',
+                'nav.categories': 'Categorias',
+                'nav.otBooks': 'Livros do AT',
+                'nav.ntBooks': 'Livros do NT',
+                'nav.otVerses': 'Versículos do AT',
+                'nav.allCategories': 'Todas as categorias',
+                'nav.bookmarks': 'Meus favoritos',
+                'nav.noCategories': 'Nenhuma categoria carregada.',
+                'nav.noReferences': 'Nenhuma referência para navegar.',
+                'nav.showChapters': 'Ver capítulos de {book}',
+                'nav.unparsed': {
+                    one: '{count} par com referências que não são versículos só aparece nas categorias.',
+                    other: '{count} pares com referências que não são versículos só aparecem nas categorias.'
+                },
+                'nav.customAdded': 'Sua categoria (salva neste navegador)',
+                'nav.customExtended': 'Inclui pares que você adicionou',
+                'list.heading': 'Profecias (referências)',
+                'list.label': 'Profecias',
+                'list.order': 'Ordem:',
+                'list.orderCategory': 'Agrupar por categoria',
+                'list.orderOt': 'Ordem canônica do AT',
+                'list.orderNt': 'Ordem canônica do NT',
+                'list.orderSimilarity': 'Palavras em comum (mais primeiro)',
+                'list.present': 'Apresentar esta lista',
+                'list.selectCategoryFirst': 'Escolha uma categoria primeiro.',
+                'list.emptyAll': 'Nenhuma referência em nenhuma categoria.',
+                'list.empty': 'Nenhuma referência encontrada para {name}.',
+                'list.error': 'Erro.',
+                'list.noBookmarks': 'Ainda não há favoritos. Use o botão Favorito de um par para listá-lo aqui.',
+                'list.otherReferences': 'Outras referências',
+                'list.notInManifest': 'Fora do manifesto',
+                'list.notCompared': 'Não comparado',
+                'list.quotations': 'Citações próximas',
+                'list.sharedWording': 'Algumas palavras em comum',
+                'list.allusions': 'Alusões (poucas palavras em comum)',
+                'export.label': 'Exportar:',
+                'export.scopePair': 'Par selecionado',
+                'export.scopeList': 'Lista atual',
+                'export.scopeManifest': 'Todas as categorias',
+                'export.format': 'Formato de exportação',
+                'export.handout': 'Folheto para imprimir (.html)',
+                'export.slides': 'Slides (.html)',
+                'export.button': 'Exportar',
+                'status.loading': 'Carregando...',
+                'status.loadingCategories': 'Carregando categorias e referências...',
+                'status.initFailed': 'Falha ao iniciar: {message}',
+                'status.initFailedSources': 'Falha ao iniciar: {message}. Verifique as fontes do manifesto em Configurações.',
+                'status.downloading': 'Baixando {translation}... {loaded}',
+                'status.downloadingOf': 'Baixando {translation}... {loaded} de {total}',
+                'status.indexing': 'Indexando {translation}... livro {loaded} de {total}',
+                'detail.description': 'Descrição:',
+                'detail.prophecy': 'Profecia',
+                'detail.fulfillment': 'Cumprimento',
+                'detail.category': 'Categoria:',
+                'detail.source': 'Fonte:',
+                'detail.waitingText': '[Carregando o texto...]',
+                'detail.selectCategory': 'Escolha uma categoria.',
+                'detail.selectReference': 'Escolha uma referência.',
+                'detail.notApplicable': 'N/D',
+                'detail.announce': 'Mostrando {ot}, cumprida em {nt}.',
+                'pair.bookmark': '☆ Favorito',
+                'pair.bookmarked': '★ Favoritado',
+                'pair.highlight': 'Destacar:',
+                'pair.highlightNone': 'Nenhum',
+                'pair.highlightYellow': 'Amarelo',
+                'pair.highlightGreen': 'Verde',
+                'pair.highlightBlue': 'Azul',
+                'pair.highlightPink': 'Rosa',
+                'pair.compare': 'Comparar palavras',
+                'compare.summary': 'Palavras em comum: {percent}%',
+                'compare.phrases': 'Frases',
+                'compare.words': 'Palavras',
+                'compare.badge': 'Palavras em comum',
+                'compare.badgeLabel': '{percent}% de palavras em comum',
+                'compare.quotation': 'citação próxima',
+                'compare.shared': 'algumas palavras em comum',
+                'compare.allusion': 'alusão',
+                'context.otLabel': 'Contexto da profecia',
+                'context.ntLabel': 'Contexto do cumprimento',
+                'context.cited': 'Versículos citados',
+                'context.count': 'Versículos de contexto antes e depois',
+                'context.verses': { one: '{count} versículo', other: '{count} versículos' },
+                'context.chapter': 'Capítulo inteiro',
+                'context.previous': 'Capítulo anterior',
+                'context.next': 'Próximo capítulo',
+                'context.showing': 'Mostrando {range}',
+                'notes.heading': 'Minhas notas',
+                'notes.edit': 'Editar nota',
+                'notes.label': 'Nota (Markdown)',
+                'notes.save': 'Salvar',
+                'notes.cancel': 'Cancelar',
+                'notes.keys': 'Ctrl+Enter salva, Esc cancela.',
+                'notes.kept': 'Notas e favoritos ficam salvos neste navegador.',
+                'notes.export': 'Exportar todas as notas',
+                'notes.import': 'Importar notas',
+                'presentation.label': 'Apresentação',
+                'presentation.notes': 'Notas do apresentador',
+                'presentation.previous': 'Anterior',
+                'presentation.next': 'Próximo',
+                'presentation.exit': 'Sair',
+                'footer.translation': 'Tradução da Bíblia:',
+                'footer.primary': 'Principal:',
+                'footer.compareWith': 'Comparar com:',
+                'footer.cache': 'Cache offline:',
+                'footer.clearCache': 'Limpar dados salvos',
+                'footer.translationUnavailable': '[Tradução indisponível]',
+                'footer.translationLoading': '[Carregando...]',
+                'detail.loadFailed': '[Não foi possível carregar {translation}: {message}]',
+                'detail.textNotLoaded': '[O texto bíblico ainda não foi carregado]',
+                'notes.saveFailed': 'Não foi possível salvar no armazenamento deste navegador. Exporte suas notas para mantê-las.',
+                'notes.exported': 'Notas exportadas.',
+                'notes.imported': 'Importado {file}: {added} novas, {updated} atualizadas{details}.',
+                'notes.importUnchanged': ', {count} já em dia',
+                'notes.importSkipped': ', {count} ignoradas',
+                'notes.importFailed': 'Não foi possível importar {file}: {message}',
+                'export.markdown': 'Markdown (.md)',
+                'export.csv': 'CSV (.csv)',
+                'export.unavailable': 'Exportação indisponível.',
+                'export.waitForText': 'O texto bíblico ainda está carregando. Tente novamente quando estiver pronto.',
+                'export.nothing': 'Nada para exportar.',
+                'export.lookingUp': 'Buscando versículos... {done}/{total}',
+                'export.done': { one: '{count} par exportado como {format}.', other: '{count} pares exportados como {format}.' },
+                'export.failed': 'A exportação falhou: {message}',
+                'graph.noCategories': 'Nenhuma categoria selecionada.',
+                'graph.noPairs': 'Nenhum par para desenhar.',
+                'graph.summaryBooks': { one: '{count} par ligando {ot} livros do AT e {nt} do NT', other: '{count} pares ligando {ot} livros do AT e {nt} do NT' },
+                'graph.summaryPassages': { one: '{count} par ligando {ot} passagens do AT e {nt} do NT', other: '{count} pares ligando {ot} passagens do AT e {nt} do NT' },
+                'graph.unplaced': '; {count} não desenhados (referências que não nomeiam um livro bíblico)',
+                'graph.arcSummary': { one: '{count} par ao longo dos 66 livros, {scale}', other: '{count} pares ao longo dos 66 livros, {scale}' },
+                'graph.scaleDefault': 'na escala do número de capítulos até o texto bíblico carregar',
+                'graph.scaleBible': 'na escala dos capítulos da {translation}',
+                'graph.scaleMixed': 'na escala da {translation}, com o número usual de capítulos para os livros que faltam',
+                'quiz.typeFulfillment': 'Escolha o cumprimento',
+                'quiz.typeDescription': 'Associe a descrição',
+                'quiz.typeTyped': 'Digite o cumprimento',
+                'quiz.noPairs': '{scope}: nenhum par para praticar.',
+                'quiz.mastery': '{scope}: {mastered} de {total} pares dominados, {inProgress} em andamento{due}.',
+                'quiz.due': ', {count} para revisar',
+                'plans.saveFailed': 'Não foi possível salvar no armazenamento deste navegador; a alteração se perde quando a página for fechada.',
+                'plans.created': 'Plano "{name}" criado.',
+                'plans.deleted': 'Plano excluído.',
+                'plans.dayRead': 'Dia {day} marcado como lido.',
+                'plans.dayUnread': 'Dia {day} marcado como não lido.',
+                'plans.dayMissing': 'Os pares do dia {day} não estão mais no manifesto. Marque o dia como lido para seguir em frente.',
+                'plans.daySkipped': { one: '{count} par do dia {day} não está mais no manifesto; foi pulado.', other: '{count} pares do dia {day} não estão mais no manifesto; foram pulados.' },
+                'plans.presentationLabel': '{name}: dia {day} de {days}',
+                'sources.loading': 'Carregando as fontes do manifesto...',
+                'sources.saveFailed': 'Não foi possível salvar no armazenamento deste navegador. A alteração vale até a página ser fechada.',
+                'sources.loadFailed': '{status} Não foi possível carregar: {names}.',
+                'sources.keptPrevious': '{message}. As categorias anteriores continuam sendo mostradas.',
+                'sources.on': '{name} ativada.',
+                'sources.off': '{name} desativada.',
+                'sources.added': '{name} adicionada.',
+                'sources.readFailed': 'Não foi possível ler {file}: {message}',
+                'sources.removed': '{name} removida.',
+                'editor.saveFailed': 'Não foi possível salvar no armazenamento deste navegador. Baixe suas categorias para mantê-las.',
+                'editor.created': '"{name}" criada.',
+                'editor.renamed': '"{from}" renomeada para "{to}".',
+                'editor.orderSaved': 'Ordem salva.',
+                'editor.deleted': '"{name}" excluída.',
+                'editor.textLoading': 'O texto bíblico ainda está carregando.',
+                'editor.duplicateHere': 'Este par já está em "{name}".',
+                'editor.duplicateElsewhere': 'Já listado em: {names}.',
+                'editor.needsDescription': 'Um par precisa de uma descrição.',
+                'editor.pairAdded': '{ot} / {nt} adicionado.',
+                'editor.descriptionSaved': 'Descrição salva.',
+                'editor.pairRemoved': '{ot} / {nt} removido.',
+                'editor.removed': 'Removido.',
+                'editor.downloaded': { one: '{count} par baixado.{problems}', other: '{count} pares baixados.{problems}' },
+                'editor.downloadProblems': { one: ' Observação: a verificação do manifesto encontra {count} erro nele.', other: ' Observação: a verificação do manifesto encontra {count} erros nele.' },
+                'compare.unavailable': 'A comparação de palavras não está disponível.',
+                'compare.waiting': 'As palavras em comum são marcadas quando o texto bíblico carregar.',
+                'compare.failed': 'Não foi possível comparar as palavras: {message}',
+                'cache.cleared': 'Limpo. Recarregue a página para baixar dados novos.',
+                'cache.clearFailed': 'Falha ao limpar: {message}',
+                'search.indexing': 'Indexando o texto de {translation} para a busca... {percent}%',
+                'search.unavailable': 'A busca no texto dos versículos não está disponível.',
+                'footer.translationUnknown': '[Desconhecida]',
+                'cache.unavailable': '[Indisponível]',
+                'cache.unsupported': 'Indisponível neste navegador',
+                'cache.cached': 'Salvo: {ids}',
+                'cache.empty': 'Nada salvo',
+                'cache.usage': ' ({used} em uso)',
+                'cache.usageOf': ' ({used} em uso de {quota})',
+                'list.problems': { one: '{count} problema no manifesto: {details}', other: '{count} problemas no manifesto: {details}' },
+                'list.bookmarked': 'favoritado',
+                'list.hasNote': 'tem uma nota',
+                'notes.add': 'Adicionar nota',
+                'notes.empty': 'Ainda não há uma nota para este par.',
+                'sources.stateOff': 'desativada',
+                'sources.stateFailed': 'não pôde ser carregada: {message}',
+                'sources.stateLoading': 'carregando...',
+                'sources.stateLoaded': '{categories} categorias, {pairs} pares',
+                'sources.localFile': 'arquivo local',
+                'sources.remove': 'Remover',
+                'sources.removeLabel': 'Remover {name}',
+                'sources.loadFailedTitle': 'Não foi possível carregar: {names}',
+                'editor.noCategories': 'Você ainda não tem categorias próprias.',
+                'editor.categoryName': 'Nome da categoria {number}',
+                'editor.pairCount': { one: '{count} par', other: '{count} pares' },
+                'editor.extendsShipped': ', soma-se à incluída',
+                'editor.pairs': 'Pares',
+                'editor.editPairs': 'Editar os pares de {name}',
+                'editor.moveUp': 'Mover {name} para cima',
+                'editor.moveDown': 'Mover {name} para baixo',
+                'editor.delete': 'Excluir {name}',
+                'editor.pairsIn': 'Pares de {name}',
+                'editor.chooseCategory': 'Escolha uma categoria para editar seus pares.',
+                'editor.createFirst': 'Crie uma categoria para adicionar pares.',
+                'editor.noPairs': 'Ainda não há pares. Adicione um abaixo.',
+                'editor.descriptionOf': 'Descrição de {pair}',
+                'editor.removePair': 'Remover {pair}',
+                'editor.moreVerses': { one: '... (mais {count} versículo)', other: '... (mais {count} versículos)' },
+                'graph.hide': 'Ocultar gráfico',
+                'graph.helpNetwork': 'Arraste para mover e use a roda para ampliar. Clique em uma linha para abrir seu par, ou em um livro ou versículo para destacar suas linhas.',
+                'graph.helpArcs': 'Arraste para mover e use a roda para ampliar. Aponte para um arco para ver suas passagens e clique para abrir o par.',
+                'graph.links': { one: '{label}: {count} ligação', other: '{label}: {count} ligações' },
+                'graph.chapters': { one: '{name} ({count} capítulo)', other: '{name} ({count} capítulos)' },
+                'quiz.selectedCategory': 'Categoria selecionada: {name}',
+                'quiz.counter': 'Pergunta {number} de {total}',
+                'quiz.promptDescription': 'Que par é este? “{prompt}”',
+                'quiz.promptTyped': 'Digite a referência que cumpre {prompt}.',
+                'quiz.promptFulfillment': 'Qual passagem cumpre {prompt}?',
+                'quiz.correct': 'Correto! {answer}{description}.',
+                'quiz.wrong': 'Não exatamente. A resposta é {answer}{description}.',
+                'quiz.notSaved': ' Não foi possível salvar o progresso neste navegador.',
+                'quiz.summary': 'Resumo da sessão',
+                'quiz.noAnswers': 'Nenhuma pergunta respondida.',
+                'quiz.score': '{correct} de {asked} respostas corretas ({percent}%).',
+                'quiz.typeScore': '{type}: {correct} de {asked}',
+                'quiz.review': 'Para revisar (voltam na sua próxima sessão):',
+                'plans.source': { one: '{name} ({count} par)', other: '{name} ({count} pares)' },
+                'plans.empty': 'Ainda não há planos de leitura.',
+                'plans.finished': 'Concluído: todos os {total} pares foram lidos.',
+                'plans.progress': 'Dia {day} de {days}, {read} de {total} pares lidos{behind}.',
+                'plans.behind': { one: ', {count} dia de atraso', other: ', {count} dias de atraso' },
+                'plans.progressLabel': 'Progresso de {name}',
+                'plans.deleteLabel': 'Excluir o plano {name}',
+                'plans.delete': 'Excluir',
+                'plans.readAgain': 'Ler de novo a partir do dia 1',
+                'plans.readDay': 'Ler o dia {day}',
+                'plans.schedule': { one: 'Cronograma: {count} dia, {perDay} por dia', other: 'Cronograma: {count} dias, {perDay} por dia' },
+                'plans.day': 'Dia {day} ({date})',
+                'plans.read': 'Ler',
+                'presentation.counter': '{position} de {total}',
+                'presentation.noNotes': 'Este par não tem descrição.',
+                'validation.errors': { one: '{count} erro', other: '{count} erros' },
+                'validation.warnings': { one: '{count} aviso', other: '{count} avisos' },
+                'validation.summaryChecked': 'Verificação do manifesto: {problems} em {pairs} pares (versículos verificados em {translation}).',
+                'validation.summaryUnchecked': 'Verificação do manifesto: {problems} em {pairs} pares (versículos não verificados).',
+                'validation.hideDetails': 'Ocultar detalhes',
+                'search.pairsCiting': 'Pares que citam {reference}',
+                'search.pairs': 'Pares de profecias',
+                'search.noPairs': 'Nenhum par corresponde.',
+                'search.showing': ', mostrando {count}',
+                'search.stillIndexing': ', ainda indexando',
+                'search.verses': 'Versículos bíblicos',
+                'search.noVerses': 'Nenhum versículo corresponde.',
+                'app.title': 'Visualizador de profecias MVP V3',
+                'nav.loading': 'Carregando categorias...',
+                'editor.intro': 'Ficam neste navegador e são somadas ao references.json incluído. Uma categoria com o nome de uma incluída acrescenta seus pares a ela.',
+                'editor.newCategory': 'Nome da nova categoria',
+                'editor.addCategory': 'Adicionar categoria',
+                'editor.otRef': 'Profecia (AT)',
+                'editor.otPlaceholder': 'ex.: Miqueias 5:2',
+                'editor.ntRef': 'Cumprimento (NT)',
+                'editor.ntPlaceholder': 'ex.: Mateus 2:1-6',
+                'editor.description': 'Descrição',
+                'editor.addPair': 'Adicionar par',
+                'editor.download': 'Baixar references.json:',
+                'editor.downloadCombined': 'Incluídas + minhas',
+                'editor.downloadUser': 'Só minhas categorias',
+                'settings.intro': 'As categorias de todas as fontes ativadas são unidas: categorias com o mesmo nome são combinadas e cada par aparece uma vez com as fontes de onde veio.',
+                'settings.url': 'URL do manifesto',
+                'settings.name': 'Nome (opcional)',
+                'settings.nameLabel': 'Nome da fonte',
+                'settings.addUrl': 'Adicionar URL',
+                'settings.addFile': 'Adicionar arquivo local...',
+                'graph.type': 'Tipo de gráfico',
+                'graph.network': 'Rede de livros',
+                'graph.arcs': 'Linha do cânon',
+                'graph.level': 'Mostrar:',
+                'graph.levelBooks': 'Livros',
+                'graph.levelVerses': 'Versículos',
+                'graph.zoomIn': 'Ampliar',
+                'graph.zoomOut': 'Reduzir',
+                'graph.fit': 'Ajustar',
+                'graph.canvas': 'Gráfico das profecias; as setas o movem, mais e menos ampliam e reduzem',
+                'graph.all': 'Todas',
+                'graph.none': 'Nenhuma',
+                'quiz.scope': 'Pares:',
+                'quiz.scopeAll': 'Todas as categorias',
+                'quiz.type': 'Perguntas:',
+                'quiz.typeMixed': 'Misturadas',
+                'quiz.length': 'Quantidade:',
+                'quiz.start': 'Começar',
+                'quiz.reset': 'Reiniciar o progresso',
+                'quiz.intro': 'Os pares que você erra voltam antes; os que você sabe esperam mais. O progresso fica neste navegador.',
+                'quiz.typedPlaceholder': 'ex.: Mateus 2:1 ou mt 2 1',
+                'quiz.typedLabel': 'Referência do cumprimento',
+                'quiz.check': 'Verificar',
+                'quiz.next': 'Próxima',
+                'quiz.end': 'Encerrar a sessão',
+                'plans.newOver': 'Novo plano com',
+                'plans.name': 'Nome do plano',
+                'plans.perDay': 'Pares por dia',
+                'plans.create': 'Criar plano',
+                'plans.intro': 'Os pares são lidos na ordem da lista. Um par conta como lido quando aparece na apresentação do plano; o progresso fica neste navegador.',
+                'notes.placeholder': 'Markdown: **negrito**, *itálico*, - listas, [links](https://...)',
+                'footer.version': 'Versão MVP 3 - Arquitetura de carregamento dinâmico (refatorada)',
+                'footer.keys': 'Teclado:',
+                'footer.keysPairs': 'par seguinte/anterior',
+                'footer.keysCategories': 'categoria anterior/seguinte',
+                'footer.keysSearch': 'pesquisar; as setas, Home/End e digitar percorrem uma lista em foco, Enter seleciona.',
+                'footer.keysPresenting': 'Na apresentação: as setas ou',
+                'footer.keysSlides': 'mudam de slide',
+                'footer.keysNotes': 'notas do apresentador',
+                'footer.keysExit': 'sai.',
+                'quiz.confirmReset': 'Esquecer seu progresso de prática em todos os pares?',
+                'plans.confirmDelete': 'Excluir o plano de leitura "{name}" e seu progresso?',
+                'editor.confirmDelete': 'Excluir sua categoria "{name}" e seus pares?'
+            }
+        }
+    };
+
+    let _storage = _localStore.getDefaultStorage();
+    let _language = null; // Chosen language code; read on first use
+
+    /**
+     * The catalog code for a language tag ("pt-BR" -> "pt"), or null if there is no catalog for it.
+     * @param {string} tag
+     * @returns {string|null}
+     */
+    function _catalogCode(tag) {
+        const code = String(tag || '').toLowerCase();
+        if (CATALOGS[code]) return code;
+        const base = code.split('-')[0];
+        return CATALOGS[base] ? base : null;
+    }
+
+    /**
+     * The interface language: the one saved in this browser, else the first of the browser's preferred
+     * languages with a catalog, else English.
+     * @returns {string} - A catalog code.
+     */
+    function getLanguage() {
+        if (_language) return _language;
+        let saved = null;
+        try {
+            saved = _storage ? _catalogCode(_storage.getItem(STORAGE_KEY)) : null;
+        } catch (error) {
+            console.warn("I18N: Could not read the saved language:", error);
+        }
+        const preferred = typeof navigator !== 'undefined' && navigator.languages ? navigator.languages : [];
+        _language = saved || preferred.map(_catalogCode).find(Boolean) || DEFAULT_LANGUAGE;
+        return _language;
+    }
+
+    /**
+     * Switches the interface language and remembers it in this browser.
+     * @param {string} tag - A language with a catalog ("es", "pt-BR").
+     * @returns {{language: string, saved: boolean}} - saved is false if it is kept for this visit only.
+     * @throws {Error} - No catalog for the language.
+     */
+    function setLanguage(tag) {
+        const code = _catalogCode(tag);
+        if (!code) throw new Error(`No translation for language "${tag}".`);
+        _language = code;
+        console.log(`I18N: Language is now "${code}".`);
+        if (!_storage) return { language: code, saved: false };
+        try {
+            _storage.setItem(STORAGE_KEY, code);
+            return { language: code, saved: true };
+        } catch (error) {
+            console.warn("I18N: Could not save the language:", error);
+            return { language: code, saved: false };
+        }
+    }
+
+    /**
+     * The languages with a catalog, for the language selector.
+     * @returns {Array<{code: string, name: string}>} - name is written in the language itself.
+     */
+    function getLanguages() {
+        return Object.keys(CATALOGS).map(code => ({ code: code, name: CATALOGS[code].name }));
+    }
+
+    /**
+     * Writing direction of a language, for the page's dir attribute.
+     * @param {string} [tag] - Defaults to the interface language.
+     * @returns {string} - 'rtl' | 'ltr'.
+     */
+    function getDirection(tag = getLanguage()) {
+        return RTL_LANGUAGES.has(String(tag).toLowerCase().split('-')[0]) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Adds or extends a language's catalog (more languages without touching this file).
+     * @param {string} code - Language code, e.g. "he".
+     * @param {{name: string, messages: object, rtl?: boolean}} catalog - Messages as in CATALOGS; rtl marks a right-to-left script.
+     */
+    function registerCatalog(code, catalog) {
+        const key = String(code).toLowerCase();
+        const existing = CATALOGS[key] || { name: key, messages: {} };
+        CATALOGS[key] = {
+            name: catalog.name || existing.name,
+            messages: Object.assign({}, existing.messages, catalog.messages)
+        };
+        if (catalog.rtl) RTL_LANGUAGES.add(key.split('-')[0]);
+    }
+
+    /**
+     * Looks up a message in the interface language (English if it has no translation; the key if none at all)
+     * and fills in its {name} placeholders.
+     * @param {string} key - e.g. 'list.empty'.
+     * @param {object} [params] - Placeholder values; count also picks the plural form.
+     * @returns {string}
+     */
+    function t(key, params = {}) {
+        const language = getLanguage();
+        let message = CATALOGS[language].messages[key];
+        if (message === undefined) message = CATALOGS[DEFAULT_LANGUAGE].messages[key];
+        if (message === undefined) return key;
+        if (typeof message === 'object') {
+            const form = typeof params.count === 'number' ? new Intl.PluralRules(language).select(params.count) : 'other';
+            message = message[form] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+    }
+
+    /**
+     * A book's name in the interface language.
+     * @param {string} id - USFM book id.
+     * @returns {string|null} - null for an unknown id.
+     */
+    function bookName(id) {
+        return _bookRegistry.getBookName ? _bookRegistry.getBookName(id, getLanguage()) : null;
+    }
+
+    /**
+     * A manifest reference with its book names in the interface language ("Isaiah 7:14" -> "Isaías 7:14").
+     * In English the reference is shown as the manifest wrote it.
+     * @param {string} refString
+     * @returns {string}
+     */
+    function formatReference(refString) {
+        const language = getLanguage();
+        if (language === DEFAULT_LANGUAGE || !_referenceParser.localizeReference) return refString;
+        return _referenceParser.localizeReference(refString, language);
+    }
+
+    /**
+     * Switches the storage backend and forgets the chosen language (tests; null keeps it in memory only).
+     * @param {{getItem: function(string): string|null, setItem: function(string, string)} | null} storage
+     */
+    function setStorage(storage) {
+        _storage = storage;
+        _language = null;
+    }
+
+    // Expose localization functions
+    return {
+        t: t,
+        getLanguage: getLanguage,
+        setLanguage: setLanguage,
+        getLanguages: getLanguages,
+        getDirection: getDirection,
+        registerCatalog: registerCatalog,
+        bookName: bookName,
+        formatReference: formatReference,
+        setStorage: setStorage
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.i18n;
+}
@@ -0,0 +1,44 @@
+/**
+ * local_store.js - Helpers shared by the modules that keep data in this browser's localStorage,
+ * and the pair identity they key their records by (also dataFetcher.getPairKey).
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+ProphecyApp.localStore = (function() {
+    /**
+     * The browser's localStorage, or null where there is none or access is blocked (privacy settings throw on access).
+     * @returns {Storage|null}
+     */
+    function getDefaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Identifies a pair by its refs, ignoring case and spacing ("micah 5:2|matthew 2:1").
+     * Records are keyed by refs, never by list position, so they survive manifest reordering.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @returns {string}
+     */
+    function getPairKey(pair) {
+        const normalize = ref => String(ref || '').replace(/\s+/g, ' ').trim().toLowerCase();
+        return `${normalize(pair.ot_ref)}|${normalize(pair.nt_ref)}`;
+    }
+
+    // Expose the shared helpers
+    return {
+        getDefaultStorage: getDefaultStorage,
+        getPairKey: getPairKey
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.localStore;
+}
@@ -0,0 +1,270 @@
+/**
+ * manifest_sources.js - Where the prophecy categories come from, and how several lists are combined.
+ * Sources are the entries of manifests.json (set up per deployment, e.g. one list per team) plus
+ * URLs and local files added in the settings panel. The added sources and the on/off state of every
+ * source are kept in localStorage of this browser; a local file is stored with its contents, since
+ * it cannot be read again later.
+ * mergeManifests combines the categories of the enabled sources: same-named categories become one
+ * (ignoring case and spacing), a pair listed by several sources appears once, and every merged pair
+ * records the ids of the sources that list it in pair.sources (provenance).
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.localStore = ProphecyApp.localStore || require('./local_store.js');
+}
+
+ProphecyApp.manifestSources = (function() {
+    // Assumes local_store.js is loaded before this module
+    const _localStore = ProphecyApp.localStore;
+    const _getPairKey = _localStore.getPairKey;
+
+    const STORAGE_KEY = 'prophecyViewer.manifestSources';
+    const STORAGE_VERSION = 1;
+    const ALL_CATEGORIES_NAME = "All Categories"; // Placeholder category every manifest starts with (its pairs are ignored)
+
+    let _storage = _localStore.getDefaultStorage();
+    let _settings = null; // { enabled: {sourceId: boolean}, sources: [user source] }; read from storage on first use
+
+    /**
+     * Reads the saved settings once.
+     */
+    function _load() {
+        if (_settings) return;
+        _settings = { enabled: {}, sources: [] };
+        if (!_storage) return;
+        try {
+            const saved = JSON.parse(_storage.getItem(STORAGE_KEY) || 'null');
+            if (!saved) return;
+            if (saved.enabled && typeof saved.enabled === 'object') {
+                Object.keys(saved.enabled).forEach(id => { _settings.enabled[id] = saved.enabled[id] === true; });
+            }
+            (Array.isArray(saved.sources) ? saved.sources : []).forEach(source => {
+                if (!source || typeof source.id !== 'string') return;
+                if (source.type === 'url' && typeof source.url === 'string') {
+                    _settings.sources.push({ id: source.id, type: 'url', name: String(source.name || source.url), url: source.url });
+                } else if (source.type === 'file' && typeof source.text === 'string') {
+                    _settings.sources.push({ id: source.id, type: 'file', name: String(source.name || source.fileName || source.id),
+                                             fileName: String(source.fileName || ''), text: source.text });
+                }
+            });
+            console.log(`MANIFEST_SOURCES: Loaded ${_settings.sources.length} added sources.`);
+        } catch (error) {
+            console.warn("MANIFEST_SOURCES: Could not read saved sources:", error);
+        }
+    }
+
+    /**
+     * Writes the settings to storage.
+     * @returns {boolean} - False if they are kept in memory only (no storage, quota exceeded).
+     */
+    function _save() {
+        if (!_storage) return false;
+        try {
+            _storage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, enabled: _settings.enabled, sources: _settings.sources }));
+            return true;
+        } catch (error) {
+            console.warn("MANIFEST_SOURCES: Could not save sources:", error);
+            return false;
+        }
+    }
+
+    /**
+     * A new id for an added source, unique among the added sources.
+     * @param {string} type - 'url' | 'file'.
+     * @returns {string}
+     */
+    function _newId(type) {
+        let id;
+        let counter = _settings.sources.length + 1;
+        do { id = `${type}-${counter++}`; } while (_settings.sources.some(source => source.id === id));
+        return id;
+    }
+
+    /**
+     * Checks that parsed JSON is a manifest (has a "categories" array).
+     * @param {*} manifest
+     * @returns {Array<object>} - manifest.categories.
+     * @throws {Error}
+     */
+    function readCategories(manifest) {
+        if (!manifest || !Array.isArray(manifest.categories)) throw new Error('"categories" array not found.');
+        return manifest.categories;
+    }
+
+    /**
+     * Sources added in this browser, in the order they were added.
+     * @returns {Array<{id: string, type: string, name: string, url?: string, fileName?: string, text?: string}>} - Copies.
+     */
+    function getUserSources() {
+        _load();
+        return _settings.sources.map(source => Object.assign({}, source));
+    }
+
+    /**
+     * Adds a manifest URL (fetched each time the app starts).
+     * @param {string} url - Absolute, or relative to the app.
+     * @param {string} [name] - Shown in the settings panel and as provenance; defaults to the URL.
+     * @returns {{id: string, saved: boolean}}
+     * @throws {Error} - Blank URL or one that is already a source.
+     */
+    function addUrlSource(url, name) {
+        _load();
+        const trimmed = String(url || '').trim();
+        if (!trimmed) throw new Error('Enter the address of a references.json file.');
+        if (_settings.sources.some(source => source.type === 'url' && source.url === trimmed)) throw new Error(`${trimmed} is already a source.`);
+        const id = _newId('url');
+        _settings.sources.push({ id: id, type: 'url', name: String(name || '').trim() || trimmed, url: trimmed });
+        _settings.enabled[id] = true;
+        console.log(`MANIFEST_SOURCES: Added ${trimmed}.`);
+        return { id: id, saved: _save() };
+    }
+
+    /**
+     * Adds a local manifest file, keeping its contents.
+     * @param {string} fileName
+     * @param {string} text - The file's contents.
+     * @param {string} [name] - Defaults to the file name.
+     * @returns {{id: string, saved: boolean}} - saved is false if the file is too large for storage (it is kept for this session).
+     * @throws {Error} - If the text is not a manifest.
+     */
+    function addFileSource(fileName, text, name) {
+        _load();
+        let manifest;
+        try {
+            manifest = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a JSON file (${error.message}).`);
+        }
+        readCategories(manifest);
+        const id = _newId('file');
+        _settings.sources.push({ id: id, type: 'file', name: String(name || '').trim() || fileName, fileName: fileName, text: text });
+        _settings.enabled[id] = true;
+        console.log(`MANIFEST_SOURCES: Added file ${fileName} (${text.length} characters).`);
+        return { id: id, saved: _save() };
+    }
+
+    /**
+     * Removes an added source (sources from manifests.json can only be switched off).
+     * @param {string} id
+     * @returns {{saved: boolean}}
+     * @throws {Error} - Unknown id.
+     */
+    function removeSource(id) {
+        _load();
+        const index = _settings.sources.findIndex(source => source.id === id);
+        if (index === -1) throw new Error(`No added source "${id}".`);
+        _settings.sources.splice(index, 1);
+        delete _settings.enabled[id];
+        return { saved: _save() };
+    }
+
+    /**
+     * Switches a source on or off.
+     * @param {string} id
+     * @param {boolean} enabled
+     * @returns {{saved: boolean}}
+     */
+    function setEnabled(id, enabled) {
+        _load();
+        _settings.enabled[id] = !!enabled;
+        return { saved: _save() };
+    }
+
+    /**
+     * Whether a source is on: the user's choice if they made one, else the default.
+     * @param {string} id
+     * @param {boolean} [defaultEnabled=true] - From manifests.json ("enabled": false lists a source switched off).
+     * @returns {boolean}
+     */
+    function isEnabled(id, defaultEnabled = true) {
+        _load();
+        return Object.prototype.hasOwnProperty.call(_settings.enabled, id) ? _settings.enabled[id] : defaultEnabled;
+    }
+
+    /**
+     * Combines the categories of several manifests. Inputs are not modified.
+     * Categories keep the order in which they first appear, with the "All Categories" placeholder first;
+     * a same-named category from a later source adds the pairs the earlier ones lack. Where several sources
+     * list a pair, the first listing (its description) is kept and the other sources are added to its provenance.
+     * Duplicates within one source, and entries that are not well-formed, are passed through unchanged so the
+     * manifest check still reports them.
+     * @param {Array<{id: string, categories: Array<object>}>} manifests - Enabled sources in priority order.
+     * @returns {Array<object>} - Merged categories; each pair object has sources: Array<string> (source ids).
+     */
+    function mergeManifests(manifests) {
+        const merged = [{ name: ALL_CATEGORIES_NAME, pairs: [] }];
+        const categoriesByName = new Map(); // normalized name -> { category, pairsByKey }
+        (manifests || []).forEach(manifest => {
+            (Array.isArray(manifest.categories) ? manifest.categories : []).forEach(category => {
+                if (!category || typeof category.name !== 'string' || !category.name.trim() || !Array.isArray(category.pairs)) {
+                    merged.push(category); // Reported by the manifest check
+                    return;
+                }
+                if (category.name === ALL_CATEGORIES_NAME) return;
+                const nameKey = category.name.replace(/\s+/g, ' ').trim().toLowerCase();
+                let target = categoriesByName.get(nameKey);
+                if (target && target.sourceIds.includes(manifest.id)) {
+                    merged.push(category); // Same name twice in one source: reported by the manifest check
+                    return;
+                }
+                if (!target) {
+                    target = { category: Object.assign({}, category, { pairs: [] }), pairsByKey: new Map(), sourceIds: [] };
+                    categoriesByName.set(nameKey, target);
+                    merged.push(target.category);
+                }
+                target.sourceIds.push(manifest.id);
+                category.pairs.forEach(pair => {
+                    if (!pair || typeof pair !== 'object' || typeof pair.ot_ref !== 'string' || typeof pair.nt_ref !== 'string') {
+                        target.category.pairs.push(pair); // Reported by the manifest check
+                        return;
+                    }
+                    const existing = target.pairsByKey.get(_getPairKey(pair));
+                    if (existing && !existing.sources.includes(manifest.id)) {
+                        existing.sources.push(manifest.id);
+                        return;
+                    }
+                    if (existing) {
+                        target.category.pairs.push(Object.assign({}, pair, { sources: [manifest.id] })); // Reported by the manifest check
+                        return;
+                    }
+                    const copy = Object.assign({}, pair, { sources: [manifest.id] });
+                    target.pairsByKey.set(_getPairKey(pair), copy);
+                    target.category.pairs.push(copy);
+                });
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * Switches the storage backend and re-reads it (tests; null keeps settings in memory only).
+     * @param {{getItem: function(string): string|null, setItem: function(string, string)} | null} storage
+     */
+    function setStorage(storage) {
+        _storage = storage;
+        _settings = null;
+    }
+
+    // Expose source functions
+    return {
+        getUserSources: getUserSources,
+        addUrlSource: addUrlSource,
+        addFileSource: addFileSource,
+        removeSource: removeSource,
+        setEnabled: setEnabled,
+        isEnabled: isEnabled,
+        readCategories: readCategories,
+        mergeManifests: mergeManifests,
+        setStorage: setStorage
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.manifestSources;
+}
@@ -0,0 +1,237 @@
+/**
+ * manifest_validator.js - Integrity checks for references.json.
+ * Runs once the manifest and the primary translation are loaded (see app.js) and produces a
+ * structured report instead of letting bad entries surface one click at a time as
+ * "[Invalid Ref Format: ...]" text. Checks:
+ *   schema       - categories have a name and a pairs array; pairs have ot_ref, nt_ref, description strings
+ *   duplicates   - category names are unique; a pair appears only once per category
+ *   references   - every ref parses, names known books, ot_ref is Old Testament, nt_ref is New Testament
+ *   resolution   - every parseable ref exists in the loaded translation (results supplied by the caller,
+ *                  because the Bible index lives in the worker; see bibleService.checkReferences)
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.bookRegistry = ProphecyApp.bookRegistry || require('./book_registry.js');
+    ProphecyApp.referenceParser = ProphecyApp.referenceParser || require('./reference_parser.js');
+}
+
+ProphecyApp.manifestValidator = (function() {
+    // Assumes book_registry.js and reference_parser.js are loaded before this module
+    const _bookRegistry = ProphecyApp.bookRegistry || {};
+    const _referenceParser = ProphecyApp.referenceParser || {};
+
+    const REQUIRED_PAIR_FIELDS = ['ot_ref', 'nt_ref', 'description'];
+    const REF_FIELDS = { ot_ref: 'OT', nt_ref: 'NT' }; // Field -> expected testament
+
+    /**
+     * Fallback pair identity when the caller does not pass dataFetcher.getPairKey.
+     * @param {object} pair
+     * @returns {string}
+     */
+    function _defaultPairKey(pair) {
+        return `${pair.ot_ref}|${pair.nt_ref}`;
+    }
+
+    /**
+     * Parses a ref without throwing.
+     * @param {string} refString
+     * @returns {{segments: Array<object>|null, error: string|null}}
+     */
+    function _parse(refString) {
+        try {
+            return { segments: _referenceParser.parseReference(refString), error: null };
+        } catch (error) {
+            return { segments: null, error: error.message };
+        }
+    }
+
+    /**
+     * Lists the distinct ref strings that parse and name known books, i.e. the ones worth
+     * looking up in the Bible data.
+     * @param {Array<object>} categories - manifest.categories.
+     * @returns {Array<string>}
+     */
+    function collectReferences(categories) {
+        const refs = new Set();
+        (Array.isArray(categories) ? categories : []).forEach(category => {
+            if (!category || !Array.isArray(category.pairs)) return;
+            category.pairs.forEach(pair => {
+                if (!pair || typeof pair !== 'object') return;
+                Object.keys(REF_FIELDS).forEach(field => {
+                    const refString = pair[field];
+                    if (typeof refString !== 'string' || refs.has(refString)) return;
+                    const parsed = _parse(refString);
+                    if (parsed.segments && parsed.segments.every(segment => segment.bookId)) refs.add(refString);
+                });
+            });
+        });
+        return [...refs];
+    }
+
+    /**
+     * Checks the refs of one pair: parse, known books, testament, and (if available) resolution.
+     * @param {object} pair
+     * @param {object|null} resolutionErrors - ref -> error string or null; null skips the lookup check.
+     * @param {function(object)} report - Receives issue fields to record.
+     */
+    function _checkPairRefs(pair, resolutionErrors, report) {
+        Object.keys(REF_FIELDS).forEach(field => {
+            const refString = pair[field];
+            if (typeof refString !== 'string' || !refString.trim()) return; // Reported by the schema check
+            const parsed = _parse(refString);
+            if (parsed.error) {
+                report({ severity: 'error', code: 'unparsed-ref', field: field, ref: refString,
+                         message: `${field} "${refString}" is not a Bible reference (${parsed.error}).` });
+                return;
+            }
+            const unknown = parsed.segments.filter(segment => !segment.bookId);
+            if (unknown.length > 0) {
+                report({ severity: 'error', code: 'unknown-book', field: field, ref: refString,
+                         message: `${field} "${refString}" names an unknown book: ${unknown.map(segment => segment.book).join(', ')}.` });
+                return;
+            }
+            const expected = REF_FIELDS[field];
+            const misplaced = parsed.segments
+                .map(segment => _bookRegistry.getBookById(segment.bookId))
+                .filter(book => book && book.testament !== expected);
+            if (misplaced.length > 0) {
+                report({ severity: 'error', code: 'wrong-testament', field: field, ref: refString,
+                         message: `${field} "${refString}" should be ${expected}, but ${misplaced.map(book => book.name).join(', ')} is ${misplaced[0].testament}.` });
+            }
+            if (resolutionErrors && resolutionErrors[refString]) {
+                report({ severity: 'error', code: 'unresolved-ref', field: field, ref: refString,
+                         message: `${field} "${refString}" was not found in the Bible data: ${resolutionErrors[refString]}` });
+            }
+        });
+    }
+
+    /**
+     * Checks the refs of a single pair as the manifest check would (manifest editor's live validation).
+     * Blank refs are not reported.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @param {object} [options]
+     * @param {object|null} [options.resolutionErrors] - ref -> error string or null; omit to skip the lookup check.
+     * @returns {Array<{severity: string, code: string, field: string, ref: string, message: string}>}
+     */
+    function checkPairRefs(pair, options = {}) {
+        const issues = [];
+        _checkPairRefs(pair || {}, options.resolutionErrors || null, fields => issues.push(fields));
+        return issues;
+    }
+
+    /**
+     * Validates a manifest and returns a report.
+     * @param {{categories: Array<object>}} manifest - Parsed references.json.
+     * @param {object} [options]
+     * @param {object|null} [options.resolutionErrors] - ref -> error string or null, for the refs of collectReferences.
+     *        Omit to skip the lookup check (e.g., Bible data not loaded).
+     * @param {string|null} [options.translationName] - Translation the lookups were made in (for the report).
+     * @param {function(object): string} [options.getPairKey] - Pair identity used for pairIssues (dataFetcher.getPairKey).
+     * @returns {{issues: Array<{severity: string, code: string, message: string, category: string|null,
+     *            pairIndex: number|null, pairKey: string|null, otRef: *, ntRef: *, field: string|null, ref: string|null}>,
+     *            pairIssues: Object<string, Array<object>>, errorCount: number, warningCount: number,
+     *            categoryCount: number, pairCount: number, resolvedIn: string|null}}
+     *          - pairIssues groups the issues of each broken pair by pair key.
+     */
+    function validateManifest(manifest, options = {}) {
+        const getPairKey = options.getPairKey || _defaultPairKey;
+        const resolutionErrors = options.resolutionErrors || null;
+        const result = {
+            issues: [],
+            pairIssues: {},
+            errorCount: 0,
+            warningCount: 0,
+            categoryCount: 0,
+            pairCount: 0,
+            resolvedIn: resolutionErrors ? (options.translationName || null) : null
+        };
+
+        /** Records one issue; context holds category/pairIndex/pairKey. */
+        function addIssue(context, fields) {
+            const issue = Object.assign({ category: null, pairIndex: null, pairKey: null, otRef: null, ntRef: null, field: null, ref: null }, context, fields);
+            result.issues.push(issue);
+            if (issue.severity === 'error') result.errorCount++;
+            else result.warningCount++;
+            if (issue.pairKey !== null) {
+                if (!result.pairIssues[issue.pairKey]) result.pairIssues[issue.pairKey] = [];
+                result.pairIssues[issue.pairKey].push(issue);
+            }
+        }
+
+        if (!manifest || !Array.isArray(manifest.categories)) {
+            addIssue({}, { severity: 'error', code: 'schema', message: 'The manifest has no "categories" array.' });
+            return result;
+        }
+
+        const seenCategoryNames = new Map(); // lowercased name -> first spelling
+        manifest.categories.forEach((category, categoryIndex) => {
+            if (!category || typeof category !== 'object') {
+                addIssue({}, { severity: 'error', code: 'schema', message: `Category #${categoryIndex + 1} is not an object.` });
+                return;
+            }
+            result.categoryCount++;
+            const categoryName = typeof category.name === 'string' && category.name.trim() ? category.name : null;
+            const categoryLabel = categoryName || `#${categoryIndex + 1}`;
+            if (!categoryName) {
+                addIssue({ category: categoryLabel }, { severity: 'error', code: 'schema', message: `Category ${categoryLabel} has no name.` });
+            } else {
+                const normalizedName = categoryName.trim().toLowerCase();
+                if (seenCategoryNames.has(normalizedName)) {
+                    addIssue({ category: categoryName }, { severity: 'error', code: 'duplicate-category',
+                              message: `Category name "${categoryName}" is used more than once (first as "${seenCategoryNames.get(normalizedName)}").` });
+                } else {
+                    seenCategoryNames.set(normalizedName, categoryName);
+                }
+            }
+            if (!Array.isArray(category.pairs)) {
+                addIssue({ category: categoryLabel }, { severity: 'error', code: 'schema', message: `Category ${categoryLabel} has no "pairs" array.` });
+                return;
+            }
+
+            const seenPairKeys = new Map(); // pair key -> first index
+            category.pairs.forEach((pair, pairIndex) => {
+                if (!pair || typeof pair !== 'object') {
+                    addIssue({ category: categoryLabel, pairIndex: pairIndex }, { severity: 'error', code: 'schema',
+                              message: `Pair #${pairIndex + 1} in ${categoryLabel} is not an object.` });
+                    return;
+                }
+                result.pairCount++;
+                const context = { category: categoryLabel, pairIndex: pairIndex, pairKey: getPairKey(pair),
+                                  otRef: pair.ot_ref === undefined ? null : pair.ot_ref,
+                                  ntRef: pair.nt_ref === undefined ? null : pair.nt_ref };
+                REQUIRED_PAIR_FIELDS.forEach(field => {
+                    if (typeof pair[field] !== 'string' || !pair[field].trim()) {
+                        addIssue(context, { severity: 'error', code: 'schema', field: field,
+                                  message: `Pair #${pairIndex + 1} in ${categoryLabel} is missing "${field}".` });
+                    }
+                });
+                if (seenPairKeys.has(context.pairKey)) {
+                    addIssue(context, { severity: 'warning', code: 'duplicate-pair',
+                              message: `${pair.ot_ref} / ${pair.nt_ref} appears twice in ${categoryLabel} (pairs #${seenPairKeys.get(context.pairKey) + 1} and #${pairIndex + 1}).` });
+                } else {
+                    seenPairKeys.set(context.pairKey, pairIndex);
+                }
+                _checkPairRefs(pair, resolutionErrors, fields => addIssue(context, fields));
+            });
+        });
+
+        return result;
+    }
+
+    // Expose validation functions
+    return {
+        collectReferences: collectReferences,
+        checkPairRefs: checkPairRefs,
+        validateManifest: validateManifest
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.manifestValidator;
+}
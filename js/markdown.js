@@ -0,0 +1,155 @@
+/**
+ * markdown.js - Small, safe Markdown renderer for personal notes.
+ * Supports the subset people type in notes: headings, paragraphs (single line breaks kept),
+ * bullet and numbered lists, block quotes, fenced code, horizontal rules, and inline
+ * **bold**, *italic*, `code` and [links](https://...).
+ * All text is HTML-escaped before any markup is added, and links are limited to
+ * http(s) and mailto, so the output can be assigned to innerHTML.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+ProphecyApp.markdown = (function() {
+    // Notes are shown under the detail view's <h3> headings, so "#" starts at <h4>
+    const FIRST_HEADING_LEVEL = 4;
+    const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+    const PLACEHOLDER = '\u0000';
+
+    /**
+     * Escapes text for use in HTML content and attribute values.
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Applies bold and italic markers to already-escaped text.
+     * @param {string} html
+     * @returns {string}
+     */
+    function _renderEmphasis(html) {
+        return html
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+            .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\p{L}\p{N}_])_(?=\S)(.+?)_(?![\p{L}\p{N}_])/gu, '$1<em>$2</em>');
+    }
+
+    /**
+     * Renders inline Markdown in one line or paragraph.
+     * Code spans and links are set aside first so emphasis markers inside them (e.g., "_" in a URL) are left alone.
+     * @param {string} text - Raw text.
+     * @returns {string} - HTML.
+     */
+    function renderInline(text) {
+        const protectedParts = [];
+        const protect = html => `${PLACEHOLDER}${protectedParts.push(html) - 1}${PLACEHOLDER}`;
+
+        let html = escapeHtml(String(text).replace(new RegExp(PLACEHOLDER, 'g'), ''));
+        html = html.replace(/`([^`]+)`/g, (match, code) => protect(`<code>${code}</code>`));
+        html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            // url is escaped already; decode &amp; only to test the scheme
+            if (!SAFE_LINK_PATTERN.test(url.replace(/&amp;/g, '&'))) return match;
+            return protect(`<a href="${url}" target="_blank" rel="noopener noreferrer">${_renderEmphasis(label)}</a>`);
+        });
+        html = _renderEmphasis(html);
+        return html.replace(new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g'), (match, index) => protectedParts[Number(index)]);
+    }
+
+    /**
+     * Renders a Markdown document to HTML.
+     * @param {string} text - Markdown source (e.g., a pair note).
+     * @returns {string} - HTML; empty for blank input.
+     */
+    function renderMarkdown(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        const output = [];
+        let paragraph = [];
+        let list = null; // { tag: 'ul'|'ol', items: [] }
+        let quote = [];
+
+        function flushParagraph() {
+            if (paragraph.length) output.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+        function flushList() {
+            if (list) output.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+        function flushQuote() {
+            if (quote.length) output.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+            quote = [];
+        }
+        function flushAll() {
+            flushParagraph();
+            flushList();
+            flushQuote();
+        }
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let match;
+
+            if (/^\s*```/.test(line)) {
+                flushAll();
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !/^\s*```/.test(lines[i])) codeLines.push(lines[i++]);
+                output.push(`<pre><code>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+                continue;
+            }
+            if ((match = line.match(/^\s*>\s?(.*)$/))) {
+                flushParagraph();
+                flushList();
+                quote.push(match[1]);
+                continue;
+            }
+            flushQuote();
+
+            if (!line.trim()) {
+                flushAll();
+            } else if ((match = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+                flushAll();
+                const level = Math.min(match[1].length + FIRST_HEADING_LEVEL - 1, 6);
+                output.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushAll();
+                output.push('<hr>');
+            } else if ((match = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/))) {
+                flushParagraph();
+                const tag = match[1] ? 'ul' : 'ol';
+                if (list && list.tag !== tag) flushList();
+                if (!list) list = { tag: tag, items: [] };
+                list.items.push(match[3]);
+            } else if (list && /^\s{2,}\S/.test(line)) {
+                list.items[list.items.length - 1] += ` ${line.trim()}`; // Indented continuation of a list item
+            } else {
+                flushList();
+                paragraph.push(line.trim());
+            }
+        }
+        flushAll();
+        return output.join('\n');
+    }
+
+    // Expose rendering functions
+    return {
+        escapeHtml: escapeHtml,
+        renderInline: renderInline,
+        renderMarkdown: renderMarkdown
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.markdown;
+}
@@ -0,0 +1,253 @@
+/**
+ * notes_store.js - Personal notes, bookmarks and highlights per prophecy pair.
+ * Entries are keyed by the pair's refs (same identity as dataFetcher.getPairKey), never by list
+ * position, so they follow a pair across categories, list orders and manifest edits.
+ * Kept in localStorage of this browser; exportNotes/importNotes move them between machines as JSON:
+ *   { "format": "prophecy-viewer-notes", "version": 1, "exported": "<ISO date>",
+ *     "entries": [ { "ot_ref", "nt_ref", "note" (Markdown), "bookmarked", "highlight", "updated" } ] }
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.localStore = ProphecyApp.localStore || require('./local_store.js');
+}
+
+ProphecyApp.notesStore = (function() {
+    // Assumes local_store.js is loaded before this module
+    const _localStore = ProphecyApp.localStore;
+    const _getPairKey = _localStore.getPairKey;
+
+    const STORAGE_KEY = 'prophecyViewer.notes';
+    const EXPORT_FORMAT = 'prophecy-viewer-notes';
+    const EXPORT_VERSION = 1;
+    const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink'];
+
+    let _storage = _localStore.getDefaultStorage();
+    let _entries = null; // pair key -> entry; read from storage on first use
+
+    /**
+     * Checks and cleans one stored or imported entry.
+     * @param {*} raw
+     * @returns {object|null} - null if it does not name a pair.
+     */
+    function _normalizeEntry(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        if (typeof raw.ot_ref !== 'string' || !raw.ot_ref.trim() || typeof raw.nt_ref !== 'string' || !raw.nt_ref.trim()) return null;
+        return {
+            ot_ref: raw.ot_ref.trim(),
+            nt_ref: raw.nt_ref.trim(),
+            note: typeof raw.note === 'string' ? raw.note : '',
+            bookmarked: raw.bookmarked === true,
+            highlight: HIGHLIGHT_COLORS.includes(raw.highlight) ? raw.highlight : null,
+            updated: typeof raw.updated === 'string' && !isNaN(Date.parse(raw.updated)) ? raw.updated : null
+        };
+    }
+
+    /**
+     * True if an entry holds nothing worth keeping.
+     * @param {object} entry
+     * @returns {boolean}
+     */
+    function _isEmpty(entry) {
+        return !entry.note.trim() && !entry.bookmarked && !entry.highlight;
+    }
+
+    /**
+     * Reads the saved entries once.
+     */
+    function _load() {
+        if (_entries) return;
+        _entries = new Map();
+        if (!_storage) return;
+        try {
+            const saved = JSON.parse(_storage.getItem(STORAGE_KEY) || 'null');
+            (saved && Array.isArray(saved.entries) ? saved.entries : []).forEach(raw => {
+                const entry = _normalizeEntry(raw);
+                if (entry && !_isEmpty(entry)) _entries.set(_getPairKey(entry), entry);
+            });
+            console.log(`NOTES_STORE: Loaded ${_entries.size} annotated pairs.`);
+        } catch (error) {
+            console.warn("NOTES_STORE: Could not read saved notes:", error);
+        }
+    }
+
+    /**
+     * Writes all entries to storage.
+     * @returns {boolean} - False if they are kept in memory only (no storage, quota exceeded).
+     */
+    function _save() {
+        if (!_storage) return false;
+        try {
+            _storage.setItem(STORAGE_KEY, JSON.stringify({ version: EXPORT_VERSION, entries: [..._entries.values()] }));
+            return true;
+        } catch (error) {
+            console.warn("NOTES_STORE: Could not save notes:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Changes fields of a pair's entry, creating or deleting the entry as needed.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @param {object} changes - note / bookmarked / highlight.
+     * @returns {{entry: object|null, saved: boolean}} - The entry afterwards (null if now empty); saved is false if storage failed.
+     */
+    function _update(pair, changes) {
+        _load();
+        const key = _getPairKey(pair);
+        const entry = Object.assign(
+            _entries.get(key) || { ot_ref: pair.ot_ref, nt_ref: pair.nt_ref, note: '', bookmarked: false, highlight: null, updated: null },
+            changes,
+            { updated: new Date().toISOString() }
+        );
+        if (_isEmpty(entry)) _entries.delete(key);
+        else _entries.set(key, entry);
+        return { entry: _isEmpty(entry) ? null : Object.assign({}, entry), saved: _save() };
+    }
+
+    /**
+     * The note, bookmark and highlight of a pair.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @returns {{ot_ref: string, nt_ref: string, note: string, bookmarked: boolean, highlight: string|null, updated: string|null} | null}
+     */
+    function getEntry(pair) {
+        _load();
+        const entry = pair ? _entries.get(_getPairKey(pair)) : null;
+        return entry ? Object.assign({}, entry) : null;
+    }
+
+    /**
+     * Replaces a pair's note.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @param {string} note - Markdown; blank removes the note.
+     * @returns {{entry: object|null, saved: boolean}}
+     */
+    function setNote(pair, note) {
+        return _update(pair, { note: String(note || '').replace(/\s+$/, '') });
+    }
+
+    /**
+     * Bookmarks or un-bookmarks a pair.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @param {boolean} bookmarked
+     * @returns {{entry: object|null, saved: boolean}}
+     */
+    function setBookmarked(pair, bookmarked) {
+        return _update(pair, { bookmarked: !!bookmarked });
+    }
+
+    /**
+     * Sets or clears a pair's highlight color.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @param {string|null} color - One of getHighlightColors(), or null/'' for none.
+     * @returns {{entry: object|null, saved: boolean}}
+     * @throws {Error} - On an unknown color.
+     */
+    function setHighlight(pair, color) {
+        if (color && !HIGHLIGHT_COLORS.includes(color)) throw new Error(`Unknown highlight color "${color}".`);
+        return _update(pair, { highlight: color || null });
+    }
+
+    /**
+     * Bookmarked pairs, in the order they were first annotated.
+     * @returns {Array<object>} - Entry copies.
+     */
+    function getBookmarks() {
+        _load();
+        return [..._entries.values()].filter(entry => entry.bookmarked).map(entry => Object.assign({}, entry));
+    }
+
+    /**
+     * Serializes every entry for download.
+     * @param {Date} [now] - Export time (tests pass a fixed date).
+     * @returns {string} - JSON text.
+     */
+    function exportNotes(now = new Date()) {
+        _load();
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exported: now.toISOString(),
+            entries: [..._entries.values()]
+        }, null, 2);
+    }
+
+    /**
+     * Merges an exported notes file into this browser's notes.
+     * Where both sides have an entry for a pair, the more recently updated one wins.
+     * @param {string} text - Contents of a file written by exportNotes.
+     * @returns {{added: number, updated: number, unchanged: number, skipped: number, saved: boolean}}
+     *          - skipped counts entries that do not name a pair.
+     * @throws {Error} - If the text is not a notes export (or comes from a newer version).
+     */
+    function importNotes(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a JSON file (${error.message}).`);
+        }
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.entries)) {
+            throw new Error('Not a Prophecy Viewer notes export.');
+        }
+        if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+            throw new Error(`Notes export version ${data.version} is not supported (expected ${EXPORT_VERSION} or earlier).`);
+        }
+
+        _load();
+        const result = { added: 0, updated: 0, unchanged: 0, skipped: 0, saved: true };
+        data.entries.forEach(raw => {
+            const incoming = _normalizeEntry(raw);
+            if (!incoming || _isEmpty(incoming)) {
+                result.skipped++;
+                return;
+            }
+            const key = _getPairKey(incoming);
+            const existing = _entries.get(key);
+            if (!existing) {
+                _entries.set(key, incoming);
+                result.added++;
+            } else if (Date.parse(incoming.updated || 0) > Date.parse(existing.updated || 0)) {
+                _entries.set(key, incoming);
+                result.updated++;
+            } else {
+                result.unchanged++;
+            }
+        });
+        result.saved = _save();
+        console.log(`NOTES_STORE: Imported notes: ${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged, ${result.skipped} skipped.`);
+        return result;
+    }
+
+    /**
+     * Switches the storage backend and re-reads it (tests; null keeps notes in memory only).
+     * @param {{getItem: function(string): string|null, setItem: function(string, string)} | null} storage
+     */
+    function setStorage(storage) {
+        _storage = storage;
+        _entries = null;
+    }
+
+    // Expose notes functions
+    return {
+        getPairKey: _getPairKey,
+        getEntry: getEntry,
+        setNote: setNote,
+        setBookmarked: setBookmarked,
+        setHighlight: setHighlight,
+        getBookmarks: getBookmarks,
+        exportNotes: exportNotes,
+        importNotes: importNotes,
+        setStorage: setStorage,
+        getHighlightColors: function() { return [...HIGHLIGHT_COLORS]; }
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.notesStore;
+}
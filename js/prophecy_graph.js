@@ -0,0 +1,236 @@
+/**
+ * prophecy_graph.js - Graph of the manifest: OT books (or verses) in one column, NT books (or verses)
+ * in the other, and one edge per pair between every OT node and NT node its refs touch, so the
+ * many-to-many structure hidden by the list becomes visible (Genesis 3:15 fanning out to Galatians,
+ * Hebrews and 1 John; several NT books converging on Isaiah 53).
+ * buildGraph turns the merged pairs into nodes and edges, layoutGraph places them for an SVG
+ * (drawn by ui_manager.js), categoryColors assigns each category the color of its edges.
+ * At verse level a passage is drawn at its first verse; whole-chapter refs ("Psalm 22") get a chapter node.
+ * Pairs with a side that names no Bible book (typological entries such as "Adam") are not drawn; they are
+ * returned in `unplaced`.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.bookRegistry = ProphecyApp.bookRegistry || require('./book_registry.js');
+    ProphecyApp.referenceParser = ProphecyApp.referenceParser || require('./reference_parser.js');
+}
+
+ProphecyApp.prophecyGraph = (function() {
+    // Assumes book_registry.js and reference_parser.js are loaded before this module
+    const _bookRegistry = ProphecyApp.bookRegistry || {};
+    const _referenceParser = ProphecyApp.referenceParser || {};
+
+    const LEVELS = ['book', 'verse'];
+    // Layout defaults, in SVG user units (the SVG scales to its container)
+    const DEFAULT_LAYOUT = {
+        width: 1000,
+        otX: 300,          // Left edge of the OT bars; their labels are drawn to the left
+        ntX: 690,          // Left edge of the NT bars; their labels are drawn to the right
+        barWidth: 10,
+        slotHeight: 4,     // Bar height per edge end
+        minNodeHeight: 12,
+        nodeGap: 6,
+        padding: 10
+    };
+
+    /**
+     * The graph nodes one side of a pair touches, in the order of its ref.
+     * @param {string} refString
+     * @param {string} level - 'book' | 'verse'.
+     * @returns {Array<{key: string, label: string, order: Array<number>}>} - Empty if no segment names a known book.
+     */
+    function _nodesForRef(refString, level) {
+        let segments;
+        try {
+            segments = _referenceParser.parseReference(refString);
+        } catch (error) {
+            return []; // Not a Bible reference ("Adam")
+        }
+        const nodes = [];
+        segments.forEach(segment => {
+            const record = segment.bookId ? _bookRegistry.getBookById(segment.bookId) : null;
+            if (!record) return;
+            let node;
+            if (level === 'book') {
+                node = { key: record.id, label: record.name, order: [record.order, 0, 0] };
+            } else if (segment.startVerse === null) {
+                node = { key: `${record.id} ${segment.startChapter}`, label: `${record.name} ${segment.startChapter}`,
+                         order: [record.order, segment.startChapter, 0] };
+            } else {
+                node = { key: `${record.id} ${segment.startChapter}:${segment.startVerse}`,
+                         label: `${record.name} ${segment.startChapter}:${segment.startVerse}`,
+                         order: [record.order, segment.startChapter, segment.startVerse] };
+            }
+            if (!nodes.some(existing => existing.key === node.key)) nodes.push(node);
+        });
+        return nodes;
+    }
+
+    /**
+     * Compares two node orders ([book order, chapter, verse]).
+     * @returns {number}
+     */
+    function _compareOrder(a, b) {
+        return (a.order[0] - b.order[0]) || (a.order[1] - b.order[1]) || (a.order[2] - b.order[2]);
+    }
+
+    /**
+     * Builds the nodes and edges for a set of pairs.
+     * @param {Array<object>} pairs - Merged pairs (see dataFetcher.getAggregatedPairs); each carries its categories.
+     * @param {object} [options]
+     * @param {string} [options.level='book'] - 'book' | 'verse'.
+     * @param {Array<string>|null} [options.categories=null] - Only pairs in one of these categories; null for all.
+     * @returns {{level: string, ot: Array<object>, nt: Array<object>, edges: Array<object>, pairCount: number, unplaced: Array<object>}}
+     *          - Nodes {key, label, side, order, edgeCount} in canonical order; edges {id, otKey, ntKey, pair, category},
+     *            where category is the pair's first category that passes the filter (it colors the edge).
+     */
+    function buildGraph(pairs, options = {}) {
+        const level = LEVELS.includes(options.level) ? options.level : 'book';
+        const included = Array.isArray(options.categories) ? new Set(options.categories) : null;
+        const nodes = { ot: new Map(), nt: new Map() };
+        const edges = [];
+        const unplaced = [];
+        let pairCount = 0;
+
+        (pairs || []).forEach(pair => {
+            const categories = Array.isArray(pair.categories) ? pair.categories : [];
+            const category = included ? categories.find(name => included.has(name)) : categories[0];
+            if (included && category === undefined) return;
+            const otNodes = _nodesForRef(pair.ot_ref, level);
+            const ntNodes = _nodesForRef(pair.nt_ref, level);
+            if (!otNodes.length || !ntNodes.length) {
+                unplaced.push(pair);
+                return;
+            }
+            pairCount++;
+            [['ot', otNodes], ['nt', ntNodes]].forEach(([side, sideNodes]) => {
+                sideNodes.forEach(node => {
+                    if (!nodes[side].has(node.key)) nodes[side].set(node.key, Object.assign({ side: side, edgeCount: 0 }, node));
+                });
+            });
+            otNodes.forEach(otNode => {
+                ntNodes.forEach(ntNode => {
+                    edges.push({ id: edges.length, otKey: otNode.key, ntKey: ntNode.key, pair: pair, category: category || null });
+                    nodes.ot.get(otNode.key).edgeCount++;
+                    nodes.nt.get(ntNode.key).edgeCount++;
+                });
+            });
+        });
+
+        const graph = {
+            level: level,
+            ot: [...nodes.ot.values()].sort(_compareOrder),
+            nt: [...nodes.nt.values()].sort(_compareOrder),
+            edges: edges,
+            pairCount: pairCount,
+            unplaced: unplaced
+        };
+        console.log(`PROPHECY_GRAPH: ${graph.ot.length} OT and ${graph.nt.length} NT ${level} nodes, ${edges.length} edges; ${unplaced.length} pairs not drawn.`);
+        return graph;
+    }
+
+    /**
+     * Places a graph: one column of bars per testament, each bar as tall as its edge count, the shorter column
+     * centered, and each edge attached to its own slot on both bars. Slots are ordered by the position of the
+     * node at the other end, which keeps edges from crossing within a bar.
+     * @param {object} graph - Result of buildGraph.
+     * @param {object} [options] - Overrides of DEFAULT_LAYOUT.
+     * @returns {{width: number, height: number, barWidth: number, nodes: Array<object>, edges: Array<object>}}
+     *          - Nodes gain x, y, height; edges gain x1, y1, x2, y2 and path (an SVG cubic Bezier).
+     */
+    function layoutGraph(graph, options = {}) {
+        const settings = Object.assign({}, DEFAULT_LAYOUT, options);
+        const placed = new Map(); // "side|key" -> placed node
+        const columnHeights = {};
+
+        ['ot', 'nt'].forEach(side => {
+            let y = settings.padding;
+            graph[side].forEach(node => {
+                const height = Math.max(settings.minNodeHeight, node.edgeCount * settings.slotHeight);
+                placed.set(`${side}|${node.key}`, Object.assign({}, node, {
+                    x: side === 'ot' ? settings.otX : settings.ntX,
+                    y: y,
+                    height: height
+                }));
+                y += height + settings.nodeGap;
+            });
+            columnHeights[side] = graph[side].length ? y - settings.nodeGap : settings.padding;
+        });
+        const height = Math.max(columnHeights.ot, columnHeights.nt) + settings.padding;
+        ['ot', 'nt'].forEach(side => {
+            const offset = (height - settings.padding - columnHeights[side]) / 2;
+            graph[side].forEach(node => { placed.get(`${side}|${node.key}`).y += offset; });
+        });
+
+        // Slot positions: each bar's edges sorted by where their other end sits
+        const slotY = new Map(); // "side|edgeId" -> y
+        const center = node => node.y + node.height / 2;
+        ['ot', 'nt'].forEach(side => {
+            const otherSide = side === 'ot' ? 'nt' : 'ot';
+            const keyField = side === 'ot' ? 'otKey' : 'ntKey';
+            const otherKeyField = side === 'ot' ? 'ntKey' : 'otKey';
+            graph[side].forEach(node => {
+                const bar = placed.get(`${side}|${node.key}`);
+                const nodeEdges = graph.edges.filter(edge => edge[keyField] === node.key);
+                nodeEdges.sort((a, b) => (center(placed.get(`${otherSide}|${a[otherKeyField]}`)) -
+                                          center(placed.get(`${otherSide}|${b[otherKeyField]}`))) || a.id - b.id);
+                const top = bar.y + (bar.height - nodeEdges.length * settings.slotHeight) / 2;
+                nodeEdges.forEach((edge, index) => slotY.set(`${side}|${edge.id}`, top + (index + 0.5) * settings.slotHeight));
+            });
+        });
+
+        const round = value => Math.round(value * 10) / 10;
+        const x1 = settings.otX + settings.barWidth;
+        const x2 = settings.ntX;
+        const midX = round((x1 + x2) / 2);
+        const edges = graph.edges.map(edge => {
+            const y1 = round(slotY.get(`ot|${edge.id}`));
+            const y2 = round(slotY.get(`nt|${edge.id}`));
+            return Object.assign({}, edge, {
+                x1: x1, y1: y1, x2: x2, y2: y2,
+                path: `M ${x1} ${y1} C ${midX} ${y1}, ${midX} ${y2}, ${x2} ${y2}`
+            });
+        });
+
+        return {
+            width: settings.width,
+            height: round(height),
+            barWidth: settings.barWidth,
+            nodes: [...placed.values()].map(node => Object.assign(node, { y: round(node.y) })),
+            edges: edges
+        };
+    }
+
+    /**
+     * A distinct, stable color per category (by position, so the legend and the edges agree across renders).
+     * Hues step by the golden angle, so neighbouring categories never get similar colors.
+     * @param {Array<string>} categoryNames - In manifest order.
+     * @returns {Object<string, string>} - Category name -> CSS color.
+     */
+    function categoryColors(categoryNames) {
+        const colors = {};
+        (categoryNames || []).forEach((name, index) => {
+            const hue = Math.round(index * 137.508) % 360;
+            colors[name] = `hsl(${hue}, 65%, ${index % 2 ? 36 : 46}%)`;
+        });
+        return colors;
+    }
+
+    // Expose graph functions
+    return {
+        LEVELS: LEVELS,
+        buildGraph: buildGraph,
+        layoutGraph: layoutGraph,
+        categoryColors: categoryColors
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.prophecyGraph;
+}
@@ -0,0 +1,76 @@
+/**
+ * pwa.js - Registers the service worker (sw.js) and relays its update notices.
+ * Also asks the service worker to keep the selected translation available offline.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+ProphecyApp.pwa = (function() {
+    const SERVICE_WORKER_URL = 'sw.js';
+    let _registration = null;
+
+    /**
+     * Registers the service worker if the browser and page origin support it.
+     * @param {function(string)} onUpdateAvailable - Called with the changed URL (or 'app') when newer content is cached.
+     * @returns {Promise<boolean>} - True if a service worker was registered.
+     */
+    async function register(onUpdateAvailable) {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+            console.warn("PWA: Service workers unsupported. Offline mode unavailable.");
+            return false;
+        }
+        if (!/^https?:$/.test(location.protocol)) {
+            console.warn(`PWA: Service workers need http(s); page loaded via ${location.protocol}. Offline mode unavailable.`);
+            return false;
+        }
+
+        try {
+            const hadController = !!navigator.serviceWorker.controller;
+            _registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+            console.log("PWA: Service worker registered with scope:", _registration.scope);
+
+            // A new sw.js (new app shell) installed while this page runs on the old one
+            _registration.addEventListener('updatefound', () => {
+                const installing = _registration.installing;
+                if (!installing) return;
+                installing.addEventListener('statechange', () => {
+                    if (installing.state === 'activated' && hadController) onUpdateAvailable('app');
+                });
+            });
+
+            // Stale-while-revalidate found a changed file (see sw.js notifyClients)
+            navigator.serviceWorker.addEventListener('message', event => {
+                if (event.data && event.data.type === 'content-updated') {
+                    console.log(`PWA: Newer content cached for ${event.data.url}.`);
+                    onUpdateAvailable(event.data.url);
+                }
+            });
+            return true;
+        } catch (error) {
+            console.error("PWA: Service worker registration failed:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Asks the service worker to cache files for offline use (e.g., the selected translation).
+     * @param {Array<string>} urls - Same-origin URLs relative to the page.
+     */
+    async function precacheUrls(urls) {
+        if (!_registration) return;
+        const readyRegistration = await navigator.serviceWorker.ready;
+        if (readyRegistration.active) {
+            readyRegistration.active.postMessage({ type: 'precache', urls: urls });
+            console.log("PWA: Requested offline caching for:", urls);
+        }
+    }
+
+    // Expose registration helpers
+    return {
+        register: register,
+        precacheUrls: precacheUrls,
+        isOnline: function() { return typeof navigator === 'undefined' || navigator.onLine !== false; }
+    };
+})();
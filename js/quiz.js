@@ -0,0 +1,420 @@
+/**
+ * quiz.js - Practice mode built on the manifest: questions about pairs, and per-pair mastery with
+ * spaced repetition (Leitner boxes), kept in localStorage of this browser.
+ * Question types:
+ *   'fulfillment' - the OT prophecy is shown, the student picks its NT fulfillment among refs of other pairs;
+ *   'description' - the pair's description is shown, the student picks its "OT / NT" refs;
+ *   'typed'       - the OT prophecy is shown, the student types the NT reference ("mt 2 1" is fine).
+ * A correct answer moves a pair up one box and a miss sends it back to the first, and each box waits
+ * longer before the pair is due again, so weak pairs come back more often. A pair missed in a session
+ * is asked once more at its end. Shown by ui_manager.js, driven by app.js.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.localStore = ProphecyApp.localStore || require('./local_store.js');
+    ProphecyApp.referenceParser = ProphecyApp.referenceParser || require('./reference_parser.js');
+}
+
+ProphecyApp.quiz = (function() {
+    // Assumes reference_parser.js and local_store.js are loaded before this module
+    const _referenceParser = ProphecyApp.referenceParser || {};
+    const _localStore = ProphecyApp.localStore;
+    const _getPairKey = _localStore.getPairKey;
+
+    const STORAGE_KEY = 'prophecyViewer.quizProgress';
+    const STORAGE_VERSION = 1;
+    const QUESTION_TYPES = ['fulfillment', 'description', 'typed'];
+    const SESSION_TYPES = ['mixed'].concat(QUESTION_TYPES); // 'mixed' picks a type per question
+    // Days until a pair is due again, per box; box 0 holds new and missed pairs
+    const BOX_INTERVALS_DAYS = [0, 1, 3, 7, 14, 30];
+    const MASTERED_BOX = 4; // Right four times in a row, at growing intervals
+    const CHOICE_COUNT = 4; // Choices per multiple-choice question (fewer if the pool is small)
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    let _storage = _localStore.getDefaultStorage();
+    let _records = null; // pair key -> progress record; read from storage on first use
+
+    /**
+     * Checks and cleans one stored progress record.
+     * @param {*} raw
+     * @returns {object|null} - null if it does not name a pair.
+     */
+    function _normalizeRecord(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        if (typeof raw.ot_ref !== 'string' || !raw.ot_ref.trim() || typeof raw.nt_ref !== 'string' || !raw.nt_ref.trim()) return null;
+        const count = value => (Number.isInteger(value) && value >= 0 ? value : 0);
+        return {
+            ot_ref: raw.ot_ref.trim(),
+            nt_ref: raw.nt_ref.trim(),
+            box: Math.min(count(raw.box), BOX_INTERVALS_DAYS.length - 1),
+            due: typeof raw.due === 'string' && !isNaN(Date.parse(raw.due)) ? raw.due : new Date(0).toISOString(),
+            seen: count(raw.seen),
+            correct: count(raw.correct)
+        };
+    }
+
+    /**
+     * Reads the saved progress once.
+     */
+    function _load() {
+        if (_records) return;
+        _records = new Map();
+        if (!_storage) return;
+        try {
+            const saved = JSON.parse(_storage.getItem(STORAGE_KEY) || 'null');
+            (saved && Array.isArray(saved.records) ? saved.records : []).forEach(raw => {
+                const record = _normalizeRecord(raw);
+                if (record) _records.set(_getPairKey(record), record);
+            });
+            console.log(`QUIZ: Loaded practice progress for ${_records.size} pairs.`);
+        } catch (error) {
+            console.warn("QUIZ: Could not read saved progress:", error);
+        }
+    }
+
+    /**
+     * Writes all progress to storage.
+     * @returns {boolean} - False if it is kept in memory only (no storage, quota exceeded).
+     */
+    function _save() {
+        if (!_storage) return false;
+        try {
+            _storage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, records: [..._records.values()] }));
+            return true;
+        } catch (error) {
+            console.warn("QUIZ: Could not save progress:", error);
+            return false;
+        }
+    }
+
+    /**
+     * A pair's practice progress.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @returns {{ot_ref: string, nt_ref: string, box: number, due: string, seen: number, correct: number} | null}
+     *          - null for a pair never practiced.
+     */
+    function getProgress(pair) {
+        _load();
+        const record = pair ? _records.get(_getPairKey(pair)) : null;
+        return record ? Object.assign({}, record) : null;
+    }
+
+    /**
+     * Records an answer: right moves the pair up one box, wrong back to the first; the pair is due again
+     * after its box's interval.
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @param {boolean} correct
+     * @param {Date} [now=new Date()]
+     * @returns {{record: object, saved: boolean}} - The record afterwards; saved is false if storage failed.
+     */
+    function recordAnswer(pair, correct, now = new Date()) {
+        _load();
+        const key = _getPairKey(pair);
+        const record = _records.get(key) || { ot_ref: pair.ot_ref, nt_ref: pair.nt_ref, box: 0, due: now.toISOString(), seen: 0, correct: 0 };
+        record.box = correct ? Math.min(record.box + 1, BOX_INTERVALS_DAYS.length - 1) : 0;
+        record.due = new Date(now.getTime() + BOX_INTERVALS_DAYS[record.box] * DAY_MS).toISOString();
+        record.seen++;
+        if (correct) record.correct++;
+        _records.set(key, record);
+        return { record: Object.assign({}, record), saved: _save() };
+    }
+
+    /**
+     * Forgets all practice progress.
+     * @returns {boolean} - False if storage failed.
+     */
+    function resetProgress() {
+        _load();
+        _records.clear();
+        return _save();
+    }
+
+    /**
+     * Mastery of a set of pairs (the pairs a session would draw from).
+     * @param {Array<object>} pairs
+     * @param {Date} [now=new Date()]
+     * @returns {{total: number, seen: number, mastered: number, due: number}} - due counts practiced pairs that are due again.
+     */
+    function getMasterySummary(pairs, now = new Date()) {
+        _load();
+        const summary = { total: 0, seen: 0, mastered: 0, due: 0 };
+        _uniquePairs(pairs).forEach(pair => {
+            summary.total++;
+            const record = _records.get(_getPairKey(pair));
+            if (!record) return;
+            summary.seen++;
+            if (record.box >= MASTERED_BOX) summary.mastered++;
+            if (Date.parse(record.due) <= now.getTime()) summary.due++;
+        });
+        return summary;
+    }
+
+    /**
+     * Drops repeated pairs (a pair listed in several categories).
+     * @param {Array<object>} pairs
+     * @returns {Array<object>}
+     */
+    function _uniquePairs(pairs) {
+        const seen = new Set();
+        return (pairs || []).filter(pair => {
+            const key = _getPairKey(pair);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Shuffles a copy of an array (Fisher-Yates).
+     * @param {Array} items
+     * @param {function(): number} random - Returns [0, 1), like Math.random.
+     * @returns {Array}
+     */
+    function _shuffle(items, random) {
+        const shuffled = items.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Orders pairs for practice: due pairs first (lowest box, then longest overdue), then new pairs in random
+     * order, then the rest by when they fall due.
+     * @param {Array<object>} pairs
+     * @param {Date} [now=new Date()]
+     * @param {function(): number} [random=Math.random]
+     * @returns {Array<object>}
+     */
+    function orderForReview(pairs, now = new Date(), random = Math.random) {
+        _load();
+        const due = [];
+        const fresh = [];
+        const later = [];
+        _uniquePairs(pairs).forEach(pair => {
+            const record = _records.get(_getPairKey(pair));
+            if (!record) fresh.push(pair);
+            else if (Date.parse(record.due) <= now.getTime()) due.push({ pair: pair, record: record });
+            else later.push({ pair: pair, record: record });
+        });
+        due.sort((a, b) => (a.record.box - b.record.box) || (Date.parse(a.record.due) - Date.parse(b.record.due)));
+        later.sort((a, b) => Date.parse(a.record.due) - Date.parse(b.record.due));
+        return due.map(item => item.pair).concat(_shuffle(fresh, random), later.map(item => item.pair));
+    }
+
+    /**
+     * Picks up to count distinct wrong answers for a multiple-choice question.
+     * @param {Array<object>} pool - Pairs to draw from.
+     * @param {object} pair - The asked pair.
+     * @param {function(object): string} labelOf - The answer a pair stands for.
+     * @param {number} count
+     * @param {function(): number} random
+     * @returns {Array<string>}
+     */
+    function _pickDistractors(pool, pair, labelOf, count, random) {
+        const normalize = label => label.replace(/\s+/g, ' ').trim().toLowerCase();
+        const used = new Set([normalize(labelOf(pair))]);
+        const distractors = [];
+        _shuffle(pool, random).forEach(candidate => {
+            const label = labelOf(candidate);
+            if (distractors.length >= count || !label || used.has(normalize(label))) return;
+            used.add(normalize(label));
+            distractors.push(label);
+        });
+        return distractors;
+    }
+
+    /**
+     * Builds a question about a pair.
+     * @param {object} pair - The asked pair.
+     * @param {string} type - One of SESSION_TYPES. A multiple-choice type that the pool cannot fill (no other
+     *        answers, or no description) becomes 'typed'.
+     * @param {Array<object>} pool - Pairs the wrong choices are drawn from.
+     * @param {function(): number} [random=Math.random]
+     * @returns {{type: string, pair: object, prompt: string, choices: Array<string>|null, correctChoice: number|null, expected: string}}
+     *          - prompt is the OT ref ('fulfillment', 'typed') or the description; expected is the right answer as text.
+     */
+    function buildQuestion(pair, type, pool, random = Math.random) {
+        const labels = {
+            fulfillment: candidate => candidate.nt_ref,
+            description: candidate => `${candidate.ot_ref} / ${candidate.nt_ref}`
+        };
+        const withDescription = (pool || []).filter(candidate => candidate.description && candidate.description !== pair.description);
+        const distractorsFor = questionType => _pickDistractors(questionType === 'description' ? withDescription : (pool || []),
+                                                                 pair, labels[questionType], CHOICE_COUNT - 1, random);
+        let questionType = type === 'mixed' ? QUESTION_TYPES[Math.floor(random() * QUESTION_TYPES.length)] : type;
+        let distractors = [];
+        if (questionType === 'description' && !pair.description) questionType = 'fulfillment';
+        if (labels[questionType]) {
+            distractors = distractorsFor(questionType);
+            if (distractors.length === 0) questionType = 'typed';
+        }
+        if (!QUESTION_TYPES.includes(questionType)) questionType = 'typed';
+
+        if (questionType === 'typed') {
+            return { type: 'typed', pair: pair, prompt: pair.ot_ref, choices: null, correctChoice: null, expected: pair.nt_ref };
+        }
+        const expected = labels[questionType](pair);
+        const choices = _shuffle([expected].concat(distractors), random);
+        return {
+            type: questionType,
+            pair: pair,
+            prompt: questionType === 'description' ? pair.description : pair.ot_ref,
+            choices: choices,
+            correctChoice: choices.indexOf(expected),
+            expected: expected
+        };
+    }
+
+    /**
+     * Checks a typed reference against the expected one. Loose input is accepted ("mt 2 1", "Matt 2:1-6");
+     * any shared verse counts, but a whole chapter does not answer a ref that names verses.
+     * Refs that are not Bible references ("Adam") must match as text.
+     * @param {string} expectedRef - The pair's nt_ref.
+     * @param {string} input - What the student typed.
+     * @returns {boolean}
+     */
+    function checkTypedAnswer(expectedRef, input) {
+        const typed = String(input || '').trim();
+        if (!typed) return false;
+        let expected = null;
+        try {
+            expected = _referenceParser.parseReference(expectedRef).filter(segment => segment.bookId);
+        } catch (error) {
+            expected = null; // Not a Bible reference
+        }
+        const typedSegments = _referenceParser.parseSearchReference ? _referenceParser.parseSearchReference(typed) : null;
+        if (!expected || !expected.length || !typedSegments) {
+            return typed.replace(/\s+/g, ' ').toLowerCase() === String(expectedRef).replace(/\s+/g, ' ').trim().toLowerCase();
+        }
+        const namesVerses = expected.some(segment => segment.startVerse !== null);
+        const specific = namesVerses ? typedSegments.filter(segment => segment.startVerse !== null) : typedSegments;
+        return specific.length > 0 && _referenceParser.segmentsOverlap(expected, specific);
+    }
+
+    /**
+     * Starts a practice session.
+     * @param {Array<object>} pairs - Pairs to practice (a category, or all merged pairs).
+     * @param {object} [options]
+     * @param {number} [options.length=10] - Questions, not counting missed pairs asked again.
+     * @param {string} [options.type='mixed'] - One of SESSION_TYPES.
+     * @param {Date} [options.now=new Date()]
+     * @param {function(): number} [options.random=Math.random]
+     * @returns {object} - Session state for nextQuestion/answerQuestion/summarizeSession.
+     */
+    function createSession(pairs, options = {}) {
+        const random = options.random || Math.random;
+        const pool = _uniquePairs(pairs);
+        const length = Number.isInteger(options.length) && options.length > 0 ? options.length : 10;
+        return {
+            type: SESSION_TYPES.includes(options.type) ? options.type : 'mixed',
+            pool: pool,
+            queue: orderForReview(pool, options.now || new Date(), random).slice(0, length),
+            position: -1,
+            question: null,
+            answered: false,
+            results: [], // { pair, type, correct, answer }
+            repeated: new Set(), // Keys of missed pairs already queued again
+            random: random
+        };
+    }
+
+    /**
+     * Moves a session to its next question.
+     * @param {object} session - From createSession.
+     * @returns {object|null} - The question (see buildQuestion) with number and total; null when the session is over.
+     */
+    function nextQuestion(session) {
+        session.position = Math.min(session.position + 1, session.queue.length);
+        session.answered = false;
+        if (session.position >= session.queue.length) {
+            session.question = null;
+            return null;
+        }
+        session.question = Object.assign(buildQuestion(session.queue[session.position], session.type, session.pool, session.random), {
+            number: session.position + 1,
+            total: session.queue.length
+        });
+        return session.question;
+    }
+
+    /**
+     * Answers the current question and records the pair's progress. A missed pair is queued once more.
+     * @param {object} session
+     * @param {number|string} answer - Choice index, or the typed reference.
+     * @param {Date} [now=new Date()]
+     * @returns {{correct: boolean, expected: string, record: object, saved: boolean} | null} - null if there is no
+     *          unanswered question.
+     */
+    function answerQuestion(session, answer, now = new Date()) {
+        const question = session.question;
+        if (!question || session.answered) return null;
+        const correct = question.choices ? Number(answer) === question.correctChoice : checkTypedAnswer(question.pair.nt_ref, answer);
+        session.answered = true;
+        session.results.push({ pair: question.pair, type: question.type, correct: correct, answer: answer });
+        const key = _getPairKey(question.pair);
+        if (!correct && !session.repeated.has(key)) {
+            session.repeated.add(key);
+            session.queue.push(question.pair);
+        }
+        const progress = recordAnswer(question.pair, correct, now);
+        return { correct: correct, expected: question.expected, record: progress.record, saved: progress.saved };
+    }
+
+    /**
+     * Totals of a session so far.
+     * @param {object} session
+     * @returns {{asked: number, correct: number, missed: Array<object>, byType: Object<string, {asked: number, correct: number}>}}
+     *          - missed lists each pair answered wrong at least once, in the order they were asked.
+     */
+    function summarizeSession(session) {
+        const summary = { asked: 0, correct: 0, missed: [], byType: {} };
+        session.results.forEach(result => {
+            summary.asked++;
+            if (result.correct) summary.correct++;
+            const typeTotals = summary.byType[result.type] || (summary.byType[result.type] = { asked: 0, correct: 0 });
+            typeTotals.asked++;
+            if (result.correct) typeTotals.correct++;
+            if (!result.correct && !summary.missed.some(pair => _getPairKey(pair) === _getPairKey(result.pair))) summary.missed.push(result.pair);
+        });
+        return summary;
+    }
+
+    /**
+     * Switches the storage backend and re-reads it (tests; null keeps progress in memory only).
+     * @param {{getItem: function(string): string|null, setItem: function(string, string)} | null} storage
+     */
+    function setStorage(storage) {
+        _storage = storage;
+        _records = null;
+    }
+
+    // Expose quiz functions
+    return {
+        SESSION_TYPES: SESSION_TYPES,
+        MASTERED_BOX: MASTERED_BOX,
+        getProgress: getProgress,
+        recordAnswer: recordAnswer,
+        resetProgress: resetProgress,
+        getMasterySummary: getMasterySummary,
+        orderForReview: orderForReview,
+        buildQuestion: buildQuestion,
+        checkTypedAnswer: checkTypedAnswer,
+        createSession: createSession,
+        nextQuestion: nextQuestion,
+        answerQuestion: answerQuestion,
+        summarizeSession: summarizeSession,
+        setStorage: setStorage
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.quiz;
+}
@@ -0,0 +1,280 @@
+/**
+ * reading_plans.js - Multi-day reading plans over an ordered list of pairs (a category, a user category,
+ * the bookmarks...), kept in localStorage of this browser.
+ * A plan schedules its pairs N per day from the day it was created; a pair counts as read once it was
+ * shown in the plan's walkthrough (or its day was ticked off), so the plan resumes at the first day with
+ * unread pairs however many calendar days have passed. Plans keep only the refs of their pairs: the
+ * descriptions and categories come from the current manifest. Shown by ui_manager.js, driven by app.js.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.localStore = ProphecyApp.localStore || require('./local_store.js');
+}
+
+ProphecyApp.readingPlans = (function() {
+    // Assumes local_store.js is loaded before this module
+    const _localStore = ProphecyApp.localStore;
+    const _getPairKey = _localStore.getPairKey;
+
+    const STORAGE_KEY = 'prophecyViewer.readingPlans';
+    const STORAGE_VERSION = 1;
+    const MAX_PAIRS_PER_DAY = 50;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    let _storage = _localStore.getDefaultStorage();
+    let _plans = null; // [{ name, perDay, start: "YYYY-MM-DD", pairs: [{ ot_ref, nt_ref }], read: [pair key] }]; read from storage on first use
+
+    /**
+     * The local calendar date of a moment, as "YYYY-MM-DD".
+     * @param {Date} date
+     * @returns {string}
+     */
+    function _localDateString(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Local midnight of a "YYYY-MM-DD" date, moved by a number of days.
+     * @param {string} dateString
+     * @param {number} [offsetDays=0]
+     * @returns {Date}
+     */
+    function _localDate(dateString, offsetDays = 0) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day + offsetDays);
+    }
+
+    /**
+     * Deep copy of a plan (callers never hold the stored objects).
+     * @param {object} plan
+     * @returns {object}
+     */
+    function _copy(plan) {
+        return { name: plan.name, perDay: plan.perDay, start: plan.start, pairs: plan.pairs.map(pair => Object.assign({}, pair)), read: plan.read.slice() };
+    }
+
+    /**
+     * Checks and cleans one stored plan.
+     * @param {*} raw
+     * @returns {object|null} - null if it has no name or no pairs.
+     */
+    function _normalizePlan(raw) {
+        if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+        const pairs = (Array.isArray(raw.pairs) ? raw.pairs : [])
+            .filter(pair => pair && typeof pair.ot_ref === 'string' && pair.ot_ref.trim() && typeof pair.nt_ref === 'string' && pair.nt_ref.trim())
+            .map(pair => ({ ot_ref: pair.ot_ref.trim(), nt_ref: pair.nt_ref.trim() }));
+        if (pairs.length === 0) return null;
+        const keys = new Set(pairs.map(_getPairKey));
+        return {
+            name: raw.name.trim(),
+            perDay: Number.isInteger(raw.perDay) ? Math.min(Math.max(raw.perDay, 1), MAX_PAIRS_PER_DAY) : 1,
+            start: typeof raw.start === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(raw.start) ? raw.start : _localDateString(new Date()),
+            pairs: pairs,
+            read: (Array.isArray(raw.read) ? raw.read : []).filter(key => keys.has(key))
+        };
+    }
+
+    /**
+     * Reads the saved plans once.
+     */
+    function _load() {
+        if (_plans) return;
+        _plans = [];
+        if (!_storage) return;
+        try {
+            const saved = JSON.parse(_storage.getItem(STORAGE_KEY) || 'null');
+            (saved && Array.isArray(saved.plans) ? saved.plans : []).forEach(raw => {
+                const plan = _normalizePlan(raw);
+                if (plan) _plans.push(plan);
+            });
+            console.log(`READING_PLANS: Loaded ${_plans.length} reading plans.`);
+        } catch (error) {
+            console.warn("READING_PLANS: Could not read saved plans:", error);
+        }
+    }
+
+    /**
+     * Writes all plans to storage.
+     * @returns {boolean} - False if they are kept in memory only (no storage, quota exceeded).
+     */
+    function _save() {
+        if (!_storage) return false;
+        try {
+            _storage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, plans: _plans }));
+            return true;
+        } catch (error) {
+            console.warn("READING_PLANS: Could not save plans:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Returns a stored plan or throws.
+     * @param {number} index
+     * @returns {object}
+     * @throws {Error}
+     */
+    function _planAt(index) {
+        _load();
+        const plan = _plans[index];
+        if (!plan) throw new Error(`No reading plan #${index + 1}.`);
+        return plan;
+    }
+
+    /**
+     * The reading plans, oldest first.
+     * @returns {Array<{name: string, perDay: number, start: string, pairs: Array<{ot_ref: string, nt_ref: string}>, read: Array<string>}>}
+     *          - Copies; start is the local date of day 1, read holds the keys of the pairs read.
+     */
+    function getPlans() {
+        _load();
+        return _plans.map(_copy);
+    }
+
+    /**
+     * Adds a plan over pairs in their order, starting today. Repeated pairs are scheduled once.
+     * @param {string} name
+     * @param {Array<{ot_ref: string, nt_ref: string}>} pairs
+     * @param {number} perDay - Pairs per day, 1 to MAX_PAIRS_PER_DAY.
+     * @param {Date} [now=new Date()]
+     * @returns {{index: number, saved: boolean}}
+     * @throws {Error} - Blank or duplicate name, no pairs, or a bad number of pairs per day.
+     */
+    function createPlan(name, pairs, perDay, now = new Date()) {
+        _load();
+        const trimmed = String(name || '').replace(/\s+/g, ' ').trim();
+        if (!trimmed) throw new Error('A reading plan needs a name.');
+        if (_plans.some(plan => plan.name.toLowerCase() === trimmed.toLowerCase())) throw new Error(`You already have a plan named "${trimmed}".`);
+        if (!Number.isInteger(perDay) || perDay < 1 || perDay > MAX_PAIRS_PER_DAY) {
+            throw new Error(`Choose between 1 and ${MAX_PAIRS_PER_DAY} pairs per day.`);
+        }
+        const seen = new Set();
+        const planPairs = (pairs || []).filter(pair => {
+            const key = _getPairKey(pair);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }).map(pair => ({ ot_ref: pair.ot_ref, nt_ref: pair.nt_ref }));
+        if (planPairs.length === 0) throw new Error('There are no pairs to read in this list.');
+        _plans.push({ name: trimmed, perDay: perDay, start: _localDateString(now), pairs: planPairs, read: [] });
+        console.log(`READING_PLANS: Created "${trimmed}" (${planPairs.length} pairs, ${perDay} per day).`);
+        return { index: _plans.length - 1, saved: _save() };
+    }
+
+    /**
+     * Deletes a plan and its progress.
+     * @param {number} index
+     * @returns {{saved: boolean}}
+     * @throws {Error} - Unknown index.
+     */
+    function deletePlan(index) {
+        const plan = _planAt(index);
+        _plans.splice(index, 1);
+        console.log(`READING_PLANS: Deleted "${plan.name}".`);
+        return { saved: _save() };
+    }
+
+    /**
+     * Marks a pair of a plan as read or unread. Nothing is written when it already was.
+     * @param {number} index
+     * @param {{ot_ref: string, nt_ref: string}} pair
+     * @param {boolean} [read=true]
+     * @returns {{changed: boolean, saved: boolean}} - changed is false for a pair not in the plan or already marked.
+     * @throws {Error} - Unknown index.
+     */
+    function setPairRead(index, pair, read = true) {
+        const plan = _planAt(index);
+        const key = _getPairKey(pair);
+        const wasRead = plan.read.includes(key);
+        if (wasRead === read || !plan.pairs.some(planPair => _getPairKey(planPair) === key)) return { changed: false, saved: true };
+        plan.read = read ? plan.read.concat([key]) : plan.read.filter(readKey => readKey !== key);
+        return { changed: true, saved: _save() };
+    }
+
+    /**
+     * Marks all pairs of one day of a plan as read or unread.
+     * @param {number} index
+     * @param {number} dayNumber - 1 for the first day.
+     * @param {boolean} read
+     * @returns {{saved: boolean}}
+     * @throws {Error} - Unknown index or day.
+     */
+    function setDayRead(index, dayNumber, read) {
+        const plan = _planAt(index);
+        const day = getSchedule(plan).days[dayNumber - 1];
+        if (!day) throw new Error(`"${plan.name}" has no day ${dayNumber}.`);
+        const dayKeys = new Set(day.pairs.map(_getPairKey));
+        plan.read = plan.read.filter(key => !dayKeys.has(key)).concat(read ? [...dayKeys] : []);
+        return { saved: _save() };
+    }
+
+    /**
+     * Splits a plan into days and measures its progress.
+     * @param {object} plan - From getPlans.
+     * @param {Date} [now=new Date()]
+     * @returns {{days: Array<{number: number, date: string, pairs: Array<object>, readCount: number, complete: boolean}>,
+     *           total: number, readCount: number, currentDay: number|null, scheduledDay: number, behind: number}}
+     *          - date is the day's local "YYYY-MM-DD" date; currentDay is the first day with unread pairs (null when
+     *          the plan is finished); scheduledDay is the day the calendar has reached (at most the last day);
+     *          behind counts the unfinished days before it.
+     */
+    function getSchedule(plan, now = new Date()) {
+        const readKeys = new Set(plan.read);
+        const days = [];
+        for (let start = 0; start < plan.pairs.length; start += plan.perDay) {
+            const pairs = plan.pairs.slice(start, start + plan.perDay);
+            const readCount = pairs.filter(pair => readKeys.has(_getPairKey(pair))).length;
+            days.push({
+                number: days.length + 1,
+                date: _localDateString(_localDate(plan.start, days.length)),
+                pairs: pairs,
+                readCount: readCount,
+                complete: readCount === pairs.length
+            });
+        }
+        const today = _localDate(_localDateString(now));
+        const elapsedDays = Math.round((today.getTime() - _localDate(plan.start).getTime()) / DAY_MS); // Round: DST days are 23 or 25 hours
+        const scheduledDay = Math.min(Math.max(elapsedDays + 1, 1), days.length);
+        const firstUnread = days.find(day => !day.complete);
+        return {
+            days: days,
+            total: plan.pairs.length,
+            readCount: days.reduce((sum, day) => sum + day.readCount, 0),
+            currentDay: firstUnread ? firstUnread.number : null,
+            scheduledDay: scheduledDay,
+            behind: days.filter(day => day.number < scheduledDay && !day.complete).length
+        };
+    }
+
+    /**
+     * Switches the storage backend and re-reads it (tests; null keeps plans in memory only).
+     * @param {{getItem: function(string): string|null, setItem: function(string, string)} | null} storage
+     */
+    function setStorage(storage) {
+        _storage = storage;
+        _plans = null;
+    }
+
+    // Expose reading plan functions
+    return {
+        MAX_PAIRS_PER_DAY: MAX_PAIRS_PER_DAY,
+        getPlans: getPlans,
+        createPlan: createPlan,
+        deletePlan: deletePlan,
+        setPairRead: setPairRead,
+        setDayRead: setDayRead,
+        getSchedule: getSchedule,
+        setStorage: setStorage
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.readingPlans;
+}
@@ -0,0 +1,287 @@
+/**
+ * reference_parser.js - Parses scripture reference strings into structured segments
+ * and resolves them against the indexed Bible data produced by bsb_parser.js.
+ * Book names are resolved through book_registry.js (must be loaded first).
+ * Part of ProphecyApp namespace.
+ *
+ * Supported reference grammar:
+ *   "Micah 5:2"                 single verse
+ *   "Acts 3:25-26"              verse range within a chapter
+ *   "Isaiah 53:4,5,12"          comma list (items without a colon stay in the current chapter)
+ *   "Acts 2:16-18, 33"          comma list mixing ranges and single verses
+ *   "Isaiah 52:13-53:12"        cross-chapter span
+ *   "Psalm 22" / "Exodus 25-30" whole chapter / chapter range
+ *   "Isaiah 53:4; Matthew 8:17" semicolon list (a part without a book reuses the previous book)
+ *   "Jude 14"                   verse in a single-chapter book
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+// Node (test/, tools/): load the modules that browsers get from earlier <script> tags
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.bookRegistry = ProphecyApp.bookRegistry || require('./book_registry.js');
+}
+
+ProphecyApp.referenceParser = (function() {
+
+    // Assumes book_registry.js is loaded before this module
+    const _bookRegistry = ProphecyApp.bookRegistry || {};
+
+    // Hyphen, en dash and em dash are all accepted as range separators
+    const RANGE_SEPARATOR = /\s*[-–—]\s*/;
+
+    /**
+     * Parses a "C" or "C:V" location. Verse letter suffixes ("5a", "5b") are ignored.
+     * @param {string} text - The location text.
+     * @returns {{chapter: number, verse: number|null} | null} - Parsed location, or null if invalid.
+     */
+    function parseLocation(text) {
+        const match = text.trim().match(/^(\d+)(?:\s*:\s*(\d+)[a-c]?)?$/i);
+        if (!match) return null;
+        return {
+            chapter: parseInt(match[1], 10),
+            verse: match[2] !== undefined ? parseInt(match[2], 10) : null
+        };
+    }
+
+    /**
+     * Parses the chapter/verse portion of a single-book reference (everything after the book name).
+     * @param {string} specText - e.g. "53:4,5,12" or "52:13-53:12" or "22".
+     * @returns {Array<object>} - Segments without the book field.
+     * @throws {Error} - If the spec cannot be parsed.
+     */
+    function parseChapterVerseSpec(specText) {
+        const segments = [];
+        let currentChapter = null; // Set once an item with "C:V" has been seen
+
+        specText.split(',').forEach(rawItem => {
+            const item = rawItem.trim();
+            if (!item) throw new Error(`Empty list item in "${specText}"`);
+
+            const rangeParts = item.split(RANGE_SEPARATOR);
+            if (rangeParts.length > 2) throw new Error(`Malformed range "${item}"`);
+
+            // Items without a colon continue the current chapter as verse numbers,
+            // unless no chapter context exists yet (then they are whole chapters).
+            const continuesChapter = currentChapter !== null && rangeParts[0].indexOf(':') === -1;
+            const start = continuesChapter ?
+                          parseLocation(`${currentChapter}:${rangeParts[0]}`) :
+                          parseLocation(rangeParts[0]);
+            if (!start) throw new Error(`Malformed location "${rangeParts[0]}"`);
+
+            let end = { chapter: start.chapter, verse: start.verse };
+            if (rangeParts.length === 2) {
+                const endText = rangeParts[1];
+                if (endText.indexOf(':') !== -1) {
+                    end = parseLocation(endText);             // "52:13-53:12"
+                } else if (start.verse !== null) {
+                    end = parseLocation(`${start.chapter}:${endText}`); // "3:25-26"
+                } else {
+                    end = parseLocation(endText);             // "25-30" (chapters)
+                }
+                if (!end) throw new Error(`Malformed range end "${endText}"`);
+            }
+
+            if (end.chapter < start.chapter ||
+                (end.chapter === start.chapter && start.verse !== null && end.verse !== null && end.verse < start.verse)) {
+                throw new Error(`Range runs backwards in "${item}"`);
+            }
+
+            segments.push({
+                startChapter: start.chapter,
+                startVerse: start.verse, // null = from the start of the chapter
+                endChapter: end.chapter,
+                endVerse: end.verse      // null = to the end of the chapter
+            });
+            if (start.verse !== null || end.verse !== null) currentChapter = end.chapter;
+        });
+
+        return segments;
+    }
+
+    /**
+     * Parses a full reference string into segments.
+     * Segments for books missing from the registry carry bookId = null; resolveSegments reports them.
+     * @param {string} refString - The reference string (e.g., "Isaiah 52:13-53:12; Acts 8:32-33").
+     * @returns {Array<{book: string, bookId: string|null, startChapter: number, startVerse: number|null, endChapter: number, endVerse: number|null}>}
+     * @throws {Error} - If the reference cannot be parsed.
+     */
+    function parseReference(refString) {
+        if (typeof refString !== 'string' || !refString.trim()) {
+            throw new Error('Reference is empty.');
+        }
+        const segments = [];
+        let currentBook = null;
+
+        refString.split(';').forEach(rawPart => {
+            const part = rawPart.trim();
+            if (!part) return; // Tolerate a trailing semicolon
+
+            let bookName;
+            let specText;
+            let bookRecord;
+            if (!/\p{L}{2}/u.test(part)) {
+                // No book name: continue with the previous book ("Isaiah 53:4; 54:1")
+                if (!currentBook) throw new Error(`Missing book name in "${part}"`);
+                bookName = currentBook.name;
+                bookRecord = currentBook.record;
+                specText = part;
+            } else {
+                // Book name is everything up to the first digit that follows a letter
+                const match = part.match(/^(\d?\s*[^\d]+?)\s*(\d.*)$/);
+                if (!match) throw new Error(`Missing chapter in "${part}"`);
+                bookName = match[1].trim().replace(/\.$/, '');
+                specText = match[2];
+                bookRecord = _bookRegistry.resolveBook(bookName);
+            }
+
+            // Single-chapter books are cited by verse alone ("Jude 14" = "Jude 1:14"); a bare "1" is the chapter itself
+            if (bookRecord && bookRecord.chapters === 1 && specText.indexOf(':') === -1 && !/^1\s*$/.test(specText)) {
+                specText = `1:${specText}`;
+            }
+
+            parseChapterVerseSpec(specText).forEach(segment => {
+                segments.push(Object.assign({
+                    book: bookRecord ? bookRecord.name : bookName,
+                    bookId: bookRecord ? bookRecord.id : null
+                }, segment));
+            });
+            currentBook = { name: bookName, record: bookRecord };
+        });
+
+        if (segments.length === 0) throw new Error('No passages found in reference.');
+        return segments;
+    }
+
+    /**
+     * Resolves parsed segments against an indexed Bible ({ bookId: { chapter: { verse: text } } }).
+     * @param {object} indexedBible - Index produced by bsbParser.parseAndIndexBsbData.
+     * @param {Array<object>} segments - Output of parseReference.
+     * @returns {{verses: Array<{book: string, bookId: string, chapter: number, verse: number, text: string}>, error: string|null}}
+     */
+    function resolveSegments(indexedBible, segments) {
+        const verses = [];
+        for (const segment of segments) {
+            if (!segment.bookId) {
+                return { verses: [], error: `[Unknown Book: ${segment.book}]` };
+            }
+            const bookIndex = indexedBible[segment.bookId];
+            if (!bookIndex) {
+                return { verses: [], error: `[Book Not In Translation: ${segment.book}]` };
+            }
+
+            for (let chapter = segment.startChapter; chapter <= segment.endChapter; chapter++) {
+                const chapterIndex = bookIndex[chapter.toString()];
+                if (!chapterIndex) {
+                    return { verses: [], error: `[Chapter Not Found: ${segment.book} ${chapter}]` };
+                }
+                const firstVerse = (chapter === segment.startChapter && segment.startVerse !== null) ? segment.startVerse : 1;
+                const lastVerse = (chapter === segment.endChapter && segment.endVerse !== null) ? segment.endVerse : Infinity;
+
+                if (firstVerse !== 1 && !chapterIndex[firstVerse.toString()]) {
+                    return { verses: [], error: `[Verse Not Found: ${segment.book} ${chapter}:${firstVerse}]` };
+                }
+                if (lastVerse !== Infinity && !chapterIndex[lastVerse.toString()]) {
+                    return { verses: [], error: `[Verse Not Found: ${segment.book} ${chapter}:${lastVerse}]` };
+                }
+
+                // Integer-like keys enumerate in ascending numeric order
+                Object.keys(chapterIndex).forEach(verseKey => {
+                    const verseNum = parseInt(verseKey, 10);
+                    if (verseNum >= firstVerse && verseNum <= lastVerse) {
+                        verses.push({ book: segment.book, bookId: segment.bookId, chapter: chapter, verse: verseNum, text: chapterIndex[verseKey] });
+                    }
+                });
+            }
+        }
+        return { verses: verses, error: null };
+    }
+
+    /**
+     * Parses and resolves many references, collecting failures instead of throwing
+     * (manifest check in the worker, tools/validate_manifest.js).
+     * @param {object} indexedBible - Index produced by bsbParser.parseAndIndexBsbData.
+     * @param {Array<string>} refStrings
+     * @returns {Object<string, string|null>} - ref -> error message, or null if every verse exists.
+     */
+    function checkReferences(indexedBible, refStrings) {
+        const errors = {};
+        refStrings.forEach(refString => {
+            try {
+                const result = resolveSegments(indexedBible, parseReference(refString));
+                errors[refString] = result.error || (result.verses.length === 0 ? "[No Verses Found]" : null);
+            } catch (error) {
+                errors[refString] = `[Invalid Ref Format: ${refString}]`;
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Interprets loosely typed search input as a reference ("mic 5 2", "mic 5.2", "Micah 5").
+     * Unlike parseReference, the book must be known and a failed parse is not an error.
+     * @param {string} query - Search box text.
+     * @returns {Array<object> | null} - Segments (see parseReference), or null if the input is not a reference.
+     */
+    function parseSearchReference(query) {
+        if (typeof query !== 'string') return null;
+        const normalized = query.trim()
+            .replace(/(\d)\s*\.\s*(\d)/g, '$1:$2') // "5.2" -> "5:2"
+            .replace(/([\p{L}.]\s*\d+)\s+(\d+)\s*$/u, '$1:$2'); // "mic 5 2" -> "mic 5:2"
+        if (!/^\d?\s*\p{L}/u.test(normalized) || !/\d/.test(normalized)) return null;
+        try {
+            const segments = parseReference(normalized);
+            return segments.every(segment => segment.bookId) ? segments : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Rewrites the book names of a reference in another language ("Isaiah 7:14; Matthew 1:23" ->
+     * "Isaías 7:14; Mateo 1:23"), keeping chapters, verses and punctuation as written.
+     * Parts whose book is unknown, and references that do not parse, are returned unchanged.
+     * @param {string} refString - A reference in any language the book registry knows.
+     * @param {string} language - Language code (see bookRegistry.getBookName).
+     * @returns {string}
+     */
+    function localizeReference(refString, language) {
+        if (typeof refString !== 'string' || !_bookRegistry.getBookName) return refString;
+        return refString.split(';').map(part => {
+            const match = part.match(/^(\s*)(\d?\s*[^\d]+?)(\s*\d.*)$/);
+            if (!match || !/\p{L}{2}/u.test(match[2])) return part;
+            const bookRecord = _bookRegistry.resolveBook(match[2].trim().replace(/\.$/, ''));
+            return bookRecord ? `${match[1]}${_bookRegistry.getBookName(bookRecord.id, language)}${match[3]}` : part;
+        }).join(';');
+    }
+
+    /**
+     * Checks whether two parsed references share at least one verse (whole chapters cover every verse).
+     * @param {Array<object>} segmentsA - Output of parseReference.
+     * @param {Array<object>} segmentsB - Output of parseReference.
+     * @returns {boolean}
+     */
+    function segmentsOverlap(segmentsA, segmentsB) {
+        // Positions as chapter * 1000 + verse; a missing verse means the start/end of the chapter
+        const start = segment => segment.startChapter * 1000 + (segment.startVerse !== null ? segment.startVerse : 0);
+        const end = segment => segment.endChapter * 1000 + (segment.endVerse !== null ? segment.endVerse : 999);
+        return segmentsA.some(a => segmentsB.some(b =>
+            a.bookId && a.bookId === b.bookId && start(a) <= end(b) && start(b) <= end(a)));
+    }
+
+    // Expose parsing and resolution functions
+    return {
+        parseReference: parseReference,
+        resolveSegments: resolveSegments,
+        checkReferences: checkReferences,
+        parseSearchReference: parseSearchReference,
+        localizeReference: localizeReference,
+        segmentsOverlap: segmentsOverlap
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.referenceParser;
+}
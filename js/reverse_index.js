@@ -0,0 +1,162 @@
+/**
+ * reverse_index.js - Builds alternate navigation trees from the manifest pairs:
+ *   OT book -> chapter -> pairs   ("where is Isaiah 53 fulfilled?")
+ *   NT book -> chapter -> pairs   ("which prophecies does Matthew cite?")
+ *   single OT verse -> pairs      (Genesis 3:15 with all of its NT fulfillments)
+ * A pair is listed under every book/chapter its ref touches. For the verse view, verse ranges
+ * within one chapter are expanded verse by verse; a cross-chapter span is listed under its first
+ * verse, and whole-chapter refs ("Psalm 22") only appear in the book trees.
+ * Refs that do not parse (typological entries such as "Adam") are reported in `unparsed`.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+ProphecyApp.reverseIndex = (function() {
+    // Assumes book_registry.js and reference_parser.js are loaded before this module
+    const _bookRegistry = ProphecyApp.bookRegistry || {};
+    const _referenceParser = ProphecyApp.referenceParser || {};
+
+    /**
+     * Adds a pair to a list once.
+     * @param {Array<object>} list
+     * @param {object} pair
+     */
+    function _addUnique(list, pair) {
+        if (!list.includes(pair)) list.push(pair);
+    }
+
+    /**
+     * Builds an ordered book tree for one side of the pairs.
+     * @param {Array<object>} pairs - Aggregated pairs.
+     * @param {string} refField - 'ot_ref' or 'nt_ref'.
+     * @param {Array<object>} unparsed - Receives {pair, refField} for refs that do not parse.
+     * @returns {Array<{bookId: string, name: string, key: string, pairs: Array<object>, chapters: Array<{chapter: number, key: string, label: string, pairs: Array<object>}>}>}
+     *          - Books in canonical order; chapters ascending.
+     */
+    function _buildBookTree(pairs, refField, unparsed) {
+        const books = new Map(); // bookId -> { record, pairs, chapters: Map }
+        pairs.forEach(pair => {
+            let segments;
+            try {
+                segments = _referenceParser.parseReference(pair[refField]);
+            } catch (error) {
+                unparsed.push({ pair: pair, refField: refField });
+                return;
+            }
+            segments.forEach(segment => {
+                if (!segment.bookId) {
+                    unparsed.push({ pair: pair, refField: refField });
+                    return;
+                }
+                if (!books.has(segment.bookId)) {
+                    books.set(segment.bookId, { record: _bookRegistry.getBookById(segment.bookId), pairs: [], chapters: new Map() });
+                }
+                const book = books.get(segment.bookId);
+                _addUnique(book.pairs, pair);
+                for (let chapter = segment.startChapter; chapter <= segment.endChapter; chapter++) {
+                    if (!book.chapters.has(chapter)) book.chapters.set(chapter, []);
+                    _addUnique(book.chapters.get(chapter), pair);
+                }
+            });
+        });
+
+        return [...books.values()]
+            .sort((a, b) => a.record.order - b.record.order)
+            .map(book => ({
+                bookId: book.record.id,
+                name: book.record.name,
+                key: book.record.id,
+                pairs: book.pairs,
+                chapters: [...book.chapters.keys()].sort((a, b) => a - b).map(chapter => ({
+                    chapter: chapter,
+                    key: `${book.record.id} ${chapter}`,
+                    label: `${book.record.name} ${chapter}`,
+                    pairs: book.chapters.get(chapter)
+                }))
+            }));
+    }
+
+    /**
+     * Groups pairs by each OT verse they cite.
+     * @param {Array<object>} pairs - Aggregated pairs.
+     * @returns {Array<{key: string, label: string, bookId: string, bookName: string, chapter: number, verse: number, pairs: Array<object>}>}
+     *          - Verses in canonical order.
+     */
+    function _buildVerseList(pairs) {
+        const verses = new Map(); // "GEN 3:15" -> entry
+        pairs.forEach(pair => {
+            let segments;
+            try {
+                segments = _referenceParser.parseReference(pair.ot_ref);
+            } catch (error) {
+                return; // Already reported by the OT book tree
+            }
+            segments.forEach(segment => {
+                if (!segment.bookId || segment.startVerse === null) return; // Whole chapters have no single verse
+                const record = _bookRegistry.getBookById(segment.bookId);
+                const lastVerse = (segment.endChapter === segment.startChapter && segment.endVerse !== null) ?
+                                  segment.endVerse : segment.startVerse;
+                for (let verse = segment.startVerse; verse <= lastVerse; verse++) {
+                    const key = `${segment.bookId} ${segment.startChapter}:${verse}`;
+                    if (!verses.has(key)) {
+                        verses.set(key, {
+                            key: key,
+                            label: `${record.name} ${segment.startChapter}:${verse}`,
+                            bookId: segment.bookId,
+                            bookName: record.name,
+                            order: record.order,
+                            chapter: segment.startChapter,
+                            verse: verse,
+                            pairs: []
+                        });
+                    }
+                    _addUnique(verses.get(key).pairs, pair);
+                }
+            });
+        });
+        return [...verses.values()].sort((a, b) => (a.order - b.order) || (a.chapter - b.chapter) || (a.verse - b.verse));
+    }
+
+    /**
+     * Builds all reverse navigation structures.
+     * @param {Array<object>} pairs - Aggregated pairs (see dataFetcher.getAggregatedPairs).
+     * @returns {{ot: Array<object>, nt: Array<object>, verse: Array<object>, unparsed: Array<{pair: object, refField: string}>}}
+     */
+    function build(pairs) {
+        const unparsed = [];
+        const index = {
+            ot: _buildBookTree(pairs, 'ot_ref', unparsed),
+            nt: _buildBookTree(pairs, 'nt_ref', unparsed),
+            verse: _buildVerseList(pairs),
+            unparsed: unparsed
+        };
+        console.log(`REVERSE_INDEX: ${index.ot.length} OT books, ${index.nt.length} NT books, ${index.verse.length} OT verses; ${unparsed.length} refs not indexed.`);
+        return index;
+    }
+
+    /**
+     * Finds a node (book, chapter or verse) by mode and key.
+     * @param {object} index - Result of build.
+     * @param {string} mode - 'ot' | 'nt' | 'verse'.
+     * @param {string} key - e.g. "ISA", "ISA 53", "GEN 3:15".
+     * @returns {{key: string, label: string, pairs: Array<object>} | null}
+     */
+    function findNode(index, mode, key) {
+        if (!index || !index[mode] || mode === 'unparsed') return null;
+        if (mode === 'verse') return index.verse.find(entry => entry.key === key) || null;
+        for (const book of index[mode]) {
+            if (book.key === key) return { key: book.key, label: book.name, pairs: book.pairs };
+            const chapter = book.chapters.find(entry => entry.key === key);
+            if (chapter) return chapter;
+        }
+        return null;
+    }
+
+    // Expose builder and lookup
+    return {
+        build: build,
+        findNode: findNode
+    };
+})();
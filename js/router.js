@@ -0,0 +1,125 @@
+/**
+ * router.js - Hash-based deep links for the selected navigation node and pair.
+ * Route format: #/<mode>/<key>/<ot_ref>~<nt_ref>
+ *   mode "category" (key = category name), "ot" / "nt" (key = "ISA" or "ISA 53"), "verse" (key = "GEN 3:15")
+ *   e.g. #/category/Genesis%20Promises/Genesis%203:15~Galatians%204:4
+ *        #/nt/MAT%202/Micah%205:2~Matthew%202:1
+ * Pairs are identified by their refs, not list position, so links survive manifest reordering.
+ * Uses the History API (pushState/popstate) so back/forward move between selections.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+ProphecyApp.router = (function() {
+    const ROUTE_MODES = ['category', 'ot', 'nt', 'verse'];
+    const PAIR_SEPARATOR = '~';
+
+    let _onRouteChange = null;
+    let _lastHandledHash = null; // Typing a new hash fires both popstate and hashchange; apply it once
+
+    /**
+     * Encodes one route component; colons are left readable ("Genesis%203:15").
+     * @param {string} text
+     * @returns {string}
+     */
+    function _encodeComponent(text) {
+        return encodeURIComponent(text).replace(/%3A/gi, ':');
+    }
+
+    /**
+     * Builds the location hash for a route.
+     * @param {{mode: string, key: string, otRef?: string|null, ntRef?: string|null}} route
+     * @returns {string} - e.g. "#/category/Birth%20%26%20Childhood/Micah%205:2~Matthew%202:6"
+     */
+    function buildHash(route) {
+        if (!route || !route.key || !ROUTE_MODES.includes(route.mode)) return '#/';
+        let hash = `#/${route.mode}/${_encodeComponent(route.key)}`;
+        if (route.otRef && route.ntRef) {
+            hash += '/' + _encodeComponent(route.otRef) + PAIR_SEPARATOR + _encodeComponent(route.ntRef);
+        }
+        return hash;
+    }
+
+    /**
+     * Parses a location hash into a route.
+     * @param {string} hash - e.g. location.hash.
+     * @returns {{mode: string, key: string, otRef: string|null, ntRef: string|null} | null} - null if not a known route.
+     */
+    function parseHash(hash) {
+        const match = typeof hash === 'string' ? hash.match(/^#\/([a-z]+)\/(.*)$/) : null;
+        if (!match || !ROUTE_MODES.includes(match[1])) return null;
+        const parts = match[2].split('/');
+        try {
+            const key = decodeURIComponent(parts[0]);
+            if (!key) return null;
+            let otRef = null;
+            let ntRef = null;
+            if (parts.length > 1 && parts[1].indexOf(PAIR_SEPARATOR) !== -1) {
+                const pairParts = parts[1].split(PAIR_SEPARATOR);
+                otRef = decodeURIComponent(pairParts[0]) || null;
+                ntRef = decodeURIComponent(pairParts[1]) || null;
+            }
+            return { mode: match[1], key: key, otRef: otRef, ntRef: ntRef };
+        } catch (error) {
+            console.warn(`ROUTER: Malformed route "${hash}":`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Records a route in the address bar and session history.
+     * @param {{mode: string, key: string, otRef?: string|null, ntRef?: string|null}} route
+     * @param {boolean} [replace=false] - Replace the current history entry instead of adding one.
+     */
+    function navigate(route, replace = false) {
+        const hash = buildHash(route);
+        if (hash === location.hash) return;
+        _lastHandledHash = hash; // Set first: the file:// fallback below fires hashchange
+        try {
+            if (replace) history.replaceState(null, '', hash);
+            else history.pushState(null, '', hash);
+        } catch (error) {
+            // Pages opened from file:// have an opaque origin and may reject pushState; plain hash navigation still works
+            if (replace) location.replace(hash);
+            else location.hash = hash;
+        }
+        console.log(`ROUTER: ${replace ? 'Replaced' : 'Pushed'} route ${hash}`);
+    }
+
+    /**
+     * Starts listening for back/forward and manually edited hashes.
+     * @param {function(object|null)} onRouteChange - Receives the parsed route (null for the default view).
+     */
+    function start(onRouteChange) {
+        _onRouteChange = onRouteChange;
+        window.removeEventListener('popstate', _handleLocationChange);
+        window.removeEventListener('hashchange', _handleLocationChange);
+        window.addEventListener('popstate', _handleLocationChange);
+        window.addEventListener('hashchange', _handleLocationChange); // Edited address bar
+    }
+
+    /**
+     * Notifies the app of a location change it did not make itself.
+     */
+    function _handleLocationChange() {
+        if (location.hash === _lastHandledHash) return;
+        _lastHandledHash = location.hash;
+        if (_onRouteChange) _onRouteChange(parseHash(location.hash));
+    }
+
+    // Expose routing functions
+    return {
+        buildHash: buildHash,
+        parseHash: parseHash,
+        navigate: navigate,
+        start: start,
+        getCurrentRoute: function() { return parseHash(location.hash); }
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.router;
+}
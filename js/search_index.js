@@ -0,0 +1,189 @@
+/**
+ * search_index.js - Tokenizer and in-memory inverted index for ranked full-text search.
+ * Used on the main thread for the manifest (pair descriptions and refs) and inside
+ * bible_worker.js for verse text. Documents can be added in chunks (see addDocumentsIncrementally)
+ * so building the verse index never blocks other work for long.
+ * Ranking is BM25; documents matching more of the query terms always rank first.
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+ProphecyApp.searchIndex = (function() {
+    // BM25 tuning constants (standard values)
+    const BM25_K1 = 1.2;
+    const BM25_B = 0.75;
+    const MAX_PREFIX_EXPANSIONS = 30; // Limits how many index terms an unfinished last word can match
+
+    /**
+     * Normalizes one word to its index form: lowercase, no diacritics, no possessive "'s", no apostrophes.
+     * @param {string} word
+     * @returns {string} - Empty string if nothing indexable is left.
+     */
+    function normalizeTerm(word) {
+        return word
+            .toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/['’]s$/, '')
+            .replace(/['’]/g, '');
+    }
+
+    /**
+     * Splits text into normalized terms.
+     * @param {string} text
+     * @returns {Array<string>} - Terms in text order (duplicates kept).
+     */
+    function tokenize(text) {
+        if (!text) return [];
+        return String(text)
+            .split(/[^\p{L}\p{N}'’]+/u)
+            .map(normalizeTerm)
+            .filter(term => term.length > 0);
+    }
+
+    /**
+     * Creates an empty inverted index.
+     * Postings are stored per term as parallel arrays of document ids and term frequencies.
+     * @returns {object} - Index with addDocument, search, getDocumentCount.
+     */
+    function createIndex() {
+        const postings = new Map(); // term -> { docIds: [], frequencies: [] }
+        const documentLengths = new Map(); // docId -> weighted term count
+        let totalLength = 0;
+
+        /**
+         * Adds one document.
+         * @param {*} docId - Caller's id (number or string); returned by search.
+         * @param {Array<{text: string, weight?: number}>} fields - Text fields; weight (default 1) scales term frequency.
+         */
+        function addDocument(docId, fields) {
+            const frequencies = new Map();
+            let length = 0;
+            fields.forEach(field => {
+                const weight = field.weight || 1;
+                tokenize(field.text).forEach(term => {
+                    frequencies.set(term, (frequencies.get(term) || 0) + weight);
+                    length += weight;
+                });
+            });
+            frequencies.forEach((frequency, term) => {
+                let posting = postings.get(term);
+                if (!posting) {
+                    posting = { docIds: [], frequencies: [] };
+                    postings.set(term, posting);
+                }
+                posting.docIds.push(docId);
+                posting.frequencies.push(frequency);
+            });
+            documentLengths.set(docId, length);
+            totalLength += length;
+        }
+
+        /**
+         * Expands the last query word to index terms it is a prefix of ("prophe" -> "prophet", "prophecy", ...).
+         * @param {string} prefix
+         * @returns {Array<string>}
+         */
+        function _expandPrefix(prefix) {
+            const expansions = [];
+            if (prefix.length < 2) return expansions;
+            for (const term of postings.keys()) {
+                if (term !== prefix && term.startsWith(prefix)) {
+                    expansions.push(term);
+                    if (expansions.length >= MAX_PREFIX_EXPANSIONS) break;
+                }
+            }
+            return expansions;
+        }
+
+        /**
+         * Ranked search.
+         * @param {string} query - Free text; the last word also matches as a prefix.
+         * @param {number} [limit=50] - Maximum results.
+         * @returns {{results: Array<{docId: *, score: number, matchedTerms: Array<string>}>, total: number}}
+         *          - Best results first; total counts every matching document.
+         */
+        function search(query, limit = 50) {
+            const queryTerms = [...new Set(tokenize(query))];
+            const documentCount = documentLengths.size;
+            if (queryTerms.length === 0 || documentCount === 0) return { results: [], total: 0 };
+            const averageLength = totalLength / documentCount;
+
+            const hits = new Map(); // docId -> { score, matchedQueryTerms: Set, matchedTerms: Set }
+            queryTerms.forEach((queryTerm, position) => {
+                const candidates = [queryTerm];
+                if (position === queryTerms.length - 1) candidates.push(..._expandPrefix(queryTerm));
+                candidates.forEach(term => {
+                    const posting = postings.get(term);
+                    if (!posting) return;
+                    const idf = Math.log(1 + (documentCount - posting.docIds.length + 0.5) / (posting.docIds.length + 0.5));
+                    const termWeight = term === queryTerm ? 1 : 0.5; // Whole words beat prefix matches
+                    posting.docIds.forEach((docId, i) => {
+                        const frequency = posting.frequencies[i];
+                        const lengthNorm = 1 - BM25_B + BM25_B * (documentLengths.get(docId) / averageLength);
+                        const termScore = termWeight * idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+                        let hit = hits.get(docId);
+                        if (!hit) {
+                            hit = { score: 0, matchedQueryTerms: new Set(), matchedTerms: new Set() };
+                            hits.set(docId, hit);
+                        }
+                        hit.score += termScore;
+                        hit.matchedQueryTerms.add(queryTerm);
+                        hit.matchedTerms.add(term);
+                    });
+                });
+            });
+
+            const ranked = [...hits.entries()].sort((a, b) =>
+                (b[1].matchedQueryTerms.size - a[1].matchedQueryTerms.size) || (b[1].score - a[1].score));
+            return {
+                results: ranked.slice(0, limit).map(([docId, hit]) => ({
+                    docId: docId,
+                    score: Math.round(hit.score * 1000) / 1000,
+                    matchedTerms: [...hit.matchedTerms]
+                })),
+                total: ranked.length
+            };
+        }
+
+        return {
+            addDocument: addDocument,
+            search: search,
+            getDocumentCount: function() { return documentLengths.size; }
+        };
+    }
+
+    /**
+     * Adds documents to an index in chunks, yielding to the event loop between chunks
+     * so other messages (verse lookups, UI events) are handled while a large index builds.
+     * @param {object} index - From createIndex.
+     * @param {Array<{docId: *, fields: Array<object>}>} documents
+     * @param {function(number, number)} [onProgress] - Called with (added, total) after each chunk.
+     * @param {number} [chunkSize=2000]
+     * @returns {Promise<void>}
+     */
+    async function addDocumentsIncrementally(index, documents, onProgress, chunkSize = 2000) {
+        for (let start = 0; start < documents.length; start += chunkSize) {
+            const end = Math.min(start + chunkSize, documents.length);
+            for (let i = start; i < end; i++) {
+                index.addDocument(documents[i].docId, documents[i].fields);
+            }
+            if (onProgress) onProgress(end, documents.length);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    // Expose tokenizer and index factory
+    return {
+        normalizeTerm: normalizeTerm,
+        tokenize: tokenize,
+        createIndex: createIndex,
+        addDocumentsIncrementally: addDocumentsIncrementally
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.searchIndex;
+}
@@ -0,0 +1,198 @@
+/**
+ * text_compare.js - Wording shared by a prophecy and its fulfillment: tokenizes both texts, reduces the
+ * words to rough stems ("coming", "comes", "cometh" -> "com") and leaves out stop words ("the", "of", "unto"),
+ * then finds the content words both passages use and the phrases they share word for word.
+ * The similarity score is the share of the shorter passage's distinct content words that the other passage
+ * also uses (overlap coefficient), so a quotation embedded in a longer NT passage still scores high.
+ * segmentText splits any verse text into highlighted and plain runs for the detail view (ui_manager.js).
+ * Part of ProphecyApp namespace.
+ */
+
+// Initialize the namespace object if it doesn't exist
+var ProphecyApp = ProphecyApp || {};
+
+ProphecyApp.textCompare = (function() {
+    // Words too common to show that a passage echoes another; archaic forms cover older translations
+    const STOP_WORDS = new Set([
+        'a', 'an', 'the', 'and', 'or', 'but', 'nor', 'so', 'yet', 'for', 'of', 'to', 'in', 'on', 'at', 'by',
+        'from', 'with', 'into', 'onto', 'upon', 'unto', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+        'am', 'will', 'shall', 'would', 'should', 'may', 'might', 'can', 'could', 'must', 'do', 'does', 'did',
+        'have', 'has', 'had', 'not', 'no', 'this', 'that', 'these', 'those', 'it', 'its', 'he', 'him', 'his',
+        'she', 'her', 'hers', 'they', 'them', 'their', 'we', 'us', 'our', 'you', 'your', 'i', 'me', 'my', 'mine',
+        'who', 'whom', 'whose', 'which', 'what', 'there', 'then', 'than', 'all', 'also', 'when', 'where', 'if',
+        'thee', 'thou', 'thy', 'thine', 'ye', 'hath', 'doth', 'shalt', 'wilt', 'art', 'saith', 'said', 'say',
+        'says', 'saying', 'behold', 'now', 'very', 'even'
+    ]);
+    const WORD_PATTERN = /\p{L}+(?:['’]\p{L}+)*/gu; // Verse numbers and punctuation are not words
+    const MIN_PHRASE_WORDS = 3; // Shorter runs ("of the Lord") are too common to count as quoted phrases
+    // Similarity at or above which a pair counts as a quotation, or as sharing wording; below it is an allusion
+    const QUOTATION_SCORE = 0.4;
+    const SHARED_WORDING_SCORE = 0.3;
+
+    /**
+     * Reduces a lowercase word to a rough stem: plural/possessive endings, -ing, -ed, -eth and a final "e"
+     * are removed, so inflections of one word compare equal. Not a dictionary stemmer; stems need not be words.
+     * @param {string} word - Lowercase.
+     * @returns {string}
+     */
+    function stem(word) {
+        let stemmed = word.replace(/['’]s$/, '').replace(/['’]/g, '');
+        if (stemmed.length <= 3) return stemmed;
+        if (/ies$/.test(stemmed) && stemmed.length > 4) stemmed = stemmed.slice(0, -3) + 'y';
+        else if (/sses$/.test(stemmed)) stemmed = stemmed.slice(0, -2);
+        else if (/(?:[sxz]|ch|sh)es$/.test(stemmed)) stemmed = stemmed.slice(0, -2);
+        else if (/[^su]s$/.test(stemmed)) stemmed = stemmed.slice(0, -1); // Not "is", "us", "ss"
+        const suffix = ['ing', 'eth', 'ed'].find(ending => stemmed.endsWith(ending) && stemmed.length - ending.length >= 3);
+        if (suffix) {
+            stemmed = stemmed.slice(0, -suffix.length);
+            if (/([^aeiouylsz])\1$/.test(stemmed)) stemmed = stemmed.slice(0, -1); // "running" -> "run"
+        }
+        if (stemmed.length > 3 && stemmed.endsWith('e')) stemmed = stemmed.slice(0, -1);
+        return stemmed;
+    }
+
+    /**
+     * Splits a text into words.
+     * @param {string} text
+     * @returns {Array<{text: string, start: number, end: number, stem: string, stop: boolean}>}
+     *          - start/end are offsets into text; stop marks stop words.
+     */
+    function tokenize(text) {
+        const tokens = [];
+        for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+            const word = match[0].toLowerCase();
+            tokens.push({
+                text: match[0],
+                start: match.index,
+                end: match.index + match[0].length,
+                stem: stem(word),
+                stop: STOP_WORDS.has(word.replace(/['’]/g, ''))
+            });
+        }
+        return tokens;
+    }
+
+    /**
+     * Finds the word runs two token lists share (longest common substrings of their stems), at least
+     * MIN_PHRASE_WORDS long and with one content word. Each run is reported once, however often it recurs.
+     * @param {Array<object>} first - Tokens (tokenize).
+     * @param {Array<object>} second - Tokens (tokenize).
+     * @param {string} secondText - The text second was made from (the phrases are quoted from it).
+     * @returns {Array<{stems: Array<string>, text: string}>} - Longest first.
+     */
+    function _sharedPhrases(first, second, secondText) {
+        const phrases = new Map(); // Stems joined -> phrase
+        const record = (firstEnd, secondEnd, length) => { // Exclusive end indexes
+            const tokens = first.slice(firstEnd - length, firstEnd);
+            if (tokens.every(token => token.stop)) return;
+            const stems = tokens.map(token => token.stem);
+            const key = stems.join(' ');
+            if (!phrases.has(key)) {
+                phrases.set(key, { stems: stems, text: secondText.slice(second[secondEnd - length].start, second[secondEnd - 1].end) });
+            }
+        };
+        // Run lengths ending at each column, one row at a time; a run is recorded where it stops growing
+        let previous = new Int32Array(second.length + 1);
+        for (let i = 1; i <= first.length; i++) {
+            const current = new Int32Array(second.length + 1);
+            for (let j = 1; j <= second.length; j++) {
+                if (first[i - 1].stem === second[j - 1].stem) current[j] = previous[j - 1] + 1;
+            }
+            for (let j = 1; j <= second.length; j++) {
+                if (previous[j] >= MIN_PHRASE_WORDS && !(j < second.length && current[j + 1] === previous[j] + 1)) record(i - 1, j, previous[j]);
+            }
+            previous = current;
+        }
+        for (let j = 1; j <= second.length; j++) {
+            if (previous[j] >= MIN_PHRASE_WORDS) record(first.length, j, previous[j]);
+        }
+        return [...phrases.values()].sort((a, b) => b.stems.length - a.stems.length);
+    }
+
+    /**
+     * Compares the wording of a prophecy and its fulfillment.
+     * @param {string} otText - e.g. from dataFetcher.getVerseText.
+     * @param {string} ntText
+     * @returns {{sharedStems: Array<string>, sharedWords: Array<string>, phrases: Array<{stems: Array<string>, text: string}>,
+     *           score: number, otWordCount: number, ntWordCount: number}} - sharedStems are the content-word stems both
+     *           use, sharedWords the same words as first written in the NT text; phrases are quoted from the NT text;
+     *           score is 0 to 1; word counts are distinct content stems.
+     */
+    function compareTexts(otText, ntText) {
+        const otTokens = tokenize(otText);
+        const ntTokens = tokenize(ntText);
+        const contentStems = tokens => new Set(tokens.filter(token => !token.stop).map(token => token.stem));
+        const otStems = contentStems(otTokens);
+        const ntStems = contentStems(ntTokens);
+        const sharedStems = [...otStems].filter(value => ntStems.has(value));
+        const shorter = Math.min(otStems.size, ntStems.size);
+        return {
+            sharedStems: sharedStems,
+            sharedWords: sharedStems.map(value => ntTokens.find(token => token.stem === value && !token.stop).text),
+            phrases: _sharedPhrases(otTokens, ntTokens, String(ntText || '')),
+            score: shorter === 0 ? 0 : sharedStems.length / shorter,
+            otWordCount: otStems.size,
+            ntWordCount: ntStems.size
+        };
+    }
+
+    /**
+     * How closely a pair's wording matches, for grouping the reference list.
+     * @param {number} score - From compareTexts.
+     * @returns {string} - 'quotation' | 'shared' | 'allusion'.
+     */
+    function classifyScore(score) {
+        if (score >= QUOTATION_SCORE) return 'quotation';
+        return score >= SHARED_WORDING_SCORE ? 'shared' : 'allusion';
+    }
+
+    /**
+     * Splits a text into runs to highlight: words of a shared phrase ('phrase', with the spaces between them),
+     * other shared content words ('word'), and everything else (''). Joined, the runs give the text back.
+     * @param {string} text - One verse, in either passage or translation.
+     * @param {{sharedStems: Array<string>, phrases: Array<{stems: Array<string>}>}} comparison - From compareTexts.
+     * @returns {Array<{text: string, match: string}>}
+     */
+    function segmentText(text, comparison) {
+        const source = String(text || '');
+        const tokens = tokenize(source);
+        const shared = new Set(comparison.sharedStems);
+        const inPhrase = new Array(tokens.length).fill(false);
+        comparison.phrases.forEach(phrase => {
+            for (let i = 0; i + phrase.stems.length <= tokens.length; i++) {
+                if (phrase.stems.every((value, offset) => tokens[i + offset].stem === value)) inPhrase.fill(true, i, i + phrase.stems.length);
+            }
+        });
+
+        const segments = [];
+        const push = (segmentText, match) => {
+            if (!segmentText) return;
+            const last = segments[segments.length - 1];
+            if (last && last.match === match) last.text += segmentText;
+            else segments.push({ text: segmentText, match: match });
+        };
+        let position = 0;
+        tokens.forEach((token, index) => {
+            const gap = source.slice(position, token.start);
+            push(gap, inPhrase[index] && index > 0 && inPhrase[index - 1] && !/[.;:!?]/.test(gap) ? 'phrase' : ''); // Phrases stop at sentence breaks
+            push(token.text, inPhrase[index] ? 'phrase' : (!token.stop && shared.has(token.stem) ? 'word' : ''));
+            position = token.end;
+        });
+        push(source.slice(position), '');
+        return segments;
+    }
+
+    // Expose comparison functions
+    return {
+        stem: stem,
+        tokenize: tokenize,
+        compareTexts: compareTexts,
+        classifyScore: classifyScore,
+        segmentText: segmentText
+    };
+})();
+
+// Node (test/, tools/): export without a DOM; browsers and workers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.textCompare;
+}
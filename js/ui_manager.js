@@ -7,6 +7,11 @@
 // Initialize the namespace object if it doesn't exist
 var ProphecyApp = ProphecyApp || {};
 
+// Node (test/): load i18n.js, which browsers get from an earlier <script> tag (tests supply a stand-in document)
+if (typeof module !== 'undefined' && module.exports) {
+    ProphecyApp.i18n = ProphecyApp.i18n || require('./i18n.js');
+}
+
 ProphecyApp.uiManager = (function() {
     // --- DOM Element References (Assuming they exist in HTML) ---
     const categoryNavContainerUI = document.getElementById('category-nav-container');
@@ -19,24 +24,203 @@ ProphecyApp.uiManager = (function() {
     const categoryElementUI = document.getElementById('prophecy-category');
     const descriptionElementUI = document.getElementById('prophecy-description');
     const loadingIndicatorUI = document.getElementById('loading-indicator');
+    const loadingTextElementUI = document.getElementById('loading-text');
+    const loadingProgressElementUI = document.getElementById('loading-progress');
     const errorMessageElementUI = document.getElementById('error-message');
     const prophecyContentElementUI = document.getElementById('prophecy-content');
     const translationNameElementUI = document.getElementById('translation-name'); // Added for translation
+    const translationSelectElementUI = document.getElementById('translation-select');
+    const parallelControlsElementUI = document.getElementById('parallel-controls');
+    const cacheUsageElementUI = document.getElementById('cache-usage');
+    const clearCacheButtonUI = document.getElementById('clear-cache-button');
+    const offlineIndicatorUI = document.getElementById('offline-indicator');
+    const updateBannerUI = document.getElementById('update-banner');
+    const searchInputElementUI = document.getElementById('search-input');
+    const searchStatusElementUI = document.getElementById('search-status');
+    const searchResultsElementUI = document.getElementById('search-results');
+    const navModeTabsElementUI = document.getElementById('nav-mode-tabs');
+    const referenceNavContainerUI = document.getElementById('reference-nav-container');
+    const validationReportElementUI = document.getElementById('validation-report');
+    const validationSummaryElementUI = document.getElementById('validation-summary');
+    const validationDetailsButtonUI = document.getElementById('validation-details-button');
+    const validationIssuesElementUI = document.getElementById('validation-issues');
+    const pairActionsElementUI = document.getElementById('pair-actions');
+    const detailAnnouncerUI = document.getElementById('detail-announcer');
+    const pairNotesElementUI = document.getElementById('pair-notes');
+    const bookmarkButtonUI = document.getElementById('bookmark-button');
+    const highlightSelectUI = document.getElementById('highlight-select');
+    const compareButtonUI = document.getElementById('compare-button');
+    const comparisonSummaryUI = document.getElementById('comparison-summary');
+    const notesPreviewElementUI = document.getElementById('notes-preview');
+    const notesEditorElementUI = document.getElementById('notes-editor');
+    const notesTextareaUI = document.getElementById('notes-textarea');
+    const notesEditButtonUI = document.getElementById('notes-edit-button');
+    const notesStatusElementUI = document.getElementById('notes-status');
+    const exportButtonUI = document.getElementById('export-button');
+    const exportStatusElementUI = document.getElementById('export-status');
+    const manifestEditorElementUI = document.getElementById('manifest-editor');
+    const manifestEditorButtonUI = document.getElementById('manifest-editor-button');
+    const editorCategoryListUI = document.getElementById('editor-category-list');
+    const editorPairsHeadingUI = document.getElementById('editor-pairs-heading');
+    const editorPairListUI = document.getElementById('editor-pair-list');
+    const editorPairFormUI = document.getElementById('editor-pair-form');
+    const editorOtRefInputUI = document.getElementById('editor-ot-ref');
+    const editorNtRefInputUI = document.getElementById('editor-nt-ref');
+    const editorDescriptionInputUI = document.getElementById('editor-description');
+    const editorPairIssuesUI = document.getElementById('editor-pair-issues');
+    const editorOtPreviewUI = document.getElementById('editor-ot-preview');
+    const editorNtPreviewUI = document.getElementById('editor-nt-preview');
+    const editorAddPairButtonUI = document.getElementById('editor-add-pair-button');
+    const editorStatusElementUI = document.getElementById('manifest-editor-status');
+    const settingsPanelElementUI = document.getElementById('settings-panel');
+    const settingsButtonUI = document.getElementById('settings-button');
+    const manifestSourceListUI = document.getElementById('manifest-source-list');
+    const manifestSourcesStatusElementUI = document.getElementById('manifest-sources-status');
+    const sourceLineElementUI = document.getElementById('prophecy-source-line');
+    const sourceElementUI = document.getElementById('prophecy-source');
+    const graphViewElementUI = document.getElementById('graph-view');
+    const graphViewButtonUI = document.getElementById('graph-view-button');
+    const graphCanvasElementUI = document.getElementById('graph-canvas');
+    const graphSummaryElementUI = document.getElementById('graph-summary');
+    const graphLegendListUI = document.getElementById('graph-legend-list');
+    const graphLevelSelectUI = document.getElementById('graph-level-select');
+    const graphTypeTabsUI = document.getElementById('graph-type-tabs');
+    const graphLevelControlUI = document.getElementById('graph-level-control');
+    const graphHelpElementUI = document.getElementById('graph-help');
+    const arcPreviewElementUI = document.getElementById('arc-preview');
+    const quizViewElementUI = document.getElementById('quiz-view');
+    const quizViewButtonUI = document.getElementById('quiz-view-button');
+    const quizMasteryElementUI = document.getElementById('quiz-mastery');
+    const quizSetupFormUI = document.getElementById('quiz-setup');
+    const quizScopeCategoryOptionUI = document.getElementById('quiz-scope-category');
+    const quizQuestionElementUI = document.getElementById('quiz-question');
+    const quizCounterElementUI = document.getElementById('quiz-counter');
+    const quizPromptElementUI = document.getElementById('quiz-prompt');
+    const quizPromptTextElementUI = document.getElementById('quiz-prompt-text');
+    const quizChoicesElementUI = document.getElementById('quiz-choices');
+    const quizTypedFormUI = document.getElementById('quiz-typed-form');
+    const quizTypedInputUI = document.getElementById('quiz-typed-input');
+    const quizFeedbackElementUI = document.getElementById('quiz-feedback');
+    const quizNextButtonUI = document.getElementById('quiz-next');
+    const quizSummaryElementUI = document.getElementById('quiz-summary');
+    const planViewElementUI = document.getElementById('plan-view');
+    const planViewButtonUI = document.getElementById('plan-view-button');
+    const planStatusElementUI = document.getElementById('plan-status');
+    const planSourceLabelUI = document.getElementById('plan-source-label');
+    const planNameInputUI = document.getElementById('plan-name');
+    const planListElementUI = document.getElementById('plan-list');
+    const presentationBarUI = document.getElementById('presentation-bar');
+    const presentationLabelUI = document.getElementById('presentation-label');
+    const presentationCounterUI = document.getElementById('presentation-counter');
+    const presentationProgressUI = document.getElementById('presentation-progress');
+    const presentationNotesUI = document.getElementById('presentation-notes');
+    const languageSelectUI = document.getElementById('language-select');
+
+    // Primary + up to two parallel translations side by side
+    const MAX_PARALLEL_TRANSLATIONS = 2;
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const GRAPH_LABEL_GAP = 6; // Between a bar and its label, in SVG units
+    const GRAPH_MAX_ZOOM = 8; // Relative to the fitted view
+    const GRAPH_MIN_ZOOM = 0.25;
+    const GRAPH_HELP = { network: 'graph.helpNetwork', arcs: 'graph.helpArcs' }; // i18n.js message keys
+    const ARC_LABEL_MIN_WIDTH = 8; // Books narrower than this (SVG units) are labelled by their tooltip only
+    const ARC_PREVIEW_OFFSET_PX = 14; // Between the pointer and the preview box
+
+    // Current status set by updateStatusUI (background Bible loading does not block the view)
+    let _statusIsLoading = false;
+    let _statusError = null;
+
+    // Refs of the pair last announced through the live region (refreshes of the same pair are not announced again)
+    let _announcedRefs = null;
+
+    // Graph view: the drawn SVG and its visible area (zoom/pan change the viewBox, not the drawing)
+    let _graphSvg = null;
+    let _graphSize = null; // { width, height } of the drawing
+    let _graphViewBox = null; // { x, y, width, height } currently shown
+
+    /**
+     * A message in the interface language (i18n.js).
+     * @param {string} key - Catalog key.
+     * @param {object} [params] - Placeholder values.
+     * @returns {string}
+     */
+    function _t(key, params) {
+        return ProphecyApp.i18n ? ProphecyApp.i18n.t(key, params) : key;
+    }
+
+    /**
+     * A manifest reference with its book names in the interface language, for display only
+     * (data attributes keep the manifest's wording).
+     * @param {string} ref
+     * @returns {string}
+     */
+    function _formatRef(ref) {
+        return ProphecyApp.i18n && ref ? ProphecyApp.i18n.formatReference(ref) : ref;
+    }
+
+    /**
+     * Label of a category list entry: the built-in "All Categories" in the interface language, others as named.
+     * @param {string} name
+     * @returns {string}
+     */
+    function _categoryLabel(name) {
+        return name === "All Categories" ? _t('nav.allCategories') : name;
+    }
 
     // --- Public Functions ---
+    /**
+     * Sets the page language and writing direction, translates every element marked in index.html
+     * (data-i18n: text; data-i18n-placeholder, -title, -aria-label: attributes; data-i18n-count: plural count)
+     * and fills the language selector. Text built by scripts is translated when it is next rendered.
+     * @param {string} language - Catalog code (i18n.getLanguage).
+     * @param {string} direction - 'ltr' | 'rtl'.
+     * @param {Array<{code: string, name: string}>} languages - Offered in the selector.
+     */
+    function applyLanguageUI(language, direction, languages) {
+        document.documentElement.lang = language;
+        document.documentElement.dir = direction;
+        const attributes = { i18nPlaceholder: 'placeholder', i18nTitle: 'title', i18nAriaLabel: 'aria-label' };
+        document.querySelectorAll('[data-i18n], [data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]').forEach(element => {
+            const params = element.dataset.i18nCount ? { count: Number(element.dataset.i18nCount) } : {};
+            if (element.dataset.i18n) element.textContent = _t(element.dataset.i18n, params);
+            Object.keys(attributes).forEach(name => {
+                if (element.dataset[name]) element.setAttribute(attributes[name], _t(element.dataset[name], params));
+            });
+        });
+        if (languageSelectUI) {
+            languageSelectUI.innerHTML = '';
+            languages.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.code;
+                option.textContent = entry.name;
+                option.lang = entry.code; // Each name is written in its own language
+                option.selected = entry.code === language;
+                languageSelectUI.appendChild(option);
+            });
+        }
+        console.log(`UI_MGR: Interface language is ${language} (${direction}).`);
+    }
+
     /**
      * Updates the visibility and content of status UI elements.
+     * Also refreshes the offline indicator, since errors while offline usually mean "not cached yet".
      * @param {boolean} isLoading - Is data loading/parsing?
      * @param {string|null} error - An error message string, or null if no error.
-     * @param {string} loadingText - Text for loading indicator.
+     * @param {string} [loadingText] - Text for loading indicator (defaults to "Loading..." in the interface language).
      */
-    function updateStatusUI(isLoading, error = null, loadingText = "Loading...") {
+    function updateStatusUI(isLoading, error = null, loadingText = null) {
         console.log(`UI_MGR: Updating Status UI: isLoading=${isLoading}, error=${error}`);
         if (!loadingIndicatorUI || !errorMessageElementUI || !prophecyContentElementUI) {
             console.error("UI_MGR: Status UI elements not found! Cannot update status."); return;
         }
 
-        loadingIndicatorUI.textContent = loadingText;
+        _statusIsLoading = isLoading;
+        _statusError = error;
+
+        if (loadingTextElementUI) loadingTextElementUI.textContent = loadingText || _t('status.loading');
+        if (loadingProgressElementUI) loadingProgressElementUI.hidden = true; // Blocking loads have no measurable progress
+        loadingIndicatorUI.classList.remove('background-load');
         loadingIndicatorUI.style.display = isLoading ? 'block' : 'none';
 
         errorMessageElementUI.textContent = error || '';
@@ -48,124 +232,582 @@ ProphecyApp.uiManager = (function() {
         if (categoryNavContainerUI) categoryNavContainerUI.style.opacity = opacity;
         if (prophecyListElementUI) prophecyListElementUI.style.opacity = opacity;
 
-        if (error && prophecyListElementUI) { prophecyListElementUI.innerHTML = '<li>Error state.</li>'; }
+        if (error && prophecyListElementUI) { prophecyListElementUI.innerHTML = `<li>${_t('list.error')}</li>`; }
         // Also update translation name element on error/loading
         if (translationNameElementUI) {
              // Display placeholder during loading or error states
-             translationNameElementUI.textContent = isLoading ? "[Loading...]" : (error ? "[N/A]" : translationNameElementUI.textContent);
+             translationNameElementUI.textContent = isLoading ? _t('footer.translationLoading') :
+                 (error ? _t('footer.translationUnavailable') : translationNameElementUI.textContent);
+        }
+        updateConnectivityUI();
+    }
+
+    /**
+     * Shows or hides the offline indicator in the header.
+     * @param {boolean} [isOnline] - Defaults to navigator.onLine.
+     */
+    function updateConnectivityUI(isOnline = navigator.onLine !== false) {
+        if (!offlineIndicatorUI) return;
+        offlineIndicatorUI.hidden = isOnline;
+        document.body.classList.toggle('is-offline', !isOnline);
+    }
+
+    /**
+     * Shows the "New content available" banner with its Reload button.
+     */
+    function showUpdateBannerUI() {
+        if (updateBannerUI) updateBannerUI.hidden = false;
+    }
+
+    /**
+     * Formats a byte count for progress text (e.g., "1.4 MB").
+     * @param {number} bytes - Byte count.
+     * @returns {string}
+     */
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Shows Bible data download/index progress in the loading indicator.
+     * Unlike updateStatusUI(true), this does not hide the detail view or dim the lists.
+     * @param {object | null} progress - {translationId, phase: 'download'|'index', loaded, total}, or null to hide.
+     */
+    function updateLoadProgressUI(progress) {
+        if (!loadingIndicatorUI || !loadingTextElementUI || !loadingProgressElementUI) return;
+        if (!progress) {
+            loadingProgressElementUI.hidden = true;
+            loadingIndicatorUI.classList.remove('background-load');
+            if (!_statusIsLoading) loadingIndicatorUI.style.display = 'none';
+            return;
+        }
+
+        let fraction = null; // null = indeterminate bar
+        if (progress.phase === 'download') {
+            const params = { translation: progress.translationId, loaded: formatBytes(progress.loaded), total: formatBytes(progress.total || 0) };
+            loadingTextElementUI.textContent = _t(progress.total ? 'status.downloadingOf' : 'status.downloading', params);
+            if (progress.total) fraction = Math.min(progress.loaded / progress.total, 1);
+        } else {
+            loadingTextElementUI.textContent = _t('status.indexing', { translation: progress.translationId, loaded: progress.loaded, total: progress.total });
+            fraction = progress.total ? progress.loaded / progress.total : null;
         }
+
+        if (fraction === null) { loadingProgressElementUI.removeAttribute('value'); }
+        else { loadingProgressElementUI.value = fraction; }
+        loadingProgressElementUI.hidden = false;
+        loadingIndicatorUI.classList.add('background-load');
+        loadingIndicatorUI.style.display = 'block';
     }
 
     /**
      * Populates the category navigation UI (assumes UL inside container).
      * @param {Array} categoriesData - Array of category objects from manifest.
+     * @param {object} [options]
+     * @param {{name: string, count: number} | null} [options.bookmarks] - Adds the bookmarks pseudo-category after "All Categories".
+     * @param {{added: Array<string>, extended: Array<string>}} [options.customNames] - Categories created or extended in the manifest editor (marked).
      */
-    function processCategoriesUI(categoriesData) { // Removed categoryClickHandler - listeners attached elsewhere
+    function processCategoriesUI(categoriesData, options = {}) { // Removed categoryClickHandler - listeners attached elsewhere
          if (!categoryNavContainerUI) { console.error("UI_MGR: Category nav container not found."); return; }
         // Find or create the UL element for categories
         let catList = document.getElementById('category-list');
         if (!catList) {
             catList = document.createElement('ul'); catList.id = 'category-list';
+            catList.setAttribute('role', 'listbox'); catList.setAttribute('aria-label', _t('nav.categories'));
+            catList.setAttribute('tabindex', '-1'); // Takes focus if its focused option disappears
             categoryNavContainerUI.innerHTML = ''; // Clear placeholder
             categoryNavContainerUI.appendChild(catList);
-        } else { catList.innerHTML = ''; } // Clear existing items if any
+        }
+        const focused = _getFocusedOptionUI(catList, 'categoryName');
+        catList.innerHTML = ''; // Clear existing items if any
 
-        if (!categoriesData || categoriesData.length === 0) { catList.innerHTML = '<li>No categories loaded.</li>'; return; }
+        catList.setAttribute('aria-label', _t('nav.categories')); // The list outlives a language change
+        if (!categoriesData || categoriesData.length === 0) { catList.innerHTML = `<li>${_t('nav.noCategories')}</li>`; return; }
 
         // Create list items for each category
         categoriesData.forEach(category => {
             const listItem = document.createElement('li');
-            listItem.textContent = category.name;
+            listItem.textContent = _categoryLabel(category.name);
             listItem.dataset.categoryName = category.name; // Needed by event handler
-            listItem.setAttribute('role', 'button'); listItem.setAttribute('tabindex', '0');
+            listItem.setAttribute('role', 'option'); listItem.setAttribute('tabindex', '-1'); // Tab stop set below
+            if (options.customNames && options.customNames.added.includes(category.name)) {
+                listItem.classList.add('custom-category');
+                listItem.title = _t('nav.customAdded');
+            } else if (options.customNames && options.customNames.extended.includes(category.name)) {
+                listItem.classList.add('custom-category');
+                listItem.title = _t('nav.customExtended');
+            }
             // Event listeners attached by event_handler.js
             catList.appendChild(listItem);
         });
+        if (options.bookmarks) {
+            // Not a manifest category: lists the pairs bookmarked in this browser (notes_store.js)
+            const bookmarksItem = document.createElement('li');
+            bookmarksItem.className = 'pseudo-category';
+            bookmarksItem.textContent = `★ ${_t('nav.bookmarks')} (${options.bookmarks.count})`;
+            bookmarksItem.dataset.categoryName = options.bookmarks.name;
+            bookmarksItem.setAttribute('role', 'option'); bookmarksItem.setAttribute('tabindex', '-1');
+            const allItem = catList.querySelector('li[data-category-name="All Categories"]');
+            catList.insertBefore(bookmarksItem, allItem ? allItem.nextSibling : catList.firstChild);
+        }
+        _setListTabStopUI(catList, catList.querySelector('[role="option"]'));
+        _restoreOptionFocusUI(catList, 'categoryName', focused);
         console.log("UI_MGR: Category UI elements created.");
     }
 
+    /**
+     * Shows the sidebar panel for a navigation mode and marks its tab as selected.
+     * @param {string} mode - 'category' | 'ot' | 'nt' | 'verse'.
+     */
+    function showNavModeUI(mode) {
+        if (navModeTabsElementUI) {
+            navModeTabsElementUI.querySelectorAll('[data-nav-mode]').forEach(tab => {
+                const isActive = tab.dataset.navMode === mode;
+                tab.classList.toggle('active', isActive);
+                tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            });
+        }
+        if (categoryNavContainerUI) categoryNavContainerUI.hidden = mode !== 'category';
+        if (referenceNavContainerUI) referenceNavContainerUI.hidden = mode === 'category';
+    }
+
+    /**
+     * Creates a selectable reverse-index node; the event handler reads data-nav-key.
+     * @param {string} key - Node key.
+     * @param {string} text - Label.
+     * @param {number} pairCount - Shown after the label.
+     * @returns {HTMLElement}
+     */
+    function _createNavNode(key, text, pairCount) {
+        const node = document.createElement('span');
+        node.className = 'tree-label';
+        node.dataset.navKey = key;
+        node.textContent = `${text} (${pairCount})`;
+        node.setAttribute('role', 'button'); node.setAttribute('tabindex', '0');
+        return node;
+    }
+
+    /**
+     * Renders a reverse-index view into the sidebar:
+     * 'ot' / 'nt' as a collapsible book -> chapter tree, 'verse' as OT verses grouped by book.
+     * @param {string} mode - 'ot' | 'nt' | 'verse'.
+     * @param {object} reverseIndex - Result of reverseIndex.build.
+     */
+    function renderReferenceNavUI(mode, reverseIndex) {
+        if (!referenceNavContainerUI) { console.error("UI_MGR: Reference nav container not found."); return; }
+        referenceNavContainerUI.innerHTML = '';
+        referenceNavContainerUI.dataset.navMode = mode;
+        const tree = document.createElement('ul');
+        tree.className = 'reference-tree';
+        referenceNavContainerUI.appendChild(tree);
+        const nodes = reverseIndex ? reverseIndex[mode] : null;
+        if (!nodes || nodes.length === 0) {
+            tree.innerHTML = `<li>${_t('nav.noReferences')}</li>`;
+            return;
+        }
+
+        // Book names in the interface language; the node keys stay book ids
+        const bookLabel = (bookId, name) => (ProphecyApp.i18n && ProphecyApp.i18n.bookName(bookId)) || name;
+        if (mode === 'verse') {
+            let previousBook = null;
+            nodes.forEach(entry => {
+                const name = bookLabel(entry.bookId, entry.bookName);
+                if (entry.bookName !== previousBook) {
+                    const headingItem = document.createElement('li');
+                    headingItem.className = 'list-group-heading';
+                    headingItem.textContent = name;
+                    tree.appendChild(headingItem);
+                    previousBook = entry.bookName;
+                }
+                const listItem = document.createElement('li');
+                listItem.appendChild(_createNavNode(entry.key, `${name} ${entry.chapter}:${entry.verse}`, entry.pairs.length));
+                tree.appendChild(listItem);
+            });
+        } else {
+            nodes.forEach(book => {
+                const name = bookLabel(book.bookId, book.name);
+                const bookItem = document.createElement('li');
+                bookItem.className = 'tree-book';
+                const toggle = document.createElement('button');
+                toggle.type = 'button';
+                toggle.className = 'tree-toggle';
+                toggle.setAttribute('aria-expanded', 'false');
+                toggle.setAttribute('aria-label', _t('nav.showChapters', { book: name }));
+                toggle.textContent = '▸';
+                const chapterList = document.createElement('ul');
+                chapterList.className = 'tree-chapters';
+                chapterList.hidden = true;
+                book.chapters.forEach(chapter => {
+                    const chapterItem = document.createElement('li');
+                    chapterItem.appendChild(_createNavNode(chapter.key, `${name} ${chapter.chapter}`, chapter.pairs.length));
+                    chapterList.appendChild(chapterItem);
+                });
+                bookItem.appendChild(toggle);
+                bookItem.appendChild(_createNavNode(book.key, name, book.pairs.length));
+                bookItem.appendChild(chapterList);
+                tree.appendChild(bookItem);
+            });
+        }
+
+        const side = mode === 'nt' ? 'nt_ref' : 'ot_ref';
+        const skipped = (reverseIndex.unparsed || []).filter(entry => entry.refField === side).length;
+        if (skipped > 0) {
+            const note = document.createElement('li');
+            note.className = 'tree-note';
+            note.textContent = _t('nav.unparsed', { count: skipped });
+            tree.appendChild(note);
+        }
+        console.log(`UI_MGR: Rendered ${mode} navigation (${nodes.length} entries).`);
+    }
+
+    /**
+     * Expands or collapses a book in the reverse-index tree.
+     * @param {HTMLElement} toggle - The book's toggle button.
+     * @param {boolean} [expand] - Defaults to the opposite of the current state.
+     */
+    function toggleTreeNodeUI(toggle, expand) {
+        const chapterList = toggle.parentElement ? toggle.parentElement.querySelector('.tree-chapters') : null;
+        if (!chapterList) return;
+        const isExpanded = expand !== undefined ? expand : chapterList.hidden;
+        chapterList.hidden = !isExpanded;
+        toggle.setAttribute('aria-expanded', isExpanded ? 'true' : 'false');
+        toggle.textContent = isExpanded ? '▾' : '▸';
+    }
+
+    /**
+     * Highlights the selected reverse-index node and expands its book.
+     * @param {string} selectedKey - Node key.
+     */
+    function updateReferenceNavSelectionUI(selectedKey) {
+        if (!referenceNavContainerUI) return;
+        referenceNavContainerUI.querySelectorAll('[data-nav-key]').forEach(node => {
+            const isSelected = node.dataset.navKey === selectedKey;
+            node.classList.toggle('selected', isSelected);
+            if (!isSelected) return;
+            const bookItem = node.closest('.tree-book');
+            const toggle = bookItem ? bookItem.querySelector('.tree-toggle') : null;
+            if (toggle && node.closest('.tree-chapters')) toggleTreeNodeUI(toggle, true);
+        });
+    }
+
     /**
      * Renders the list of prophecy references.
      * @param {Array} refPairs - Array of {ot_ref, nt_ref, description} objects.
      * @param {string} currentFilter - The name of the currently selected category.
+     * @param {object} [options]
+     * @param {Array<string>|null} [options.groupLabels] - Group per pair (parallel to refPairs); a heading is inserted where it changes.
+     * @param {Array<Array<string>>|null} [options.categoryLists] - Categories per pair, shown under each item (aggregate view).
+     * @param {Array<Array<object>|null>|null} [options.issueLists] - Manifest check issues per pair, shown as a badge.
+     * @param {Array<object|null>|null} [options.annotations] - Notes store entries per pair (bookmark/note markers, highlight).
+     * @param {Array<number|null>|null} [options.scores] - Wording similarity per pair (0 to 1), shown as a percentage badge.
+     * @param {string} [options.emptyText] - Replaces the default prompt for an empty list.
      */
-    function renderReferenceListUI(refPairs, currentFilter) { // Removed referenceClickHandler
+    function renderReferenceListUI(refPairs, currentFilter, options = {}) { // Removed referenceClickHandler
         if (!prophecyListElementUI) {
              console.error("UI_MGR: Prophecy list element not found.");
              return;
         }
+        const focused = _getFocusedOptionUI(prophecyListElementUI, 'refs'); // Kept on the same pair across re-renders
         prophecyListElementUI.innerHTML = ''; // Clear previous list
 
         if (!refPairs || refPairs.length === 0) {
-            let prompt = currentFilter === "All Categories" ?
-                         'Select a specific category.' :
-                         `No references found for ${currentFilter}.`;
-            prophecyListElementUI.innerHTML = `<li>${prompt}</li>`;
+            let prompt = options.emptyText || (currentFilter === "All Categories" ?
+                         _t('list.emptyAll') :
+                         _t('list.empty', { name: currentFilter }));
+            const emptyItem = document.createElement('li');
+            emptyItem.textContent = prompt; // Category names come from manifest sources and the user: never markup
+            prophecyListElementUI.appendChild(emptyItem);
+            _restoreOptionFocusUI(prophecyListElementUI, 'refs', focused);
             return; // Don't proceed further if list is empty
         }
 
         // Populate list with reference pairs
+        const groupLabels = options.groupLabels || null;
+        let headingId = null;
         refPairs.forEach((pair, index) => {
+            if (groupLabels && (index === 0 || groupLabels[index] !== groupLabels[index - 1])) {
+                const headingItem = document.createElement('li');
+                headingItem.className = 'list-group-heading';
+                headingItem.setAttribute('role', 'presentation');
+                headingItem.id = headingId = `list-group-${index}`;
+                headingItem.textContent = groupLabels[index];
+                prophecyListElementUI.appendChild(headingItem);
+            }
             const listItem = document.createElement('li');
-            listItem.textContent = `${pair.ot_ref || '?'} / ${pair.nt_ref || '?'}`;
+            listItem.textContent = `${_formatRef(pair.ot_ref) || '?'} / ${_formatRef(pair.nt_ref) || '?'}`;
+            listItem.dataset.refs = `${pair.ot_ref || '?'} / ${pair.nt_ref || '?'}`; // Identifies the pair for focus restoring
+            if (headingId) listItem.setAttribute('aria-describedby', headingId); // Screen readers hear the group
+            if (options.categoryLists && options.categoryLists[index] && options.categoryLists[index].length > 1) {
+                const categoriesElement = document.createElement('small');
+                categoriesElement.className = 'pair-categories';
+                categoriesElement.textContent = options.categoryLists[index].join(', ');
+                listItem.appendChild(categoriesElement);
+            }
+            if (options.scores && typeof options.scores[index] === 'number') _appendSimilarityBadge(listItem, options.scores[index]);
+            if (options.annotations) _applyAnnotationMarkers(listItem, options.annotations[index]);
+            if (options.issueLists && options.issueLists[index]) _appendIssueBadge(listItem, options.issueLists[index]);
             listItem.dataset.index = index; // Index within the *filtered* list
-            listItem.setAttribute('role', 'button'); listItem.setAttribute('tabindex', '0');
+            listItem.setAttribute('role', 'option'); listItem.setAttribute('tabindex', '-1');
+            listItem.setAttribute('aria-selected', 'false');
              // Event listeners attached by event_handler.js
             prophecyListElementUI.appendChild(listItem);
         });
+        _setListTabStopUI(prophecyListElementUI, prophecyListElementUI.querySelector('[role="option"]'));
+        _restoreOptionFocusUI(prophecyListElementUI, 'refs', focused);
         console.log(`UI_MGR: Rendered ${refPairs.length} references for ${currentFilter}`);
     }
 
+    /**
+     * The options of a listbox (category or reference list), in order.
+     * @param {HTMLElement} listbox
+     * @returns {Array<HTMLElement>}
+     */
+    function _listOptionsUI(listbox) {
+        return listbox ? [...listbox.querySelectorAll('[role="option"]')] : [];
+    }
+
+    /**
+     * Roving tabindex: makes one option the list's only Tab stop.
+     * @param {HTMLElement} listbox
+     * @param {HTMLElement|null} option - null leaves the list without options to tab to.
+     */
+    function _setListTabStopUI(listbox, option) {
+        _listOptionsUI(listbox).forEach(item => item.setAttribute('tabindex', item === option ? '0' : '-1'));
+    }
+
+    /**
+     * Remembers which option of a listbox has the keyboard focus, before the list is re-rendered.
+     * @param {HTMLElement} listbox
+     * @param {string} keyName - dataset property that identifies an option ('categoryName', 'refs').
+     * @returns {{key: string, position: number} | null} - null if the focus is elsewhere.
+     */
+    function _getFocusedOptionUI(listbox, keyName) {
+        const active = document.activeElement;
+        if (!listbox || !active || !listbox.contains(active)) return null;
+        return { key: active.dataset ? active.dataset[keyName] : undefined, position: _listOptionsUI(listbox).indexOf(active) };
+    }
+
+    /**
+     * Puts the focus back after a listbox was re-rendered: on the same option if it is still listed, else on
+     * the option now at its position, else on the list itself (so the focus is not lost to the page).
+     * @param {HTMLElement} listbox
+     * @param {string} keyName - As for _getFocusedOptionUI.
+     * @param {{key: string, position: number} | null} focused - Result of _getFocusedOptionUI.
+     */
+    function _restoreOptionFocusUI(listbox, keyName, focused) {
+        if (!focused) return;
+        const options = _listOptionsUI(listbox);
+        const option = options.find(item => item.dataset[keyName] === focused.key) ||
+                       options[Math.min(Math.max(focused.position, 0), options.length - 1)];
+        if (option) {
+            _setListTabStopUI(listbox, option);
+            option.focus();
+        } else {
+            listbox.focus();
+        }
+    }
+
+    /**
+     * Moves the keyboard focus within a listbox (arrow keys, Home/End). Selection does not follow the focus:
+     * Enter or Space selects, so moving through the list does not look up every pair on the way.
+     * @param {HTMLElement} listbox - #category-list or #prophecy-list.
+     * @param {string} move - 'next' | 'previous' | 'first' | 'last'.
+     */
+    function moveListFocusUI(listbox, move) {
+        const options = _listOptionsUI(listbox);
+        if (!options.length) return;
+        const current = options.indexOf(document.activeElement);
+        let target;
+        if (move === 'first') target = 0;
+        else if (move === 'last') target = options.length - 1;
+        else if (current === -1) target = move === 'next' ? 0 : options.length - 1;
+        else target = Math.min(Math.max(current + (move === 'next' ? 1 : -1), 0), options.length - 1);
+        _setListTabStopUI(listbox, options[target]);
+        options[target].focus();
+    }
+
+    /**
+     * Type-ahead: focuses the next option whose label starts with the typed text, searching from the focused
+     * option (from the one after it when a new search starts, so repeating a letter cycles through its matches).
+     * @param {HTMLElement} listbox
+     * @param {string} text - Typed so far (case-insensitive).
+     * @returns {boolean} - False if no option matches.
+     */
+    function focusListOptionByTextUI(listbox, text) {
+        const options = _listOptionsUI(listbox);
+        const current = options.indexOf(document.activeElement);
+        const start = text.length === 1 ? current + 1 : Math.max(current, 0);
+        const prefix = text.toLowerCase();
+        const label = option => option.textContent.replace(/^★\s*/, '').toLowerCase(); // As shown (localized names), bookmarks without the star
+        for (let offset = 0; offset < options.length; offset++) {
+            const option = options[(start + offset) % options.length];
+            if (label(option).startsWith(prefix)) {
+                _setListTabStopUI(listbox, option);
+                option.focus();
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Renders looked-up verses into a text element, one span per verse with its number.
+     * Verses after a chapter (or book) change are numbered "chapter:verse" so cross-chapter spans stay readable.
+     * @param {HTMLElement} element - The element to fill.
+     * @param {Array<object> | string} content - Verse objects {book, chapter, verse, text, cited?}, or a status message.
+     */
+    function renderVersesUI(element, content) {
+        element.innerHTML = '';
+        if (!Array.isArray(content)) {
+            element.textContent = content; // Status or error message
+            return;
+        }
+        let previousLocation = null;
+        content.forEach(verse => {
+            const location = `${verse.book} ${verse.chapter}`;
+            const verseSpan = document.createElement('span');
+            verseSpan.className = verse.cited ? 'verse cited' : 'verse'; // Cited verses stay highlighted in context views
+            const numberElement = document.createElement('sup');
+            numberElement.className = 'verse-num';
+            numberElement.textContent = location !== previousLocation && previousLocation !== null ?
+                                        `${verse.chapter}:${verse.verse}` : `${verse.verse}`;
+            verseSpan.appendChild(numberElement);
+            verseSpan.appendChild(document.createTextNode(` ${verse.text} `));
+            element.appendChild(verseSpan);
+            previousLocation = location;
+        });
+    }
+
+    /**
+     * Renders one passage per translation. A single translation fills the box directly;
+     * several translations are laid out as parallel columns headed by the translation name.
+     * @param {HTMLElement} element - The passage box to fill.
+     * @param {Array<{translationName: string, content: Array<object>|string}>} passages - One entry per translation.
+     */
+    function renderPassagesUI(element, passages) {
+        const isParallel = passages.length > 1;
+        element.classList.toggle('parallel-columns', isParallel);
+        if (!isParallel) {
+            renderVersesUI(element, passages.length ? passages[0].content : '');
+            return;
+        }
+        element.innerHTML = '';
+        passages.forEach(passage => {
+            const column = document.createElement('div');
+            column.className = 'parallel-column';
+            const heading = document.createElement('h4');
+            heading.textContent = passage.translationName;
+            const textElement = document.createElement('div');
+            renderVersesUI(textElement, passage.content);
+            column.appendChild(heading);
+            column.appendChild(textElement);
+            element.appendChild(column);
+        });
+    }
+
+    /**
+     * Re-renders one passage panel (e.g., after its context was expanded) without touching the rest of the detail view.
+     * @param {string} panel - 'ot' or 'nt'.
+     * @param {Array<{translationName: string, content: Array<object>|string}>} passages - One entry per translation.
+     */
+    function displayPanelPassagesUI(panel, passages) {
+        const element = panel === 'ot' ? otTextElementUI : ntTextElementUI;
+        if (element) renderPassagesUI(element, passages);
+    }
+
+    /**
+     * Reflects a panel's context state in its toolbar.
+     * @param {string} panel - 'ot' or 'nt'.
+     * @param {{level: string, verseCount: number, chapterOffset: number}} state - The panel's context state.
+     * @param {{label: string, hasPrevious: boolean, hasNext: boolean} | null} info - Shown range; null disables stepping.
+     */
+    function updateContextControlsUI(panel, state, info) {
+        const toolbar = document.querySelector(`.context-controls[data-panel="${panel}"]`);
+        if (!toolbar) return;
+        const activeLevel = state.chapterOffset !== 0 ? 'chapter' : state.level;
+        toolbar.querySelectorAll('[data-context-action]').forEach(button => {
+            const action = button.dataset.contextAction;
+            if (action === 'previous') button.disabled = !info || !info.hasPrevious;
+            else if (action === 'next') button.disabled = !info || !info.hasNext;
+            else button.setAttribute('aria-pressed', action === activeLevel ? 'true' : 'false');
+        });
+        const countSelect = toolbar.querySelector('[data-context-count]');
+        if (countSelect) countSelect.value = String(state.verseCount);
+        const label = toolbar.querySelector('.context-label');
+        if (label) label.textContent = (info && info.label && (state.level !== 'none' || state.chapterOffset !== 0)) ? _t('context.showing', { range: _formatRef(info.label) }) : '';
+    }
+
     /**
      * Displays the details (Refs, Text, Description, Category).
-     * It receives the looked-up text as arguments from app.js.
+     * It receives the looked-up passages as arguments from app.js.
      * @param {object | null} refPairObject - The {ot_ref, nt_ref, description} object, or null.
-     * @param {string | null} categoryName - The name of the current category filter.
-     * @param {string} otText - The fetched OT text (or status message).
-     * @param {string} ntText - The fetched NT text (or status message).
-     * @param {string} defaultText - Text for detail view if refPairObject is null.
+     * @param {string | null} categoryName - Categories the pair belongs to (comma-separated), or the current category filter.
+     * @param {Array<{translationName: string, content: Array<object>|string}>} otPassages - OT verses per translation.
+     * @param {Array<{translationName: string, content: Array<object>|string}>} ntPassages - NT verses per translation.
+     * @param {string} [defaultText] - Text for detail view if refPairObject is null (defaults to "Select a reference.").
      */
-    function displayDetailedPairUI(refPairObject, categoryName, otText, ntText, defaultText = 'Select reference.') {
+    function displayDetailedPairUI(refPairObject, categoryName, otPassages, ntPassages, defaultText = null) {
          // Ensure all required elements exist before proceeding
          if (!prophecyContentElementUI || !otRefElementUI || !ntRefElementUI || !categoryElementUI || !descriptionElementUI || !otTextElementUI || !ntTextElementUI) {
               console.error("UI_MGR: Detail view elements not found! Cannot display details.");
               return;
          }
 
-        const isError = errorMessageElementUI.style.display === 'block';
-        const isLoading = loadingIndicatorUI.style.display === 'block';
+        const isError = !!_statusError;
+        const isLoading = _statusIsLoading;
         // Only show content area if not loading AND not in error state
         prophecyContentElementUI.style.display = (!isLoading && !isError) ? 'block' : 'none';
+        // Bookmark, highlight and notes belong to a pair (filled by displayPairNotesUI)
+        if (pairActionsElementUI) pairActionsElementUI.hidden = !refPairObject;
+        if (pairNotesElementUI) pairNotesElementUI.hidden = !refPairObject;
 
         if (refPairObject && !isError && !isLoading) {
             // Populate elements if we have a valid refPairObject and no errors/loading
-            otRefElementUI.textContent = refPairObject.ot_ref || 'N/A';
-            ntRefElementUI.textContent = refPairObject.nt_ref || 'N/A';
-            categoryElementUI.textContent = categoryName === "All Categories" ? "N/A" : (categoryName || 'N/A');
+            otRefElementUI.textContent = _formatRef(refPairObject.ot_ref) || _t('detail.notApplicable');
+            ntRefElementUI.textContent = _formatRef(refPairObject.nt_ref) || _t('detail.notApplicable');
+            categoryElementUI.textContent = categoryName === "All Categories" ? _t('detail.notApplicable') : (categoryName || _t('detail.notApplicable'));
             descriptionElementUI.textContent = refPairObject.description || '';
-            otTextElementUI.textContent = otText; // Display looked-up text passed in
-            ntTextElementUI.textContent = ntText; // Display looked-up text passed in
+            renderPassagesUI(otTextElementUI, otPassages); // Display looked-up verses passed in
+            renderPassagesUI(ntTextElementUI, ntPassages); // Display looked-up verses passed in
+            _announcePairUI(refPairObject);
             console.log(`UI_MGR: Displayed details for: ${refPairObject.ot_ref} / ${refPairObject.nt_ref}`);
         } else if (!isError && !isLoading) {
             // Clear the detail view or show prompt text if refPairObject is null
             otRefElementUI.textContent = '';
-            otTextElementUI.textContent = defaultText;
+            renderPassagesUI(otTextElementUI, [{ content: defaultText || _t('detail.selectReference') }]);
             ntRefElementUI.textContent = '';
-            ntTextElementUI.textContent = '';
+            renderPassagesUI(ntTextElementUI, []);
             categoryElementUI.textContent = '';
             descriptionElementUI.textContent = '';
+            _announcedRefs = null;
             console.log("UI_MGR: Cleared detail view or showing prompt.");
         }
         // If loading or error, content area remains hidden by the check at the top
     }
 
+    /**
+     * Tells screen readers which pair the detail view now shows (polite live region). Redisplays of the same
+     * pair (verse text arriving, another translation) are not announced again.
+     * @param {{ot_ref: string, nt_ref: string}} refPairObject
+     */
+    function _announcePairUI(refPairObject) {
+        const refs = `${refPairObject.ot_ref} / ${refPairObject.nt_ref}`;
+        if (!detailAnnouncerUI || refs === _announcedRefs) return;
+        _announcedRefs = refs;
+        detailAnnouncerUI.textContent = _t('detail.announce', {
+            ot: _formatRef(refPairObject.ot_ref) || _t('detail.notApplicable'),
+            nt: _formatRef(refPairObject.nt_ref) || _t('detail.notApplicable')
+        });
+    }
+
     /**
      * Displays the Bible translation name in the UI.
      * @param {string} name - The translation name string.
      */
     function displayTranslationNameUI(name) {
         if (translationNameElementUI) {
-            translationNameElementUI.textContent = name || "[Unknown]";
+            translationNameElementUI.textContent = name || _t('footer.translationUnknown');
             console.log("UI_MGR: Displayed translation name:", name);
         } else {
             // Log warning if the specific element isn't found
@@ -173,6 +815,1430 @@ ProphecyApp.uiManager = (function() {
         }
     }
 
+    /**
+     * Populates the primary translation selector (footer) and the parallel translation checkboxes.
+     * The primary translation is not offered as a parallel column.
+     * @param {Array<{id: string, name: string}>} translations - Registered translations.
+     * @param {string} primaryId - Id of the primary translation.
+     * @param {Array<string>} parallelIds - Ids currently shown in parallel.
+     */
+    function populateTranslationControlsUI(translations, primaryId, parallelIds) {
+        if (translationSelectElementUI) {
+            translationSelectElementUI.innerHTML = '';
+            translations.forEach(translation => {
+                const option = document.createElement('option');
+                option.value = translation.id;
+                option.textContent = `${translation.id} - ${translation.name}`;
+                option.selected = translation.id === primaryId;
+                translationSelectElementUI.appendChild(option);
+            });
+            translationSelectElementUI.disabled = translations.length < 2;
+        }
+
+        if (!parallelControlsElementUI) return;
+        parallelControlsElementUI.innerHTML = '';
+        const others = translations.filter(translation => translation.id !== primaryId);
+        if (others.length === 0) { parallelControlsElementUI.style.display = 'none'; return; }
+        parallelControlsElementUI.style.display = 'block';
+
+        const labelText = document.createElement('span');
+        labelText.textContent = _t('footer.compareWith');
+        parallelControlsElementUI.appendChild(labelText);
+        const limitReached = parallelIds.length >= MAX_PARALLEL_TRANSLATIONS;
+        others.forEach(translation => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = translation.id;
+            checkbox.checked = parallelIds.includes(translation.id);
+            checkbox.disabled = limitReached && !checkbox.checked; // Max three columns in total
+            label.title = translation.name;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${translation.id}`));
+            parallelControlsElementUI.appendChild(label);
+        });
+    }
+
+    /**
+     * Shows what is cached offline and how much storage is used.
+     * @param {object | null} info - {available, translations: [{translationId}], usage, quota}, or null if unknown.
+     * @param {string} [note] - Optional status appended to the readout (e.g., "Cleared.").
+     */
+    function updateCacheInfoUI(info, note = '') {
+        if (!cacheUsageElementUI) return;
+        let text;
+        if (!info) {
+            text = _t('cache.unavailable');
+        } else if (!info.available) {
+            text = _t('cache.unsupported');
+        } else {
+            const ids = info.translations.map(entry => entry.translationId);
+            text = ids.length ? _t('cache.cached', { ids: ids.join(', ') }) : _t('cache.empty');
+            if (info.usage !== null && info.usage !== undefined) {
+                text += info.quota ? _t('cache.usageOf', { used: formatBytes(info.usage), quota: formatBytes(info.quota) })
+                    : _t('cache.usage', { used: formatBytes(info.usage) });
+            }
+        }
+        cacheUsageElementUI.textContent = note ? `${text}. ${note}` : text;
+        if (clearCacheButtonUI) clearCacheButtonUI.disabled = !info || !info.available;
+    }
+
+    /**
+     * Appends text to an element, wrapping words whose search term matched in <mark>.
+     * Words are compared in their index form (see searchIndex.normalizeTerm), so "LORD's" matches "lord".
+     * @param {HTMLElement} element - Receives text nodes and <mark> elements.
+     * @param {string} text - Plain text (never parsed as HTML).
+     * @param {Array<string>} matchedTerms - Index terms to highlight.
+     */
+    function appendHighlightedTextUI(element, text, matchedTerms) {
+        const normalizeTerm = ProphecyApp.searchIndex?.normalizeTerm;
+        const terms = new Set(matchedTerms || []);
+        if (!normalizeTerm || terms.size === 0) {
+            element.appendChild(document.createTextNode(text));
+            return;
+        }
+        // Split into word / non-word runs, keeping both (same word definition as searchIndex.tokenize)
+        String(text).split(/([\p{L}\p{N}'’]+)/u).forEach((part, i) => {
+            if (!part) return;
+            if (i % 2 === 1 && terms.has(normalizeTerm(part))) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(part));
+            }
+        });
+    }
+
+    /**
+     * Shows a short note under the search box (index build progress, result counts).
+     * @param {string} text - Empty string clears it.
+     */
+    function updateSearchStatusUI(text) {
+        if (searchStatusElementUI) searchStatusElementUI.textContent = text;
+    }
+
+    /**
+     * Replaces the search box text (e.g., when a verse result is turned into a reference search).
+     * @param {string} query
+     */
+    function setSearchQueryUI(query) {
+        if (searchInputElementUI) searchInputElementUI.value = query;
+    }
+
+    /**
+     * Creates a heading + list section in the search results panel.
+     * @param {string} title
+     * @returns {HTMLUListElement} - The list to fill.
+     */
+    function _createSearchResultsSection(title) {
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        const list = document.createElement('ul');
+        searchResultsElementUI.appendChild(heading);
+        searchResultsElementUI.appendChild(list);
+        return list;
+    }
+
+    /**
+     * Creates a selectable result item; the event handler reads its data attributes.
+     * @param {object} data - Copied to dataset (resultType plus type-specific fields).
+     * @returns {HTMLLIElement}
+     */
+    function _createSearchResultItem(data) {
+        const listItem = document.createElement('li');
+        Object.keys(data).forEach(key => { listItem.dataset[key] = data[key]; });
+        listItem.setAttribute('role', 'button'); listItem.setAttribute('tabindex', '0');
+        return listItem;
+    }
+
+    /**
+     * Renders a prophecy pair search result: refs, description, categories.
+     * @param {HTMLUListElement} list
+     * @param {{pair: object, categories: Array<string>, matchedTerms: Array<string>}} entry
+     */
+    function _renderPairResult(list, entry) {
+        const listItem = _createSearchResultItem({ resultType: 'pair', otRef: entry.pair.ot_ref, ntRef: entry.pair.nt_ref });
+        const refsElement = document.createElement('strong');
+        appendHighlightedTextUI(refsElement, `${entry.pair.ot_ref} / ${entry.pair.nt_ref}`, entry.matchedTerms);
+        listItem.appendChild(refsElement);
+        if (entry.pair.description) {
+            const descriptionElement = document.createElement('div');
+            appendHighlightedTextUI(descriptionElement, entry.pair.description, entry.matchedTerms);
+            listItem.appendChild(descriptionElement);
+        }
+        const categoriesElement = document.createElement('small');
+        categoriesElement.textContent = entry.categories.join(', ');
+        listItem.appendChild(categoriesElement);
+        list.appendChild(listItem);
+    }
+
+    /**
+     * Adds a pair's wording similarity to its reference list item as a percentage.
+     * @param {HTMLElement} listItem
+     * @param {number} score - 0 to 1 (textCompare.compareTexts).
+     */
+    function _appendSimilarityBadge(listItem, score) {
+        const badge = document.createElement('span');
+        badge.className = 'similarity-badge';
+        badge.textContent = `${Math.round(score * 100)}%`;
+        badge.title = _t('compare.badge');
+        badge.setAttribute('aria-label', _t('compare.badgeLabel', { percent: Math.round(score * 100) }));
+        listItem.appendChild(badge);
+    }
+
+    /**
+     * Adds a warning badge to a reference list item; the tooltip lists the problems.
+     * @param {HTMLElement} listItem
+     * @param {Array<{severity: string, message: string}>} issues - Manifest check issues for the pair (may be empty).
+     */
+    function _appendIssueBadge(listItem, issues) {
+        if (!issues || issues.length === 0) return;
+        const hasError = issues.some(issue => issue.severity === 'error');
+        const badge = document.createElement('span');
+        badge.className = `pair-issue-badge ${hasError ? 'error' : 'warning'}`;
+        badge.textContent = hasError ? '!' : '?';
+        badge.title = issues.map(issue => issue.message).join('\n');
+        badge.setAttribute('aria-label', _t('list.problems', { count: issues.length, details: badge.title }));
+        listItem.appendChild(badge);
+    }
+
+    /**
+     * Adds manifest check badges to the reference list already on screen (the check finishes after the list is drawn).
+     * @param {Array<Array<object>|null>} issueLists - Issues per list index, as for renderReferenceListUI.
+     */
+    function markPairIssuesUI(issueLists) {
+        if (!prophecyListElementUI) return;
+        prophecyListElementUI.querySelectorAll('li[data-index]').forEach(listItem => {
+            listItem.querySelectorAll('.pair-issue-badge').forEach(badge => badge.remove());
+            _appendIssueBadge(listItem, issueLists[parseInt(listItem.dataset.index, 10)]);
+        });
+    }
+
+    /**
+     * Shows a pair's bookmark and note as markers on its reference list item, and its highlight as the item's color.
+     * Replaces markers from an earlier call.
+     * @param {HTMLElement} listItem
+     * @param {{bookmarked: boolean, note: string, highlight: string|null} | null} entry - Notes store entry, or null.
+     */
+    function _applyAnnotationMarkers(listItem, entry) {
+        listItem.querySelectorAll('.pair-annotation').forEach(marker => marker.remove());
+        [...listItem.classList].filter(name => name.startsWith('highlight-')).forEach(name => listItem.classList.remove(name));
+        if (!entry) return;
+        if (entry.highlight) listItem.classList.add(`highlight-${entry.highlight}`);
+        const labels = [];
+        if (entry.bookmarked) labels.push(_t('list.bookmarked'));
+        if (entry.note && entry.note.trim()) labels.push(_t('list.hasNote'));
+        if (labels.length === 0) return;
+        const marker = document.createElement('span');
+        marker.className = 'pair-annotation';
+        marker.textContent = `${entry.bookmarked ? '★' : ''}${entry.note && entry.note.trim() ? '✎' : ''}`;
+        marker.title = labels.join(', ');
+        marker.setAttribute('aria-label', labels.join(', '));
+        const badge = listItem.querySelector('.pair-issue-badge');
+        listItem.insertBefore(marker, badge); // Keep the manifest check badge last
+    }
+
+    /**
+     * Updates bookmark/note markers and highlights of the reference list already on screen.
+     * @param {Array<object|null>} annotations - Entries per list index, as for renderReferenceListUI.
+     */
+    function markPairAnnotationsUI(annotations) {
+        if (!prophecyListElementUI) return;
+        prophecyListElementUI.querySelectorAll('li[data-index]').forEach(listItem => {
+            _applyAnnotationMarkers(listItem, annotations[parseInt(listItem.dataset.index, 10)] || null);
+        });
+    }
+
+    /**
+     * Reflects a pair's bookmark and highlight in the detail view controls.
+     * @param {{bookmarked: boolean, highlight: string|null} | null} entry - Notes store entry, or null.
+     */
+    function updatePairMarkersUI(entry) {
+        const bookmarked = !!(entry && entry.bookmarked);
+        if (bookmarkButtonUI) {
+            bookmarkButtonUI.setAttribute('aria-pressed', bookmarked ? 'true' : 'false');
+            bookmarkButtonUI.textContent = _t(bookmarked ? 'pair.bookmarked' : 'pair.bookmark');
+        }
+        if (highlightSelectUI) highlightSelectUI.value = (entry && entry.highlight) || '';
+    }
+
+    /**
+     * Marks the wording a prophecy and its fulfillment share in both passage panels (every translation column
+     * and context verse), or removes the marks. Verse text is re-split each time, so it may follow a re-render.
+     * @param {{sharedStems: Array<string>, phrases: Array<object>} | null} comparison - textCompare.compareTexts result; null clears.
+     */
+    function highlightSharedTermsUI(comparison) {
+        const segmentText = ProphecyApp.textCompare?.segmentText;
+        [otTextElementUI, ntTextElementUI].forEach(element => {
+            if (!element) return;
+            element.querySelectorAll('.verse').forEach(verseSpan => {
+                const textNodes = [...verseSpan.childNodes].filter(node => !(node.classList && node.classList.contains('verse-num')));
+                const text = textNodes.map(node => node.textContent).join('');
+                textNodes.forEach(node => node.remove());
+                if (!comparison || !segmentText) {
+                    verseSpan.appendChild(document.createTextNode(text));
+                    return;
+                }
+                segmentText(text, comparison).forEach(segment => {
+                    if (!segment.match) {
+                        verseSpan.appendChild(document.createTextNode(segment.text));
+                        return;
+                    }
+                    const mark = document.createElement('mark');
+                    mark.className = segment.match === 'phrase' ? 'shared-term phrase' : 'shared-term';
+                    mark.textContent = segment.text;
+                    verseSpan.appendChild(mark);
+                });
+            });
+        });
+    }
+
+    /**
+     * Reflects the wording comparison in the detail view: the Compare button and the summary above the passages.
+     * @param {boolean} enabled - Comparison mode is on.
+     * @param {{percent: number, kindLabel: string, phrases: Array<string>, words: Array<string>} | string | null} content
+     *        - Summary of the selected pair, a status message, or null for nothing to show.
+     */
+    function showComparisonUI(enabled, content) {
+        if (compareButtonUI) compareButtonUI.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+        if (!comparisonSummaryUI) return;
+        comparisonSummaryUI.hidden = !enabled || !content;
+        comparisonSummaryUI.innerHTML = '';
+        if (comparisonSummaryUI.hidden) return;
+        if (typeof content === 'string') {
+            comparisonSummaryUI.textContent = content;
+            return;
+        }
+        const heading = document.createElement('strong');
+        heading.textContent = _t('compare.summary', { percent: content.percent });
+        comparisonSummaryUI.appendChild(heading);
+        comparisonSummaryUI.appendChild(document.createTextNode(` (${content.kindLabel})`));
+        const appendTerms = (label, terms, className) => {
+            if (terms.length === 0) return;
+            const line = document.createElement('div');
+            line.appendChild(document.createTextNode(`${label}: `));
+            terms.forEach((term, index) => {
+                if (index > 0) line.appendChild(document.createTextNode(', '));
+                const mark = document.createElement('mark');
+                mark.className = className;
+                mark.textContent = term;
+                line.appendChild(mark);
+            });
+            comparisonSummaryUI.appendChild(line);
+        };
+        appendTerms(_t('compare.phrases'), content.phrases, 'shared-term phrase');
+        appendTerms(_t('compare.words'), content.words, 'shared-term');
+    }
+
+    /**
+     * Shows a pair's bookmark, highlight and rendered note in the detail view; closes the note editor.
+     * @param {{note: string, bookmarked: boolean, highlight: string|null} | null} entry - Notes store entry, or null.
+     */
+    function displayPairNotesUI(entry) {
+        updatePairMarkersUI(entry);
+        if (notesEditorElementUI) notesEditorElementUI.hidden = true;
+        if (notesEditButtonUI) {
+            notesEditButtonUI.hidden = false;
+            notesEditButtonUI.dataset.i18n = entry && entry.note ? 'notes.edit' : 'notes.add'; // Kept by applyLanguageUI
+            notesEditButtonUI.textContent = _t(notesEditButtonUI.dataset.i18n);
+        }
+        if (!notesPreviewElementUI) return;
+        notesPreviewElementUI.hidden = false;
+        const html = entry && entry.note && ProphecyApp.markdown ? ProphecyApp.markdown.renderMarkdown(entry.note) : '';
+        notesPreviewElementUI.classList.toggle('empty', !html);
+        if (html) notesPreviewElementUI.innerHTML = html; // Escaped by markdown.js
+        else notesPreviewElementUI.textContent = _t('notes.empty');
+    }
+
+    /**
+     * Opens the note editor in place of the rendered note.
+     * @param {string} text - Current Markdown source.
+     */
+    function openNoteEditorUI(text) {
+        if (!notesEditorElementUI || !notesTextareaUI) return;
+        notesTextareaUI.value = text || '';
+        notesEditorElementUI.hidden = false;
+        if (notesPreviewElementUI) notesPreviewElementUI.hidden = true;
+        if (notesEditButtonUI) notesEditButtonUI.hidden = true;
+        notesTextareaUI.focus();
+    }
+
+    /**
+     * The text in the note editor.
+     * @returns {string|null} - null when the editor is closed.
+     */
+    function getNoteDraftUI() {
+        if (!notesEditorElementUI || !notesTextareaUI || notesEditorElementUI.hidden) return null;
+        return notesTextareaUI.value;
+    }
+
+    /**
+     * Shows a short note next to the export/import buttons (saved, imported, failures).
+     * @param {string} text - Empty string clears it.
+     * @param {boolean} [isError=false]
+     */
+    function showNotesStatusUI(text, isError = false) {
+        if (!notesStatusElementUI) return;
+        notesStatusElementUI.textContent = text;
+        notesStatusElementUI.classList.toggle('error', isError);
+    }
+
+    /**
+     * Shows export progress or its outcome next to the Export button.
+     * @param {string} text - Empty string clears it.
+     * @param {object} [options]
+     * @param {boolean} [options.busy=false] - Disables the button while an export is being prepared.
+     * @param {boolean} [options.isError=false]
+     */
+    function updateExportStatusUI(text, options = {}) {
+        if (exportButtonUI) exportButtonUI.disabled = !!options.busy;
+        if (!exportStatusElementUI) return;
+        exportStatusElementUI.textContent = text;
+        exportStatusElementUI.classList.toggle('error', !!options.isError);
+    }
+
+    /**
+     * Offers text as a file download.
+     * @param {string} fileName - Suggested file name.
+     * @param {string} text - File contents.
+     * @param {string} [mimeType='application/json']
+     */
+    function downloadFileUI(fileName, text, mimeType = 'application/json') {
+        const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0); // After the browser has started the download
+        console.log(`UI_MGR: Offered download ${fileName} (${text.length} characters).`);
+    }
+
+    /**
+     * Shows which manifest sources list the displayed pair (hidden when there is none to show).
+     * @param {Array<string>} sourceNames - From dataFetcher.getPairSources.
+     */
+    function displayPairSourcesUI(sourceNames) {
+        if (!sourceLineElementUI || !sourceElementUI) return;
+        sourceLineElementUI.hidden = !sourceNames || sourceNames.length === 0;
+        sourceElementUI.textContent = sourceNames ? sourceNames.join(', ') : '';
+    }
+
+    /**
+     * Opens or closes the settings panel.
+     * @param {boolean} open
+     */
+    function showSettingsPanelUI(open) {
+        if (!settingsPanelElementUI) return;
+        settingsPanelElementUI.hidden = !open;
+        if (settingsButtonUI) settingsButtonUI.setAttribute('aria-expanded', String(open));
+    }
+
+    /**
+     * Lists the manifest sources with an on/off checkbox, where each comes from, and its load state.
+     * Added sources get a Remove button. The settings button is flagged while an enabled source failed to load.
+     * @param {Array<object>} sources - From dataFetcher.getManifestSources.
+     */
+    function renderManifestSourcesUI(sources) {
+        if (!manifestSourceListUI) return;
+        manifestSourceListUI.innerHTML = '';
+        sources.forEach(source => {
+            const listItem = document.createElement('li');
+            listItem.dataset.sourceId = source.id;
+            listItem.classList.toggle('error', source.enabled && !!source.error);
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = source.enabled;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${source.name}`));
+            listItem.appendChild(label);
+
+            const details = document.createElement('small');
+            let state;
+            if (!source.enabled) state = _t('sources.stateOff');
+            else if (source.error) state = _t('sources.stateFailed', { message: source.error });
+            else if (source.categoryCount === null) state = _t('sources.stateLoading');
+            else state = _t('sources.stateLoaded', { categories: source.categoryCount, pairs: source.pairCount });
+            const origin = source.origin === 'file' ? _t('sources.localFile') : source.location;
+            details.textContent = ` ${origin} - ${state} `;
+            listItem.appendChild(details);
+            if (source.removable) {
+                const removeButton = document.createElement('button');
+                removeButton.type = 'button';
+                removeButton.dataset.sourceAction = 'remove';
+                removeButton.textContent = _t('sources.remove');
+                removeButton.setAttribute('aria-label', _t('sources.removeLabel', { name: source.name }));
+                listItem.appendChild(removeButton);
+            }
+            manifestSourceListUI.appendChild(listItem);
+        });
+        if (settingsButtonUI) {
+            const failed = sources.filter(source => source.enabled && source.error);
+            settingsButtonUI.classList.toggle('has-warning', failed.length > 0);
+            settingsButtonUI.title = failed.length ? _t('sources.loadFailedTitle', { names: failed.map(source => source.name).join(', ') }) : '';
+        }
+    }
+
+    /**
+     * Shows the outcome of a change to the manifest sources in the settings panel.
+     * @param {string} text - Empty string clears it.
+     * @param {object} [options]
+     * @param {boolean} [options.busy=false] - Disables the source controls while sources load.
+     * @param {boolean} [options.isError=false]
+     */
+    function showSourcesStatusUI(text, options = {}) {
+        if (settingsPanelElementUI) {
+            settingsPanelElementUI.querySelectorAll('input, button').forEach(control => {
+                if (control.id !== 'settings-close') control.disabled = !!options.busy;
+            });
+        }
+        if (!manifestSourcesStatusElementUI) return;
+        manifestSourcesStatusElementUI.textContent = text;
+        manifestSourcesStatusElementUI.classList.toggle('error', !!options.isError);
+    }
+
+    /**
+     * Opens or closes the manifest editor panel.
+     * @param {boolean} open
+     */
+    function showManifestEditorUI(open) {
+        if (!manifestEditorElementUI) return;
+        manifestEditorElementUI.hidden = !open;
+        if (manifestEditorButtonUI) manifestEditorButtonUI.setAttribute('aria-expanded', String(open));
+        if (open) manifestEditorElementUI.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * Creates a small button carrying a data-editor-action for the editor's delegated listeners.
+     * @param {string} action
+     * @param {string} text
+     * @param {string} label - Accessible name.
+     * @param {boolean} [disabled=false]
+     * @returns {HTMLButtonElement}
+     */
+    function _createEditorButton(action, text, label, disabled = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.editorAction = action;
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        button.disabled = disabled;
+        return button;
+    }
+
+    /**
+     * Renders the user's categories and the pairs of the selected one in the manifest editor.
+     * Items carry data-index / data-pair-index; event_handler.js reads them.
+     * @param {{categories: Array<{name: string, pairs: Array<object>, extendsShipped: boolean}>, selectedIndex: number|null}} model
+     */
+    function renderManifestEditorUI(model) {
+        if (!editorCategoryListUI || !editorPairListUI) return;
+        editorCategoryListUI.innerHTML = '';
+        if (model.categories.length === 0) {
+            editorCategoryListUI.innerHTML = `<li class="editor-empty">${_t('editor.noCategories')}</li>`;
+        }
+        model.categories.forEach((category, index) => {
+            const listItem = document.createElement('li');
+            listItem.dataset.index = index;
+            listItem.classList.toggle('selected', index === model.selectedIndex);
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'editor-category-name';
+            nameInput.value = category.name;
+            nameInput.dataset.savedName = category.name; // Restored if a rename is rejected
+            nameInput.setAttribute('aria-label', _t('editor.categoryName', { number: index + 1 }));
+            listItem.appendChild(nameInput);
+            const count = document.createElement('small');
+            count.textContent = ` ${_t('editor.pairCount', { count: category.pairs.length })}${category.extendsShipped ? _t('editor.extendsShipped') : ''} `;
+            listItem.appendChild(count);
+            listItem.appendChild(_createEditorButton('select', _t('editor.pairs'), _t('editor.editPairs', { name: category.name })));
+            listItem.appendChild(_createEditorButton('move-up', '▲', _t('editor.moveUp', { name: category.name }), index === 0));
+            listItem.appendChild(_createEditorButton('move-down', '▼', _t('editor.moveDown', { name: category.name }),
+                                                     index === model.categories.length - 1));
+            listItem.appendChild(_createEditorButton('delete', '✕', _t('editor.delete', { name: category.name })));
+            editorCategoryListUI.appendChild(listItem);
+        });
+
+        const selected = model.selectedIndex !== null ? model.categories[model.selectedIndex] : null;
+        editorPairListUI.innerHTML = '';
+        if (editorPairFormUI) editorPairFormUI.hidden = !selected;
+        if (editorPairsHeadingUI) {
+            editorPairsHeadingUI.textContent = selected ? _t('editor.pairsIn', { name: selected.name }) :
+                _t(model.categories.length ? 'editor.chooseCategory' : 'editor.createFirst');
+        }
+        if (!selected) return;
+        if (selected.pairs.length === 0) {
+            editorPairListUI.innerHTML = `<li class="editor-empty">${_t('editor.noPairs')}</li>`;
+        }
+        selected.pairs.forEach((pair, pairIndex) => {
+            const listItem = document.createElement('li');
+            listItem.dataset.pairIndex = pairIndex;
+            const refs = document.createElement('strong');
+            refs.textContent = `${pair.ot_ref} / ${pair.nt_ref}`;
+            listItem.appendChild(refs);
+            const descriptionInput = document.createElement('input');
+            descriptionInput.type = 'text';
+            descriptionInput.className = 'editor-pair-description';
+            descriptionInput.value = pair.description;
+            descriptionInput.setAttribute('aria-label', _t('editor.descriptionOf', { pair: `${pair.ot_ref} / ${pair.nt_ref}` }));
+            listItem.appendChild(descriptionInput);
+            listItem.appendChild(_createEditorButton('remove-pair', '✕', _t('editor.removePair', { pair: `${pair.ot_ref} / ${pair.nt_ref}` })));
+            editorPairListUI.appendChild(listItem);
+        });
+    }
+
+    /**
+     * The pair typed into the editor's add form.
+     * @returns {{ot_ref: string, nt_ref: string, description: string}}
+     */
+    function getPairDraftUI() {
+        return {
+            ot_ref: editorOtRefInputUI ? editorOtRefInputUI.value.trim() : '',
+            nt_ref: editorNtRefInputUI ? editorNtRefInputUI.value.trim() : '',
+            description: editorDescriptionInputUI ? editorDescriptionInputUI.value.trim() : ''
+        };
+    }
+
+    /**
+     * Shows one side's text preview (or why there is none) under the add form.
+     * @param {HTMLElement|null} element
+     * @param {{ref: string, verses: Array<object>|null, error: string|null, moreCount: number} | null} preview
+     *        - verses as from dataFetcher.getVerses (the first few); moreCount verses were left out. null clears it.
+     */
+    function _renderDraftPreview(element, preview) {
+        if (!element) return;
+        element.innerHTML = '';
+        element.classList.toggle('error', !!(preview && preview.error));
+        if (!preview) return;
+        const refElement = document.createElement('strong');
+        refElement.textContent = `${preview.ref}: `;
+        const textElement = document.createElement('span');
+        renderVersesUI(textElement, preview.error || preview.verses);
+        if (preview.moreCount) textElement.appendChild(document.createTextNode(_t('editor.moreVerses', { count: preview.moreCount })));
+        element.appendChild(refElement);
+        element.appendChild(textElement);
+    }
+
+    /**
+     * Shows the live check of the pair being typed: issues, text previews, and whether it can be added.
+     * @param {{issues: Array<{severity: string, message: string}>, otPreview: object|null, ntPreview: object|null, canAdd: boolean}} check
+     */
+    function renderPairDraftUI(check) {
+        if (editorPairIssuesUI) {
+            editorPairIssuesUI.innerHTML = '';
+            check.issues.forEach(issue => {
+                const listItem = document.createElement('li');
+                listItem.className = `validation-issue ${issue.severity}`;
+                listItem.textContent = issue.message;
+                editorPairIssuesUI.appendChild(listItem);
+            });
+        }
+        _renderDraftPreview(editorOtPreviewUI, check.otPreview);
+        _renderDraftPreview(editorNtPreviewUI, check.ntPreview);
+        if (editorAddPairButtonUI) editorAddPairButtonUI.disabled = !check.canAdd;
+    }
+
+    /**
+     * Empties the add form after a pair was added and puts the cursor back in the OT field.
+     */
+    function resetPairDraftUI() {
+        [editorOtRefInputUI, editorNtRefInputUI, editorDescriptionInputUI].forEach(input => { if (input) input.value = ''; });
+        renderPairDraftUI({ issues: [], otPreview: null, ntPreview: null, canAdd: false });
+        if (editorOtRefInputUI) editorOtRefInputUI.focus();
+    }
+
+    /**
+     * Shows the outcome of an editor action (saved, rejected name, download) in the editor footer.
+     * @param {string} text - Empty string clears it.
+     * @param {boolean} [isError=false]
+     */
+    function showEditorStatusUI(text, isError = false) {
+        if (!editorStatusElementUI) return;
+        editorStatusElementUI.textContent = text;
+        editorStatusElementUI.classList.toggle('error', isError);
+    }
+
+    /**
+     * Shows or hides the graph view panel.
+     * @param {boolean} open
+     */
+    function showGraphViewUI(open) {
+        if (!graphViewElementUI) return;
+        graphViewElementUI.hidden = !open;
+        if (graphViewButtonUI) {
+            graphViewButtonUI.setAttribute('aria-expanded', String(open));
+            graphViewButtonUI.dataset.i18n = open ? 'graph.hide' : 'graph.show'; // Kept by applyLanguageUI
+            graphViewButtonUI.textContent = _t(graphViewButtonUI.dataset.i18n);
+        }
+        if (open) graphViewElementUI.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * Creates an SVG element with attributes.
+     * @param {string} tagName
+     * @param {Object<string, string|number>} [attributes]
+     * @returns {SVGElement}
+     */
+    function _createSvgElement(tagName, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, tagName);
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        return element;
+    }
+
+    /**
+     * Draws the prophecy graph: edges (one per pair and book/verse combination) colored by category, then the
+     * OT and NT bars with their labels on top. Edges carry data-edge-id and nodes data-node-key/data-side for the
+     * event handler; both have a <title> tooltip.
+     * @param {object | null} layout - From prophecyGraph.layoutGraph; null while there is nothing to draw.
+     * @param {object} model
+     * @param {Object<string, string>} model.colors - Category name -> color.
+     * @param {Array<{name: string, color: string, included: boolean, count: number}>} model.legend - Category filter.
+     * @param {string} model.level - 'book' | 'verse'.
+     * @param {string} model.summary - Counts shown in the header.
+     * @param {string} [model.emptyText] - Shown instead of the drawing when layout is null or has no edges.
+     * @param {boolean} [model.resetView=false] - Fit the drawing instead of keeping the current zoom/pan.
+     */
+    function renderGraphUI(layout, model) {
+        if (!_prepareGraphCanvasUI(model, !!layout && layout.edges.length > 0)) return;
+        if (graphLevelSelectUI) graphLevelSelectUI.value = model.level;
+
+        const svg = _createSvgElement('svg', { class: 'graph-svg', role: 'img', 'aria-label': `${_t('graph.heading')}: ${model.summary}` });
+        const edgeGroup = _createSvgElement('g', { class: 'graph-edges' });
+        layout.edges.forEach(edge => {
+            const path = _createSvgElement('path', {
+                class: 'graph-edge',
+                d: edge.path,
+                stroke: model.colors[edge.category] || '#6c757d',
+                'data-edge-id': edge.id,
+                'data-ot-key': edge.otKey,
+                'data-nt-key': edge.ntKey
+            });
+            const title = _createSvgElement('title');
+            title.textContent = `${edge.pair.ot_ref} → ${edge.pair.nt_ref}` + (edge.category ? ` (${edge.category})` : '');
+            path.appendChild(title);
+            edgeGroup.appendChild(path);
+        });
+        svg.appendChild(edgeGroup);
+
+        const nodeGroup = _createSvgElement('g', { class: 'graph-nodes' });
+        layout.nodes.forEach(node => {
+            const group = _createSvgElement('g', { class: `graph-node ${node.side}`, 'data-node-key': node.key, 'data-side': node.side });
+            group.appendChild(_createSvgElement('rect', { x: node.x, y: node.y, width: layout.barWidth, height: node.height, rx: 2 }));
+            const isOt = node.side === 'ot';
+            const label = _createSvgElement('text', {
+                x: isOt ? node.x - GRAPH_LABEL_GAP : node.x + layout.barWidth + GRAPH_LABEL_GAP,
+                y: node.y + node.height / 2,
+                'text-anchor': isOt ? 'end' : 'start',
+                'dominant-baseline': 'middle'
+            });
+            label.textContent = node.label;
+            group.appendChild(label);
+            const title = _createSvgElement('title');
+            title.textContent = _t('graph.links', { label: node.label, count: node.edgeCount });
+            group.appendChild(title);
+            nodeGroup.appendChild(group);
+        });
+        svg.appendChild(nodeGroup);
+        _showGraphDrawingUI(svg, layout, model.resetView);
+    }
+
+    /**
+     * Updates the graph panel's summary and legend, and empties the canvas for a new drawing.
+     * @param {{summary: string, legend: Array<object>, emptyText?: string}} model - As for renderGraphUI.
+     * @param {boolean} hasContent - False shows model.emptyText instead of a drawing.
+     * @returns {boolean} - True if a drawing should follow.
+     */
+    function _prepareGraphCanvasUI(model, hasContent) {
+        if (!graphCanvasElementUI) return false;
+        if (graphSummaryElementUI) graphSummaryElementUI.textContent = model.summary;
+        _renderGraphLegendUI(model.legend);
+        showArcPreviewUI(null);
+
+        graphCanvasElementUI.innerHTML = '';
+        _graphSvg = null;
+        if (!hasContent) {
+            const message = document.createElement('p');
+            message.className = 'graph-empty';
+            message.textContent = model.emptyText || _t('graph.noPairs');
+            graphCanvasElementUI.appendChild(message);
+        }
+        return hasContent;
+    }
+
+    /**
+     * Puts a finished drawing in the canvas, keeping the zoom/pan unless asked to fit or the drawing's width changed
+     * (another graph type).
+     * @param {SVGElement} svg
+     * @param {{width: number, height: number}} size - The drawing's size in SVG units.
+     * @param {boolean} [resetView=false]
+     */
+    function _showGraphDrawingUI(svg, size, resetView = false) {
+        graphCanvasElementUI.appendChild(svg);
+        _graphSvg = svg;
+        const sizeChanged = !_graphSize || _graphSize.width !== size.width;
+        _graphSize = { width: size.width, height: size.height };
+        if (resetView || sizeChanged || !_graphViewBox) resetGraphViewUI();
+        else _applyGraphViewBox();
+    }
+
+    /**
+     * Shows which graph type is drawn: selects its tab, shows the book/verse level only for the network,
+     * and swaps the usage hint.
+     * @param {string} type - 'network' | 'arcs'.
+     */
+    function showGraphTypeUI(type) {
+        if (graphTypeTabsUI) {
+            graphTypeTabsUI.querySelectorAll('[data-graph-type]').forEach(tab => {
+                const isActive = tab.dataset.graphType === type;
+                tab.classList.toggle('active', isActive);
+                tab.setAttribute('aria-selected', String(isActive));
+            });
+        }
+        if (graphLevelControlUI) graphLevelControlUI.hidden = type !== 'network';
+        if (graphHelpElementUI && GRAPH_HELP[type]) {
+            graphHelpElementUI.dataset.i18n = GRAPH_HELP[type]; // Kept by applyLanguageUI
+            graphHelpElementUI.textContent = _t(GRAPH_HELP[type]);
+        }
+        showArcPreviewUI(null);
+    }
+
+    /**
+     * Draws the canon timeline: the books as a bar along the bottom (OT and NT shaded differently, wide books
+     * labelled), and one arc per pair above it, colored by category. Arcs are .graph-edge elements with
+     * data-edge-id, like the network's edges, so selection marking and clicks work the same way.
+     * @param {object} axis - From arcDiagram.buildAxis.
+     * @param {Array<object>} arcs - From arcDiagram.layoutArcs.
+     * @param {object} model - colors, legend, summary, emptyText, resetView; as for renderGraphUI.
+     */
+    function renderArcDiagramUI(axis, arcs, model) {
+        if (!_prepareGraphCanvasUI(model, arcs.length > 0)) return;
+
+        const svg = _createSvgElement('svg', { class: 'graph-svg arc-diagram', role: 'img', 'aria-label': `${_t('graph.arcs')}: ${model.summary}` });
+        const arcGroup = _createSvgElement('g', { class: 'graph-edges' });
+        arcs.forEach(arc => {
+            arcGroup.appendChild(_createSvgElement('path', {
+                class: 'graph-edge arc',
+                d: arc.path,
+                stroke: model.colors[arc.category] || '#6c757d',
+                'data-edge-id': arc.id
+            }));
+        });
+        svg.appendChild(arcGroup);
+
+        const axisGroup = _createSvgElement('g', { class: 'arc-axis' });
+        axis.books.forEach(book => {
+            const rect = _createSvgElement('rect', {
+                class: `arc-book ${book.testament.toLowerCase()}`,
+                x: book.x, y: axis.axisY, width: book.width, height: axis.axisHeight
+            });
+            const title = _createSvgElement('title');
+            title.textContent = _t('graph.chapters', { name: book.name, count: book.chapters });
+            rect.appendChild(title);
+            axisGroup.appendChild(rect);
+            if (book.width < ARC_LABEL_MIN_WIDTH) return;
+            const labelX = book.x + book.width / 2;
+            const labelY = axis.axisY + axis.axisHeight + 6;
+            const label = _createSvgElement('text', { class: 'arc-book-label', x: labelX, y: labelY, transform: `rotate(45 ${labelX} ${labelY})` });
+            label.textContent = book.name;
+            axisGroup.appendChild(label);
+        });
+        svg.appendChild(axisGroup);
+        _showGraphDrawingUI(svg, axis, model.resetView);
+    }
+
+    /**
+     * Shows the preview of a timeline arc next to the pointer, or hides it.
+     * @param {{otRef: string, ntRef: string, description: string, categories: Array<string>, otText: string, ntText: string} | null} preview
+     * @param {number} [clientX] - Pointer position; omit to update the text in place (verse text arriving).
+     * @param {number} [clientY]
+     */
+    function showArcPreviewUI(preview, clientX, clientY) {
+        if (!arcPreviewElementUI) return;
+        if (!preview) {
+            arcPreviewElementUI.hidden = true;
+            return;
+        }
+        arcPreviewElementUI.innerHTML = '';
+        const heading = document.createElement('strong');
+        heading.textContent = `${preview.otRef} → ${preview.ntRef}`;
+        arcPreviewElementUI.appendChild(heading);
+        if (preview.description) {
+            const description = document.createElement('p');
+            description.textContent = preview.description;
+            arcPreviewElementUI.appendChild(description);
+        }
+        [[preview.otRef, preview.otText], [preview.ntRef, preview.ntText]].forEach(([ref, text]) => {
+            const passage = document.createElement('p');
+            passage.className = 'arc-preview-passage';
+            const refLabel = document.createElement('em');
+            refLabel.textContent = `${ref}: `;
+            passage.appendChild(refLabel);
+            passage.appendChild(document.createTextNode(text));
+            arcPreviewElementUI.appendChild(passage);
+        });
+        if (preview.categories.length) {
+            const categories = document.createElement('small');
+            categories.textContent = preview.categories.join(', ');
+            arcPreviewElementUI.appendChild(categories);
+        }
+        arcPreviewElementUI.hidden = false;
+
+        if (clientX === undefined) return;
+        // Next to the pointer, flipped to its left/top near the right/bottom edge of the panel
+        const container = arcPreviewElementUI.offsetParent || arcPreviewElementUI.parentNode;
+        const bounds = container.getBoundingClientRect();
+        let left = clientX - bounds.left + ARC_PREVIEW_OFFSET_PX;
+        let top = clientY - bounds.top + ARC_PREVIEW_OFFSET_PX;
+        if (bounds.width && left + arcPreviewElementUI.offsetWidth > bounds.width) {
+            left = Math.max(0, clientX - bounds.left - ARC_PREVIEW_OFFSET_PX - arcPreviewElementUI.offsetWidth);
+        }
+        if (bounds.height && top + arcPreviewElementUI.offsetHeight > bounds.height) {
+            top = Math.max(0, clientY - bounds.top - ARC_PREVIEW_OFFSET_PX - arcPreviewElementUI.offsetHeight);
+        }
+        arcPreviewElementUI.style.left = `${left}px`;
+        arcPreviewElementUI.style.top = `${top}px`;
+    }
+
+    /**
+     * Shows or hides the practice panel and updates its toggle button.
+     * @param {boolean} open
+     */
+    function showQuizViewUI(open) {
+        if (!quizViewElementUI) return;
+        quizViewElementUI.hidden = !open;
+        if (quizViewButtonUI) {
+            quizViewButtonUI.setAttribute('aria-expanded', String(open));
+            quizViewButtonUI.dataset.i18n = open ? 'quiz.close' : 'quiz.heading'; // Kept by applyLanguageUI
+            quizViewButtonUI.textContent = _t(quizViewButtonUI.dataset.i18n);
+        }
+        if (open) quizViewElementUI.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * Shows one stage of the practice panel: the setup form, a question, or the summary of a finished
+     * session (with the setup form above it, to start another).
+     * @param {string} stage - 'setup' | 'question' | 'summary'.
+     */
+    function showQuizStageUI(stage) {
+        if (quizSetupFormUI) quizSetupFormUI.hidden = stage === 'question';
+        if (quizQuestionElementUI) quizQuestionElementUI.hidden = stage !== 'question';
+        if (quizSummaryElementUI) quizSummaryElementUI.hidden = stage !== 'summary';
+    }
+
+    /**
+     * Updates the practice setup: the selected category offered as a scope, and the mastery line.
+     * @param {{categoryName: string, masteryText: string}} model
+     */
+    function updateQuizSetupUI(model) {
+        if (quizScopeCategoryOptionUI) quizScopeCategoryOptionUI.textContent = _t('quiz.selectedCategory', { name: model.categoryName });
+        if (quizMasteryElementUI) quizMasteryElementUI.textContent = model.masteryText;
+    }
+
+    /**
+     * Shows a practice question: the prompt, then choice buttons (data-quiz-choice) or the typed-answer form.
+     * The OT passage of 'fulfillment' and 'typed' questions follows through showQuizPromptTextUI.
+     * @param {object} question - From quiz.nextQuestion.
+     */
+    function renderQuizQuestionUI(question) {
+        if (!quizQuestionElementUI) return;
+        quizCounterElementUI.textContent = _t('quiz.counter', { number: question.number, total: question.total });
+        quizPromptElementUI.textContent = _t(question.type === 'description' ? 'quiz.promptDescription'
+            : question.type === 'typed' ? 'quiz.promptTyped' : 'quiz.promptFulfillment', { prompt: question.prompt });
+        quizPromptTextElementUI.hidden = question.type === 'description';
+        renderVersesUI(quizPromptTextElementUI, question.type === 'description' ? '' : _t('detail.waitingText'));
+        quizFeedbackElementUI.textContent = '';
+        quizFeedbackElementUI.className = 'quiz-feedback';
+        quizNextButtonUI.hidden = true;
+
+        quizChoicesElementUI.innerHTML = '';
+        (question.choices || []).forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'quiz-choice';
+            button.dataset.quizChoice = index;
+            button.textContent = choice;
+            quizChoicesElementUI.appendChild(button);
+        });
+        quizTypedFormUI.hidden = question.type !== 'typed';
+        quizTypedInputUI.value = '';
+        quizTypedInputUI.disabled = false;
+        quizTypedFormUI.querySelector('button').disabled = false;
+        const firstControl = question.type === 'typed' ? quizTypedInputUI : quizChoicesElementUI.querySelector('button');
+        if (firstControl) firstControl.focus();
+    }
+
+    /**
+     * Fills in the OT passage of the current question.
+     * @param {Array<object> | string} content - Verses, or a status/error message (as for renderVersesUI).
+     */
+    function showQuizPromptTextUI(content) {
+        if (quizPromptTextElementUI) renderVersesUI(quizPromptTextElementUI, content);
+    }
+
+    /**
+     * Shows whether the answer was right, marks the right and the picked choice, and offers the next question.
+     * @param {object} question - The answered question.
+     * @param {{correct: boolean, expected: string, saved: boolean}} result - From quiz.answerQuestion.
+     * @param {number|string} answer - The picked choice index, or the typed reference.
+     */
+    function showQuizFeedbackUI(question, result, answer) {
+        if (!quizQuestionElementUI) return;
+        quizChoicesElementUI.querySelectorAll('[data-quiz-choice]').forEach(button => {
+            const index = Number(button.dataset.quizChoice);
+            button.disabled = true;
+            button.classList.toggle('correct', index === question.correctChoice);
+            button.classList.toggle('wrong', index === Number(answer) && index !== question.correctChoice);
+        });
+        quizTypedInputUI.disabled = true;
+        quizTypedFormUI.querySelector('button').disabled = true;
+        // The description is the prompt of 'description' questions; the others show it with the answer
+        const description = question.type !== 'description' && question.pair.description ? ` (${question.pair.description})` : '';
+        quizFeedbackElementUI.textContent = _t(result.correct ? 'quiz.correct' : 'quiz.wrong', { answer: result.expected, description: description }) +
+            (result.saved ? '' : _t('quiz.notSaved'));
+        quizFeedbackElementUI.className = `quiz-feedback ${result.correct ? 'correct' : 'wrong'}`;
+        quizNextButtonUI.hidden = false;
+        quizNextButtonUI.focus();
+    }
+
+    /**
+     * Shows the summary of a finished session: score, score per question type, and the missed pairs as
+     * buttons (data-quiz-open) that open them in the detail view.
+     * @param {{asked: number, correct: number, missed: Array<object>, byType: object}} summary - From quiz.summarizeSession.
+     * @param {Object<string, string>} typeLabels - Question type -> label.
+     */
+    function renderQuizSummaryUI(summary, typeLabels) {
+        if (!quizSummaryElementUI) return;
+        quizSummaryElementUI.innerHTML = '';
+        const heading = document.createElement('h3');
+        heading.textContent = _t('quiz.summary');
+        quizSummaryElementUI.appendChild(heading);
+        const score = document.createElement('p');
+        score.textContent = summary.asked === 0 ? _t('quiz.noAnswers')
+            : _t('quiz.score', { correct: summary.correct, asked: summary.asked, percent: Math.round(100 * summary.correct / summary.asked) });
+        quizSummaryElementUI.appendChild(score);
+        const types = Object.keys(summary.byType);
+        if (types.length > 1) {
+            const typeList = document.createElement('ul');
+            types.forEach(type => {
+                const item = document.createElement('li');
+                item.textContent = _t('quiz.typeScore', { type: typeLabels[type] || type, correct: summary.byType[type].correct, asked: summary.byType[type].asked });
+                typeList.appendChild(item);
+            });
+            quizSummaryElementUI.appendChild(typeList);
+        }
+        if (summary.missed.length) {
+            const missedHeading = document.createElement('p');
+            missedHeading.textContent = _t('quiz.review');
+            quizSummaryElementUI.appendChild(missedHeading);
+            const missedList = document.createElement('ul');
+            missedList.className = 'quiz-missed';
+            summary.missed.forEach((pair, index) => {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.quizOpen = index;
+                button.textContent = `${_formatRef(pair.ot_ref)} / ${_formatRef(pair.nt_ref)}`;
+                item.appendChild(button);
+                if (pair.description) item.appendChild(document.createTextNode(` ${pair.description}`));
+                missedList.appendChild(item);
+            });
+            quizSummaryElementUI.appendChild(missedList);
+        }
+        heading.setAttribute('tabindex', '-1');
+        heading.focus(); // Keyboard and screen reader users land on the result
+    }
+
+    /**
+     * Shows or hides the reading plans panel.
+     * @param {boolean} open
+     */
+    function showPlanViewUI(open) {
+        if (!planViewElementUI) return;
+        planViewElementUI.hidden = !open;
+        if (planViewButtonUI) {
+            planViewButtonUI.setAttribute('aria-expanded', String(open));
+            planViewButtonUI.dataset.i18n = open ? 'plans.close' : 'plans.heading'; // Kept by applyLanguageUI
+            planViewButtonUI.textContent = _t(planViewButtonUI.dataset.i18n);
+        }
+        if (open) planViewElementUI.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * Names the list a new plan would be made from; its name is the suggested plan name.
+     * @param {string} listLabel - Category name or node label of the current list.
+     * @param {number} count - Pairs in the list.
+     */
+    function updatePlanSourceUI(listLabel, count) {
+        if (planSourceLabelUI) planSourceLabelUI.textContent = _t('plans.source', { name: listLabel, count: count });
+        if (planNameInputUI) planNameInputUI.placeholder = listLabel;
+    }
+
+    /**
+     * Lists the reading plans: progress, a button to read the current day (data-plan-read, data-plan-day),
+     * delete (data-plan-delete), and the schedule with a read checkbox and a Read button per day.
+     * @param {Array<{index: number, name: string, perDay: number, schedule: object}>} plans - schedule from readingPlans.getSchedule.
+     */
+    function renderReadingPlansUI(plans) {
+        if (!planListElementUI) return;
+        planListElementUI.innerHTML = '';
+        if (plans.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'plan-empty';
+            empty.textContent = _t('plans.empty');
+            planListElementUI.appendChild(empty);
+            return;
+        }
+        const readButton = (plan, dayNumber, text) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.planRead = plan.index;
+            button.dataset.planDay = dayNumber;
+            button.textContent = text;
+            return button;
+        };
+        plans.forEach(plan => {
+            const schedule = plan.schedule;
+            const item = document.createElement('li');
+            item.className = 'plan-item';
+
+            const header = document.createElement('div');
+            header.className = 'plan-item-header';
+            const name = document.createElement('strong');
+            name.textContent = plan.name;
+            const progressText = document.createElement('span');
+            progressText.className = 'plan-progress-text';
+            progressText.textContent = schedule.currentDay === null
+                ? _t('plans.finished', { total: schedule.total })
+                : _t('plans.progress', {
+                    day: schedule.currentDay, days: schedule.days.length, read: schedule.readCount, total: schedule.total,
+                    behind: schedule.behind ? _t('plans.behind', { count: schedule.behind }) : ''
+                });
+            const progress = document.createElement('progress');
+            progress.max = schedule.total;
+            progress.value = schedule.readCount;
+            progress.setAttribute('aria-label', _t('plans.progressLabel', { name: plan.name }));
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.dataset.planDelete = plan.index;
+            deleteButton.setAttribute('aria-label', _t('plans.deleteLabel', { name: plan.name }));
+            deleteButton.textContent = _t('plans.delete');
+            header.append(name, progressText, progress,
+                readButton(plan, schedule.currentDay || 1,
+                           schedule.currentDay === null ? _t('plans.readAgain') : _t('plans.readDay', { day: schedule.currentDay })),
+                deleteButton);
+            item.appendChild(header);
+
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = _t('plans.schedule', { count: schedule.days.length, perDay: plan.perDay });
+            details.appendChild(summary);
+            const dayList = document.createElement('ol');
+            dayList.className = 'plan-days';
+            schedule.days.forEach(day => {
+                const dayItem = document.createElement('li');
+                dayItem.classList.toggle('complete', day.complete);
+                dayItem.classList.toggle('scheduled', day.number === schedule.scheduledDay);
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = day.complete;
+                checkbox.indeterminate = !day.complete && day.readCount > 0;
+                checkbox.dataset.planIndex = plan.index;
+                checkbox.dataset.planDay = day.number;
+                label.append(checkbox, ` ${_t('plans.day', { day: day.number, date: day.date })}: `);
+                dayItem.appendChild(label);
+                dayItem.appendChild(document.createTextNode(day.pairs.map(pair => `${_formatRef(pair.ot_ref)} / ${_formatRef(pair.nt_ref)}`).join('; ') + ' '));
+                dayItem.appendChild(readButton(plan, day.number, _t('plans.read')));
+                dayList.appendChild(dayItem);
+            });
+            details.appendChild(dayList);
+            item.appendChild(details);
+            planListElementUI.appendChild(item);
+        });
+    }
+
+    /**
+     * Shows the outcome of a reading plan change in the panel header.
+     * @param {string} text - Empty clears it.
+     * @param {boolean} [isError=false]
+     */
+    function showPlanStatusUI(text, isError = false) {
+        if (!planStatusElementUI) return;
+        planStatusElementUI.textContent = text;
+        planStatusElementUI.classList.toggle('error', isError);
+    }
+
+    /**
+     * Switches the page to the presentation layout (presentation.css: only the detail view, in large type,
+     * with the presentation bar) and back. The page goes full screen where the browser allows it.
+     * @param {boolean} open
+     */
+    function showPresentationUI(open) {
+        if (!presentationBarUI) return;
+        document.body.classList.toggle('presenting', open);
+        presentationBarUI.hidden = !open;
+        if (!open && presentationNotesUI) presentationNotesUI.hidden = true;
+        if (open && !document.fullscreenElement && document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(error => console.warn("UI_MGR: Full screen refused:", error.message));
+        } else if (!open && document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+        if (open) {
+            const nextButton = presentationBarUI.querySelector('[data-presentation-action="next"]');
+            (nextButton.disabled ? presentationBarUI.querySelector('[data-presentation-action="exit"]') : nextButton).focus();
+        }
+    }
+
+    /**
+     * Updates the presentation bar (walkthrough name, "3 of 12" and progress bar, Previous/Next at either end)
+     * and the speaker notes.
+     * @param {{label: string, position: number, total: number, notes: Array<string>, notesShown: boolean}} model
+     *        - position is 0-based; notes are the pair's descriptions.
+     */
+    function updatePresentationUI(model) {
+        if (!presentationBarUI) return;
+        presentationLabelUI.textContent = model.label;
+        presentationCounterUI.textContent = _t('presentation.counter', { position: model.position + 1, total: model.total });
+        presentationProgressUI.max = model.total;
+        presentationProgressUI.value = model.position + 1;
+        presentationBarUI.querySelector('[data-presentation-action="previous"]').disabled = model.position === 0;
+        presentationBarUI.querySelector('[data-presentation-action="next"]').disabled = model.position >= model.total - 1;
+        presentationBarUI.querySelector('[data-presentation-action="notes"]').setAttribute('aria-pressed', String(model.notesShown));
+        if (!presentationNotesUI) return;
+        presentationNotesUI.hidden = !model.notesShown;
+        presentationNotesUI.innerHTML = '';
+        if (model.notes.length === 0) {
+            presentationNotesUI.textContent = _t('presentation.noNotes');
+            return;
+        }
+        model.notes.forEach(note => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = note;
+            presentationNotesUI.appendChild(paragraph);
+        });
+    }
+
+    /**
+     * Lists the categories with their edge color and a checkbox (data-category-name) for the graph's filter.
+     * @param {Array<{name: string, color: string, included: boolean, count: number}>} legend
+     */
+    function _renderGraphLegendUI(legend) {
+        if (!graphLegendListUI) return;
+        graphLegendListUI.innerHTML = '';
+        legend.forEach(entry => {
+            const listItem = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = entry.included;
+            checkbox.dataset.categoryName = entry.name;
+            const swatch = document.createElement('span');
+            swatch.className = 'graph-swatch';
+            swatch.style.backgroundColor = entry.color;
+            label.appendChild(checkbox);
+            label.appendChild(swatch);
+            label.appendChild(document.createTextNode(`${entry.name} (${entry.count})`));
+            listItem.appendChild(label);
+            graphLegendListUI.appendChild(listItem);
+        });
+    }
+
+    /**
+     * Highlights one node's edges and dims the rest, or clears the highlight.
+     * @param {string | null} side - 'ot' | 'nt'; null clears.
+     * @param {string | null} key - Node key.
+     */
+    function focusGraphNodeUI(side, key) {
+        if (!_graphSvg) return;
+        const keyAttribute = side === 'ot' ? 'otKey' : 'ntKey';
+        _graphSvg.querySelectorAll('.graph-edge').forEach(edge => {
+            const touches = !!side && edge.dataset[keyAttribute] === key;
+            edge.classList.toggle('focused', touches);
+            edge.classList.toggle('dimmed', !!side && !touches);
+        });
+        _graphSvg.querySelectorAll('.graph-node').forEach(node => {
+            node.classList.toggle('focused', !!side && node.dataset.side === side && node.dataset.nodeKey === key);
+        });
+    }
+
+    /**
+     * Marks the edges of the pair shown in the detail view.
+     * @param {Array<number>} edgeIds - Empty clears the mark.
+     */
+    function markGraphSelectionUI(edgeIds) {
+        if (!_graphSvg) return;
+        _graphSvg.querySelectorAll('.graph-edge').forEach(edge => {
+            const selected = edgeIds.includes(Number(edge.dataset.edgeId));
+            edge.classList.toggle('selected', selected);
+            if (selected) edge.parentNode.appendChild(edge); // Drawn last, above the other edges
+        });
+    }
+
+    /**
+     * Writes the current visible area to the SVG.
+     */
+    function _applyGraphViewBox() {
+        if (!_graphSvg || !_graphViewBox) return;
+        const box = _graphViewBox;
+        _graphSvg.setAttribute('viewBox', [box.x, box.y, box.width, box.height].map(value => Math.round(value * 10) / 10).join(' '));
+    }
+
+    /**
+     * The size of the graph canvas on screen; falls back to the drawing's own proportions where it
+     * cannot be measured (not laid out yet).
+     * @returns {{left: number, top: number, width: number, height: number}}
+     */
+    function _graphCanvasRect() {
+        const rect = graphCanvasElementUI.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) return rect;
+        return { left: 0, top: 0, width: _graphSize.width, height: Math.min(_graphSize.height, _graphSize.width) };
+    }
+
+    /**
+     * Fits the drawing's full width into the canvas (tall graphs scroll by panning).
+     */
+    function resetGraphViewUI() {
+        if (!_graphSvg || !_graphSize) return;
+        const rect = _graphCanvasRect();
+        const height = _graphSize.width * rect.height / rect.width;
+        // A short drawing is centered vertically instead of sticking to the top
+        const y = _graphSize.height < height ? (_graphSize.height - height) / 2 : 0;
+        _graphViewBox = { x: 0, y: y, width: _graphSize.width, height: height };
+        _applyGraphViewBox();
+    }
+
+    /**
+     * Zooms the graph, keeping the point under the pointer in place.
+     * @param {number} factor - Above 1 zooms in.
+     * @param {number} [clientX] - Pointer position; omit to zoom around the center.
+     * @param {number} [clientY]
+     */
+    function zoomGraphUI(factor, clientX, clientY) {
+        if (!_graphSvg || !_graphViewBox) return;
+        const box = _graphViewBox;
+        const zoom = _graphSize.width / (box.width / factor);
+        if (zoom > GRAPH_MAX_ZOOM || zoom < GRAPH_MIN_ZOOM) return;
+        const rect = _graphCanvasRect();
+        const relativeX = clientX === undefined ? 0.5 : (clientX - rect.left) / rect.width;
+        const relativeY = clientY === undefined ? 0.5 : (clientY - rect.top) / rect.height;
+        const pointX = box.x + relativeX * box.width;
+        const pointY = box.y + relativeY * box.height;
+        box.width /= factor;
+        box.height /= factor;
+        box.x = pointX - relativeX * box.width;
+        box.y = pointY - relativeY * box.height;
+        _applyGraphViewBox();
+    }
+
+    /**
+     * Moves the visible area of the graph.
+     * @param {number} deltaX - Screen pixels; positive moves the drawing right (drag direction).
+     * @param {number} deltaY
+     */
+    function panGraphUI(deltaX, deltaY) {
+        if (!_graphSvg || !_graphViewBox) return;
+        const scale = _graphViewBox.width / _graphCanvasRect().width; // SVG units per screen pixel
+        _graphViewBox.x -= deltaX * scale;
+        _graphViewBox.y -= deltaY * scale;
+        _applyGraphViewBox();
+    }
+
+    /**
+     * Shows the manifest check report panel, or hides it.
+     * Issues that belong to a pair carry data-category/data-ot-ref/data-nt-ref so they can be opened.
+     * @param {object | null} report - From manifestValidator.validateManifest; null (or no issues) hides the panel.
+     */
+    function renderValidationReportUI(report) {
+        if (!validationReportElementUI || !validationSummaryElementUI || !validationIssuesElementUI) return;
+        if (!report || report.issues.length === 0) {
+            validationReportElementUI.hidden = true;
+            return;
+        }
+        const parts = [];
+        if (report.errorCount) parts.push(_t('validation.errors', { count: report.errorCount }));
+        if (report.warningCount) parts.push(_t('validation.warnings', { count: report.warningCount }));
+        validationSummaryElementUI.textContent = _t(report.resolvedIn ? 'validation.summaryChecked' : 'validation.summaryUnchecked',
+            { problems: parts.join(', '), pairs: report.pairCount, translation: report.resolvedIn });
+
+        validationIssuesElementUI.innerHTML = '';
+        report.issues.forEach(issue => {
+            const listItem = document.createElement('li');
+            listItem.className = `validation-issue ${issue.severity}`;
+            const location = document.createElement('strong');
+            location.textContent = issue.category ?
+                `${issue.category}${issue.pairIndex !== null ? ` #${issue.pairIndex + 1}` : ''}: ` : '';
+            listItem.appendChild(location);
+            listItem.appendChild(document.createTextNode(issue.message));
+            if (issue.pairKey !== null && typeof issue.otRef === 'string' && typeof issue.ntRef === 'string') {
+                listItem.dataset.category = issue.category;
+                listItem.dataset.otRef = issue.otRef;
+                listItem.dataset.ntRef = issue.ntRef;
+                listItem.setAttribute('role', 'button'); listItem.setAttribute('tabindex', '0');
+            }
+            validationIssuesElementUI.appendChild(listItem);
+        });
+        validationReportElementUI.classList.toggle('has-errors', report.errorCount > 0);
+        validationReportElementUI.hidden = false;
+        console.log(`UI_MGR: Rendered manifest check with ${report.issues.length} issues.`);
+    }
+
+    /**
+     * Expands or collapses the issue list of the manifest check panel.
+     * @param {boolean} [expand] - Omit to toggle.
+     */
+    function toggleValidationDetailsUI(expand) {
+        if (!validationIssuesElementUI || !validationDetailsButtonUI) return;
+        const show = expand === undefined ? validationIssuesElementUI.hidden : expand;
+        validationIssuesElementUI.hidden = !show;
+        validationDetailsButtonUI.setAttribute('aria-expanded', String(show));
+        validationDetailsButtonUI.dataset.i18n = show ? 'validation.hideDetails' : 'validation.showDetails'; // Kept by applyLanguageUI
+        validationDetailsButtonUI.textContent = _t(validationDetailsButtonUI.dataset.i18n);
+    }
+
+    /**
+     * Renders search results below the search box, or hides the panel.
+     * @param {object | null} results - null hides the panel. Otherwise:
+     *   { reference: string|null  (set when the query was read as a reference; verses are then the passage itself),
+     *     pairs: Array<{pair, categories, matchedTerms}>,
+     *     verses: Array<{book, chapter, verse, text, matchedTerms}>, verseTotal: number, versesComplete: boolean }
+     */
+    function renderSearchResultsUI(results) {
+        if (!searchResultsElementUI) return;
+        searchResultsElementUI.innerHTML = '';
+        searchResultsElementUI.hidden = !results;
+        if (!results) return;
+
+        const pairsTitle = results.reference ? _t('search.pairsCiting', { reference: results.reference }) : _t('search.pairs');
+        const pairList = _createSearchResultsSection(`${pairsTitle} (${results.pairs.length})`);
+        if (results.pairs.length === 0) {
+            pairList.innerHTML = `<li class="search-empty">${_t('search.noPairs')}</li>`;
+        }
+        results.pairs.forEach(entry => _renderPairResult(pairList, entry));
+
+        if (results.reference && results.verses.length === 0) return; // Reference search answered by pairs
+        const moreText = results.verseTotal > results.verses.length ? _t('search.showing', { count: results.verses.length }) : '';
+        const pendingText = results.versesComplete ? '' : _t('search.stillIndexing');
+        const versesTitle = results.reference ? results.reference : _t('search.verses');
+        const verseList = _createSearchResultsSection(`${versesTitle} (${results.verseTotal}${moreText}${pendingText})`);
+        if (results.verses.length === 0) {
+            verseList.innerHTML = `<li class="search-empty">${_t('search.noVerses')}</li>`;
+        }
+        results.verses.forEach(verse => {
+            const reference = `${verse.book} ${verse.chapter}:${verse.verse}`;
+            const listItem = _createSearchResultItem({ resultType: 'verse', reference: reference });
+            const refElement = document.createElement('strong');
+            refElement.textContent = reference;
+            listItem.appendChild(refElement);
+            listItem.appendChild(document.createTextNode(' '));
+            appendHighlightedTextUI(listItem, verse.text, verse.matchedTerms);
+            verseList.appendChild(listItem);
+        });
+    }
+
     /**
      * Updates visual styling of category list items.
      * @param {string} selectedCategoryName - The name of the currently selected category.
@@ -183,12 +2249,17 @@ ProphecyApp.uiManager = (function() {
          const categoryList = document.getElementById('category-list');
          if (!categoryList) return;
          const categoryItems = categoryList.querySelectorAll('li');
+         let selectedItem = null;
          categoryItems.forEach(item => {
              if (item.dataset.categoryName !== undefined) {
-                if (item.dataset.categoryName === selectedCategoryName) { item.classList.add('selected'); }
+                const isSelected = item.dataset.categoryName === selectedCategoryName;
+                if (isSelected) { item.classList.add('selected'); selectedItem = item; }
                 else { item.classList.remove('selected'); }
+                item.setAttribute('aria-selected', isSelected ? 'true' : 'false');
              }
          });
+         // Tabbing into the list lands on the selection, unless the user is moving through the list right now
+         if (selectedItem && !categoryList.contains(document.activeElement)) _setListTabStopUI(categoryList, selectedItem);
     }
 
     /**
@@ -198,6 +2269,7 @@ ProphecyApp.uiManager = (function() {
     function updateListSelectionVisualsUI(selectedIndex) {
         if (!prophecyListElementUI) return;
         const listItems = prophecyListElementUI.querySelectorAll('li');
+        let selectedItem = null;
         listItems.forEach((item) => {
              // Check if the item represents a prophecy (has a data-index)
              if (item.dataset.index !== undefined) {
@@ -205,21 +2277,104 @@ ProphecyApp.uiManager = (function() {
                  // Apply 'selected' class if index matches, remove otherwise
                 if (selectedIndex !== null && itemIndex === selectedIndex) {
                      item.classList.add('selected');
+                     selectedItem = item;
                  } else {
                      item.classList.remove('selected');
                  }
+                item.setAttribute('aria-selected', item === selectedItem ? 'true' : 'false');
              }
         });
+        // Tabbing into the list lands on the selection, unless the user is moving through the list right now
+        if (selectedItem && !prophecyListElementUI.contains(document.activeElement)) _setListTabStopUI(prophecyListElementUI, selectedItem);
+    }
+
+    /**
+     * Scrolls the reference list so the selected pair is visible (next/previous pair shortcuts).
+     */
+    function revealListSelectionUI() {
+        const selectedItem = prophecyListElementUI ? prophecyListElementUI.querySelector('li.selected') : null;
+        if (selectedItem && selectedItem.scrollIntoView) selectedItem.scrollIntoView({ block: 'nearest' });
     }
 
     // Expose public functions to the ProphecyApp namespace
     return {
+        applyLanguageUI: applyLanguageUI,
         updateStatusUI: updateStatusUI,
+        updateLoadProgressUI: updateLoadProgressUI,
+        updateConnectivityUI: updateConnectivityUI,
+        showUpdateBannerUI: showUpdateBannerUI,
         processCategoriesUI: processCategoriesUI,
+        showNavModeUI: showNavModeUI,
+        renderReferenceNavUI: renderReferenceNavUI,
+        toggleTreeNodeUI: toggleTreeNodeUI,
+        updateReferenceNavSelectionUI: updateReferenceNavSelectionUI,
         renderReferenceListUI: renderReferenceListUI,
+        moveListFocusUI: moveListFocusUI,
+        focusListOptionByTextUI: focusListOptionByTextUI,
+        revealListSelectionUI: revealListSelectionUI,
         displayDetailedPairUI: displayDetailedPairUI,
+        displayPanelPassagesUI: displayPanelPassagesUI,
+        updateContextControlsUI: updateContextControlsUI,
         displayTranslationNameUI: displayTranslationNameUI, // Expose translation display function
+        populateTranslationControlsUI: populateTranslationControlsUI,
+        updateCacheInfoUI: updateCacheInfoUI,
+        appendHighlightedTextUI: appendHighlightedTextUI,
+        updateSearchStatusUI: updateSearchStatusUI,
+        setSearchQueryUI: setSearchQueryUI,
+        renderSearchResultsUI: renderSearchResultsUI,
+        markPairIssuesUI: markPairIssuesUI,
+        markPairAnnotationsUI: markPairAnnotationsUI,
+        updatePairMarkersUI: updatePairMarkersUI,
+        highlightSharedTermsUI: highlightSharedTermsUI,
+        showComparisonUI: showComparisonUI,
+        displayPairNotesUI: displayPairNotesUI,
+        openNoteEditorUI: openNoteEditorUI,
+        getNoteDraftUI: getNoteDraftUI,
+        showNotesStatusUI: showNotesStatusUI,
+        downloadFileUI: downloadFileUI,
+        updateExportStatusUI: updateExportStatusUI,
+        displayPairSourcesUI: displayPairSourcesUI,
+        showSettingsPanelUI: showSettingsPanelUI,
+        renderManifestSourcesUI: renderManifestSourcesUI,
+        showSourcesStatusUI: showSourcesStatusUI,
+        showManifestEditorUI: showManifestEditorUI,
+        renderManifestEditorUI: renderManifestEditorUI,
+        getPairDraftUI: getPairDraftUI,
+        renderPairDraftUI: renderPairDraftUI,
+        resetPairDraftUI: resetPairDraftUI,
+        showEditorStatusUI: showEditorStatusUI,
+        showGraphViewUI: showGraphViewUI,
+        renderGraphUI: renderGraphUI,
+        showGraphTypeUI: showGraphTypeUI,
+        renderArcDiagramUI: renderArcDiagramUI,
+        showArcPreviewUI: showArcPreviewUI,
+        showQuizViewUI: showQuizViewUI,
+        showQuizStageUI: showQuizStageUI,
+        updateQuizSetupUI: updateQuizSetupUI,
+        renderQuizQuestionUI: renderQuizQuestionUI,
+        showQuizPromptTextUI: showQuizPromptTextUI,
+        showQuizFeedbackUI: showQuizFeedbackUI,
+        renderQuizSummaryUI: renderQuizSummaryUI,
+        showPlanViewUI: showPlanViewUI,
+        updatePlanSourceUI: updatePlanSourceUI,
+        renderReadingPlansUI: renderReadingPlansUI,
+        showPlanStatusUI: showPlanStatusUI,
+        showPresentationUI: showPresentationUI,
+        updatePresentationUI: updatePresentationUI,
+        focusGraphNodeUI: focusGraphNodeUI,
+        markGraphSelectionUI: markGraphSelectionUI,
+        resetGraphViewUI: resetGraphViewUI,
+        zoomGraphUI: zoomGraphUI,
+        panGraphUI: panGraphUI,
+        renderValidationReportUI: renderValidationReportUI,
+        toggleValidationDetailsUI: toggleValidationDetailsUI,
+        getMaxParallelTranslations: function() { return MAX_PARALLEL_TRANSLATIONS; },
         updateCategorySelectionVisualsUI: updateCategorySelectionVisualsUI,
         updateListSelectionVisualsUI: updateListSelectionVisualsUI
     };
-})();
\ No newline at end of file
+})();
+
+// Node (test/): export for tests that supply a stand-in document; browsers use the ProphecyApp global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProphecyApp.uiManager;
+}
@@ -0,0 +1,170 @@
+/**
+ * sw.js - Service worker for offline use of Prophecy Viewer.
+ * Precaches the app shell and manifests at install; Bible translation files are added
+ * when the page asks for them (see js/pwa.js). Same-origin GET requests are served
+ * stale-while-revalidate: the cached copy answers immediately, the network refreshes
+ * the cache, and open pages are told when a refreshed file actually changed. Requests
+ * that opt out of HTTP caching (cache: 'no-cache', 'reload', 'no-store') go to the
+ * network first and only fall back to the cache when offline.
+ * Bump SHELL_CACHE when the file list changes.
+ */
+
+const SHELL_CACHE = 'prophecy-viewer-shell-v18';
+const DATA_CACHE = 'prophecy-viewer-data-v1';
+// Request cache modes that must reach the network (bible_service's freshness checks use 'no-cache')
+const NETWORK_FIRST_MODES = ['no-cache', 'reload', 'no-store'];
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'presentation.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'references.json',
+    'translations.json',
+    'manifests.json',
+    'js/book_registry.js',
+    'js/bsb_parser.js',
+    'js/bible_formats.js',
+    'js/reference_parser.js',
+    'js/local_store.js',
+    'js/i18n.js',
+    'js/search_index.js',
+    'js/reverse_index.js',
+    'js/prophecy_graph.js',
+    'js/arc_diagram.js',
+    'js/bible_cache.js',
+    'js/bible_service.js',
+    'js/bible_worker.js',
+    'js/manifest_validator.js',
+    'js/markdown.js',
+    'js/notes_store.js',
+    'js/quiz.js',
+    'js/reading_plans.js',
+    'js/text_compare.js',
+    'js/exporter.js',
+    'js/custom_categories.js',
+    'js/manifest_sources.js',
+    'js/data_fetcher.js',
+    'js/pwa.js',
+    'js/router.js',
+    'js/ui_manager.js',
+    'js/event_handler.js',
+    'js/app.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Drop caches from previous shell versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== DATA_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Page -> worker: { type: 'precache', urls: [...] } adds translation files to the data cache
+self.addEventListener('message', event => {
+    const message = event.data || {};
+    if (message.type === 'precache' && Array.isArray(message.urls)) {
+        event.waitUntil(
+            caches.open(DATA_CACHE).then(cache => Promise.all(message.urls.map(url =>
+                cache.match(url).then(existing => existing || cache.add(url))
+            ))).catch(error => console.warn('SW: Precache failed:', error))
+        );
+    }
+});
+
+/**
+ * Compares two responses for the same URL by their headers only, so large
+ * translation files are never read twice. Uses HTTP validators when present
+ * and falls back to Content-Length.
+ * @returns {boolean|null} - True if the content differs, null if the headers cannot tell.
+ */
+function responsesDiffer(cachedResponse, freshResponse) {
+    for (const header of ['etag', 'last-modified', 'content-length']) {
+        const cachedValue = cachedResponse.headers.get(header);
+        const freshValue = freshResponse.headers.get(header);
+        if (cachedValue && freshValue) return cachedValue !== freshValue;
+    }
+    return null;
+}
+
+/**
+ * Tells every open page that a cached file was replaced with newer content.
+ */
+async function notifyClients(url) {
+    const clientList = await self.clients.matchAll({ type: 'window' });
+    clientList.forEach(client => client.postMessage({ type: 'content-updated', url: url }));
+}
+
+/**
+ * Stale-while-revalidate for one request.
+ */
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const isDataFile = new URL(request.url).pathname.includes('/data/');
+    const cache = await caches.open(isDataFile ? DATA_CACHE : SHELL_CACHE);
+    // Shell files may have been precached under either cache
+    const cachedResponse = await caches.match(request, { ignoreSearch: true });
+
+    const networkUpdate = fetch(request).then(async freshResponse => {
+        if (!freshResponse || !freshResponse.ok || freshResponse.type === 'opaque') return freshResponse;
+        const changed = cachedResponse ? responsesDiffer(cachedResponse, freshResponse) : null;
+        // Without comparable headers the copy is refreshed quietly rather than announced
+        if (!cachedResponse || changed !== false) {
+            await cache.put(request, freshResponse.clone());
+        }
+        if (changed) notifyClients(request.url);
+        return freshResponse;
+    });
+
+    if (cachedResponse) {
+        // Keep the worker alive until the background refresh finishes; offline failures are expected
+        event.waitUntil(networkUpdate.catch(() => {}));
+        return cachedResponse;
+    }
+    return networkUpdate;
+}
+
+/**
+ * Network-first for requests that asked to skip HTTP caches; the cached copy
+ * is only used when the network cannot be reached.
+ */
+async function networkFirst(event) {
+    const request = event.request;
+    try {
+        const freshResponse = await fetch(request);
+        if (freshResponse.ok && freshResponse.type !== 'opaque' && request.cache !== 'no-store') {
+            const isDataFile = new URL(request.url).pathname.includes('/data/');
+            const cache = await caches.open(isDataFile ? DATA_CACHE : SHELL_CACHE);
+            event.waitUntil(cache.put(request, freshResponse.clone()).catch(() => {}));
+        }
+        return freshResponse;
+    } catch (error) {
+        const cachedResponse = await caches.match(request, { ignoreSearch: true });
+        if (cachedResponse) return cachedResponse;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return; // HEAD validation requests go straight to the network
+    if (new URL(request.url).origin !== self.location.origin) return;
+    if (NETWORK_FIRST_MODES.includes(request.cache)) {
+        event.respondWith(networkFirst(event));
+        return;
+    }
+    event.respondWith(staleWhileRevalidate(event));
+});
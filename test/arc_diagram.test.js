@@ -0,0 +1,65 @@
+/**
+ * arc_diagram.test.js - Canon axis scale and prophecy-to-fulfillment arcs (js/arc_diagram.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const arcDiagram = require('../js/arc_diagram.js');
+const { quietly } = require('./helpers.js');
+
+/** Lays out arcs with the module's summary logging silenced. */
+function layoutQuietly(pairs, axis, options) {
+    return quietly(() => arcDiagram.layoutArcs(pairs, axis, options));
+}
+
+test('places all 66 books in canonical order, as wide as their chapter counts', () => {
+    const axis = arcDiagram.buildAxis(null);
+    assert.equal(axis.books.length, 66);
+    assert.equal(axis.fromBibleData, false);
+    assert.deepEqual([axis.books[0].id, axis.books[38].id, axis.books[39].id, axis.books[65].id], ['GEN', 'MAL', 'MAT', 'REV']);
+    axis.books.slice(1).forEach((book, index) => assert.ok(book.x > axis.books[index].x + axis.books[index].width, `${book.id} overlaps`));
+    const psalms = axis.books.find(book => book.id === 'PSA');
+    const obadiah = axis.books.find(book => book.id === 'OBA');
+    assert.ok(Math.abs(psalms.width / obadiah.width - 150) < 1e-9, 'width is proportional to chapters');
+    const last = axis.books[65];
+    assert.ok(Math.abs(last.x + last.width - (axis.width - 10)) < 1e-9, 'the axis spans the width between the margins');
+});
+
+test('scales by the indexed Bible data and lands arcs on the cited verse', () => {
+    const outline = { MIC: [16, 13, 12, 13, 15, 16, 20], MAT: new Array(28).fill(30) };
+    const axis = arcDiagram.buildAxis(outline);
+    assert.equal(axis.fromBibleData, false, 'books missing from the data fall back to the registry');
+    const micah = axis.books.find(book => book.id === 'MIC');
+    assert.deepEqual(micah.verseCounts, outline.MIC);
+    const chapterWidth = micah.width / 7;
+    assert.ok(Math.abs(arcDiagram.locate(axis, 'MIC', 5, 2) - (micah.x + 4 * chapterWidth + (1.5 / 15) * chapterWidth)) < 1e-9);
+    assert.ok(Math.abs(arcDiagram.locate(axis, 'MIC', 5, null) - (micah.x + 4.5 * chapterWidth)) < 1e-9, 'whole chapters sit mid-chapter');
+    assert.equal(arcDiagram.locate(axis, 'XYZ', 1, 1), null);
+});
+
+test('draws one arc per pair from its first OT passage to its first NT passage', () => {
+    const axis = arcDiagram.buildAxis(null);
+    const pairs = [
+        { ot_ref: 'Genesis 3:15', nt_ref: 'Galatians 4:4; Hebrews 2:14', categories: ['Genesis Promises'] },
+        { ot_ref: 'Malachi 3:1', nt_ref: 'Matthew 11:10', categories: ['Forerunner', 'Prophets'] },
+        { ot_ref: 'Adam', nt_ref: 'Romans 5:14', categories: ['Typology'] }
+    ];
+    const result = layoutQuietly(pairs, axis);
+    assert.equal(result.arcs.length, 2);
+    assert.deepEqual(result.unplaced.map(pair => pair.ot_ref), ['Adam']);
+    const [genesis, malachi] = result.arcs;
+    const galatians = axis.books.find(book => book.id === 'GAL');
+    assert.ok(genesis.x1 < axis.books[1].x && genesis.x2 > galatians.x && genesis.x2 < galatians.x + galatians.width);
+    assert.equal(malachi.category, 'Forerunner');
+    assert.match(genesis.path, new RegExp(`^M [\\d.]+ ${axis.axisY} A [\\d.]+ [\\d.]+ 0 0 1 [\\d.]+ ${axis.axisY}$`));
+    const radiusY = path => Number(path.split(' ')[5]);
+    assert.ok(radiusY(genesis.path) > radiusY(malachi.path), 'longer spans draw taller arcs');
+    assert.ok(radiusY(genesis.path) <= axis.arcHeight);
+
+    const layered = layoutQuietly(pairs, axis, { categories: ['Prophets'] });
+    assert.deepEqual(layered.arcs.map(arc => `${arc.pair.ot_ref}:${arc.category}`), ['Malachi 3:1:Prophets'], 'hidden layers drop their arcs');
+    assert.equal(layered.arcs[0].path, malachi.path, 'the axis does not move when layers are hidden');
+});
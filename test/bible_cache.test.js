@@ -0,0 +1,48 @@
+/**
+ * bible_cache.test.js - Cache clearing and the cache summary when IndexedDB fails (js/bible_cache.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { quietly } = require('./helpers.js');
+
+/** Loads a fresh copy of the module, which keeps the first database it opens. */
+function loadBibleCache() {
+    delete require.cache[require.resolve('../js/bible_cache.js')];
+    return require('../js/bible_cache.js');
+}
+
+test('reports nothing to clear when IndexedDB is blocked', async () => {
+    const bibleCache = loadBibleCache();
+    global.indexedDB = { open() { throw new Error('SecurityError'); } };
+    try {
+        assert.equal(await quietly(() => bibleCache.clearAll(), ['warn']), false);
+        const info = await quietly(() => bibleCache.getInfo(), ['warn']);
+        assert.equal(info.available, false);
+        assert.deepEqual(info.translations, []);
+    } finally {
+        delete global.indexedDB;
+    }
+});
+
+test('resolves false and null when the database fails mid-transaction', async () => {
+    const bibleCache = loadBibleCache();
+    const failingDb = { transaction() { throw new Error('InvalidStateError'); } };
+    global.indexedDB = {
+        open() {
+            const request = { result: failingDb };
+            setTimeout(() => request.onsuccess());
+            return request;
+        }
+    };
+    try {
+        assert.equal(await quietly(() => bibleCache.clearAll(), ['warn']), false);
+        assert.equal(await quietly(() => bibleCache.getInfo(), ['warn']), null);
+        assert.equal(await quietly(() => bibleCache.getTranslation('BSB'), ['warn']), null);
+    } finally {
+        delete global.indexedDB;
+    }
+});
@@ -0,0 +1,99 @@
+/**
+ * bible_formats.test.js - Bible source adapters and format detection (js/bible_formats.js).
+ * The three sample files hold the same passages with each format's footnotes, headings,
+ * Strong's tags, verse bridge and a non-registry book, so they must produce the same index.
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const bibleFormats = require('../js/bible_formats.js');
+const { quietly } = require('./helpers.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/** Parses a fixture with logging (and the expected skipped-book warning) silenced. */
+function parseFixture(fileName, options = {}) {
+    const warnings = [];
+    const text = fs.readFileSync(path.join(FIXTURES, fileName), 'utf8');
+    const result = quietly(() => bibleFormats.parseBible(text, Object.assign({ fileName: fileName }, options)),
+                           { log: function() {}, warn: message => warnings.push(message) });
+    return Object.assign(result, { warnings: warnings });
+}
+
+const EXPECTED_INDEX = {
+    ISA: {
+        7: { 14: 'Therefore the Lord himself will give you a sign: Behold, the virgin will conceive.' },
+        53: {
+            4: 'Surely he took up our pains and bore our suffering; he was pierced for our transgressions.',
+            5: '[See verse 4]',
+            6: 'We all, like sheep, have gone astray, each of us to our own way.'
+        }
+    },
+    MIC: { 5: { 2: 'But you, Bethlehem Ephrathah, though you are small among the clans of Judah.' } }
+};
+
+for (const [fileName, format, translationName] of [
+    ['sample.usfm', 'usfm', null],
+    ['sample.osis.xml', 'osis', 'Sample OSIS Bible'],
+    ['sample_zefania.xml', 'zefania', 'Sample Zefania Bible']
+]) {
+    test(`${format}: indexes verse text without notes, headings or tags`, () => {
+        const result = parseFixture(fileName);
+        assert.equal(result.format, format);
+        assert.equal(result.translationName, translationName);
+        assert.deepEqual(JSON.parse(JSON.stringify(result.index)), EXPECTED_INDEX);
+        assert.equal(result.warnings.length, 1, 'the non-registry book is reported once');
+    });
+}
+
+test('bsb-json: delegates to the BSB parser and keeps the translation name', () => {
+    const text = JSON.stringify({ translation: 'Mini', books: [{ name: 'Jude', chapters: [{ chapter: 1, verses: [{ verse: 14, text: 'Behold' }] }] }] });
+    const result = quietly(() => bibleFormats.parseBible(text, { fileName: 'data/mini.json' }));
+    assert.equal(result.format, 'bsb-json');
+    assert.equal(result.translationName, 'Mini');
+    assert.equal(result.index.JUD['1']['14'], 'Behold');
+});
+
+test('reports progress per book', () => {
+    const calls = [];
+    parseFixture('sample_zefania.xml', { onProgress: (done, total) => calls.push([done, total]) });
+    assert.deepEqual(calls, [[1, 3], [2, 3], [3, 3]]);
+});
+
+test('detects the format from the extension, then from the content', () => {
+    assert.equal(bibleFormats.detectFormat('data/KJV.json', ''), 'bsb-json');
+    assert.equal(bibleFormats.detectFormat('data/web/23-ISA.usfm?v=2', ''), 'usfm');
+    assert.equal(bibleFormats.detectFormat('kjv.SFM', ''), 'usfm');
+    assert.equal(bibleFormats.detectFormat('kjv.osis.xml', '<XMLBIBLE>'), 'osis', 'extension wins');
+    assert.equal(bibleFormats.detectFormat('kjv.xml', '\uFEFF<?xml version="1.0"?>\n<osis xmlns="...">'), 'osis');
+    assert.equal(bibleFormats.detectFormat('asv.xml', '<?xml version="1.0"?><XMLBIBLE biblename="ASV">'), 'zefania');
+    assert.equal(bibleFormats.detectFormat('bible.txt', '\\id GEN\n\\c 1'), 'usfm');
+    assert.equal(bibleFormats.detectFormat(null, '  { "books": [] }'), 'bsb-json');
+    assert.equal(bibleFormats.detectFormat('notes.txt', 'Just some text'), null);
+});
+
+test('rejects unknown formats and files without verses', () => {
+    assert.throws(() => bibleFormats.parseBible('Just some text', { fileName: 'notes.txt' }), /Could not detect/);
+    assert.throws(() => bibleFormats.parseBible('\\id GEN', { format: 'usx' }), /Unknown Bible format "usx"/);
+    quietly(() => assert.throws(() => bibleFormats.parseBible('\\id GEN\n\\h Genesis', { format: 'usfm' }), /No verses found in USFM data/));
+});
+
+test('XML tokenizer handles attributes, entities, CDATA, comments and namespaces', () => {
+    const tokens = [];
+    bibleFormats.tokenizeXml('<?xml version="1.0"?><!DOCTYPE x><a:root b="1 &gt; 0" c=\'say "hi"\'><!-- skip -->x &amp; y&#33;&#x3F;<![CDATA[<raw>]]><br/></a:root>',
+        token => tokens.push(token));
+    assert.deepEqual(tokens, [
+        { type: 'open', name: 'root', attrs: { b: '1 > 0', c: 'say "hi"' } },
+        { type: 'text', text: 'x & y!?' },
+        { type: 'text', text: '<raw>' },
+        { type: 'empty', name: 'br', attrs: {} },
+        { type: 'close', name: 'root' }
+    ]);
+    assert.throws(() => bibleFormats.tokenizeXml('<a b="1"', () => {}), /Unterminated XML tag/);
+    assert.throws(() => bibleFormats.tokenizeXml('<!-- open', () => {}), /Unterminated XML comment/);
+});
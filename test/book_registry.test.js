@@ -0,0 +1,68 @@
+/**
+ * book_registry.test.js - Book name resolution (js/book_registry.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bookRegistry = require('../js/book_registry.js');
+
+test('resolves full names, abbreviations and ids to one record', () => {
+    for (const name of ['Isaiah', 'Isa', 'Isa.', 'ISA', 'is']) {
+        assert.equal(bookRegistry.resolveBook(name)?.id, 'ISA', name);
+    }
+});
+
+test('resolves numbered books written with digits, ordinals or Roman numerals', () => {
+    for (const name of ['1 John', '1John', 'I John', 'First John', '1st John', '1 Jn']) {
+        assert.equal(bookRegistry.resolveBook(name)?.id, '1JN', name);
+    }
+    assert.equal(bookRegistry.resolveBook('III John')?.id, '3JN');
+    assert.equal(bookRegistry.resolveBook('II Samuel')?.id, '2SA');
+});
+
+test('accepts singular Psalm and the Song of Songs variants', () => {
+    assert.equal(bookRegistry.resolveBook('Psalm')?.id, 'PSA');
+    assert.equal(bookRegistry.resolveBook('Psalms')?.id, 'PSA');
+    assert.equal(bookRegistry.resolveBook('Song of Solomon')?.id, bookRegistry.resolveBook('Song of Songs')?.id);
+});
+
+test('resolves Spanish and Portuguese names with or without accents', () => {
+    for (const [name, id] of [['Génesis', 'GEN'], ['Genesis', 'GEN'], ['Éxodo', 'EXO'], ['exodo', 'EXO'], ['Isaías', 'ISA'],
+        ['Mateo', 'MAT'], ['Mateus', 'MAT'], ['João', 'JHN'], ['Juan', 'JHN'], ['1 Reyes', '1KI'], ['Salmos', 'PSA'], ['Apocalipse', 'REV']]) {
+        assert.equal(bookRegistry.resolveBook(name)?.id, id, name);
+    }
+});
+
+test('tells apart names that differ only by an accent and rejects other spellings of them', () => {
+    assert.equal(bookRegistry.resolveBook('Jó')?.id, 'JOB');
+    assert.equal(bookRegistry.resolveBook('JÓ')?.id, 'JOB');
+    assert.equal(bookRegistry.resolveBook('Jo')?.id, 'JHN');
+    assert.equal(bookRegistry.resolveBook('Jò'), null, 'folds to both books');
+});
+
+test('names books in a language, falling back to English', () => {
+    assert.equal(bookRegistry.getBookName('ISA', 'es'), 'Isaías');
+    assert.equal(bookRegistry.getBookName('JHN', 'pt-BR'), 'João');
+    assert.equal(bookRegistry.getBookName('ISA'), 'Isaiah');
+    assert.equal(bookRegistry.getBookName('ISA', 'de'), 'Isaiah');
+    assert.equal(bookRegistry.getBookName('XYZ', 'es'), null);
+});
+
+test('does not guess unknown names', () => {
+    for (const name of ['Adam', 'David', 'Exodus (Moses)', '', '   ', null, 42]) {
+        assert.equal(bookRegistry.resolveBook(name), null, String(name));
+    }
+});
+
+test('lists 66 books in canonical order with testaments', () => {
+    const books = bookRegistry.getAllBooks();
+    assert.equal(books.length, 66);
+    assert.deepEqual(books.map(book => book.order), books.map((book, index) => index + 1));
+    assert.equal(books.filter(book => book.testament === 'OT').length, 39);
+    assert.equal(books[39].id, 'MAT');
+    assert.equal(bookRegistry.getBookById('REV').chapters, 22);
+    assert.equal(bookRegistry.getBookById('XYZ'), null);
+});
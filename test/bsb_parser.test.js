@@ -0,0 +1,61 @@
+/**
+ * bsb_parser.test.js - Indexing of BSB-format Bible JSON (js/bsb_parser.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bsbParser = require('../js/bsb_parser.js');
+const { quietly } = require('./helpers.js');
+
+/** Runs the parser with its progress logging (and expected warnings) silenced. */
+function parseQuietly(json, onProgress) {
+    const warnings = [];
+    const index = quietly(() => bsbParser.parseAndIndexBsbData(json, onProgress),
+                          { log: function() {}, warn: message => warnings.push(message) });
+    return { index: index, warnings: warnings };
+}
+
+test('indexes books by registry id, chapters and verses by number', () => {
+    const { index } = parseQuietly({ books: [
+        { name: 'I John', chapters: [{ chapter: 3, verses: [{ verse: 8, text: '  The one who does what is sinful...  ' }] }] },
+        { name: 'Psalm', chapters: [{ chapter: 22, verses: [{ verse: 1, text: 'My God, my God' }] }] }
+    ] });
+    assert.deepEqual(Object.keys(index), ['1JN', 'PSA']);
+    assert.equal(index['1JN']['3']['8'], 'The one who does what is sinful...', 'text is trimmed');
+    assert.equal(index.PSA['22']['1'], 'My God, my God');
+});
+
+test('skips unknown books, malformed chapters and malformed verses', () => {
+    const { index, warnings } = parseQuietly({ books: [
+        { name: 'Enoch', chapters: [{ chapter: 1, verses: [{ verse: 9, text: 'Behold' }] }] },
+        { chapters: [] },
+        { name: 'Genesis', chapters: [
+            { chapter: '1', verses: [{ verse: 1, text: 'In the beginning' }] },
+            { chapter: 3, verses: [{ verse: '15', text: 'enmity' }, { verse: 15, text: 'I will put enmity' }, { verse: 16 }] },
+            { chapter: 4, verses: [] }
+        ] },
+        { name: 'Exodus', chapters: 'none' }
+    ] });
+    assert.deepEqual(Object.keys(index), ['GEN']);
+    assert.deepEqual(Object.keys(index.GEN), ['3']);
+    assert.deepEqual(index.GEN['3'], { 15: 'I will put enmity' });
+    assert.equal(warnings.length, 2, 'unknown book and missing name are reported');
+});
+
+test('reports progress per book', () => {
+    const calls = [];
+    parseQuietly({ books: [
+        { name: 'Ruth', chapters: [{ chapter: 1, verses: [{ verse: 1, text: 'a' }] }] },
+        { name: 'Jonah', chapters: [{ chapter: 1, verses: [{ verse: 1, text: 'b' }] }] }
+    ] }, (bookNumber, totalBooks) => calls.push([bookNumber, totalBooks]));
+    assert.deepEqual(calls, [[1, 2], [2, 2]]);
+});
+
+test('rejects data without a books array or without any usable book', () => {
+    assert.throws(() => parseQuietly({}), /'books' array not found/);
+    assert.throws(() => parseQuietly(null), /'books' array not found/);
+    assert.throws(() => parseQuietly({ books: [{ name: 'Enoch', chapters: [] }] }), /No valid book data/);
+});
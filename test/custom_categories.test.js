@@ -0,0 +1,114 @@
+/**
+ * custom_categories.test.js - User-authored categories, their merge into the shipped manifest and
+ * references.json output (js/custom_categories.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const customCategories = require('../js/custom_categories.js');
+const manifestValidator = require('../js/manifest_validator.js');
+const { createMemoryStorage, quietly } = require('./helpers.js');
+
+const MICAH = { ot_ref: 'Micah 5:2', nt_ref: 'Matthew 2:1', description: 'Born in Bethlehem' };
+const ISAIAH = { ot_ref: 'Isaiah 7:14', nt_ref: 'Matthew 1:23', description: 'Born of a virgin' };
+const SHIPPED = [
+    { name: 'All Categories', pairs: [] },
+    { name: 'Birth', pairs: [Object.assign({}, MICAH)] }
+];
+
+test('creates, renames, reorders and deletes categories, persisting each change', () => {
+    const storage = createMemoryStorage();
+    customCategories.setStorage(storage);
+    quietly(() => {
+        assert.deepEqual(customCategories.createCategory('  Passion  week '), { index: 0, saved: true });
+        customCategories.createCategory('Kingship');
+        customCategories.renameCategory(0, 'Passion Week');
+        assert.deepEqual(customCategories.moveCategory(1, -1), { index: 0, saved: true });
+        assert.equal(customCategories.moveCategory(0, -5).index, 0, 'moves are clamped');
+    });
+    assert.deepEqual(customCategories.getCategories().map(category => category.name), ['Kingship', 'Passion Week']);
+
+    customCategories.setStorage(storage); // Re-read what was saved
+    assert.deepEqual(customCategories.getCategories().map(category => category.name), ['Kingship', 'Passion Week']);
+    quietly(() => customCategories.deleteCategory(0));
+    assert.deepEqual(customCategories.getCategories().map(category => category.name), ['Passion Week']);
+});
+
+test('rejects blank, reserved and duplicate names', () => {
+    customCategories.setStorage(createMemoryStorage());
+    quietly(() => customCategories.createCategory('Kingship'));
+    assert.throws(() => customCategories.createCategory('   '), /needs a name/);
+    assert.throws(() => customCategories.createCategory('all categories'), /reserved/);
+    assert.throws(() => customCategories.createCategory('My Bookmarks', { reservedNames: ['My Bookmarks'] }), /reserved/);
+    assert.throws(() => customCategories.createCategory('KINGSHIP'), /already have/);
+    assert.doesNotThrow(() => customCategories.renameCategory(0, 'kingship'), 'a category may change its own case');
+    assert.throws(() => customCategories.renameCategory(3, 'X'), /No user category/);
+});
+
+test('adds, edits and removes pairs, refusing duplicates within a category', () => {
+    customCategories.setStorage(createMemoryStorage());
+    quietly(() => customCategories.createCategory('Birth'));
+    assert.deepEqual(customCategories.addPair(0, { ot_ref: ' Micah  5:2 ', nt_ref: 'Matthew 2:1', description: 'Bethlehem' }), { pairIndex: 0, saved: true });
+    assert.throws(() => customCategories.addPair(0, { ot_ref: 'micah 5:2', nt_ref: 'matthew 2:1' }), /already in "Birth"/);
+    assert.throws(() => customCategories.addPair(0, { ot_ref: 'Micah 5:2', nt_ref: '' }), /both an OT and an NT/);
+    customCategories.addPair(0, ISAIAH);
+    customCategories.updatePair(0, 0, { description: 'Born in Bethlehem' });
+    customCategories.removePair(0, 1);
+    assert.deepEqual(customCategories.getCategories()[0].pairs, [MICAH]);
+    assert.throws(() => customCategories.removePair(0, 4), /No pair #5/);
+});
+
+test('keeps working in memory when storage fails', () => {
+    customCategories.setStorage({ getItem: () => 'not json', setItem: () => { throw new Error('QuotaExceededError'); } });
+    assert.equal(quietly(() => customCategories.createCategory('Kingship'), ['log', 'warn']).saved, false);
+    assert.deepEqual(customCategories.getCategories().map(category => category.name), ['Kingship']);
+});
+
+test('merges user categories on top of the shipped manifest', () => {
+    const user = [
+        { name: 'birth', pairs: [{ ot_ref: 'micah 5:2', nt_ref: 'Matthew 2:1', description: 'dup' }, ISAIAH] },
+        { name: 'Kingship', pairs: [{ ot_ref: 'Zechariah 9:9', nt_ref: 'Matthew 21:5', description: 'On a donkey' }] },
+        { name: 'Empty', pairs: [] }
+    ];
+    const merged = customCategories.mergeCategories(SHIPPED, user);
+    assert.deepEqual(merged.categories.map(category => `${category.name}:${category.pairs.length}`),
+                     ['All Categories:0', 'Birth:2', 'Kingship:1', 'Empty:0']);
+    assert.deepEqual(merged.categories[1].pairs[1], ISAIAH, 'only pairs the shipped category lacks are added');
+    assert.deepEqual(merged.addedCategoryNames, ['Kingship', 'Empty']);
+    assert.deepEqual(merged.extendedCategoryNames, ['Birth']);
+    assert.equal(SHIPPED[1].pairs.length, 1, 'the shipped categories are not modified');
+});
+
+test('writes references.json that parses and passes the manifest check', () => {
+    const text = customCategories.serializeManifest([{ name: 'Kingship', pairs: [{ ot_ref: 'Zechariah 9:9', nt_ref: 'Matthew 21:5', description: 'A "humble" king' }] }, { name: 'Empty', pairs: [] }]);
+    assert.equal(text, [
+        '{',
+        '  "categories": [',
+        '    {',
+        '      "name": "All Categories",',
+        '      "pairs": []',
+        '    },',
+        '    {',
+        '      "name": "Kingship",',
+        '      "pairs": [',
+        '        { "ot_ref": "Zechariah 9:9", "nt_ref": "Matthew 21:5", "description": "A \\"humble\\" king" }',
+        '      ]',
+        '    },',
+        '    {',
+        '      "name": "Empty",',
+        '      "pairs": []',
+        '    }',
+        '  ]',
+        '}',
+        ''
+    ].join('\n'));
+
+    const combined = JSON.parse(customCategories.serializeManifest(customCategories.mergeCategories(SHIPPED, [{ name: 'Birth', pairs: [ISAIAH] }]).categories));
+    assert.equal(combined.categories.filter(category => category.name === 'All Categories').length, 1);
+    const report = manifestValidator.validateManifest(combined);
+    assert.equal(report.errorCount, 0);
+    assert.equal(report.pairCount, 2);
+});
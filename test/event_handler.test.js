@@ -0,0 +1,67 @@
+/**
+ * event_handler.test.js - Keyboard handling shared by the listboxes and the page-wide shortcuts (js/event_handler.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createFakeDocument, quietly } = require('./helpers.js');
+
+// event_handler.js has no Node export: it calls app.js and ui_manager.js through the ProphecyApp global,
+// so it is run as a browser script would be, against stand-ins for both
+const calls = { adjacentPairs: [], typeAhead: [] };
+global.ProphecyApp = {
+    app: {
+        isPresenting: () => false,
+        selectAdjacentPair: step => calls.adjacentPairs.push(step)
+    },
+    uiManager: {
+        updateConnectivityUI() {},
+        focusListOptionByTextUI: (listbox, text) => { calls.typeAhead.push(text); return true; }
+    }
+};
+const fakeDocument = createFakeDocument(['prophecy-list']);
+global.document = fakeDocument;
+global.window = { addEventListener() {}, removeEventListener() {} };
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'event_handler.js'), 'utf8'));
+quietly(() => global.ProphecyApp.eventHandler.attachListeners(), ['log', 'warn', 'error']);
+
+const list = fakeDocument.elements['prophecy-list'];
+list.setAttribute('role', 'listbox');
+const option = fakeDocument.createElement('li');
+option.setAttribute('role', 'option');
+option.closest = selector => (selector === '[role="listbox"]' ? list : null);
+list.appendChild(option);
+
+/** Sends a keydown from the focused list option up through the list to the document, as the browser bubbles it. */
+function pressKey(key) {
+    const event = {
+        type: 'keydown', key: key, target: option, ctrlKey: false, metaKey: false, altKey: false, defaultPrevented: false,
+        preventDefault() { this.defaultPrevented = true; }
+    };
+    [list, fakeDocument].forEach(node => (node.listeners.keydown || []).forEach(listener => quietly(() => listener(event))));
+    return event;
+}
+
+test('j and k move to the next and previous pair while a list option has the focus', () => {
+    calls.adjacentPairs.length = 0;
+    calls.typeAhead.length = 0;
+    pressKey('j');
+    pressKey('k');
+    assert.deepEqual(calls.adjacentPairs, [1, -1]);
+    assert.deepEqual(calls.typeAhead, []);
+});
+
+test('other letters type ahead in the list and do not reach the shortcuts', () => {
+    calls.adjacentPairs.length = 0;
+    calls.typeAhead.length = 0;
+    const event = pressKey('m');
+    assert.equal(event.defaultPrevented, true);
+    assert.deepEqual(calls.typeAhead, ['m']);
+    assert.deepEqual(calls.adjacentPairs, []);
+});
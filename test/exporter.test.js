@@ -0,0 +1,106 @@
+/**
+ * exporter.test.js - Markdown, CSV, handout and slide exports (js/exporter.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const exporter = require('../js/exporter.js');
+const { quietly } = require('./helpers.js');
+
+/** A two-pair export document; the second pair has a failed lookup and text that needs escaping. */
+function sampleDoc() {
+    return {
+        title: 'Birth & Childhood',
+        translation: { id: 'BSB', name: 'Berean Standard Bible', attribution: 'BSB text is public domain.' },
+        generated: new Date('2026-03-04T05:06:07Z'),
+        items: [
+            {
+                ot_ref: 'Micah 5:2', nt_ref: 'Matthew 2:1', description: 'Born in Bethlehem', categories: ['Birth & Childhood', 'Messiah'],
+                group: 'Birth & Childhood',
+                ot: { verses: [{ book: 'Micah', chapter: 5, verse: 2, text: 'But you, Bethlehem Ephrathah,' }], error: null },
+                nt: { verses: [
+                    { book: 'Matthew', chapter: 1, verse: 25, text: 'And he named Him Jesus.' },
+                    { book: 'Matthew', chapter: 2, verse: 1, text: 'After Jesus was born in Bethlehem, "wise men" came.' }
+                ], error: null }
+            },
+            {
+                ot_ref: 'Isaiah 7:14', nt_ref: 'Matthew 1:23', description: '<b>Virgin</b>, birth', categories: [],
+                group: 'Other',
+                ot: { verses: [], error: '[Book not found: Isaiah]' },
+                nt: { verses: [{ book: 'Matthew', chapter: 1, verse: 23, text: 'Immanuel' }], error: null }
+            }
+        ]
+    };
+}
+
+/** Renders with the exporter's logging silenced. */
+function render(formatId, doc) {
+    return quietly(() => exporter.renderExport(formatId, doc));
+}
+
+test('lists the four formats', () => {
+    assert.deepEqual(exporter.getFormats().map(format => format.id), ['markdown', 'csv', 'handout', 'slides']);
+    assert.throws(() => exporter.renderExport('pdf', sampleDoc()), /Unknown export format "pdf"/);
+});
+
+test('exports Markdown with groups, numbered verses and attribution', () => {
+    const markdown = render('markdown', sampleDoc());
+    assert.match(markdown, /^# Birth & Childhood\n\n\*Berean Standard Bible \(BSB\) · 2 pairs · exported 2026-03-04\*/);
+    assert.match(markdown, /\n## Birth & Childhood\n\n### Micah 5:2 → Matthew 2:1\n\nBorn in Bethlehem\n/);
+    assert.match(markdown, /> \*\*25\*\* And he named Him Jesus\. \*\*2:1\*\* After Jesus/);
+    assert.match(markdown, /\n## Other\n/);
+    assert.match(markdown, /\\<b\\>Virgin\\<\/b\\>, birth/);
+    assert.match(markdown, /> \\\[Book not found: Isaiah\\\]/);
+    assert.ok(markdown.endsWith('---\n\nBSB text is public domain.\n'));
+});
+
+test('exports CSV with the requested columns and RFC 4180 quoting', () => {
+    const csv = render('csv', sampleDoc());
+    assert.ok(csv.startsWith('\uFEFF'), 'byte order mark for spreadsheets');
+    const lines = csv.slice(1).split('\r\n');
+    assert.equal(lines[0], 'ot_ref,ot_text,nt_ref,nt_text,description,category,translation,attribution');
+    assert.equal(lines[1], 'Micah 5:2,"But you, Bethlehem Ephrathah,",Matthew 2:1,' +
+                           '"And he named Him Jesus. After Jesus was born in Bethlehem, ""wise men"" came.",' +
+                           'Born in Bethlehem,Birth & Childhood; Messiah,Berean Standard Bible (BSB),BSB text is public domain.');
+    assert.equal(lines[2], 'Isaiah 7:14,[Book not found: Isaiah],Matthew 1:23,Immanuel,"<b>Virgin</b>, birth",,Berean Standard Bible (BSB),BSB text is public domain.');
+    assert.equal(lines[3], '');
+});
+
+test('exports a printable handout with a print stylesheet and escaped text', () => {
+    const html = render('handout', sampleDoc());
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Birth &amp; Childhood<\/title>/);
+    assert.match(html, /@media print \{[\s\S]*article \{ break-inside: avoid;/);
+    assert.match(html, /<h2>Birth &amp; Childhood<\/h2>/);
+    assert.match(html, /<sup>25<\/sup>And he named Him Jesus\. <sup>2:1<\/sup>After Jesus was born in Bethlehem, &quot;wise men&quot; came\./);
+    assert.match(html, /<p class="description">&lt;b&gt;Virgin&lt;\/b&gt;, birth<\/p>/);
+    assert.match(html, /<p class="passage-error">\[Book not found: Isaiah\]<\/p>/);
+    assert.match(html, /<footer>BSB text is public domain\.<\/footer>/);
+    assert.doesNotMatch(html, /<script>/);
+});
+
+test('exports one slide per pair between a title and an attribution slide', () => {
+    const html = render('slides', sampleDoc());
+    assert.equal((html.match(/<section class="slide/g) || []).length, 4);
+    assert.match(html, /<section class="slide title-slide">\n<h1>Birth &amp; Childhood<\/h1>\n<p>2 prophecies and fulfillments<\/p>/);
+    assert.match(html, /Berean Standard Bible \(BSB\) · 2 \/ 2<\/span>/);
+    assert.match(html, /<section class="slide end-slide">[\s\S]*<p>BSB text is public domain\.<\/p>/);
+    assert.match(html, /<script>[\s\S]*addEventListener\('keydown'/);
+});
+
+test('credits the translation when it has no attribution notice', () => {
+    const doc = sampleDoc();
+    doc.translation = { id: 'KJV', name: 'KJV', attribution: null };
+    assert.match(render('markdown', doc), /Scripture quotations from the KJV\.\n$/);
+});
+
+test('suggests file names from the title, format and translation', () => {
+    const doc = sampleDoc();
+    assert.equal(exporter.getFileName('markdown', doc), 'prophecy-birth-childhood-BSB.md');
+    assert.equal(exporter.getFileName('handout', doc), 'prophecy-birth-childhood-handout-BSB.html');
+    assert.equal(exporter.getFileName('slides', { title: 'Micah 5:2 / Matthew 2:1', translation: { id: 'KJV' } }),
+                 'prophecy-micah-5-2-matthew-2-1-slides-KJV.html');
+});
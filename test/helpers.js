@@ -0,0 +1,136 @@
+/**
+ * helpers.js - Stand-ins shared by the unit tests: an in-memory localStorage, console silencing and a
+ * minimal document for the modules that render into the page.
+ * Not a test file itself; the tests require it.
+ */
+
+'use strict';
+
+/**
+ * In-memory stand-in for localStorage.
+ * @param {Object<string, string>} [initial] - Items to start with (copied).
+ * @returns {{items: Object<string, string>, getItem: function(string): (string|null), setItem: function(string, *)}}
+ */
+function createMemoryStorage(initial = {}) {
+    const items = Object.assign({}, initial);
+    return {
+        items: items,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+/**
+ * Runs fn with console methods silenced, or routed to the given handlers
+ * (e.g. { log: () => {}, warn: message => warnings.push(message) }).
+ * If fn returns a promise, the console is restored once it settles.
+ * @param {function(): *} fn
+ * @param {Array<string>|Object<string, function>} [methods=['log']] - Method names to silence, or name -> replacement.
+ * @returns {*} - What fn returns.
+ */
+function quietly(fn, methods = ['log']) {
+    const replacements = Array.isArray(methods) ?
+        Object.fromEntries(methods.map(name => [name, function() {}])) : methods;
+    const originals = {};
+    Object.keys(replacements).forEach(name => {
+        originals[name] = console[name];
+        console[name] = replacements[name];
+    });
+    const restore = () => Object.assign(console, originals);
+    let result;
+    try {
+        result = fn();
+    } catch (error) {
+        restore();
+        throw error;
+    }
+    if (result && typeof result.then === 'function') return result.finally(restore);
+    restore();
+    return result;
+}
+
+/**
+ * A bare-bones element: children, text, attributes, dataset, classList and listeners; enough for ui_manager.js
+ * to build its views and event_handler.js to attach to them. innerHTML keeps the markup as text (tags included);
+ * only '' is parsed, as "remove all children".
+ */
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = String(tagName).toUpperCase();
+        this.childNodes = [];
+        this.attributes = {};
+        this.dataset = {};
+        this.style = {};
+        this.hidden = false;
+        this.listeners = {}; // event type -> listeners, in the order added
+        const classes = new Set();
+        this.classList = {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: name => classes.has(name),
+            toggle: (name, force = !classes.has(name)) => { if (force) classes.add(name); else classes.delete(name); return force; },
+            [Symbol.iterator]: () => classes[Symbol.iterator]()
+        };
+    }
+
+    get className() { return [...this.classList].join(' '); }
+    set className(value) {
+        [...this.classList].forEach(name => this.classList.remove(name));
+        String(value).split(/\s+/).filter(Boolean).forEach(name => this.classList.add(name));
+    }
+
+    get textContent() { return this.childNodes.map(node => node.textContent).join(''); }
+    set textContent(value) { this.childNodes = [{ textContent: String(value) }]; }
+
+    get innerHTML() { return this.textContent; }
+    set innerHTML(value) { this.childNodes = value ? [{ textContent: String(value) }] : []; }
+
+    get children() { return this.childNodes.filter(node => node instanceof FakeElement); }
+
+    appendChild(node) { this.childNodes.push(node); return node; }
+    append(...nodes) { nodes.forEach(node => this.appendChild(typeof node === 'string' ? { textContent: node } : node)); }
+    setAttribute(name, value) { this.attributes[name] = String(value); }
+    getAttribute(name) { return name in this.attributes ? this.attributes[name] : null; }
+    removeAttribute(name) { delete this.attributes[name]; }
+    addEventListener(type, listener) { (this.listeners[type] = this.listeners[type] || []).push(listener); }
+    removeEventListener(type, listener) { this.listeners[type] = (this.listeners[type] || []).filter(other => other !== listener); }
+    contains(node) { return node === this || this.children.some(child => child.contains(node)); }
+    focus() {}
+    querySelector() { return null; }
+    querySelectorAll() { return []; }
+
+    /**
+     * Descendant elements with the given tag name, in document order (a test-only lookup).
+     * @param {string} tagName
+     * @returns {Array<FakeElement>}
+     */
+    findAll(tagName) {
+        const found = [];
+        this.children.forEach(child => {
+            if (child.tagName === tagName.toUpperCase()) found.push(child);
+            found.push(...child.findAll(tagName));
+        });
+        return found;
+    }
+}
+
+/**
+ * A document whose getElementById finds an element for each of the given ids (others are missing).
+ * It is a FakeElement itself, so page-wide listeners can be attached to it.
+ * @param {Array<string>} ids
+ * @returns {FakeElement & {getElementById: function(string): (FakeElement|null), createElement: function(string): FakeElement,
+ *            createElementNS: function(string, string): FakeElement, createTextNode: function(string): {textContent: string},
+ *            elements: Object<string, FakeElement>}}
+ */
+function createFakeDocument(ids) {
+    const elements = Object.fromEntries(ids.map(id => [id, new FakeElement('div')]));
+    return Object.assign(new FakeElement('#document'), {
+        elements: elements,
+        getElementById: id => elements[id] || null,
+        createElement: tagName => new FakeElement(tagName),
+        createElementNS: (namespace, tagName) => new FakeElement(tagName),
+        createTextNode: text => ({ textContent: String(text) })
+    });
+}
+
+module.exports = { createMemoryStorage: createMemoryStorage, quietly: quietly, createFakeDocument: createFakeDocument };
@@ -0,0 +1,55 @@
+/**
+ * i18n.test.js - Message catalogs, the saved interface language and localized references (js/i18n.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const i18n = require('../js/i18n.js');
+const { createMemoryStorage } = require('./helpers.js');
+
+test('fills in placeholders and plural forms, falling back to English and then to the key', () => {
+    i18n.setStorage(null);
+    i18n.setLanguage('es');
+    assert.equal(i18n.t('list.empty', { name: 'Mesías' }), 'No se encontraron referencias para Mesías.');
+    assert.equal(i18n.t('context.verses', { count: 1 }), '1 versículo');
+    assert.equal(i18n.t('context.verses', { count: 5 }), '5 versículos');
+    i18n.registerCatalog('en', { messages: { 'test.englishOnly': 'Only in {where}' } });
+    assert.equal(i18n.t('test.englishOnly', { where: 'English' }), 'Only in English');
+    assert.equal(i18n.t('test.missing'), 'test.missing');
+    assert.equal(i18n.t('list.empty'), 'No se encontraron referencias para {name}.', 'missing params stay visible');
+});
+
+test('keeps the chosen language in storage and otherwise follows the browser', () => {
+    const storage = createMemoryStorage();
+    i18n.setStorage(storage);
+    assert.equal(i18n.getLanguage(), 'en', 'Node has no preferred languages');
+    assert.deepEqual(i18n.setLanguage('pt-BR'), { language: 'pt', saved: true });
+    assert.equal(storage.items['prophecyViewer.language'], 'pt');
+    i18n.setStorage(storage); // Re-read what was saved
+    assert.equal(i18n.getLanguage(), 'pt');
+    assert.throws(() => i18n.setLanguage('tlh'), /No translation for language "tlh"/);
+    assert.equal(i18n.getLanguage(), 'pt');
+    assert.deepEqual(i18n.getLanguages().map(language => language.code), ['en', 'es', 'pt']);
+});
+
+test('writes right-to-left languages right to left', () => {
+    i18n.setStorage(null);
+    assert.equal(i18n.getDirection('en'), 'ltr');
+    assert.equal(i18n.getDirection('he'), 'rtl');
+    i18n.registerCatalog('syr', { name: 'ܣܘܪܝܝܐ', messages: {}, rtl: true });
+    i18n.setLanguage('syr');
+    assert.equal(i18n.getDirection(), 'rtl');
+});
+
+test('shows book names and references in the interface language', () => {
+    i18n.setStorage(null);
+    assert.equal(i18n.formatReference('Isaiah 7:14'), 'Isaiah 7:14');
+    assert.equal(i18n.bookName('ISA'), 'Isaiah');
+    i18n.setLanguage('es');
+    assert.equal(i18n.bookName('REV'), 'Apocalipsis');
+    assert.equal(i18n.formatReference('Psalm 22:18; John 19:24'), 'Salmos 22:18; Juan 19:24');
+    assert.equal(i18n.formatReference('Micah 5:2'), 'Miqueas 5:2');
+});
@@ -0,0 +1,72 @@
+/**
+ * manifest_sources.test.js - Manifest source settings and the merge of several manifests with provenance
+ * (js/manifest_sources.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const manifestSources = require('../js/manifest_sources.js');
+const manifestValidator = require('../js/manifest_validator.js');
+const { createMemoryStorage, quietly } = require('./helpers.js');
+
+const MICAH = { ot_ref: 'Micah 5:2', nt_ref: 'Matthew 2:1', description: 'Born in Bethlehem' };
+const ISAIAH = { ot_ref: 'Isaiah 7:14', nt_ref: 'Matthew 1:23', description: 'Born of a virgin' };
+const JONAH = { ot_ref: 'Jonah 1:17', nt_ref: 'Matthew 12:40', description: 'Three days and three nights' };
+
+test('merges same-named categories, de-duplicates pairs and records provenance', () => {
+    const core = { id: 'core', categories: [
+        { name: 'All Categories', pairs: [] },
+        { name: 'Birth', pairs: [MICAH] }
+    ] };
+    const typology = { id: 'typology', categories: [
+        { name: 'All Categories', pairs: [] },
+        { name: ' birth ', pairs: [{ ot_ref: 'micah 5:2', nt_ref: 'Matthew  2:1', description: 'Other wording' }, ISAIAH] },
+        { name: 'Types', pairs: [JONAH] }
+    ] };
+    const merged = manifestSources.mergeManifests([core, typology]);
+    assert.deepEqual(merged.map(category => `${category.name}:${category.pairs.length}`), ['All Categories:0', 'Birth:2', 'Types:1']);
+    assert.deepEqual(merged[1].pairs[0], Object.assign({ sources: ['core', 'typology'] }, MICAH), 'the first listing is kept');
+    assert.deepEqual(merged[1].pairs[1].sources, ['typology']);
+    assert.equal(core.categories[1].pairs[0].sources, undefined, 'inputs are not modified');
+    assert.deepEqual(manifestSources.mergeManifests([]), [{ name: 'All Categories', pairs: [] }]);
+});
+
+test('keeps duplicates and malformed entries within one source for the manifest check', () => {
+    const merged = manifestSources.mergeManifests([{ id: 'core', categories: [
+        { name: 'Birth', pairs: [MICAH, MICAH, 7] },
+        { name: 'BIRTH', pairs: [] },
+        { name: 'No pairs' }
+    ] }]);
+    const report = manifestValidator.validateManifest({ categories: merged });
+    assert.deepEqual(report.issues.map(issue => issue.code).sort(), ['duplicate-category', 'duplicate-pair', 'schema', 'schema']);
+});
+
+test('adds, switches and removes sources, persisting each change', () => {
+    const storage = createMemoryStorage();
+    manifestSources.setStorage(storage);
+    const fileText = JSON.stringify({ categories: [{ name: 'Types', pairs: [JONAH] }] });
+    quietly(() => {
+        assert.deepEqual(manifestSources.addUrlSource(' https://example.org/daniel.json ', 'Daniel study'), { id: 'url-1', saved: true });
+        assert.deepEqual(manifestSources.addFileSource('typology.json', fileText), { id: 'file-2', saved: true });
+    });
+    assert.throws(() => manifestSources.addUrlSource('https://example.org/daniel.json'), /already a source/);
+    assert.throws(() => manifestSources.addUrlSource('  '), /Enter the address/);
+    assert.throws(() => manifestSources.addFileSource('x.json', '{"pairs": []}'), /"categories" array not found/);
+    assert.throws(() => manifestSources.addFileSource('x.json', 'nope'), /Not a JSON file/);
+
+    manifestSources.setEnabled('core', false);
+    manifestSources.setStorage(storage); // Re-read what was saved
+    assert.equal(manifestSources.isEnabled('core'), false);
+    assert.equal(manifestSources.isEnabled('url-1'), true);
+    assert.equal(manifestSources.isEnabled('psalms', false), false, 'registry default applies until the user chooses');
+    assert.deepEqual(manifestSources.getUserSources().map(source => `${source.id}:${source.type}:${source.name}`),
+                     ['url-1:url:Daniel study', 'file-2:file:typology.json']);
+    assert.equal(manifestSources.getUserSources()[1].text, fileText, 'a local file is kept with its contents');
+
+    manifestSources.removeSource('url-1');
+    assert.deepEqual(manifestSources.getUserSources().map(source => source.id), ['file-2']);
+    assert.throws(() => manifestSources.removeSource('core'), /No added source/);
+});
@@ -0,0 +1,87 @@
+/**
+ * manifest_validator.test.js - references.json integrity checks (js/manifest_validator.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const manifestValidator = require('../js/manifest_validator.js');
+
+/** Reads a fixture manifest. */
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+/** Issue codes in report order. */
+function codes(report) {
+    return report.issues.map(issue => issue.code);
+}
+
+test('accepts a well-formed manifest', () => {
+    const report = manifestValidator.validateManifest(readFixture('references_valid.json'));
+    assert.deepEqual(report.issues, []);
+    assert.equal(report.categoryCount, 3);
+    assert.equal(report.pairCount, 5);
+    assert.equal(report.resolvedIn, null, 'no lookups without resolution results');
+});
+
+test('reports schema, duplicate, parse and testament problems', () => {
+    const report = manifestValidator.validateManifest(readFixture('references_broken.json'));
+    assert.deepEqual(codes(report), ['duplicate-pair', 'wrong-testament', 'wrong-testament', 'unparsed-ref', 'schema', 'duplicate-category']);
+    assert.equal(report.errorCount, 5);
+    assert.equal(report.warningCount, 1);
+
+    const swapped = report.issues.find(issue => issue.code === 'wrong-testament');
+    assert.equal(swapped.category, 'Birth');
+    assert.equal(swapped.pairIndex, 2);
+    assert.equal(swapped.field, 'ot_ref');
+    assert.equal(swapped.otRef, 'Matthew 2:1');
+    assert.match(report.issues.find(issue => issue.code === 'schema').message, /missing "description"/);
+});
+
+test('groups pair issues by the caller\'s pair key', () => {
+    const report = manifestValidator.validateManifest(readFixture('references_broken.json'), {
+        getPairKey: pair => `${pair.ot_ref}|${pair.nt_ref}`.toLowerCase()
+    });
+    assert.deepEqual(Object.keys(report.pairIssues).sort(), [
+        'adam|romans 5:14', 'genesis 3:15|galatians 4:4', 'isaiah 7:14|matthew 1:22-23', 'matthew 2:1|micah 5:2'
+    ]);
+    assert.equal(report.pairIssues['matthew 2:1|micah 5:2'].length, 2, 'both sides are on the wrong testament');
+});
+
+test('adds lookup failures supplied by the caller', () => {
+    const manifest = readFixture('references_broken.json');
+    const refs = manifestValidator.collectReferences(manifest.categories);
+    assert.ok(!refs.includes('Adam'), 'unparseable refs are not looked up');
+    assert.equal(new Set(refs).size, refs.length, 'each ref is listed once');
+
+    const resolutionErrors = Object.fromEntries(refs.map(ref => [ref, null]));
+    resolutionErrors['Micah 5:9'] = '[Verse Not Found: Micah 5:9]';
+    const report = manifestValidator.validateManifest(manifest, { resolutionErrors: resolutionErrors, translationName: 'Mini' });
+    const unresolved = report.issues.filter(issue => issue.code === 'unresolved-ref');
+    assert.equal(unresolved.length, 1);
+    assert.equal(unresolved[0].ref, 'Micah 5:9');
+    assert.equal(report.resolvedIn, 'Mini');
+});
+
+test('reports structural problems without throwing', () => {
+    assert.deepEqual(codes(manifestValidator.validateManifest(null)), ['schema']);
+    assert.deepEqual(codes(manifestValidator.validateManifest({ categories: {} })), ['schema']);
+    const report = manifestValidator.validateManifest({ categories: [null, { name: '', pairs: [] }, { name: 'X' }, { name: 'Y', pairs: [7, { ot_ref: 5, nt_ref: 'John 1:1', description: 'd' }] }] });
+    assert.deepEqual(codes(report), ['schema', 'schema', 'schema', 'schema', 'schema']);
+    assert.equal(report.issues[4].field, 'ot_ref');
+});
+
+test('checks the refs of a single pair for the editor', () => {
+    assert.deepEqual(manifestValidator.checkPairRefs({ ot_ref: 'Micah 5:2', nt_ref: 'Matthew 2:1' }), []);
+    assert.deepEqual(manifestValidator.checkPairRefs({ ot_ref: '', nt_ref: '  ' }), [], 'blank refs are left to the form');
+    const issues = manifestValidator.checkPairRefs({ ot_ref: 'Matthew 2:1', nt_ref: 'Adam' });
+    assert.deepEqual(issues.map(issue => `${issue.field}:${issue.code}`), ['ot_ref:wrong-testament', 'nt_ref:unparsed-ref']);
+    const unresolved = manifestValidator.checkPairRefs({ ot_ref: 'Micah 5:9', nt_ref: 'Matthew 2:1' },
+                                                       { resolutionErrors: { 'Micah 5:9': '[Verse Not Found: Micah 5:9]' } });
+    assert.deepEqual(unresolved.map(issue => issue.code), ['unresolved-ref']);
+});
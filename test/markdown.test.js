@@ -0,0 +1,48 @@
+/**
+ * markdown.test.js - Markdown rendering of personal notes (js/markdown.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const markdown = require('../js/markdown.js');
+
+test('renders paragraphs, keeping single line breaks', () => {
+    assert.equal(markdown.renderMarkdown('First line\nsecond line\n\nNext paragraph'),
+                 '<p>First line<br>second line</p>\n<p>Next paragraph</p>');
+    assert.equal(markdown.renderMarkdown('   \n'), '');
+    assert.equal(markdown.renderMarkdown(null), '');
+});
+
+test('renders headings below the detail view headings', () => {
+    assert.equal(markdown.renderMarkdown('# Lesson'), '<h4>Lesson</h4>');
+    assert.equal(markdown.renderMarkdown('## Points ##'), '<h5>Points</h5>');
+    assert.equal(markdown.renderMarkdown('#### Deep'), '<h6>Deep</h6>');
+});
+
+test('renders bullet and numbered lists, blockquotes, rules and code blocks', () => {
+    assert.equal(markdown.renderMarkdown('- one\n- two\n  continued\n1. first'),
+                 '<ul><li>one</li><li>two continued</li></ul>\n<ol><li>first</li></ol>');
+    assert.equal(markdown.renderMarkdown('> Quoted\n> **text**'), '<blockquote><p>Quoted<br><strong>text</strong></p></blockquote>');
+    assert.equal(markdown.renderMarkdown('Above\n\n---\nBelow'), '<p>Above</p>\n<hr>\n<p>Below</p>');
+    assert.equal(markdown.renderMarkdown('```\n<b>*x*</b>\n```'), '<pre><code>&lt;b&gt;*x*&lt;/b&gt;</code></pre>');
+});
+
+test('renders inline emphasis, code and links', () => {
+    assert.equal(markdown.renderInline('**Bethlehem** is *small* and _humble_'),
+                 '<strong>Bethlehem</strong> is <em>small</em> and <em>humble</em>');
+    assert.equal(markdown.renderInline('see `Micah 5:2` here'), 'see <code>Micah 5:2</code> here');
+    assert.equal(markdown.renderInline('snake_case_name stays'), 'snake_case_name stays');
+    assert.equal(markdown.renderInline('[Notes](https://example.org/a_b_c?x=1&y=2)'),
+                 '<a href="https://example.org/a_b_c?x=1&amp;y=2" target="_blank" rel="noopener noreferrer">Notes</a>');
+});
+
+test('escapes HTML and refuses unsafe links', () => {
+    assert.equal(markdown.renderMarkdown('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.equal(markdown.renderInline('[click](javascript:alert(1))'), '[click](javascript:alert(1))');
+    assert.equal(markdown.renderInline('[x](https://a.example/"onmouseover="y)'),
+                 '<a href="https://a.example/&quot;onmouseover=&quot;y" target="_blank" rel="noopener noreferrer">x</a>');
+    assert.equal(markdown.escapeHtml(`<a href='x'>&</a>`), '&lt;a href=&#39;x&#39;&gt;&amp;&lt;/a&gt;');
+});
@@ -0,0 +1,92 @@
+/**
+ * notes_store.test.js - Notes, bookmarks and highlights per pair, and their JSON export (js/notes_store.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const notesStore = require('../js/notes_store.js');
+const { createMemoryStorage, quietly } = require('./helpers.js');
+
+const MICAH = { ot_ref: 'Micah 5:2', nt_ref: 'Matthew 2:1' };
+const ISAIAH = { ot_ref: 'Isaiah 7:14', nt_ref: 'Matthew 1:23' };
+
+test('keeps notes, bookmarks and highlights per pair, keyed by refs', () => {
+    const storage = createMemoryStorage();
+    notesStore.setStorage(storage);
+    assert.equal(notesStore.getEntry(MICAH), null);
+
+    assert.equal(notesStore.setNote(MICAH, '**Bethlehem**\n\n').saved, true);
+    notesStore.setBookmarked(MICAH, true);
+    notesStore.setHighlight(ISAIAH, 'green');
+
+    // Same pair, different spacing and case
+    const entry = notesStore.getEntry({ ot_ref: 'micah  5:2', nt_ref: 'MATTHEW 2:1' });
+    assert.equal(entry.note, '**Bethlehem**');
+    assert.equal(entry.bookmarked, true);
+    assert.equal(entry.highlight, null);
+    assert.equal(notesStore.getEntry(ISAIAH).highlight, 'green');
+    assert.deepEqual(notesStore.getBookmarks().map(bookmark => bookmark.ot_ref), ['Micah 5:2']);
+
+    // Persisted, and read back by a fresh load
+    notesStore.setStorage(createMemoryStorage(storage.items));
+    assert.equal(quietly(() => notesStore.getEntry(MICAH)).note, '**Bethlehem**');
+});
+
+test('drops entries that become empty and rejects unknown colors', () => {
+    notesStore.setStorage(createMemoryStorage());
+    notesStore.setBookmarked(MICAH, true);
+    assert.equal(notesStore.setBookmarked(MICAH, false).entry, null);
+    assert.equal(notesStore.getEntry(MICAH), null);
+    assert.throws(() => notesStore.setHighlight(MICAH, 'purple'), /Unknown highlight color/);
+});
+
+test('keeps working in memory when storage fails', () => {
+    const warnings = [];
+    quietly(() => {
+        notesStore.setStorage({ getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } });
+        const result = notesStore.setNote(MICAH, 'kept for this session');
+        assert.equal(result.saved, false);
+        assert.equal(notesStore.getEntry(MICAH).note, 'kept for this session');
+        assert.equal(warnings.length, 1);
+
+        notesStore.setStorage(null);
+        assert.equal(notesStore.setBookmarked(MICAH, true).saved, false);
+    }, { warn: (...args) => warnings.push(args.join(' ')) });
+});
+
+test('exports and imports notes, newer entries winning', () => {
+    notesStore.setStorage(createMemoryStorage());
+    notesStore.setNote(MICAH, 'from machine A');
+    notesStore.setBookmarked(ISAIAH, true);
+    const exported = notesStore.exportNotes(new Date('2026-01-02T03:04:05Z'));
+    const data = JSON.parse(exported);
+    assert.equal(data.format, 'prophecy-viewer-notes');
+    assert.equal(data.version, 1);
+    assert.equal(data.exported, '2026-01-02T03:04:05.000Z');
+    assert.equal(data.entries.length, 2);
+
+    // Machine B: an older note for Micah, a newer one would win
+    notesStore.setStorage(createMemoryStorage());
+    notesStore.setNote(MICAH, 'from machine B');
+    data.entries[0].updated = '2000-01-01T00:00:00.000Z';
+    data.entries.push({ ot_ref: 'Genesis 3:15', nt_ref: 'Galatians 4:4', note: 'newer', updated: '2999-01-01T00:00:00.000Z' });
+    data.entries.push({ ot_ref: '', nt_ref: 'John 1:1', note: 'no pair' });
+    const result = quietly(() => notesStore.importNotes(JSON.stringify(data)));
+    assert.deepEqual(result, { added: 2, updated: 0, unchanged: 1, skipped: 1, saved: true });
+    assert.equal(notesStore.getEntry(MICAH).note, 'from machine B');
+    assert.equal(notesStore.getEntry(ISAIAH).bookmarked, true);
+
+    data.entries[0].updated = '2999-01-01T00:00:00.000Z';
+    quietly(() => notesStore.importNotes(JSON.stringify(data)));
+    assert.equal(notesStore.getEntry(MICAH).note, 'from machine A');
+});
+
+test('rejects files that are not notes exports', () => {
+    notesStore.setStorage(createMemoryStorage());
+    assert.throws(() => notesStore.importNotes('{ not json'), /Not a JSON file/);
+    assert.throws(() => notesStore.importNotes('{"categories": []}'), /Not a Prophecy Viewer notes export/);
+    assert.throws(() => notesStore.importNotes('{"format": "prophecy-viewer-notes", "version": 9, "entries": []}'), /version 9 is not supported/);
+});
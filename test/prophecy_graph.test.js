@@ -0,0 +1,76 @@
+/**
+ * prophecy_graph.test.js - Graph nodes, edges and layout built from the manifest pairs (js/prophecy_graph.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const prophecyGraph = require('../js/prophecy_graph.js');
+const { quietly } = require('./helpers.js');
+
+const PAIRS = [
+    { ot_ref: 'Genesis 3:15', nt_ref: 'Galatians 4:4; Hebrews 2:14', categories: ['Genesis Promises'] },
+    { ot_ref: 'Genesis 3:15', nt_ref: '1 John 3:8', categories: ['Genesis Promises', 'Resurrection'] },
+    { ot_ref: 'Isaiah 53:5-6', nt_ref: '1 Peter 2:24', categories: ['Suffering Servant'] },
+    { ot_ref: 'Isaiah 53:12', nt_ref: 'Mark 15:28', categories: ['Suffering Servant'] },
+    { ot_ref: 'Psalm 22', nt_ref: 'Matthew 27:46', categories: ['Suffering Servant'] },
+    { ot_ref: 'Adam', nt_ref: 'Romans 5:14', categories: ['Typology'] }
+];
+
+/** Builds with the module's summary logging silenced. */
+function buildQuietly(pairs, options) {
+    return quietly(() => prophecyGraph.buildGraph(pairs, options));
+}
+
+test('links every OT book a pair touches to every NT book, in canonical order', () => {
+    const graph = buildQuietly(PAIRS);
+    assert.deepEqual(graph.ot.map(node => `${node.label}:${node.edgeCount}`), ['Genesis:3', 'Psalms:1', 'Isaiah:2']);
+    assert.deepEqual(graph.nt.map(node => node.key), ['MAT', 'MRK', 'GAL', 'HEB', '1PE', '1JN']);
+    assert.deepEqual(graph.edges.filter(edge => edge.otKey === 'GEN').map(edge => edge.ntKey), ['GAL', 'HEB', '1JN']);
+    assert.equal(graph.edges[0].category, 'Genesis Promises');
+    assert.equal(graph.pairCount, 5);
+    assert.deepEqual(graph.unplaced.map(pair => pair.ot_ref), ['Adam'], 'typological refs are reported, not drawn');
+});
+
+test('draws verses at their first verse and whole chapters as chapter nodes', () => {
+    const graph = buildQuietly(PAIRS, { level: 'verse' });
+    assert.deepEqual(graph.ot.map(node => node.label), ['Genesis 3:15', 'Psalms 22', 'Isaiah 53:5', 'Isaiah 53:12']);
+    assert.deepEqual(graph.ot.map(node => node.key), ['GEN 3:15', 'PSA 22', 'ISA 53:5', 'ISA 53:12']);
+    assert.equal(graph.level, 'verse');
+});
+
+test('filters by category and colors each edge by its first included category', () => {
+    const graph = buildQuietly(PAIRS, { categories: ['Resurrection', 'Typology'] });
+    assert.deepEqual(graph.edges.map(edge => `${edge.otKey}-${edge.ntKey}:${edge.category}`), ['GEN-1JN:Resurrection']);
+    assert.equal(graph.unplaced.length, 1);
+    assert.equal(buildQuietly(PAIRS, { categories: [] }).edges.length, 0);
+});
+
+test('lays out non-overlapping bars with each edge ending inside its bars', () => {
+    const graph = buildQuietly(PAIRS);
+    const layout = prophecyGraph.layoutGraph(graph);
+    ['ot', 'nt'].forEach(side => {
+        const bars = layout.nodes.filter(node => node.side === side);
+        bars.slice(1).forEach((bar, index) => assert.ok(bar.y >= bars[index].y + bars[index].height, `${bar.key} overlaps`));
+        bars.forEach(bar => assert.ok(bar.y >= 0 && bar.y + bar.height <= layout.height));
+    });
+    const barOf = (side, key) => layout.nodes.find(node => node.side === side && node.key === key);
+    layout.edges.forEach(edge => {
+        const ot = barOf('ot', edge.otKey);
+        const nt = barOf('nt', edge.ntKey);
+        assert.ok(edge.y1 > ot.y && edge.y1 < ot.y + ot.height, `edge ${edge.id} leaves its OT bar`);
+        assert.ok(edge.y2 > nt.y && edge.y2 < nt.y + nt.height, `edge ${edge.id} misses its NT bar`);
+        assert.match(edge.path, /^M [\d.]+ [\d.]+ C /);
+    });
+    const genesisSlots = layout.edges.filter(edge => edge.otKey === 'GEN').map(edge => edge.y1);
+    assert.deepEqual(genesisSlots, genesisSlots.slice().sort((a, b) => a - b), 'slots follow the order of the other ends');
+});
+
+test('gives every category its own stable color', () => {
+    const names = ['Birth', 'Kingship', 'Passion', 'Resurrection'];
+    const colors = prophecyGraph.categoryColors(names);
+    assert.equal(new Set(Object.values(colors)).size, names.length);
+    assert.deepEqual(prophecyGraph.categoryColors(names), colors);
+});
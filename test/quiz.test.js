@@ -0,0 +1,112 @@
+/**
+ * quiz.test.js - Practice questions, typed-answer checking and spaced-repetition progress (js/quiz.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const quiz = require('../js/quiz.js');
+const { createMemoryStorage } = require('./helpers.js');
+
+const PAIRS = [
+    { ot_ref: 'Micah 5:2', nt_ref: 'Matthew 2:1-6', description: 'Born in Bethlehem' },
+    { ot_ref: 'Isaiah 7:14', nt_ref: 'Matthew 1:23', description: 'Born of a virgin' },
+    { ot_ref: 'Zechariah 9:9', nt_ref: 'John 12:14-15', description: 'Enters Jerusalem on a donkey' },
+    { ot_ref: 'Psalm 22:18', nt_ref: 'John 19:24', description: 'Lots cast for his clothing' },
+    { ot_ref: 'Hosea 11:1', nt_ref: 'Matthew 2:15', description: '' }
+];
+const NOW = new Date('2024-03-01T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Repeatable stand-in for Math.random. */
+function seededRandom(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+test('moves pairs through the boxes, sends misses back, and keeps progress in storage', () => {
+    const storage = createMemoryStorage();
+    quiz.setStorage(storage);
+    const micah = PAIRS[0];
+    assert.equal(quiz.getProgress(micah), null);
+    assert.equal(quiz.recordAnswer(micah, true, NOW).record.box, 1);
+    const second = quiz.recordAnswer(micah, true, NOW).record;
+    assert.equal(second.box, 2);
+    assert.equal(Date.parse(second.due) - NOW.getTime(), 3 * DAY_MS, 'box 2 waits three days');
+    const missed = quiz.recordAnswer({ ot_ref: ' micah  5:2', nt_ref: 'MATTHEW 2:1-6' }, false, NOW).record;
+    assert.deepEqual([missed.box, missed.seen, missed.correct, missed.due], [0, 3, 2, NOW.toISOString()], 'same pair, whatever its spacing');
+
+    quiz.setStorage(storage); // Re-read what was saved
+    assert.equal(quiz.getProgress(micah).seen, 3);
+    const summary = quiz.getMasterySummary(PAIRS, NOW);
+    assert.deepEqual(summary, { total: 5, seen: 1, mastered: 0, due: 1 });
+    assert.equal(quiz.resetProgress(), true);
+    assert.equal(quiz.getProgress(micah), null);
+});
+
+test('orders due pairs first, weakest first, then new pairs, then the rest by due date', () => {
+    quiz.setStorage(null);
+    const earlier = new Date(NOW.getTime() - 10 * DAY_MS);
+    quiz.recordAnswer(PAIRS[0], true, earlier);       // Box 1, due 9 days ago
+    quiz.recordAnswer(PAIRS[1], false, earlier);      // Box 0, due 10 days ago
+    quiz.recordAnswer(PAIRS[2], true, NOW);           // Box 1, due tomorrow
+    const order = quiz.orderForReview(PAIRS.concat([Object.assign({}, PAIRS[0])]), NOW, seededRandom());
+    assert.equal(order.length, 5, 'repeated pairs are practiced once');
+    assert.deepEqual(order.slice(0, 2).map(pair => pair.ot_ref), ['Isaiah 7:14', 'Micah 5:2']);
+    assert.deepEqual(order.slice(2, 4).map(pair => pair.ot_ref).sort(), ['Hosea 11:1', 'Psalm 22:18']);
+    assert.equal(order[4].ot_ref, 'Zechariah 9:9');
+});
+
+test('builds multiple-choice questions with distinct answers and falls back to typing', () => {
+    const random = seededRandom(7);
+    const question = quiz.buildQuestion(PAIRS[0], 'fulfillment', PAIRS, random);
+    assert.equal(question.prompt, 'Micah 5:2');
+    assert.equal(question.choices.length, 4);
+    assert.equal(new Set(question.choices).size, 4);
+    assert.equal(question.choices[question.correctChoice], 'Matthew 2:1-6');
+
+    const matching = quiz.buildQuestion(PAIRS[3], 'description', PAIRS, random);
+    assert.equal(matching.prompt, 'Lots cast for his clothing');
+    assert.equal(matching.expected, 'Psalm 22:18 / John 19:24');
+    assert.equal(matching.choices.length, 4, 'only pairs with a description are offered');
+
+    assert.equal(quiz.buildQuestion(PAIRS[4], 'description', PAIRS, random).type, 'fulfillment', 'no description to show');
+    assert.equal(quiz.buildQuestion(PAIRS[0], 'fulfillment', [PAIRS[0]], random).type, 'typed', 'no other answers to offer');
+});
+
+test('accepts loosely typed references that name the fulfillment', () => {
+    assert.equal(quiz.checkTypedAnswer('Matthew 2:1-6', 'mt 2 5'), true);
+    assert.equal(quiz.checkTypedAnswer('Matthew 2:1-6', 'Matthew 2:1-6'), true);
+    assert.equal(quiz.checkTypedAnswer('Matthew 2:1-6', 'Matthew 2'), false, 'a whole chapter is not specific enough');
+    assert.equal(quiz.checkTypedAnswer('Matthew 2:1-6', 'Luke 2:4'), false);
+    assert.equal(quiz.checkTypedAnswer('Matthew 2:1-6', ''), false);
+    assert.equal(quiz.checkTypedAnswer('Psalm 22', 'ps 22 18'), true);
+    assert.equal(quiz.checkTypedAnswer('Adam', ' adam '), true);
+});
+
+test('asks missed pairs again once and summarizes the session', () => {
+    quiz.setStorage(null);
+    const session = quiz.createSession(PAIRS, { length: 2, type: 'typed', now: NOW, random: seededRandom(3) });
+    const first = quiz.nextQuestion(session);
+    assert.deepEqual([first.number, first.total, first.type], [1, 2, 'typed']);
+    assert.equal(quiz.answerQuestion(session, 'nonsense', NOW).correct, false);
+    assert.equal(quiz.answerQuestion(session, first.pair.nt_ref, NOW), null, 'one answer per question');
+    const second = quiz.nextQuestion(session);
+    assert.equal(second.total, 3, 'the missed pair is queued again');
+    assert.equal(quiz.answerQuestion(session, second.pair.nt_ref, NOW).correct, true);
+    const again = quiz.nextQuestion(session);
+    assert.equal(again.pair, first.pair);
+    assert.equal(quiz.answerQuestion(session, first.pair.nt_ref, NOW).correct, true);
+    assert.equal(quiz.nextQuestion(session), null);
+
+    const summary = quiz.summarizeSession(session);
+    assert.deepEqual([summary.asked, summary.correct], [3, 2]);
+    assert.deepEqual(summary.missed, [first.pair]);
+    assert.deepEqual(summary.byType, { typed: { asked: 3, correct: 2 } });
+    assert.equal(quiz.getProgress(first.pair).box, 1, 'missed, then right');
+});
@@ -0,0 +1,86 @@
+/**
+ * reading_plans.test.js - Reading plan schedules and progress kept in storage (js/reading_plans.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const readingPlans = require('../js/reading_plans.js');
+const { createMemoryStorage } = require('./helpers.js');
+
+const PAIRS = [
+    { ot_ref: 'Micah 5:2', nt_ref: 'Matthew 2:1-6', description: 'Born in Bethlehem' },
+    { ot_ref: 'Isaiah 7:14', nt_ref: 'Matthew 1:23' },
+    { ot_ref: 'Zechariah 9:9', nt_ref: 'John 12:14-15' },
+    { ot_ref: 'Psalm 22:18', nt_ref: 'John 19:24' },
+    { ot_ref: 'Hosea 11:1', nt_ref: 'Matthew 2:15' }
+];
+const START = new Date(2024, 2, 1, 20, 30); // Local time: plans count calendar days where the reader is
+
+test('creates plans from an ordered list and keeps them in storage', () => {
+    const storage = createMemoryStorage();
+    readingPlans.setStorage(storage);
+    const result = readingPlans.createPlan('  Birth   narratives ', PAIRS.concat([{ ot_ref: 'micah 5:2', nt_ref: 'MATTHEW 2:1-6' }]), 2, START);
+    assert.deepEqual(result, { index: 0, saved: true });
+    assert.throws(() => readingPlans.createPlan('birth narratives', PAIRS, 2), /already have a plan/);
+    assert.throws(() => readingPlans.createPlan('Empty', [], 2), /no pairs/);
+    assert.throws(() => readingPlans.createPlan('Too many', PAIRS, 0), /between 1 and 50/);
+
+    readingPlans.setStorage(storage); // Re-read what was saved
+    const [plan] = readingPlans.getPlans();
+    assert.equal(plan.name, 'Birth narratives');
+    assert.equal(plan.start, '2024-03-01');
+    assert.deepEqual(plan.pairs, PAIRS.map(pair => ({ ot_ref: pair.ot_ref, nt_ref: pair.nt_ref })), 'refs only, repeated pairs once');
+    plan.pairs.length = 0;
+    assert.equal(readingPlans.getPlans()[0].pairs.length, 5, 'callers get copies');
+    assert.deepEqual(readingPlans.deletePlan(0), { saved: true });
+    assert.deepEqual(readingPlans.getPlans(), []);
+    assert.throws(() => readingPlans.deletePlan(0), /No reading plan #1/);
+});
+
+test('schedules N pairs per day and resumes at the first unread day', () => {
+    readingPlans.setStorage(null);
+    readingPlans.createPlan('Plan', PAIRS, 2, START);
+    let schedule = readingPlans.getSchedule(readingPlans.getPlans()[0], START);
+    assert.deepEqual(schedule.days.map(day => [day.number, day.date, day.pairs.length]), [[1, '2024-03-01', 2], [2, '2024-03-02', 2], [3, '2024-03-03', 1]]);
+    assert.deepEqual([schedule.currentDay, schedule.scheduledDay, schedule.behind, schedule.readCount, schedule.total], [1, 1, 0, 0, 5]);
+
+    assert.deepEqual(readingPlans.setPairRead(0, { ot_ref: ' MICAH 5:2', nt_ref: 'Matthew 2:1-6' }), { changed: true, saved: false });
+    assert.equal(readingPlans.setPairRead(0, PAIRS[0]).changed, false, 'already read');
+    assert.equal(readingPlans.setPairRead(0, { ot_ref: 'Genesis 3:15', nt_ref: 'Galatians 4:4' }).changed, false, 'not in the plan');
+    const threeDaysLater = new Date(2024, 2, 4, 7, 0);
+    schedule = readingPlans.getSchedule(readingPlans.getPlans()[0], threeDaysLater);
+    assert.deepEqual([schedule.days[0].readCount, schedule.days[0].complete], [1, false]);
+    assert.deepEqual([schedule.currentDay, schedule.scheduledDay, schedule.behind], [1, 3, 2], 'the calendar stops at the last day');
+
+    readingPlans.setDayRead(0, 1, true);
+    readingPlans.setDayRead(0, 2, true);
+    schedule = readingPlans.getSchedule(readingPlans.getPlans()[0], threeDaysLater);
+    assert.deepEqual([schedule.currentDay, schedule.behind, schedule.readCount], [3, 0, 4]);
+    readingPlans.setPairRead(0, PAIRS[4]);
+    assert.equal(readingPlans.getSchedule(readingPlans.getPlans()[0], threeDaysLater).currentDay, null, 'finished');
+    readingPlans.setDayRead(0, 1, false);
+    assert.equal(readingPlans.getSchedule(readingPlans.getPlans()[0], threeDaysLater).currentDay, 1);
+    assert.throws(() => readingPlans.setDayRead(0, 4, true), /no day 4/);
+});
+
+test('drops unreadable plans and stale progress from storage', () => {
+    const storage = createMemoryStorage({
+        'prophecyViewer.readingPlans': JSON.stringify({
+            version: 1,
+            plans: [
+                { name: 'Kept', perDay: 500, start: 'someday', pairs: [PAIRS[1], { ot_ref: '', nt_ref: 'John 1:1' }], read: ['isaiah 7:14|matthew 1:23', 'gone|gone'] },
+                { name: 'No pairs', perDay: 1, pairs: [] },
+                { perDay: 1, pairs: [PAIRS[0]] }
+            ]
+        })
+    });
+    readingPlans.setStorage(storage);
+    const plans = readingPlans.getPlans();
+    assert.equal(plans.length, 1);
+    assert.equal(plans[0].perDay, 50);
+    assert.match(plans[0].start, /^\d{4}-\d{2}-\d{2}$/);
+    assert.deepEqual(plans[0].read, ['isaiah 7:14|matthew 1:23']);
+});
@@ -0,0 +1,134 @@
+/**
+ * reference_parser.test.js - Reference grammar and resolution (js/reference_parser.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const referenceParser = require('../js/reference_parser.js');
+const bsbParser = require('../js/bsb_parser.js');
+const { quietly } = require('./helpers.js');
+
+/** Segments without the book name, for compact expectations. */
+function spans(refString) {
+    return referenceParser.parseReference(refString).map(segment =>
+        [segment.bookId, segment.startChapter, segment.startVerse, segment.endChapter, segment.endVerse]);
+}
+
+/** Index of test/fixtures/mini_bible.json, built once with the BSB parser's logging silenced. */
+function loadMiniBible() {
+    const json = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'mini_bible.json'), 'utf8'));
+    return quietly(() => bsbParser.parseAndIndexBsbData(json));
+}
+
+test('parses single verses and verse ranges', () => {
+    assert.deepEqual(spans('Micah 5:2'), [['MIC', 5, 2, 5, 2]]);
+    assert.deepEqual(spans('Acts 3:25-26'), [['ACT', 3, 25, 3, 26]]);
+    assert.deepEqual(spans('Acts 3:25–26'), [['ACT', 3, 25, 3, 26]], 'en dash');
+    assert.deepEqual(spans('Acts 3:25 — 26'), [['ACT', 3, 25, 3, 26]], 'spaced em dash');
+});
+
+test('parses comma lists within a chapter', () => {
+    assert.deepEqual(spans('Isaiah 53:4,5,12'), [['ISA', 53, 4, 53, 4], ['ISA', 53, 5, 53, 5], ['ISA', 53, 12, 53, 12]]);
+    assert.deepEqual(spans('Acts 2:16-18, 33'), [['ACT', 2, 16, 2, 18], ['ACT', 2, 33, 2, 33]]);
+    assert.deepEqual(spans('John 1:1, 2:3'), [['JHN', 1, 1, 1, 1], ['JHN', 2, 3, 2, 3]]);
+});
+
+test('parses cross-chapter spans, whole chapters and chapter ranges', () => {
+    assert.deepEqual(spans('Isaiah 52:13-53:12'), [['ISA', 52, 13, 53, 12]]);
+    assert.deepEqual(spans('Psalm 22'), [['PSA', 22, null, 22, null]]);
+    assert.deepEqual(spans('Exodus 25-30'), [['EXO', 25, null, 30, null]]);
+});
+
+test('parses semicolon lists and reuses the previous book', () => {
+    assert.deepEqual(spans('Isaiah 53:4; Matthew 8:17'), [['ISA', 53, 4, 53, 4], ['MAT', 8, 17, 8, 17]]);
+    assert.deepEqual(spans('Isaiah 53:4; 54:1;'), [['ISA', 53, 4, 53, 4], ['ISA', 54, 1, 54, 1]]);
+});
+
+test('reads single-chapter books cited by verse alone', () => {
+    assert.deepEqual(spans('Jude 14'), [['JUD', 1, 14, 1, 14]]);
+    assert.deepEqual(spans('Jude 14-15'), [['JUD', 1, 14, 1, 15]]);
+    assert.deepEqual(spans('Obadiah 1:21'), [['OBA', 1, 21, 1, 21]]);
+    assert.deepEqual(spans('Jude 3'), [['JUD', 1, 3, 1, 3]]);
+});
+
+test('reads a bare 1 after a single-chapter book as the whole chapter', () => {
+    for (const [ref, id] of [['Jude 1', 'JUD'], ['Obadiah 1', 'OBA'], ['Philemon 1', 'PHM'], ['2 John 1', '2JN']]) {
+        assert.deepEqual(spans(ref), [[id, 1, null, 1, null]], ref);
+    }
+    assert.deepEqual(spans('Jude 1-4'), [['JUD', 1, 1, 1, 4]], 'a range is verses');
+});
+
+test('ignores verse letter suffixes and accepts numbered and abbreviated books', () => {
+    assert.deepEqual(spans('Isaiah 9:6a'), [['ISA', 9, 6, 9, 6]]);
+    assert.deepEqual(spans('1 Cor. 15:3-4'), [['1CO', 15, 3, 15, 4]]);
+    assert.deepEqual(spans('II Samuel 7:12'), [['2SA', 7, 12, 7, 12]]);
+});
+
+test('keeps unknown books with a null bookId instead of guessing', () => {
+    const [segment] = referenceParser.parseReference('Hezekiah 3:1');
+    assert.equal(segment.bookId, null);
+    assert.equal(segment.book, 'Hezekiah');
+});
+
+test('rejects malformed references', () => {
+    for (const refString of ['', '   ', 'Adam', 'Exodus (Moses)', 'Leviticus (Sacrifices)', 'Micah 5:3-2',
+                             'Micah 6-5', 'Micah 5:2-3-4', 'Micah 5:2,,3', '5:2', 'Micah 5:']) {
+        assert.throws(() => referenceParser.parseReference(refString), Error, refString);
+    }
+    assert.throws(() => referenceParser.parseReference(null), /empty/);
+});
+
+test('resolves segments against an indexed Bible', () => {
+    const index = loadMiniBible();
+    const resolve = refString => referenceParser.resolveSegments(index, referenceParser.parseReference(refString));
+
+    const span = resolve('Isaiah 52:13-53:2');
+    assert.equal(span.error, null);
+    assert.deepEqual(span.verses.map(verse => `${verse.chapter}:${verse.verse}`), ['52:13', '52:14', '52:15', '53:1', '53:2']);
+    assert.equal(span.verses[0].text, 'Isaiah 52:13 text.');
+
+    assert.equal(resolve('Isaiah 53').verses.length, 12, 'whole chapter');
+    assert.equal(resolve('Jude 14').verses[0].bookId, 'JUD');
+    assert.match(resolve('Micah 5:9').error, /Verse Not Found: Micah 5:9/);
+    assert.match(resolve('Micah 4:1').error, /Chapter Not Found: Micah 4/);
+    assert.match(resolve('Romans 5:14').error, /Book Not In Translation: Romans/);
+    assert.match(resolve('Hezekiah 3:1').error, /Unknown Book: Hezekiah/);
+});
+
+test('checkReferences collects one result per reference without throwing', () => {
+    const errors = referenceParser.checkReferences(loadMiniBible(), ['Micah 5:2', 'Micah 5:9', 'Adam']);
+    assert.equal(errors['Micah 5:2'], null);
+    assert.match(errors['Micah 5:9'], /Verse Not Found/);
+    assert.match(errors['Adam'], /Invalid Ref Format/);
+});
+
+test('reads loosely typed search input as a reference only when the book is known', () => {
+    assert.deepEqual(referenceParser.parseSearchReference('mic 5 2').map(s => [s.bookId, s.startChapter, s.startVerse]), [['MIC', 5, 2]]);
+    assert.deepEqual(referenceParser.parseSearchReference('mic 5.2').map(s => [s.bookId, s.startChapter, s.startVerse]), [['MIC', 5, 2]]);
+    assert.equal(referenceParser.parseSearchReference('Micah 5')[0].startVerse, null);
+    assert.equal(referenceParser.parseSearchReference('seed of the woman'), null);
+    assert.equal(referenceParser.parseSearchReference('hezekiah 3 1'), null);
+    assert.equal(referenceParser.parseSearchReference('42'), null);
+});
+
+test('reads Spanish and Portuguese references and writes references in a language', () => {
+    assert.deepEqual(spans('Éxodo 12:46; Juan 19:36'), [['EXO', 12, 46, 12, 46], ['JHN', 19, 36, 19, 36]]);
+    assert.deepEqual(spans('Isaías 53:4-5'), [['ISA', 53, 4, 53, 5]]);
+    assert.deepEqual(referenceParser.parseSearchReference('éx 3 14').map(s => [s.bookId, s.startChapter, s.startVerse]), [['EXO', 3, 14]]);
+    assert.equal(referenceParser.localizeReference('Isaiah 7:14; Matthew 1:23', 'es'), 'Isaías 7:14; Mateo 1:23');
+    assert.equal(referenceParser.localizeReference('1 John 3:8', 'pt'), '1 João 3:8');
+    assert.equal(referenceParser.localizeReference('Adam; Romans 5:14', 'pt'), 'Adam; Romanos 5:14', 'unknown parts are kept');
+});
+
+test('detects overlapping passages', () => {
+    const parse = referenceParser.parseReference;
+    assert.equal(referenceParser.segmentsOverlap(parse('Isaiah 53:5'), parse('Isaiah 52:13-53:12')), true);
+    assert.equal(referenceParser.segmentsOverlap(parse('Isaiah 53:5'), parse('Isaiah 53')), true);
+    assert.equal(referenceParser.segmentsOverlap(parse('Isaiah 53:5'), parse('Isaiah 53:6-7')), false);
+    assert.equal(referenceParser.segmentsOverlap(parse('Isaiah 53:5'), parse('Micah 53:5')), false);
+});
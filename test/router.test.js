@@ -0,0 +1,92 @@
+/**
+ * router.test.js - Hash deep links for the selected node and pair (js/router.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const router = require('../js/router.js');
+const { quietly } = require('./helpers.js');
+
+/** Minimal location/history/window stand-ins; pushState updates the hash like a browser does. */
+function installBrowserStubs(initialHash = '') {
+    const listeners = {};
+    const calls = [];
+    global.location = { hash: initialHash };
+    global.history = {
+        pushState: (state, title, hash) => { calls.push(['push', hash]); global.location.hash = hash; },
+        replaceState: (state, title, hash) => { calls.push(['replace', hash]); global.location.hash = hash; }
+    };
+    global.window = {
+        addEventListener: (type, handler) => { listeners[type] = handler; },
+        removeEventListener: (type, handler) => { if (listeners[type] === handler) delete listeners[type]; }
+    };
+    return {
+        calls: calls,
+        /** Simulates the user editing the address bar or pressing back. */
+        visit: (hash, type = 'popstate') => { global.location.hash = hash; listeners[type](); }
+    };
+}
+
+test('builds hashes for each mode, keeping colons readable', () => {
+    assert.equal(router.buildHash({ mode: 'category', key: 'Birth & Childhood', otRef: 'Micah 5:2', ntRef: 'Matthew 2:6' }),
+                 '#/category/Birth%20%26%20Childhood/Micah%205:2~Matthew%202:6');
+    assert.equal(router.buildHash({ mode: 'nt', key: 'MAT 2' }), '#/nt/MAT%202');
+    assert.equal(router.buildHash({ mode: 'verse', key: 'GEN 3:15', otRef: 'Genesis 3:15' }), '#/verse/GEN%203:15');
+});
+
+test('falls back to the default view for unknown or incomplete routes', () => {
+    assert.equal(router.buildHash(null), '#/');
+    assert.equal(router.buildHash({ mode: 'book', key: 'ISA' }), '#/');
+    assert.equal(router.buildHash({ mode: 'ot', key: '' }), '#/');
+});
+
+test('parses what it builds, with or without a pair', () => {
+    const route = { mode: 'category', key: 'Genesis Promises / Seed', otRef: 'Genesis 3:15', ntRef: 'Galatians 4:4' };
+    assert.deepEqual(router.parseHash(router.buildHash(route)), route);
+    assert.deepEqual(router.parseHash('#/ot/ISA%2053'), { mode: 'ot', key: 'ISA 53', otRef: null, ntRef: null });
+});
+
+test('rejects hashes that are not routes', () => {
+    assert.equal(router.parseHash('#/'), null);
+    assert.equal(router.parseHash('#/book/ISA'), null);
+    assert.equal(router.parseHash('#/ot/'), null);
+    assert.equal(router.parseHash(undefined), null);
+    assert.equal(quietly(() => router.parseHash('#/ot/%E0%A4%A'), ['warn']), null);
+});
+
+test('pushes or replaces history entries and skips the current route', () => {
+    const browser = installBrowserStubs();
+    try {
+        quietly(() => {
+            router.navigate({ mode: 'ot', key: 'ISA' });
+            router.navigate({ mode: 'ot', key: 'ISA' });
+            router.navigate({ mode: 'nt', key: 'MAT' }, true);
+        });
+        assert.deepEqual(browser.calls, [['push', '#/ot/ISA'], ['replace', '#/nt/MAT']]);
+        assert.deepEqual(router.getCurrentRoute(), { mode: 'nt', key: 'MAT', otRef: null, ntRef: null });
+    } finally {
+        delete global.location;
+        delete global.history;
+        delete global.window;
+    }
+});
+
+test('reports location changes it did not make, once per hash', () => {
+    const browser = installBrowserStubs('#/ot/ISA');
+    const seen = [];
+    try {
+        router.start(route => seen.push(route));
+        browser.visit('#/nt/MAT%202', 'popstate');
+        browser.visit('#/nt/MAT%202', 'hashchange'); // Same edit, reported by both events
+        quietly(() => router.navigate({ mode: 'ot', key: 'MIC' }));
+        browser.visit('#/', 'hashchange');
+        assert.deepEqual(seen, [{ mode: 'nt', key: 'MAT 2', otRef: null, ntRef: null }, null]);
+    } finally {
+        delete global.location;
+        delete global.history;
+        delete global.window;
+    }
+});
@@ -0,0 +1,74 @@
+/**
+ * search_index.test.js - Tokenizer and BM25 inverted index (js/search_index.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const searchIndex = require('../js/search_index.js');
+
+/** Builds an index from {docId: text}. */
+function buildIndex(documents) {
+    const index = searchIndex.createIndex();
+    Object.keys(documents).forEach(docId => index.addDocument(docId, [{ text: documents[docId] }]));
+    return index;
+}
+
+test('normalizes case, diacritics, possessives and apostrophes', () => {
+    assert.equal(searchIndex.normalizeTerm('LORD’s'), 'lord');
+    assert.equal(searchIndex.normalizeTerm('Élie'), 'elie');
+    assert.equal(searchIndex.normalizeTerm("don't"), 'dont');
+    assert.deepEqual(searchIndex.tokenize('In the beginning, God—created (1:1)'),
+                     ['in', 'the', 'beginning', 'god', 'created', '1', '1']);
+    assert.deepEqual(searchIndex.tokenize(''), []);
+    assert.deepEqual(searchIndex.tokenize(null), []);
+});
+
+test('ranks documents matching more query terms first', () => {
+    const index = buildIndex({
+        a: 'a virgin shall conceive',
+        b: 'the virgin daughter of Zion, the virgin of Israel',
+        c: 'conceive and bear a son'
+    });
+    const { results, total } = index.search('virgin conceive');
+    assert.equal(total, 3);
+    assert.equal(results[0].docId, 'a');
+    assert.deepEqual(results[0].matchedTerms.sort(), ['conceive', 'virgin']);
+    assert.equal(results[1].docId, 'b'); // Two mentions of one term beat one
+    assert.equal(index.getDocumentCount(), 3);
+});
+
+test('weights fields and limits results while counting every match', () => {
+    const index = searchIndex.createIndex();
+    index.addDocument(1, [{ text: 'Bethlehem' }, { text: 'ruler in Israel' }]);
+    index.addDocument(2, [{ text: 'Micah' }, { text: 'Bethlehem', weight: 3 }]);
+    const { results, total } = index.search('bethlehem', 1);
+    assert.equal(total, 2);
+    assert.deepEqual(results.map(result => result.docId), [2]);
+});
+
+test('matches an unfinished last word as a prefix, below whole words', () => {
+    const index = buildIndex({ whole: 'the prophet spoke', prefixed: 'a prophecy fulfilled' });
+    const { results } = index.search('prophe');
+    assert.deepEqual(results.map(result => result.docId).sort(), ['prefixed', 'whole']);
+    assert.deepEqual(index.search('p').results, []); // Single letters are not expanded
+    const exact = index.search('prophet').results;
+    assert.equal(exact.length, 1);
+});
+
+test('returns nothing for empty queries or an empty index', () => {
+    assert.deepEqual(searchIndex.createIndex().search('anything'), { results: [], total: 0 });
+    assert.deepEqual(buildIndex({ a: 'text' }).search('  ,. '), { results: [], total: 0 });
+});
+
+test('adds documents in chunks and reports progress', async () => {
+    const index = searchIndex.createIndex();
+    const documents = ['one', 'two', 'three', 'four', 'five'].map((text, i) => ({ docId: i, fields: [{ text: text }] }));
+    const progress = [];
+    await searchIndex.addDocumentsIncrementally(index, documents, (added, total) => progress.push([added, total]), 2);
+    assert.deepEqual(progress, [[2, 5], [4, 5], [5, 5]]);
+    assert.equal(index.getDocumentCount(), 5);
+    assert.equal(index.search('four').results[0].docId, 3);
+});
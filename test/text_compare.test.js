@@ -0,0 +1,56 @@
+/**
+ * text_compare.test.js - Stems, stop words, shared phrases and the similarity score (js/text_compare.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const textCompare = require('../js/text_compare.js');
+
+const MICAH_5_2 = 'But you, Bethlehem Ephrathah, who are small among the clans of Judah, out of you will come forth for Me ' +
+                  'One to be ruler over Israel, whose origins are from of old, from the days of eternity.';
+const MATTHEW_2_5_6 = '2:5 “In Bethlehem in Judea,” they replied, “for this is what the prophet has written:\n' +
+                      '2:6 ‘But you, Bethlehem, in the land of Judah, are by no means least among the rulers of Judah, ' +
+                      'for out of you will come a ruler who will shepherd My people Israel.’”';
+
+test('reduces inflections to one stem and flags stop words', () => {
+    assert.deepEqual(['coming', 'comes', 'cometh', 'come'].map(textCompare.stem), ['com', 'com', 'com', 'com']);
+    assert.deepEqual(['running', 'fulfilled', 'fulfills', 'glories', 'churches', 'is', 'king'].map(textCompare.stem),
+        ['run', 'fulfill', 'fulfill', 'glory', 'church', 'is', 'king']);
+    const tokens = textCompare.tokenize('2:6 “Out of Egypt I called My Son’s name.”');
+    assert.deepEqual(tokens.map(token => token.text), ['Out', 'of', 'Egypt', 'I', 'called', 'My', 'Son’s', 'name'], 'numbers and punctuation are not words');
+    assert.deepEqual(tokens.filter(token => token.stop).map(token => token.text), ['of', 'I', 'My']);
+    assert.equal(tokens[6].stem, 'son');
+    assert.deepEqual([tokens[2].start, tokens[2].end], [12, 17]);
+});
+
+test('finds the shared words and quoted phrases and scores by the shorter passage', () => {
+    const comparison = textCompare.compareTexts(MICAH_5_2, MATTHEW_2_5_6);
+    assert.deepEqual(comparison.sharedStems, ['bethlehem', 'among', 'judah', 'out', 'com', 'ruler', 'israel']);
+    assert.deepEqual(comparison.sharedWords, ['Bethlehem', 'among', 'Judah', 'out', 'come', 'rulers', 'Israel'], 'as the NT writes them');
+    assert.deepEqual(comparison.phrases.map(phrase => phrase.text), ['out of you will come', 'But you, Bethlehem'], 'quoted from the NT, longest first');
+    assert.equal(comparison.score, 7 / Math.min(comparison.otWordCount, comparison.ntWordCount));
+    assert.equal(textCompare.classifyScore(comparison.score), 'quotation');
+
+    const allusion = textCompare.compareTexts('He will crush your head, and you will strike his heel.',
+                                              'The God of peace will soon crush Satan under your feet.');
+    assert.deepEqual(allusion.sharedStems, ['crush']);
+    assert.deepEqual(allusion.phrases, [], 'stop words alone are no phrase');
+    assert.equal(textCompare.classifyScore(allusion.score), 'allusion');
+    assert.equal(textCompare.compareTexts('', 'Anything at all').score, 0);
+});
+
+test('splits verse text into highlighted runs that join back into the text', () => {
+    const comparison = textCompare.compareTexts(MICAH_5_2, MATTHEW_2_5_6);
+    const verse = 'for out of you will come a ruler. Out of Egypt';
+    const segments = textCompare.segmentText(verse, comparison);
+    assert.equal(segments.map(segment => segment.text).join(''), verse);
+    assert.deepEqual(segments.filter(segment => segment.match), [
+        { text: 'out of you will come', match: 'phrase' },
+        { text: 'ruler', match: 'word' },
+        { text: 'Out', match: 'word' }
+    ]);
+    assert.deepEqual(textCompare.segmentText('Judah. Out of you will come', comparison).map(segment => segment.match), ['word', '', 'phrase']);
+});
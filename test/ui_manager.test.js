@@ -0,0 +1,104 @@
+/**
+ * ui_manager.test.js - Views built by script, rendered in the interface language (js/ui_manager.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const i18n = require('../js/i18n.js');
+const { createFakeDocument, quietly } = require('./helpers.js');
+
+// ui_manager.js looks its elements up once, when it loads
+const fakeDocument = createFakeDocument([
+    'prophecy-list', 'plan-list', 'plan-source-label', 'plan-name', 'quiz-summary', 'graph-view', 'graph-view-button',
+    'validation-report', 'validation-summary', 'validation-issues', 'presentation-bar', 'presentation-label',
+    'presentation-counter', 'presentation-progress', 'presentation-notes'
+]);
+global.document = fakeDocument;
+const uiManager = require('../js/ui_manager.js');
+const elements = fakeDocument.elements;
+
+/** Switches the interface language without touching storage. */
+function useLanguage(language) {
+    i18n.setStorage(null);
+    quietly(() => i18n.setLanguage(language));
+}
+
+test('shows a category name in the empty-list prompt as text, not markup', () => {
+    useLanguage('en');
+    const name = '<img src=x onerror=alert(1)>';
+    uiManager.renderReferenceListUI([], name);
+
+    const items = elements['prophecy-list'].findAll('li');
+    assert.equal(items.length, 1);
+    assert.equal(items[0].textContent, `No references found for ${name}.`);
+    assert.deepEqual(items[0].findAll('img'), []);
+});
+
+test('renders reading plans and their progress in Spanish', () => {
+    useLanguage('es');
+    const pair = { ot_ref: 'Micah 5:2', nt_ref: 'Matthew 2:1' };
+    const day = (number, complete) => ({ number: number, date: `2026-10-0${number}`, pairs: [pair], complete: complete, readCount: complete ? 1 : 0 });
+    uiManager.updatePlanSourceUI('Mesías', 8);
+    uiManager.renderReadingPlansUI([{
+        index: 0, name: 'Adviento', perDay: 3,
+        schedule: { currentDay: 2, scheduledDay: 3, days: [day(1, true), day(2, false), day(3, false)], readCount: 3, total: 8, behind: 1 }
+    }]);
+
+    assert.equal(elements['plan-source-label'].textContent, 'Mesías (8 pares)');
+    const list = elements['plan-list'];
+    assert.equal(list.findAll('span')[0].textContent, 'Día 2 de 3, 3 de 8 pares leídos, 1 día de atraso.');
+    assert.deepEqual(list.findAll('button').slice(0, 2).map(button => button.textContent), ['Leer el día 2', 'Eliminar']);
+    assert.equal(list.findAll('button')[1].getAttribute('aria-label'), 'Eliminar el plan Adviento');
+    assert.equal(list.findAll('summary')[0].textContent, 'Calendario: 3 días, 3 por día');
+    assert.match(list.findAll('label')[0].textContent, /^ Día 1 \(2026-10-01\): $/);
+
+    uiManager.renderReadingPlansUI([]);
+    assert.equal(list.textContent, 'Aún no hay planes de lectura.');
+});
+
+test('renders the practice summary in Portuguese', () => {
+    useLanguage('pt');
+    uiManager.renderQuizSummaryUI({
+        asked: 4, correct: 3,
+        missed: [{ ot_ref: 'Isaiah 7:14', nt_ref: 'Matthew 1:23', description: 'Virgin birth' }],
+        byType: { fulfillment: { asked: 2, correct: 2 }, typed: { asked: 2, correct: 1 } }
+    }, { fulfillment: i18n.t('quiz.typeFulfillment'), typed: i18n.t('quiz.typeTyped') });
+
+    const summary = elements['quiz-summary'];
+    assert.equal(summary.findAll('h3')[0].textContent, 'Resumo da sessão');
+    assert.deepEqual(summary.findAll('p').map(paragraph => paragraph.textContent),
+                     ['3 de 4 respostas corretas (75%).', 'Para revisar (voltam na sua próxima sessão):']);
+    assert.deepEqual(summary.findAll('ul')[0].findAll('li').map(item => item.textContent),
+                     ['Escolha o cumprimento: 2 de 2', 'Digite o cumprimento: 1 de 2']);
+});
+
+test('summarizes the manifest check and the presentation position in Spanish', () => {
+    useLanguage('es');
+    quietly(() => uiManager.renderValidationReportUI({
+        issues: [{ severity: 'error', category: 'Mesías', pairIndex: 0, message: 'Referencia vacía', pairKey: null }],
+        errorCount: 1, warningCount: 2, pairCount: 10, resolvedIn: 'BSB'
+    }));
+    assert.equal(elements['validation-summary'].textContent,
+                 'Revisión del manifiesto: 1 error, 2 advertencias en 10 pares (versículos revisados en BSB).');
+
+    // The Previous/Next/notes buttons the bar looks up by selector
+    elements['presentation-bar'].querySelector = () => ({ disabled: false, setAttribute() {} });
+    uiManager.updatePresentationUI({ label: 'Mesías', position: 2, total: 12, notes: [], notesShown: true });
+    assert.equal(elements['presentation-counter'].textContent, '3 de 12');
+    assert.equal(elements['presentation-notes'].textContent, 'Este par no tiene descripción.');
+});
+
+test('names toggle buttons by their current state so a language switch keeps it', () => {
+    useLanguage('es');
+    const button = elements['graph-view-button'];
+    uiManager.showGraphViewUI(true);
+    assert.equal(button.dataset.i18n, 'graph.hide');
+    assert.equal(button.textContent, 'Ocultar gráfico');
+    uiManager.showGraphViewUI(false);
+    assert.equal(button.dataset.i18n, 'graph.show');
+    assert.equal(button.textContent, 'Ver gráfico');
+    useLanguage('en');
+});
@@ -0,0 +1,89 @@
+/**
+ * validate_manifest_cli.test.js - Command-line manifest check (tools/validate_manifest.js).
+ * Run all tests with: node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const validateManifest = require('../tools/validate_manifest.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const MINI_BIBLE = path.join(FIXTURES, 'mini_bible.json');
+
+/** Runs the tool in-process and captures its output. */
+function runTool(args) {
+    const out = [];
+    const err = [];
+    const code = validateManifest.run(args, { out: text => out.push(text), err: text => err.push(text) });
+    return { code: code, out: out.join('\n'), err: err.join('\n') };
+}
+
+test('exits 0 and prints a summary for a clean manifest', () => {
+    const result = runTool([path.join(FIXTURES, 'references_valid.json'), MINI_BIBLE]);
+    assert.equal(result.code, 0, result.out);
+    assert.match(result.out, /3 categories, 5 pairs checked against mini_bible\.json: 0 errors, 0 warnings\./);
+});
+
+test('exits 1 and lists unresolved and suspicious refs', () => {
+    const result = runTool([path.join(FIXTURES, 'references_broken.json'), MINI_BIBLE]);
+    assert.equal(result.code, 1);
+    assert.match(result.out, /ERROR {3}\[unresolved-ref\] Birth #4: ot_ref "Micah 5:9" was not found/);
+    assert.match(result.out, /\[unresolved-ref\] Birth #5: nt_ref "Romans 5:14" .*Book Not In Translation/);
+    assert.match(result.out, /WARNING \[duplicate-pair\] Birth #2/);
+    assert.match(result.out, /\[wrong-testament\] Birth #3: ot_ref "Matthew 2:1" should be OT/);
+    assert.match(result.out, /\[unparsed-ref\] Birth #5: ot_ref "Adam"/);
+});
+
+test('--ignore drops issue codes and --strict fails on warnings', () => {
+    const manifest = path.join(FIXTURES, 'references_broken.json');
+    const onlyWarnings = ['--ignore=unresolved-ref,wrong-testament,unparsed-ref,schema,duplicate-category'];
+    const relaxed = runTool([manifest, MINI_BIBLE, ...onlyWarnings]);
+    assert.equal(relaxed.code, 0, relaxed.out);
+    assert.match(relaxed.out, /0 errors, 1 warnings \(\d+ ignored\)/);
+    assert.equal(runTool([manifest, MINI_BIBLE, ...onlyWarnings, '--strict']).code, 1);
+});
+
+test('--json prints a machine-readable report', () => {
+    const result = runTool([path.join(FIXTURES, 'references_broken.json'), MINI_BIBLE, '--json']);
+    const report = JSON.parse(result.out);
+    assert.equal(report.pairCount, 6);
+    assert.equal(report.errorCount + report.warningCount, report.issues.length);
+    assert.ok(report.issues.every(issue => issue.code && issue.severity && issue.message));
+});
+
+test('reads USFM, OSIS and Zefania Bible files', () => {
+    for (const fileName of ['sample.usfm', 'sample.osis.xml', 'sample_zefania.xml']) {
+        const result = runTool([path.join(FIXTURES, 'references_valid.json'), path.join(FIXTURES, fileName), '--json']);
+        const unresolved = JSON.parse(result.out).issues.filter(issue => issue.code === 'unresolved-ref').map(issue => issue.ref);
+        assert.equal(result.code, 1, fileName);
+        assert.ok(!unresolved.includes('Isaiah 7:14') && !unresolved.includes('Micah 5:2'), `${fileName}: ${unresolved}`);
+        assert.ok(unresolved.includes('Matthew 2:1'), fileName);
+    }
+    const forced = runTool([path.join(FIXTURES, 'references_valid.json'), path.join(FIXTURES, 'sample.usfm'), '--format=osis']);
+    assert.equal(forced.code, 2, 'USFM text read as OSIS has no verses');
+});
+
+test('exits 2 on usage errors and unreadable or invalid input', () => {
+    assert.equal(runTool([]).code, 2);
+    assert.equal(runTool(['only-one.json']).code, 2);
+    assert.equal(runTool(['a.json', 'b.json', '--frobnicate']).code, 2);
+    const missing = runTool([path.join(FIXTURES, 'does_not_exist.json'), MINI_BIBLE]);
+    assert.equal(missing.code, 2);
+    assert.match(missing.err, /Cannot read Manifest/);
+    const notABible = runTool([path.join(FIXTURES, 'references_valid.json'), path.join(FIXTURES, 'references_valid.json')]);
+    assert.equal(notABible.code, 2);
+    assert.match(notABible.err, /'books' array not found/);
+});
+
+test('sets the process exit code when run as a command', () => {
+    const script = path.join(__dirname, '..', 'tools', 'validate_manifest.js');
+    const clean = spawnSync(process.execPath, [script, path.join(FIXTURES, 'references_valid.json'), MINI_BIBLE], { encoding: 'utf8', timeout: 30000 });
+    assert.equal(clean.status, 0, clean.stderr);
+    const broken = spawnSync(process.execPath, [script, path.join(FIXTURES, 'references_broken.json'), MINI_BIBLE], { encoding: 'utf8', timeout: 30000 });
+    assert.equal(broken.status, 1);
+    assert.match(broken.stdout, /errors, 1 warnings/);
+});
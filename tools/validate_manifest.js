@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * validate_manifest.js - Command-line check of references.json against a Bible file (BSB JSON, USFM,
+ * OSIS or Zefania XML), using the same modules as the app (js/manifest_validator.js, js/reference_parser.js,
+ * js/bible_formats.js).
+ * Lets manifest edits be checked without opening a browser.
+ *
+ * Usage:
+ *   node tools/validate_manifest.js <references.json> <bible file> [options]
+ * Options:
+ *   --format=<id>             Bible file format (bsb-json, usfm, osis, zefania); detected when omitted
+ *   --ignore=<code>[,<code>]  Drop issues with these codes (e.g. unparsed-ref for typological entries)
+ *   --strict                  Fail on warnings (duplicate pairs) as well as errors
+ *   --json                    Print the report as JSON instead of text
+ *   --verbose                 Print the Bible parser's progress logging to stderr
+ *
+ * Exit codes: 0 = no errors, 1 = manifest problems found, 2 = usage error or unreadable/invalid input.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = 'Usage: node tools/validate_manifest.js <references.json> <bible file> [--format=<id>] [--ignore=<code>,...] [--strict] [--json] [--verbose]';
+const EXIT_OK = 0;
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Splits argv into file paths and options.
+ * @param {Array<string>} args - process.argv without node and the script path.
+ * @returns {{files: Array<string>, format: string|null, ignore: Array<string>, strict: boolean, json: boolean, verbose: boolean}}
+ * @throws {Error} - On an unknown option.
+ */
+function parseArguments(args) {
+    const options = { files: [], format: null, ignore: [], strict: false, json: false, verbose: false };
+    args.forEach(arg => {
+        if (arg === '--strict') options.strict = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--verbose') options.verbose = true;
+        else if (arg.startsWith('--format=')) options.format = arg.slice('--format='.length) || null;
+        else if (arg.startsWith('--ignore=')) options.ignore.push(...arg.slice('--ignore='.length).split(',').filter(Boolean));
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else options.files.push(arg);
+    });
+    return options;
+}
+
+/**
+ * Reads a text file.
+ * @param {string} filePath
+ * @param {string} label - What the file is, for error messages.
+ * @returns {string}
+ * @throws {Error} - If the file cannot be read.
+ */
+function readText(filePath, label) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read ${label} ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} filePath
+ * @param {string} label - What the file is, for error messages.
+ * @returns {*}
+ * @throws {Error} - If the file is missing or not JSON.
+ */
+function readJson(filePath, label) {
+    const text = readText(filePath, label);
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${label} ${filePath} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Runs the check. Separate from the process wrapper so tests can call it directly.
+ * @param {Array<string>} args - Command-line arguments.
+ * @param {{out: function(string), err: function(string)}} [io] - Output sinks (default: stdout/stderr).
+ * @returns {number} - Exit code.
+ */
+function run(args, io = { out: text => process.stdout.write(text + '\n'), err: text => process.stderr.write(text + '\n') }) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        io.err(error.message);
+        io.err(USAGE);
+        return EXIT_USAGE;
+    }
+    if (options.files.length !== 2) {
+        io.err(USAGE);
+        return EXIT_USAGE;
+    }
+
+    const jsDir = path.join(__dirname, '..', 'js');
+    const bibleFormats = require(path.join(jsDir, 'bible_formats.js'));
+    const referenceParser = require(path.join(jsDir, 'reference_parser.js'));
+    const manifestValidator = require(path.join(jsDir, 'manifest_validator.js'));
+
+    const [manifestPath, biblePath] = options.files;
+    let manifest;
+    let indexedBible;
+    try {
+        manifest = readJson(manifestPath, 'Manifest');
+        indexedBible = bibleFormats.parseBible(readText(biblePath, 'Bible file'), {
+            format: options.format,
+            fileName: biblePath,
+            log: options.verbose ? (...parts) => io.err(parts.join(' ')) : function() {}
+        }).index;
+    } catch (error) {
+        io.err(error instanceof SyntaxError ? `Bible file ${biblePath} is not valid JSON: ${error.message}` : error.message);
+        return EXIT_USAGE;
+    }
+
+    const resolutionErrors = referenceParser.checkReferences(indexedBible, manifestValidator.collectReferences(manifest && manifest.categories));
+    const report = manifestValidator.validateManifest(manifest, {
+        resolutionErrors: resolutionErrors,
+        translationName: path.basename(biblePath)
+    });
+    const issues = report.issues.filter(issue => !options.ignore.includes(issue.code));
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+    const failed = errorCount > 0 || (options.strict && warningCount > 0);
+
+    if (options.json) {
+        io.out(JSON.stringify({
+            manifest: manifestPath, bible: biblePath, ignored: options.ignore,
+            categoryCount: report.categoryCount, pairCount: report.pairCount,
+            errorCount: errorCount, warningCount: warningCount, issues: issues
+        }, null, 2));
+    } else {
+        issues.forEach(issue => {
+            const location = issue.category ? `${issue.category}${issue.pairIndex !== null ? ` #${issue.pairIndex + 1}` : ''}: ` : '';
+            io.out(`${issue.severity.toUpperCase().padEnd(7)} [${issue.code}] ${location}${issue.message}`);
+        });
+        const ignoredCount = report.issues.length - issues.length;
+        io.out(`${manifestPath}: ${report.categoryCount} categories, ${report.pairCount} pairs checked against ${path.basename(biblePath)}: ` +
+               `${errorCount} errors, ${warningCount} warnings${ignoredCount ? ` (${ignoredCount} ignored)` : ''}.`);
+    }
+    return failed ? EXIT_INVALID : EXIT_OK;
+}
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = { run: run, parseArguments: parseArguments };